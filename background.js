@@ -1,8 +1,83 @@
 // Background service worker for PagePouch Chrome extension
 // 백그라운드 서비스 워커 - 확장 프로그램의 핵심 로직 처리
 
-// Import screenshot service
-importScripts('utils/screenshot.js');
+// Import helpers, models, screenshot, prompt template, long document, AI summary, page chat, secret, archive, backup, export encryption, page storage, search, collection, tag and import/export services
+importScripts('utils/helpers.js', 'utils/models.js', 'utils/screenshot.js', 'utils/prompt-templates.js', 'utils/summary-chunks.js', 'utils/ai-summary.js', 'utils/page-chat.js', 'utils/embeddings.js', 'utils/date-formatter.js', 'utils/digest.js', 'utils/secret-store.js', 'utils/archive-store.js', 'utils/backup-store.js', 'utils/export-crypto.js', 'utils/storage-adapters.js', 'utils/search-index.js', 'utils/collections.js', 'utils/tag-suggester.js', 'utils/bookmark-html.js', 'utils/import-formats.js', 'utils/page-csv.js', 'utils/markdown-export.js');
+
+// API keys are kept encrypted here and never sent to extension pages
+const secretStore = new SecretStore();
+
+// Summaries of long document parts, so a repeated summary skips finished parts
+const summaryChunkCache = new ChunkSummaryCache();
+
+// Offline snapshots live in IndexedDB, outside chrome.storage.local
+const archiveStore = new ArchiveStore();
+
+// Restore points of pages and collections, also in IndexedDB
+const backupStore = new BackupStore();
+
+// Saved pages live in IndexedDB when available, one record per page
+const pageStore = createStorageAdapter();
+let pageStoreReady = null;
+
+/**
+ * Get the page store, migrating the legacy pages array on first use
+ * 페이지 저장소 가져오기 (최초 사용 시 레거시 pages 배열 이전)
+ */
+function getPageStore() {
+    if (!pageStoreReady) {
+        pageStoreReady = migrateLegacyPages(pageStore)
+            .then(() => pageStore)
+            .catch(error => {
+                // Let the next call try again
+                pageStoreReady = null;
+                throw error;
+            });
+    }
+    return pageStoreReady;
+}
+
+// User-created collections; pages list the ones they belong to in collectionIds
+const collectionStore = new CollectionStore();
+
+// Heuristic tag suggestions, also used to fit AI suggestions to existing tags
+const tagSuggester = new TagSuggester();
+
+// Full-text index over saved pages and their extracted text
+const searchIndex = new SearchIndex();
+
+// Questions and answers about saved pages, by page id
+const pageChatStore = new PageChatStore();
+
+// Embedding vectors of saved pages for semantic search and related pages
+const embeddingStore = new EmbeddingStore();
+
+// Weekly digests of saved pages, newest first
+const digestStore = new DigestStore();
+let searchIndexReady = null;
+
+/**
+ * Get the search index, building it from stored pages if it is empty
+ * 검색 색인 가져오기 (비어 있으면 저장된 페이지로 구축)
+ */
+function getSearchIndex() {
+    if (!searchIndexReady) {
+        searchIndexReady = (async () => {
+            const store = await getPageStore();
+            const [indexedCount, pageCount] = await Promise.all([searchIndex.getDocumentCount(), store.count()]);
+            
+            if (indexedCount === 0 && pageCount > 0) {
+                const rebuilt = await searchIndex.rebuild(await store.getAllPages());
+                console.log(`Search index built for ${rebuilt} pages`);
+            }
+            return searchIndex;
+        })().catch(error => {
+            searchIndexReady = null;
+            throw error;
+        });
+    }
+    return searchIndexReady;
+}
 
 /**
  * Extension Lifecycle Manager class
@@ -64,6 +139,13 @@ class ExtensionLifecycleManager {
                     console.log('Unknown install reason:', details.reason);
             }
             
+            // Keys saved by older versions are still in plain settings
+            await migrateApiKeys();
+            
+            // Keep the scheduled backup and digest alarms in line with the settings
+            await scheduleBackups();
+            await scheduleDigests();
+            
             // Record installation time
             this.installTime = Date.now();
             await this.saveLifecycleMetrics();
@@ -271,7 +353,6 @@ class ExtensionLifecycleManager {
      */
     async setupStorageStructure() {
         const storageStructure = {
-            pages: [],
             tags: [],
             collections: [],
             statistics: {
@@ -282,6 +363,9 @@ class ExtensionLifecycleManager {
         };
 
         try {
+            // Only fill in missing keys; this also runs during storage error recovery
+            const existing = await chrome.storage.local.get(Object.keys(storageStructure));
+            Object.keys(existing).forEach(key => delete storageStructure[key]);
             await chrome.storage.local.set(storageStructure);
             console.log('Storage structure initialized');
         } catch (error) {
@@ -670,7 +754,11 @@ class ExtensionLifecycleManager {
      * 서비스 초기화
      */
     async initializeServices() {
-        // Initialize any background services here
+        await migrateApiKeys();
+        
+        // Alarms survive restarts, but settings may have changed while the browser was closed
+        await scheduleBackups();
+        await scheduleDigests();
         console.log('Services initialized');
     }
 
@@ -689,7 +777,12 @@ class ExtensionLifecycleManager {
      */
     async migrateData(previousVersion, currentVersion) {
         console.log(`Migrating data from ${previousVersion} to ${currentVersion}`);
-        // Add migration logic here
+        
+        // Move the legacy pages array out of chrome.storage.local
+        await getPageStore();
+        
+        // Pages saved before full-text search only have their metadata indexed
+        await getSearchIndex();
     }
 
     /**
@@ -743,7 +836,37 @@ class ExtensionLifecycleManager {
      */
     async performStorageCleanup() {
         console.log('Performing storage cleanup');
-        // Add storage cleanup logic here
+        
+        try {
+            // Snapshots of pages deleted without undo are no longer reachable
+            const store = await getPageStore();
+            const pageIds = (await store.getAllPages()).map(page => page.id);
+            const removed = await archiveStore.removeOrphans(pageIds);
+            
+            if (removed > 0) {
+                console.log(`Removed ${removed} orphaned archive snapshots`);
+            }
+            
+            // Same for text kept in the search index
+            const removedIndexEntries = await searchIndex.removeOrphans(pageIds);
+            if (removedIndexEntries > 0) {
+                console.log(`Removed ${removedIndexEntries} orphaned search index entries`);
+            }
+            
+            // And for conversations about deleted pages
+            const removedChats = await pageChatStore.removeOrphans(pageIds);
+            if (removedChats > 0) {
+                console.log(`Removed ${removedChats} orphaned page conversations`);
+            }
+            
+            // And for their embedding vectors
+            const removedVectors = await embeddingStore.removeOrphans(pageIds);
+            if (removedVectors > 0) {
+                console.log(`Removed ${removedVectors} orphaned page embeddings`);
+            }
+        } catch (error) {
+            console.error('Archive cleanup failed:', error);
+        }
     }
 }
 
@@ -767,6 +890,42 @@ chrome.runtime.onSuspendCanceled.addListener(() => {
     lifecycleManager.handleSuspendCanceled();
 });
 
+// Scheduled backups and digests
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === BACKUP_ALARM) {
+        createBackupPoint('scheduled').catch(error => {
+            console.error('Scheduled backup failed:', error);
+        });
+    } else if (alarm.name === DIGEST_ALARM) {
+        generateDigest().catch(error => {
+            console.error('Scheduled digest failed:', error);
+        });
+    }
+});
+
+// The options page writes settings straight to storage, so follow changes here
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (!changes.settings) {
+        return;
+    }
+    
+    // e.g. settings imported from a file that carried API keys
+    if (changes.settings.newValue?.apiKey || changes.settings.newValue?.apiKeys) {
+        migrateApiKeys().catch(error => {
+            console.error('Failed to move API key to the secret store:', error);
+        });
+    }
+    
+    if (areaName === 'local') {
+        scheduleBackups().catch(error => {
+            console.error('Failed to schedule backups:', error);
+        });
+        scheduleDigests().catch(error => {
+            console.error('Failed to schedule digests:', error);
+        });
+    }
+});
+
 // Handle unhandled promise rejections
 self.addEventListener('unhandledrejection', (event) => {
     lifecycleManager.handleUnhandledRejection(event);
@@ -777,6 +936,440 @@ self.addEventListener('error', (event) => {
     lifecycleManager.handleUncaughtError(event);
 });
 
+// Summaries stream to extension pages over ports with this name
+const SUMMARY_STREAM_PORT = 'summary-stream';
+
+// Ports of open popups that follow page summaries as they are written
+const summaryStreamPorts = new Set();
+
+// Summary jobs still running: page id to { controller, text, progress }
+const runningSummaries = new Map();
+
+/**
+ * Send a message to every port following page summaries
+ * 페이지 요약을 구독 중인 모든 포트에 메시지 전송
+ */
+function broadcastSummaryStream(message) {
+    summaryStreamPorts.forEach(port => {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            // The page closed between its disconnect and this message
+            summaryStreamPorts.delete(port);
+        }
+    });
+}
+
+/**
+ * Stream summaries to extension pages and let them cancel running ones
+ * 확장 프로그램 페이지로 요약을 스트리밍하고 실행 중인 요약 취소 처리
+ *
+ * Messages from the page:
+ * - { type: 'subscribe' } follows page summaries; the text so far and the
+ *   part progress of each running job are sent right away
+ * - { type: 'cancel', pageId } stops a page summary
+ * - { type: 'test', content, promptTemplate } summarizes text with the current
+ *   settings; a given template text replaces the default one
+ * - { type: 'cancel' } stops the test summary of this port
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== SUMMARY_STREAM_PORT) return;
+
+    let testController = null;
+
+    port.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'subscribe':
+                summaryStreamPorts.add(port);
+                runningSummaries.forEach(({ text, progress }, pageId) => {
+                    if (progress) {
+                        port.postMessage({ type: 'progress', pageId, ...progress });
+                    }
+                    port.postMessage({ type: 'chunk', pageId, text });
+                });
+                break;
+
+            case 'cancel':
+                if (message.pageId) {
+                    runningSummaries.get(message.pageId)?.controller.abort();
+                } else {
+                    testController?.abort();
+                }
+                break;
+
+            case 'test':
+                testController?.abort();
+                testController = new AbortController();
+                runTestSummary(port, message, testController.signal);
+                break;
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        summaryStreamPorts.delete(port);
+        testController?.abort();
+    });
+});
+
+/**
+ * Summarize text from the options page, streaming it back over the port
+ * 옵션 페이지의 텍스트를 요약하고 포트로 스트리밍
+ */
+async function runTestSummary(port, { content, promptTemplate }, signal) {
+    const post = (message) => {
+        if (!signal.aborted || message.type === 'cancelled') {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                // The options page was closed
+            }
+        }
+    };
+
+    const startedAt = Date.now();
+    try {
+        const aiService = new AISummaryService({ secretStore });
+        const result = await aiService.generateSummary(content, {
+            ...(typeof promptTemplate === 'string' ? { promptTemplate } : {}),
+            signal,
+            onText: (text) => post({ type: 'chunk', text })
+        });
+        const duration = Date.now() - startedAt;
+
+        if (result.success) {
+            post({ type: 'done', summary: result.summary, provider: result.provider, model: result.model, duration });
+        } else if (result.cancelled) {
+            post({ type: 'cancelled', duration });
+        } else {
+            post({ type: 'error', error: result.error, duration });
+        }
+    } catch (error) {
+        console.error('Test summary failed:', error);
+        post({ type: 'error', error: error.message, duration: Date.now() - startedAt });
+    }
+}
+
+// Questions about a saved page are answered over ports with this name
+const PAGE_CHAT_PORT = 'page-chat';
+
+/**
+ * Answer questions about saved pages, streaming each answer back
+ * 저장된 페이지에 대한 질문에 답하고 답변을 스트리밍
+ *
+ * Messages from the page:
+ * - { type: 'ask', pageId, question } answers from the page's stored text;
+ *   the reply streams as 'chunk' messages and ends with 'done', 'cancelled'
+ *   or 'error'
+ * - { type: 'cancel' } stops the answer being written
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== PAGE_CHAT_PORT) return;
+
+    let controller = null;
+
+    port.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'ask':
+                controller?.abort();
+                controller = new AbortController();
+                runPageQuestion(port, message, controller.signal);
+                break;
+
+            case 'cancel':
+                controller?.abort();
+                break;
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        controller?.abort();
+    });
+});
+
+/**
+ * Answer one question about a page and add both to its conversation
+ * 페이지에 대한 질문 하나에 답하고 둘 다 대화에 추가
+ */
+async function runPageQuestion(port, { pageId, question }, signal) {
+    const post = (message) => {
+        if (!signal.aborted || message.type === 'cancelled') {
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                // The popup was closed
+            }
+        }
+    };
+
+    try {
+        const page = await (await getPageStore()).getPage(pageId);
+        if (!page) {
+            throw new Error('Page not found');
+        }
+
+        const text = await getPageChatText(page);
+        if (!text) {
+            throw new Error('No text was saved for this page. Open the page and ask again.');
+        }
+
+        const result = await askPageQuestion(new AISummaryService({ secretStore }), {
+            text,
+            title: page.title,
+            url: page.url,
+            question,
+            history: await pageChatStore.getMessages(pageId),
+            signal,
+            onText: (partial) => post({ type: 'chunk', text: partial })
+        });
+
+        if (result.cancelled) {
+            post({ type: 'cancelled' });
+            return;
+        }
+        if (!result.success) {
+            post({ type: 'error', error: result.error });
+            return;
+        }
+
+        const now = Date.now();
+        const messages = [
+            { role: 'user', content: String(question).trim(), createdAt: now },
+            {
+                role: 'assistant',
+                content: result.answer,
+                citations: result.citations,
+                provider: result.provider,
+                model: result.model,
+                createdAt: now
+            }
+        ];
+        await pageChatStore.addMessages(pageId, messages);
+        post({ type: 'done', messages });
+    } catch (error) {
+        console.error('Page question failed:', pageId, error);
+        post({ type: 'error', error: error.message });
+    }
+}
+
+/**
+ * Stored text of a page, read again from an open tab when none was kept
+ * 페이지의 저장된 텍스트 (없으면 열려 있는 탭에서 다시 읽기)
+ *
+ * Pages saved before their text was stored, or whose extraction failed, get
+ * it from the content script once they are open, and keep it from then on.
+ */
+async function getPageChatText(page) {
+    const index = await getSearchIndex();
+    const stored = await index.getContent(page.id);
+    if (stored?.text) {
+        return stored.text;
+    }
+
+    const urls = new Set([canonicalizeUrl(page.url), page.canonicalUrl].filter(Boolean));
+    const tabs = (await chrome.tabs.query({})).filter(tab => tab.url && urls.has(canonicalizeUrl(tab.url)));
+    for (const tab of tabs) {
+        try {
+            const extracted = await extractContentForSummary(tab.id);
+            const text = [extracted.title, extracted.description, extracted.content]
+                .filter(part => part && part.trim())
+                .join('\n\n');
+            if (text) {
+                await index.setContent(page.id, { text, language: extracted.language || null });
+                indexPageForSearch(page);
+                return text;
+            }
+        } catch (error) {
+            console.warn('Could not read page text from tab:', tab.id, error.message);
+        }
+    }
+
+    return '';
+}
+
+// Query vectors of recent semantic searches, so typing on does not embed a query twice
+const queryEmbeddings = new Map();
+const MAX_QUERY_EMBEDDINGS = 20;
+
+/**
+ * Embed pages with the semantic search provider and store their vectors
+ * 의미 검색 제공업체로 페이지를 임베딩하고 벡터 저장
+ * @returns {Promise<Object>} { embedded, model }, or { embedded: 0 } when semantic search is off
+ */
+async function embedPages(pages, aiService = new AISummaryService({ secretStore }), settings = null) {
+    settings = settings || await aiService.getSettings();
+    if (!settings.embeddingProvider || pages.length === 0) {
+        return { embedded: 0 };
+    }
+
+    const index = await getSearchIndex();
+    const texts = await Promise.all(pages.map(async page => {
+        const content = await index.getContent(page.id);
+        return embeddingText(page, content?.text);
+    }));
+
+    const result = await aiService.embedTexts(texts, settings);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    await embeddingStore.setMany(
+        pages.map((page, i) => ({ pageId: page.id, vector: result.vectors[i] })),
+        { provider: result.provider, model: result.model }
+    );
+    return { embedded: pages.length, model: result.model };
+}
+
+/**
+ * Embed a saved page without blocking the caller
+ * 호출자를 막지 않고 저장된 페이지 임베딩
+ */
+function embedPageInBackground(page) {
+    embedPages([page]).catch(error => {
+        // The page can still be embedded later from the options page
+        console.warn('Could not embed page for semantic search:', page.id, error.message);
+    });
+}
+
+/**
+ * The semantic search provider and model, or null when semantic search is off
+ * 의미 검색 제공업체와 모델 (꺼져 있으면 null)
+ */
+async function getEmbeddingSource(aiService) {
+    const settings = await aiService.getSettings();
+    if (!settings.embeddingProvider) {
+        return null;
+    }
+    return {
+        settings,
+        provider: settings.embeddingProvider,
+        model: aiService.getEmbeddingModel(settings.embeddingProvider, settings)
+    };
+}
+
+// Handle semantic search request; data is null when semantic search is off
+async function handleSemanticSearch(data, sendResponse) {
+    try {
+        const query = String(data?.query || '').trim();
+        const aiService = new AISummaryService({ secretStore });
+        const source = await getEmbeddingSource(aiService);
+        if (!source || !query) {
+            sendResponse({ success: true, data: null });
+            return;
+        }
+
+        const cacheKey = `${source.provider}:${source.model}:${query}`;
+        let vector = queryEmbeddings.get(cacheKey);
+        if (!vector) {
+            const result = await aiService.embedTexts([query], source.settings);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            vector = result.vectors[0];
+            queryEmbeddings.set(cacheKey, vector);
+            if (queryEmbeddings.size > MAX_QUERY_EMBEDDINGS) {
+                queryEmbeddings.delete(queryEmbeddings.keys().next().value);
+            }
+        }
+
+        const vectors = await embeddingStore.getVectors(source.model);
+        const results = rankBySimilarity(vector, vectors, { limit: data?.limit || 200 });
+        sendResponse({ success: true, data: results });
+    } catch (error) {
+        console.error('Error in semantic search:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle related pages request: the most similar pages for each of data.pageIds
+async function handleGetRelatedPages(data, sendResponse) {
+    try {
+        const source = await getEmbeddingSource(new AISummaryService({ secretStore }));
+        if (!source) {
+            sendResponse({ success: true, data: null });
+            return;
+        }
+
+        const vectors = await embeddingStore.getVectors(source.model);
+        const related = {};
+        (data?.pageIds || []).forEach(pageId => {
+            const vector = vectors.get(pageId);
+            related[pageId] = vector ? rankBySimilarity(vector, vectors, {
+                limit: data?.limit || 3,
+                minSimilarity: MIN_RELATED_SIMILARITY,
+                exclude: pageId
+            }) : [];
+        });
+        sendResponse({ success: true, data: related });
+    } catch (error) {
+        console.error('Error getting related pages:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle embedding status request: how many pages have a vector from the current model
+async function handleGetEmbeddingStatus(sendResponse) {
+    try {
+        const source = await getEmbeddingSource(new AISummaryService({ secretStore }));
+        const pages = await (await getPageStore()).getAllPages();
+        const vectors = source ? await embeddingStore.getVectors(source.model) : new Map();
+        sendResponse({
+            success: true,
+            data: {
+                enabled: !!source,
+                provider: source?.provider || null,
+                model: source?.model || null,
+                embedded: pages.filter(page => vectors.has(page.id)).length,
+                total: pages.length
+            }
+        });
+    } catch (error) {
+        console.error('Error getting embedding status:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handle build embeddings request: embed every page without a vector from the current model
+ * 임베딩 생성 요청 처리 (현재 모델의 벡터가 없는 모든 페이지 임베딩)
+ *
+ * Pages are sent in batches. A failed batch is counted and the rest go on,
+ * unless none has succeeded yet; then the settings are likely wrong.
+ */
+async function handleBuildEmbeddings(sendResponse) {
+    try {
+        const aiService = new AISummaryService({ secretStore });
+        const source = await getEmbeddingSource(aiService);
+        if (!source) {
+            throw new Error('Choose a provider for semantic search first');
+        }
+
+        const vectors = await embeddingStore.getVectors(source.model);
+        const pages = (await (await getPageStore()).getAllPages()).filter(page => !vectors.has(page.id));
+
+        let embedded = 0;
+        let failed = 0;
+        let lastError = null;
+        for (let start = 0; start < pages.length; start += EMBEDDING_BATCH_SIZE) {
+            const batch = pages.slice(start, start + EMBEDDING_BATCH_SIZE);
+            try {
+                embedded += (await embedPages(batch, aiService, source.settings)).embedded;
+            } catch (error) {
+                if (embedded === 0) {
+                    throw error;
+                }
+                failed += batch.length;
+                lastError = error.message;
+                console.warn('Embedding batch failed:', error);
+            }
+        }
+
+        sendResponse({ success: true, data: { embedded, failed, error: lastError, model: source.model } });
+    } catch (error) {
+        console.error('Error building embeddings:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
 // Message handling
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log('Background received message:', message);
@@ -789,7 +1382,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (messageType) {
         case 'SAVE_PAGE':
         case 'savePage':
-            handleSavePage(message.data || message, sendResponse);
+            handleSavePage({ tabId: message.tabId, ...(message.data || message) }, sendResponse);
             return true; // Keep message channel open for async response
             
         case 'GET_PAGES':
@@ -827,6 +1420,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleTestAPIKey(message.data, sendResponse);
             return true;
             
+        case 'SET_API_KEY':
+        case 'setApiKey':
+            handleSetApiKey(message.data, sendResponse);
+            return true;
+            
+        case 'GET_API_KEY_STATUS':
+        case 'getApiKeyStatus':
+            handleGetApiKeyStatus(message.data, sendResponse);
+            return true;
+            
+        case 'LIST_MODELS':
+        case 'listModels':
+            handleListModels(message.data, sendResponse);
+            return true;
+            
         case 'GET_STORAGE_INFO':
         case 'getStorageInfo':
             handleGetStorageInfo(sendResponse);
@@ -834,7 +1442,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             
         case 'EXPORT_DATA':
         case 'exportData':
-            handleExportData(sendResponse);
+            handleExportData(message.data, sendResponse);
             return true;
             
         case 'IMPORT_DATA':
@@ -842,6 +1450,56 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleImportData(message.data, sendResponse);
             return true;
             
+        case 'PREVIEW_IMPORT':
+        case 'previewImport':
+            handlePreviewImport(message.data, sendResponse);
+            return true;
+            
+        case 'IMPORT_PAGES':
+        case 'importPages':
+            handleImportPages(message.data, sendResponse);
+            return true;
+            
+        case 'EXPORT_BOOKMARKS':
+        case 'exportBookmarks':
+            handleExportBookmarks(sendResponse);
+            return true;
+            
+        case 'EXPORT_CSV':
+        case 'exportCsv':
+            handleExportCsv(message.data, sendResponse);
+            return true;
+            
+        case 'EXPORT_MARKDOWN':
+        case 'exportMarkdown':
+            handleExportMarkdown(message.data, sendResponse);
+            return true;
+            
+        case 'GET_RESTORE_POINTS':
+        case 'getRestorePoints':
+            handleGetRestorePoints(sendResponse);
+            return true;
+            
+        case 'CREATE_BACKUP':
+        case 'createBackup':
+            handleCreateBackup(sendResponse);
+            return true;
+            
+        case 'PREVIEW_RESTORE':
+        case 'previewRestore':
+            handlePreviewRestore(message.data, sendResponse);
+            return true;
+            
+        case 'RESTORE_BACKUP':
+        case 'restoreBackup':
+            handleRestoreBackup(message.data, sendResponse);
+            return true;
+            
+        case 'DELETE_RESTORE_POINT':
+        case 'deleteRestorePoint':
+            handleDeleteRestorePoint(message.data, sendResponse);
+            return true;
+            
         case 'CLEAR_CACHE':
         case 'clearCache':
             handleClearCache(sendResponse);
@@ -862,35 +1520,193 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleRestorePage(message.data, sendResponse);
             return true;
             
-        default:
-            console.log('Unknown message type:', messageType);
-            sendResponse({ success: false, error: 'Unknown message type' });
-    }
-});
-
-// Handle save page request
-async function handleSavePage(pageData, sendResponse) {
-    try {
-        console.log('Saving page:', pageData);
-        
-        // Get current pages
-        const result = await chrome.storage.local.get('pages');
-        const pages = result.pages || [];
-        
-        // Capture thumbnail
-        let thumbnail = '';
-        try {
-            // Check if we have the necessary permissions
-            if (!chrome.tabs || !chrome.tabs.captureVisibleTab) {
-                console.warn('Screenshot capture API not available');
-                thumbnail = '';
-            } else {
+        case 'FETCH_RESOURCE':
+        case 'fetchResource':
+            handleFetchResource(message.data, sendResponse);
+            return true;
             
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (tab && tab.id) {
-                console.log('Attempting to capture thumbnail for tab:', tab.id, tab.url, 'status:', tab.status);
-                
-                // Check if we can capture this tab
+        case 'SEARCH_PAGES':
+        case 'searchPages':
+            handleSearchPages(message.data, sendResponse);
+            return true;
+            
+        case 'GET_COLLECTIONS':
+        case 'getCollections':
+            handleGetCollections(sendResponse);
+            return true;
+            
+        case 'CREATE_COLLECTION':
+        case 'createCollection':
+            handleCreateCollection(message.data, sendResponse);
+            return true;
+            
+        case 'UPDATE_COLLECTION':
+        case 'updateCollection':
+            handleUpdateCollection(message.data, sendResponse);
+            return true;
+            
+        case 'DELETE_COLLECTION':
+        case 'deleteCollection':
+            handleDeleteCollection(message.data, sendResponse);
+            return true;
+            
+        case 'ADD_TO_COLLECTION':
+        case 'addToCollection':
+            handleAddToCollection(message.data, sendResponse);
+            return true;
+            
+        case 'REMOVE_FROM_COLLECTION':
+        case 'removeFromCollection':
+            handleRemoveFromCollection(message.data, sendResponse);
+            return true;
+            
+        case 'MOVE_TO_COLLECTION':
+        case 'moveToCollection':
+            handleMoveToCollection(message.data, sendResponse);
+            return true;
+            
+        case 'GET_TAGS':
+        case 'getTags':
+            handleGetTags(sendResponse);
+            return true;
+            
+        case 'SET_PAGE_TAGS':
+        case 'setPageTags':
+            handleSetPageTags(message.data, sendResponse);
+            return true;
+            
+        case 'RENAME_TAG':
+        case 'renameTag':
+            handleRenameTag(message.data, sendResponse);
+            return true;
+            
+        case 'MERGE_TAGS':
+        case 'mergeTags':
+            handleMergeTags(message.data, sendResponse);
+            return true;
+            
+        case 'DELETE_TAG':
+        case 'deleteTag':
+            handleDeleteTag(message.data, sendResponse);
+            return true;
+            
+        case 'ACCEPT_TAG_SUGGESTIONS':
+        case 'acceptTagSuggestions':
+            handleResolveTagSuggestions(message.data, true, sendResponse);
+            return true;
+            
+        case 'DISMISS_TAG_SUGGESTIONS':
+        case 'dismissTagSuggestions':
+            handleResolveTagSuggestions(message.data, false, sendResponse);
+            return true;
+            
+        case 'GET_PAGE_CHAT':
+        case 'getPageChat':
+            handleGetPageChat(message.data, sendResponse);
+            return true;
+            
+        case 'CLEAR_PAGE_CHAT':
+        case 'clearPageChat':
+            handleClearPageChat(message.data, sendResponse);
+            return true;
+            
+        case 'SEMANTIC_SEARCH':
+        case 'semanticSearch':
+            handleSemanticSearch(message.data, sendResponse);
+            return true;
+            
+        case 'GET_RELATED_PAGES':
+        case 'getRelatedPages':
+            handleGetRelatedPages(message.data, sendResponse);
+            return true;
+            
+        case 'GET_EMBEDDING_STATUS':
+        case 'getEmbeddingStatus':
+            handleGetEmbeddingStatus(sendResponse);
+            return true;
+            
+        case 'BUILD_EMBEDDINGS':
+        case 'buildEmbeddings':
+            handleBuildEmbeddings(sendResponse);
+            return true;
+            
+        case 'GENERATE_DIGEST':
+        case 'generateDigest':
+            handleGenerateDigest(message.data, sendResponse);
+            return true;
+            
+        default:
+            console.log('Unknown message type:', messageType);
+            sendResponse({ success: false, error: 'Unknown message type' });
+    }
+});
+
+// Handle save page request
+async function handleSavePage(pageData, sendResponse) {
+    try {
+        console.log('Saving page:', pageData);
+        
+        const store = await getPageStore();
+        const result = await chrome.storage.local.get('settings');
+        
+        // The popup passes the tab it saves; otherwise use the active tab
+        let sourceTabId = pageData.tabId;
+        if (!sourceTabId) {
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            sourceTabId = activeTab?.id;
+        }
+        
+        // Look for an earlier save of the same page
+        const canonicalUrl = canonicalizeUrl(pageData.url, await getTabCanonicalUrl(sourceTabId));
+        const [existingPage = null] = await store.getPagesByIndex('canonicalUrl', canonicalUrl);
+        const duplicateAction = pageData.duplicateAction;
+        
+        if (existingPage && !DUPLICATE_ACTIONS.includes(duplicateAction)) {
+            // Let the caller choose between merge, update and keep-both
+            sendResponse({
+                success: false,
+                duplicate: true,
+                error: 'Page already saved',
+                data: existingPage
+            });
+            return;
+        }
+        
+        if (existingPage && duplicateAction === 'merge') {
+            // Keep the existing card as-is and only record the re-save
+            const mergedPage = SavedPage.recordResave({
+                ...existingPage,
+                title: existingPage.title || pageData.title,
+                canonicalUrl: canonicalUrl
+            }, pageData.url, 'merge');
+            
+            await store.putPage(mergedPage);
+            
+            indexPageForSearch(mergedPage);
+            
+            console.log('Page merged with existing entry:', existingPage.id);
+            sendResponse({
+                success: true,
+                message: 'Page merged with existing entry',
+                data: mergedPage
+            });
+            return;
+        }
+        
+        // Capture thumbnail
+        let thumbnail = '';
+        try {
+            // Check if we have the necessary permissions
+            if (!chrome.tabs || !chrome.tabs.captureVisibleTab) {
+                console.warn('Screenshot capture API not available');
+                thumbnail = '';
+            } else {
+            
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (tab && tab.id) {
+                console.log('Attempting to capture thumbnail for tab:', tab.id, tab.url, 'status:', tab.status);
+                
+                // Check if we can capture this tab
                 if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('moz-extension://') || tab.url.startsWith('file://')) {
                     console.warn('Cannot capture screenshot from restricted URL:', tab.url);
                     thumbnail = '';
@@ -967,388 +1783,1239 @@ async function handleSavePage(pageData, sendResponse) {
             }
         }
 
+        // Decide whether a summary job should run for this page
+        const aiService = new AISummaryService({ secretStore, chunkCache: summaryChunkCache });
+        const aiSettings = await aiService.getSettings();
+        const summaryMetadata = aiSettings.enableAISummary ? {
+            method: 'pending',
+            reason: 'Summary generation in progress',
+            timestamp: Date.now()
+        } : {
+            method: 'disabled',
+            reason: 'AI summary feature is disabled in settings',
+            timestamp: Date.now()
+        };
+
+        // Tag suggestions ride along with the AI summary, or come from page signals without AI
+        const suggestTags = result.settings?.suggestTags !== false;
+
+        // Offline archiving is opt-in, from settings or per save
+        const archiveRequested = pageData.archive === true || 
+            (pageData.archive !== false && !!result.settings?.archivePages);
+        const archiveMetadata = archiveRequested ? {
+            status: 'pending',
+            timestamp: Date.now()
+        } : null;
+
         // Create new page object
-        const newPage = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
+        let newPage = createPageRecord({
             url: pageData.url,
+            canonicalUrl: canonicalUrl,
             title: pageData.title,
-            savedAt: Date.now(),
-            isFavorite: false,
-            tags: [],
-            summary: '',
+            summaryMetadata: summaryMetadata,
             thumbnail: thumbnail,
-            domain: new URL(pageData.url).hostname
-        };
+            archiveMetadata: archiveMetadata
+        });
         
-        // Add to pages array
-        pages.unshift(newPage);
+        if (existingPage && duplicateAction === 'update') {
+            // Refresh the existing card in place, keeping its identity, favorite and tags
+            newPage = SavedPage.recordResave({
+                ...existingPage,
+                ...newPage,
+                id: existingPage.id,
+                savedAt: existingPage.savedAt,
+                isFavorite: existingPage.isFavorite,
+                tags: existingPage.tags || [],
+                collectionIds: existingPage.collectionIds || [],
+                isArchived: existingPage.isArchived || false,
+                archiveMetadata: archiveMetadata || existingPage.archiveMetadata || null,
+                saveCount: existingPage.saveCount || 1,
+                lastResavedAt: existingPage.lastResavedAt || null,
+                saveHistory: existingPage.saveHistory || []
+            }, pageData.url, 'update');
+        }
         
         // Save back to storage
-        await chrome.storage.local.set({ pages });
+        await store.putPage(newPage);
         
         console.log('Page saved successfully:', newPage.id);
         sendResponse({ 
             success: true, 
-            message: 'Page saved successfully',
+            message: existingPage && duplicateAction === 'update' ? 
+                'Existing page updated successfully' : 'Page saved successfully',
             data: newPage
         });
+        
+        // Index, summarize and archive in the background; the popup picks up the results
+        runIndexJob(newPage, sourceTabId).catch(error => {
+            console.error('Index job crashed:', error);
+        });
+        
+        if (summaryMetadata.method === 'pending') {
+            runSummaryJob(newPage.id, sourceTabId, aiService, { suggestTags }).catch(error => {
+                console.error('Summary job crashed:', error);
+            });
+        } else if (suggestTags) {
+            runTagSuggestionJob(newPage.id, sourceTabId).catch(error => {
+                console.error('Tag suggestion job crashed:', error);
+            });
+        }
+        
+        if (archiveRequested) {
+            runArchiveJob(newPage.id, sourceTabId).catch(error => {
+                console.error('Archive job crashed:', error);
+            });
+        }
     } catch (error) {
         console.error('Error saving page:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
-// Handle get pages request
-async function handleGetPages(sendResponse) {
-    try {
-        const result = await chrome.storage.local.get('pages');
-        const pages = result.pages || [];
-        
-        sendResponse({ success: true, data: pages });
-    } catch (error) {
-        console.error('Error getting pages:', error);
-        sendResponse({ success: false, error: error.message });
-    }
+// Choices offered when a page is saved again
+const DUPLICATE_ACTIONS = ['merge', 'update', 'keep-both'];
+
+/**
+ * Build a stored page record with defaults for every field
+ * 모든 필드의 기본값을 갖춘 저장용 페이지 레코드 생성
+ */
+function createPageRecord(fields) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2, 9),
+        url: fields.url,
+        canonicalUrl: fields.canonicalUrl || canonicalizeUrl(fields.url),
+        title: fields.title,
+        savedAt: Date.now(),
+        isFavorite: false,
+        tags: [],
+        collectionIds: [],
+        tagSuggestions: null,
+        summary: '',
+        summaryMetadata: null,
+        thumbnail: '',
+        domain: new URL(fields.url).hostname,
+        isArchived: false,
+        archiveMetadata: null,
+        isRead: false,
+        saveCount: 1,
+        lastResavedAt: null,
+        saveHistory: [],
+        ...fields
+    };
 }
 
-// Handle delete page request
-async function handleDeletePage(data, sendResponse) {
+/**
+ * Ask the content script for the page's <link rel=canonical> URL
+ * 콘텐츠 스크립트에 페이지의 정규 URL 요청
+ */
+async function getTabCanonicalUrl(tabId) {
+    if (!tabId) {
+        return null;
+    }
+    
     try {
-        // Handle both direct pageId and data object
-        const pageId = typeof data === 'string' ? data : data?.id;
-        const permanent = data?.permanent || false;
-        
-        console.log('Deleting page:', pageId, 'permanent:', permanent);
-        
-        if (!pageId) {
-            throw new Error('Page ID is required');
-        }
-        
-        // Get current pages
-        const result = await chrome.storage.local.get('pages');
-        const pages = result.pages || [];
-        
-        // Find and remove the page
-        const pageIndex = pages.findIndex(page => page.id === pageId);
-        if (pageIndex === -1) {
-            throw new Error('Page not found');
-        }
-        
-        // Store the deleted page for potential restoration
-        const deletedPage = pages[pageIndex];
-        
-        // Remove from pages array
-        pages.splice(pageIndex, 1);
-        
-        // Save back to storage
-        await chrome.storage.local.set({ pages });
-        
-        console.log('Page deleted successfully:', pageId);
-        sendResponse({ 
-            success: true, 
-            message: 'Page deleted successfully',
-            deletedPage: deletedPage
-        });
+        const metadata = await chrome.tabs.sendMessage(tabId, { action: 'extractMetadata' });
+        return metadata?.canonicalUrl || null;
     } catch (error) {
-        console.error('Error deleting page:', error);
-        sendResponse({ success: false, error: error.message });
+        console.warn('Could not read canonical URL from tab:', error.message);
+        return null;
     }
 }
 
-// Handle restore page request
-async function handleRestorePage(pageData, sendResponse) {
+/**
+ * Extract the readable text of a saved page and add it to the search index
+ * 저장된 페이지의 본문 텍스트를 추출하여 검색 색인에 추가
+ */
+async function runIndexJob(page, tabId) {
     try {
-        console.log('Restoring page:', pageData);
-        
-        if (!pageData || !pageData.id) {
-            throw new Error('Page data is required');
-        }
-        
-        // Get current pages
-        const result = await chrome.storage.local.get('pages');
-        const pages = result.pages || [];
-        
-        // Check if page already exists
-        const existingPageIndex = pages.findIndex(page => page.id === pageData.id);
-        if (existingPageIndex !== -1) {
-            throw new Error('Page already exists');
-        }
-        
-        // Add the restored page
-        pages.push(pageData);
-        
-        // Save back to storage
-        await chrome.storage.local.set({ pages });
-        
-        console.log('Page restored successfully:', pageData.id);
-        sendResponse({ 
-            success: true, 
-            message: 'Page restored successfully'
-        });
+        const content = await extractIndexableContent(tabId);
+        await searchIndex.setContent(page.id, content);
     } catch (error) {
-        console.error('Error restoring page:', error);
-        sendResponse({ success: false, error: error.message });
+        // Title, tags and summary are still indexed without the page text
+        console.warn('Could not extract page text for search:', page.id, error.message);
+    }
+    
+    // Extraction takes a while; a summary or tags may have been stored meanwhile
+    const current = await (await getPageStore()).getPage(page.id);
+    if (!current) {
+        return;
+    }
+    
+    await searchIndex.indexPage(current);
+    console.log('Index job finished:', page.id);
+    
+    // Pages getting an AI summary are embedded once it is written
+    if (page.summaryMetadata?.method !== 'pending') {
+        embedPageInBackground(current);
     }
 }
 
-// Handle update page request
-async function handleUpdatePage(pageData, sendResponse) {
+/**
+ * Refresh a page in the search index without blocking the caller
+ * 호출자를 막지 않고 검색 색인의 페이지 갱신
+ */
+function indexPageForSearch(page) {
+    searchIndex.indexPage(page).catch(error => {
+        console.error('Failed to index page for search:', page.id, error);
+    });
+}
+
+/**
+ * Extract page text through the content script and store an AI summary for a saved page
+ * 콘텐츠 스크립트로 페이지 텍스트를 추출하고 저장된 페이지의 AI 요약을 저장
+ *
+ * With `suggestTags` the same request asks for tags; if the AI returns none,
+ * the heuristic suggester fills in. The summary streams to open popups while
+ * it is written, and a popup can cancel it; the page then keeps the fallback.
+ * Pages longer than one request are summarized in parts from their full text,
+ * with the part progress sent to popups as well.
+ */
+async function runSummaryJob(pageId, tabId, aiService = new AISummaryService({ secretStore, chunkCache: summaryChunkCache }), { suggestTags = false } = {}) {
+    const startedAt = Date.now();
+    let summary = '';
+    let summaryMetadata;
+    let extracted = null;
+    let aiTags = [];
+    
+    const running = { controller: new AbortController(), text: '', progress: null };
+    runningSummaries.set(pageId, running);
+    
     try {
-        console.log('Updating page:', pageData);
-        
-        // Get current pages
-        const result = await chrome.storage.local.get('pages');
-        const pages = result.pages || [];
+        extracted = await extractContentForSummary(tabId);
+        const text = [extracted.title, extracted.description, extracted.content]
+            .filter(part => part && part.trim())
+            .join('\n\n');
+        
+        // The page's site and collections pick the prompt template
+        const page = await (await getPageStore()).getPage(pageId);
+        const options = {
+            title: extracted.title || page?.title || '',
+            url: page?.url || '',
+            collectionIds: page?.collectionIds || [],
+            ...(suggestTags ? {
+                suggestTags: true,
+                knownTags: (await getTagVocabulary()).knownTags
+            } : {})
+        };
+        const stream = {
+            signal: running.controller.signal,
+            onText: (partial) => {
+                running.text = partial;
+                broadcastSummaryStream({ type: 'chunk', pageId, text: partial });
+            }
+        };
         
-        // Find and update the page
-        const pageIndex = pages.findIndex(page => page.id === pageData.id);
-        if (pageIndex === -1) {
-            throw new Error('Page not found');
+        // The content script's text is cut short; long pages are read again in full
+        const sections = text.length > aiService.maxContentLength ?
+            await extractDocumentSections(tabId).catch(error => {
+                console.warn('Could not extract document sections, summarizing the excerpt:', pageId, error.message);
+                return [];
+            }) : [];
+        const sectionsLength = sections.reduce((sum, section) => sum + section.text.length, 0);
+        const result = sectionsLength > aiService.maxContentLength ?
+            await aiService.summarizeDocument(sections, {
+                ...options,
+                ...stream,
+                onProgress: (progress) => {
+                    running.progress = progress;
+                    broadcastSummaryStream({ type: 'progress', pageId, ...progress });
+                }
+            }) :
+            await aiService.generateSummary(text, { ...options, ...stream });
+        const duration = Date.now() - startedAt;
+        
+        if (result.success) {
+            summary = result.summary;
+            aiTags = result.suggestedTags || [];
+            summaryMetadata = {
+                method: 'ai_generated',
+                provider: result.provider,
+                model: result.model,
+                promptTemplate: result.promptTemplate,
+                ...(result.metadata?.parts ? { parts: result.metadata.parts } : {}),
+                duration: duration,
+                reason: 'Successfully generated AI summary',
+                timestamp: Date.now()
+            };
+        } else if (result.cancelled) {
+            summary = result.fallback || '';
+            summaryMetadata = {
+                method: 'cancelled',
+                duration: duration,
+                reason: 'Summary generation was cancelled, using fallback summary',
+                timestamp: Date.now()
+            };
+        } else {
+            const settings = await aiService.getSettings();
+            summary = result.fallback || '';
+            summaryMetadata = {
+                method: 'fallback',
+                provider: settings.aiProvider,
+                model: aiService.getProviderModel(settings.aiProvider, settings),
+                duration: duration,
+                reason: 'AI generation failed, using fallback summary',
+                error: result.error,
+                timestamp: Date.now()
+            };
         }
-        
-        // Update the page with new data
-        pages[pageIndex] = { ...pages[pageIndex], ...pageData };
-        
-        // Save back to storage
-        await chrome.storage.local.set({ pages });
-        
-        sendResponse({ success: true, message: 'Page updated successfully' });
     } catch (error) {
-        console.error('Error updating page:', error);
-        sendResponse({ success: false, error: error.message });
+        console.error('Summary job failed for page:', pageId, error);
+        summaryMetadata = {
+            method: 'error',
+            duration: Date.now() - startedAt,
+            reason: 'Could not extract page content for summary',
+            error: error.message,
+            timestamp: Date.now()
+        };
+    } finally {
+        runningSummaries.delete(pageId);
+    }
+    
+    let tagSuggestions = null;
+    if (suggestTags) {
+        tagSuggestions = await suggestTagsForPage(pageId, tabId, extracted, aiTags).catch(error => {
+            console.warn('Tag suggestion failed for page:', pageId, error);
+            return null;
+        });
+    }
+    
+    const updatedPage = await updateStoredPage(pageId, page => ({
+        summary,
+        summaryMetadata,
+        ...(tagSuggestions ? { tagSuggestions: withoutExistingTags(tagSuggestions, page.tags) } : {})
+    }));
+    if (!updatedPage) {
+        console.log('Page removed before summary finished:', pageId);
+        return;
     }
+    
+    // The summary is searchable too
+    indexPageForSearch(updatedPage);
+    embedPageInBackground(updatedPage);
+    
+    console.log('Summary job finished:', pageId, summaryMetadata.method);
 }
 
-// Handle update settings request
-async function handleUpdateSettings(settings, sendResponse) {
-    try {
-        await chrome.storage.sync.set({ settings });
-        console.log('Settings updated:', settings);
-        
-        sendResponse({ success: true, message: 'Settings updated successfully' });
-    } catch (error) {
-        console.error('Error updating settings:', error);
-        sendResponse({ success: false, error: error.message });
+/**
+ * Store heuristic tag suggestions for a page saved without an AI summary
+ * AI 요약 없이 저장된 페이지에 휴리스틱 태그 제안 저장
+ */
+async function runTagSuggestionJob(pageId, tabId) {
+    const extracted = await extractContentForSummary(tabId).catch(() => null);
+    const tagSuggestions = await suggestTagsForPage(pageId, tabId, extracted, []);
+    if (!tagSuggestions) return;
+    
+    await updateStoredPage(pageId, page => ({
+        tagSuggestions: withoutExistingTags(tagSuggestions, page.tags)
+    }));
+}
+
+/**
+ * Build tag suggestions from AI tags, or from page signals when the AI gave none
+ * AI 태그로 태그 제안 생성 (AI 태그가 없으면 페이지 신호 사용)
+ */
+async function suggestTagsForPage(pageId, tabId, extracted, aiTags) {
+    const store = await getPageStore();
+    const page = await store.getPage(pageId);
+    if (!page) return null;
+    
+    const { knownTags, domainTags } = await getTagVocabulary(page.domain);
+    const exclude = page.tags || [];
+    let source = 'ai';
+    let tags = tagSuggester.matchVocabulary(aiTags, knownTags, { exclude });
+    
+    if (tags.length === 0) {
+        source = 'heuristic';
+        const structuredData = tabId ?
+            await chrome.tabs.sendMessage(tabId, { action: 'extractStructuredData' }).catch(() => null) :
+            null;
+        tags = tagSuggester.suggest({
+            domain: page.domain,
+            pageType: extracted?.pageType,
+            keywords: extracted?.keywords,
+            structuredData: structuredData && !structuredData.error ? structuredData : null,
+            domainTags
+        }, knownTags, { exclude });
     }
+    
+    return tags.length ? { tags, source, timestamp: Date.now() } : null;
 }
 
-// Handle get settings request
-async function handleGetSettings(sendResponse) {
-    try {
-        const result = await chrome.storage.sync.get('settings');
-        const settings = result.settings || {};
-        
-        sendResponse({ success: true, data: settings });
-    } catch (error) {
-        console.error('Error getting settings:', error);
-        sendResponse({ success: false, error: error.message });
+/**
+ * Drop suggestions the page got as real tags in the meantime
+ * 그 사이 실제 태그로 추가된 제안 제거
+ */
+function withoutExistingTags(tagSuggestions, pageTags = []) {
+    const tags = tagSuggestions.tags.filter(tag => !(pageTags || []).includes(tag));
+    return tags.length ? { ...tagSuggestions, tags } : null;
+}
+
+/**
+ * Existing tags by usage, plus the tags used on pages from one domain
+ * 사용 빈도순 기존 태그와 특정 도메인 페이지에서 쓰인 태그
+ */
+async function getTagVocabulary(domain = null) {
+    const store = await getPageStore();
+    const countTags = (pages) => {
+        const counts = new Map();
+        pages.forEach(page => {
+            normalizeTags(page.tags).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return counts;
+    };
+    const byUsage = (counts) => Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    
+    const knownTags = byUsage(countTags(await store.getAllPages()));
+    if (!domain) {
+        return { knownTags, domainTags: [] };
     }
+    
+    // Only tags that were put on at least two pages of the site count as a habit
+    const domainCounts = countTags(await store.getPagesByIndex('domain', domain));
+    const domainTags = byUsage(domainCounts).filter(tag => domainCounts.get(tag) >= 2);
+    return { knownTags, domainTags };
 }
 
-// Handle extract page info request
-async function handleExtractPageInfo(sendResponse) {
+/**
+ * Capture an offline snapshot of the tab and store it in the archive
+ * 탭의 오프라인 스냅샷을 캡처하여 아카이브에 저장
+ */
+async function runArchiveJob(pageId, tabId) {
+    let changes;
+    
     try {
-        // Get current active tab
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tabId) {
+            throw new Error('No tab available for snapshot');
+        }
         
-        if (!tab) {
-            throw new Error('No active tab found');
+        const snapshot = await chrome.tabs.sendMessage(tabId, { action: 'createSnapshot' });
+        if (!snapshot || snapshot.error) {
+            throw new Error(snapshot?.error || 'Content script did not respond');
         }
         
-        // Send message to content script to extract page info
-        const response = await chrome.tabs.sendMessage(tab.id, {
-            action: 'getPageInfo'
+        const record = await archiveStore.saveSnapshot(pageId, snapshot);
+        changes = {
+            isArchived: true,
+            archiveMetadata: {
+                status: 'complete',
+                size: record.size,
+                resourceCount: record.resourceCount,
+                failedCount: record.failedResources.length,
+                capturedAt: record.capturedAt
+            }
+        };
+    } catch (error) {
+        console.error('Archive job failed for page:', pageId, error);
+        changes = {
+            archiveMetadata: {
+                status: 'error',
+                error: error.message,
+                timestamp: Date.now()
+            }
+        };
+    }
+    
+    if (!await updateStoredPage(pageId, changes)) {
+        console.log('Page removed before archive finished:', pageId);
+        if (changes.isArchived) {
+            await archiveStore.deleteSnapshot(pageId);
+        }
+        return;
+    }
+    
+    console.log('Archive job finished:', pageId, changes.archiveMetadata.status);
+}
+
+// Background jobs update pages one at a time so their writes don't overwrite each other
+const queuePageUpdate = createTaskQueue();
+
+/**
+ * Merge changes into a stored page; resolves the updated page, or false if it no longer exists
+ * 저장된 페이지에 변경 사항 병합 (갱신된 페이지 반환, 페이지가 없으면 false 반환)
+ *
+ * `changes` may be a function that receives the current page and returns the changes.
+ */
+function updateStoredPage(pageId, changes) {
+    return queuePageUpdate(async () => {
+        const store = await getPageStore();
+        const page = await store.getPage(pageId);
+        
+        if (!page) {
+            return false;
+        }
+        
+        const updatedPage = { ...page, ...(typeof changes === 'function' ? changes(page) : changes) };
+        await store.putPage(updatedPage);
+        
+        // Pages are no longer in chrome.storage, so tell open popups directly
+        chrome.runtime.sendMessage({
+            type: 'PAGES_CHANGED',
+            data: { pages: [updatedPage] }
+        }).catch(() => {});
+        return updatedPage;
+    });
+}
+
+/**
+ * Ask the content script of a tab for AI-ready page content
+ * 탭의 콘텐츠 스크립트에 AI용 페이지 콘텐츠 요청
+ */
+async function extractContentForSummary(tabId) {
+    if (!tabId) {
+        throw new Error('No tab available for content extraction');
+    }
+    
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'extractForAI' });
+    
+    if (!response || response.error) {
+        throw new Error(response?.error || 'Content script did not respond');
+    }
+    
+    return response;
+}
+
+/**
+ * Make ContentExtractor available in a tab
+ * 탭에서 ContentExtractor를 사용할 수 있게 하기
+ */
+async function injectContentExtractor(tabId) {
+    if (!tabId) {
+        throw new Error('No tab available for content extraction');
+    }
+    
+    const target = { tabId };
+    
+    // Inject the extractor once per page; re-running the file would redeclare the class
+    const [{ result: isLoaded }] = await chrome.scripting.executeScript({
+        target,
+        func: () => typeof ContentExtractor !== 'undefined'
+    });
+    if (!isLoaded) {
+        await chrome.scripting.executeScript({ target, files: ['utils/content-extractor.js'] });
+    }
+    
+    return target;
+}
+
+/**
+ * Run ContentExtractor in a tab and return the main text of the page
+ * 탭에서 ContentExtractor를 실행하여 페이지 본문 텍스트 반환
+ */
+async function extractIndexableContent(tabId) {
+    const target = await injectContentExtractor(tabId);
+    
+    const [{ result }] = await chrome.scripting.executeScript({
+        target,
+        func: async (maxContentLength) => {
+            const extraction = await new ContentExtractor().extractForSummarization({ maxContentLength });
+            if (extraction.success) {
+                return { text: extraction.content, language: extraction.metadata.language };
+            }
+            const fallback = extraction.fallback;
+            return { text: fallback?.source === 'fallback-error' ? '' : (fallback?.content || ''), language: null };
+        },
+        args: [searchIndex.MAX_CONTENT_LENGTH]
+    });
+    
+    if (!result) {
+        throw new Error('Content extraction returned no result');
+    }
+    
+    return result;
+}
+
+/**
+ * Run ContentExtractor in a tab and return the full main text as sections under their headings
+ * 탭에서 ContentExtractor를 실행하여 전체 본문을 제목별 섹션으로 반환
+ */
+async function extractDocumentSections(tabId) {
+    const target = await injectContentExtractor(tabId);
+    
+    const [{ result }] = await chrome.scripting.executeScript({
+        target,
+        func: async () => {
+            const extraction = await new ContentExtractor().extractDocumentSections();
+            return extraction.success ? extraction.sections : [];
+        }
+    });
+    
+    return Array.isArray(result) ? result : [];
+}
+
+// Handle get pages request
+async function handleGetPages(sendResponse) {
+    try {
+        const store = await getPageStore();
+        const pages = await store.getAllPages({ includeThumbnails: true });
+        
+        sendResponse({ success: true, data: pages });
+    } catch (error) {
+        console.error('Error getting pages:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle full-text search request
+async function handleSearchPages(data, sendResponse) {
+    try {
+        const query = typeof data === 'string' ? data : data?.query;
+        const index = await getSearchIndex();
+        const results = await index.search(query || '', { limit: data?.limit || 200 });
+        
+        sendResponse({ success: true, data: results });
+    } catch (error) {
+        console.error('Error searching pages:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle get collections request
+async function handleGetCollections(sendResponse) {
+    try {
+        const collections = await collectionStore.getAll();
+        sendResponse({ success: true, data: collections });
+    } catch (error) {
+        console.error('Error getting collections:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle get page conversation request
+async function handleGetPageChat(data, sendResponse) {
+    try {
+        if (!data?.pageId) {
+            throw new Error('Page ID is required');
+        }
+        const messages = await pageChatStore.getMessages(data.pageId);
+        sendResponse({ success: true, data: messages });
+    } catch (error) {
+        console.error('Error getting page conversation:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle clear page conversation request
+async function handleClearPageChat(data, sendResponse) {
+    try {
+        if (!data?.pageId) {
+            throw new Error('Page ID is required');
+        }
+        await pageChatStore.clear(data.pageId);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Error clearing page conversation:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle create collection request
+async function handleCreateCollection(data, sendResponse) {
+    try {
+        const collection = await collectionStore.create({
+            name: data?.name,
+            parentId: data?.parentId || null
         });
         
-        if (response && response.success) {
-            sendResponse({ success: true, data: response.data });
-        } else {
-            throw new Error(response?.error || 'Failed to extract page info');
+        console.log('Collection created:', collection.id);
+        sendResponse({ success: true, data: collection });
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle rename or re-parent collection request
+async function handleUpdateCollection(data, sendResponse) {
+    try {
+        if (!data?.id) {
+            throw new Error('Collection ID is required');
         }
         
+        const changes = {};
+        if (data.name !== undefined) changes.name = data.name;
+        if (data.parentId !== undefined) changes.parentId = data.parentId;
+        
+        const collection = await collectionStore.update(data.id, changes);
+        sendResponse({ success: true, data: collection });
     } catch (error) {
-        console.error('Error extracting page info:', error);
+        console.error('Error updating collection:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
-// Handle test API key request
-async function handleTestAPIKey(data, sendResponse) {
+// Handle delete collection request; nested collections go too, pages stay
+async function handleDeleteCollection(data, sendResponse) {
     try {
-        const { apiKey, provider } = data;
+        const collectionId = typeof data === 'string' ? data : data?.id;
+        if (!collectionId) {
+            throw new Error('Collection ID is required');
+        }
+        
+        const removedIds = await collectionStore.remove(collectionId);
         
-        if (!apiKey || !provider) {
-            throw new Error('API key and provider are required');
+        // Drop the removed collections from every page that listed them
+        const store = await getPageStore();
+        const members = new Set();
+        for (const id of removedIds) {
+            (await store.getPagesByIndex('collectionIds', id)).forEach(page => members.add(page.id));
         }
+        await Promise.all(Array.from(members).map(pageId => updateStoredPage(pageId, page => ({
+            collectionIds: (page.collectionIds || []).filter(id => !removedIds.includes(id))
+        }))));
         
-        console.log(`Testing ${provider} API key...`);
+        sendResponse({
+            success: true,
+            data: { removedIds, affectedPages: members.size }
+        });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Add pages to and/or remove them from collections
+ * 페이지를 컬렉션에 추가 및/또는 컬렉션에서 제거
+ */
+async function updatePageCollections(pageIds, { add = [], remove = [] }) {
+    if (!Array.isArray(pageIds) || pageIds.length === 0) {
+        throw new Error('Page IDs are required');
+    }
+    
+    const updatedPages = await Promise.all(pageIds.map(pageId => updateStoredPage(pageId, page => {
+        const collectionIds = (page.collectionIds || []).filter(id => !remove.includes(id));
+        add.forEach(id => {
+            if (!collectionIds.includes(id)) collectionIds.push(id);
+        });
+        return { collectionIds };
+    })));
+    
+    return updatedPages.filter(Boolean);
+}
+
+// Handle add pages to collection request
+async function handleAddToCollection(data, sendResponse) {
+    try {
+        await collectionStore.assertExists(data?.collectionId);
+        const pages = await updatePageCollections(data.pageIds, { add: [data.collectionId] });
         
-        let testResult = false;
-        let errorMessage = '';
+        sendResponse({ success: true, data: { updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error adding pages to collection:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle remove pages from collection request
+async function handleRemoveFromCollection(data, sendResponse) {
+    try {
+        if (!data?.collectionId) {
+            throw new Error('Collection ID is required');
+        }
+        const pages = await updatePageCollections(data.pageIds, { remove: [data.collectionId] });
         
-        try {
-            switch (provider) {
-                case 'openai':
-                    testResult = await testOpenAIKey(apiKey);
-                    break;
-                case 'anthropic':
-                    testResult = await testAnthropicKey(apiKey);
-                    break;
-                case 'gemini':
-                    testResult = await testGeminiKey(apiKey);
-                    break;
-                default:
-                    throw new Error('Unsupported AI provider');
-            }
-        } catch (apiError) {
-            console.error(`${provider} API test error:`, apiError);
-            errorMessage = apiError.message || 'Network error occurred';
-            testResult = false;
+        sendResponse({ success: true, data: { updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error removing pages from collection:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle move pages to collection request; without fromCollectionId the pages keep their other collections
+async function handleMoveToCollection(data, sendResponse) {
+    try {
+        await collectionStore.assertExists(data?.collectionId);
+        const remove = data.fromCollectionId && data.fromCollectionId !== data.collectionId ? [data.fromCollectionId] : [];
+        const pages = await updatePageCollections(data.pageIds, { add: [data.collectionId], remove });
+        
+        sendResponse({ success: true, data: { updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error moving pages to collection:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle get tags request; returns every tag with the number of pages using it
+async function handleGetTags(sendResponse) {
+    try {
+        const store = await getPageStore();
+        const pages = await store.getAllPages();
+        
+        const counts = new Map();
+        pages.forEach(page => {
+            normalizeTags(page.tags).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        
+        const tags = Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+        sendResponse({ success: true, data: tags });
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle set page tags request; replaces the page's tags with the given list
+async function handleSetPageTags(data, sendResponse) {
+    try {
+        if (!data?.pageId) {
+            throw new Error('Page ID is required');
         }
         
-        if (testResult) {
-            sendResponse({ 
-                success: true, 
-                message: 'API connection successful!'
-            });
-        } else {
-            sendResponse({ 
-                success: false, 
-                error: errorMessage || 'API test failed - please check your API key'
-            });
+        const updatedPage = await updateStoredPage(data.pageId, { tags: normalizeTags(data.tags) });
+        if (!updatedPage) {
+            throw new Error('Page not found');
         }
+        indexPageForSearch(updatedPage);
         
+        sendResponse({ success: true, data: updatedPage });
     } catch (error) {
-        console.error('Error testing API key:', error);
+        console.error('Error setting page tags:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Replace tags on every page that uses them; a null replacement removes them
+ * 태그를 사용하는 모든 페이지에서 태그 교체 (교체 값이 null이면 제거)
+ */
+async function replaceTagsOnPages(fromTags, toTag) {
+    const store = await getPageStore();
+    const pageIds = new Set();
+    for (const tag of fromTags) {
+        (await store.getPagesByIndex('tags', tag)).forEach(page => pageIds.add(page.id));
+    }
+    
+    const updatedPages = (await Promise.all(Array.from(pageIds).map(pageId => updateStoredPage(pageId, page => ({
+        // normalizeTags drops the removed entries and collapses duplicates left by a merge
+        tags: normalizeTags((page.tags || []).map(tag => fromTags.includes(normalizeTag(tag)) ? toTag : tag))
+    }))))).filter(Boolean);
+    
+    updatedPages.forEach(indexPageForSearch);
+    return updatedPages;
+}
+
+// Handle rename tag request; renaming onto an existing tag merges the two
+async function handleRenameTag(data, sendResponse) {
+    try {
+        const tag = normalizeTag(data?.tag);
+        const newName = normalizeTag(data?.newName);
+        if (!tag || !newName) {
+            throw new Error('Tag and new name are required');
+        }
+        
+        const pages = tag === newName ? [] : await replaceTagsOnPages([tag], newName);
+        console.log(`Tag "${tag}" renamed to "${newName}" on ${pages.length} pages`);
+        sendResponse({ success: true, data: { tag: newName, updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle merge tags request; every source tag is replaced by the target tag
+async function handleMergeTags(data, sendResponse) {
+    try {
+        const targetTag = normalizeTag(data?.targetTag);
+        const sourceTags = normalizeTags(data?.sourceTags).filter(tag => tag !== targetTag);
+        if (!targetTag || sourceTags.length === 0) {
+            throw new Error('A target tag and at least one other tag to merge are required');
+        }
+        
+        const pages = await replaceTagsOnPages(sourceTags, targetTag);
+        console.log(`Merged ${sourceTags.join(', ')} into "${targetTag}" on ${pages.length} pages`);
+        sendResponse({ success: true, data: { tag: targetTag, updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error merging tags:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle delete tag request; the tag is removed from all pages, the pages stay
+async function handleDeleteTag(data, sendResponse) {
+    try {
+        const tag = normalizeTag(typeof data === 'string' ? data : data?.tag);
+        if (!tag) {
+            throw new Error('Tag is required');
+        }
+        
+        const pages = await replaceTagsOnPages([tag], null);
+        console.log(`Tag "${tag}" removed from ${pages.length} pages`);
+        sendResponse({ success: true, data: { updatedCount: pages.length } });
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle accept or dismiss tag suggestions request; without tags it applies to all of them
+async function handleResolveTagSuggestions(data, accept, sendResponse) {
+    try {
+        if (!data?.pageId) {
+            throw new Error('Page ID is required');
+        }
+        
+        const updatedPage = await updateStoredPage(data.pageId, page => {
+            const suggested = page.tagSuggestions?.tags || [];
+            const chosen = Array.isArray(data.tags) ? normalizeTags(data.tags).filter(tag => suggested.includes(tag)) : suggested;
+            const remaining = suggested.filter(tag => !chosen.includes(tag));
+            
+            return {
+                tags: accept ? normalizeTags([...(page.tags || []), ...chosen]) : (page.tags || []),
+                tagSuggestions: remaining.length ? { ...page.tagSuggestions, tags: remaining } : null
+            };
+        });
+        if (!updatedPage) {
+            throw new Error('Page not found');
+        }
+        if (accept) {
+            indexPageForSearch(updatedPage);
+        }
+        
+        sendResponse({ success: true, data: updatedPage });
+    } catch (error) {
+        console.error('Error resolving tag suggestions:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle delete page request
+async function handleDeletePage(data, sendResponse) {
+    try {
+        // Handle both direct pageId and data object
+        const pageId = typeof data === 'string' ? data : data?.id;
+        const permanent = data?.permanent || false;
+        
+        console.log('Deleting page:', pageId, 'permanent:', permanent);
+        
+        if (!pageId) {
+            throw new Error('Page ID is required');
+        }
+        
+        // Remove the page, keeping the full record for potential restoration
+        const store = await getPageStore();
+        const deletedPage = await store.deletePage(pageId);
+        if (!deletedPage) {
+            throw new Error('Page not found');
+        }
+        
+        // Keep the snapshot and extracted text while undo is still possible
+        if (permanent && deletedPage.isArchived) {
+            await archiveStore.deleteSnapshot(pageId);
+        }
+        await searchIndex.removePage(pageId, { keepContent: !permanent });
+        if (permanent) {
+            await pageChatStore.clear(pageId);
+            await embeddingStore.remove(pageId);
+        }
+        
+        console.log('Page deleted successfully:', pageId);
         sendResponse({ 
-            success: false, 
-            error: error.message
+            success: true, 
+            message: 'Page deleted successfully',
+            deletedPage: deletedPage
         });
+    } catch (error) {
+        console.error('Error deleting page:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Test OpenAI API key
-async function testOpenAIKey(apiKey) {
+// Handle restore page request
+async function handleRestorePage(pageData, sendResponse) {
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        
-        const response = await fetch('https://api.openai.com/v1/models', {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            signal: controller.signal
+        console.log('Restoring page:', pageData);
+        
+        if (!pageData || !pageData.id) {
+            throw new Error('Page data is required');
+        }
+        
+        // Check if page already exists
+        const store = await getPageStore();
+        if (await store.getPage(pageData.id)) {
+            throw new Error('Page already exists');
+        }
+        
+        // Add the restored page
+        await store.putPage(pageData);
+        indexPageForSearch(pageData);
+        
+        console.log('Page restored successfully:', pageData.id);
+        sendResponse({ 
+            success: true, 
+            message: 'Page restored successfully'
         });
+    } catch (error) {
+        console.error('Error restoring page:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle update page request
+async function handleUpdatePage(pageData, sendResponse) {
+    try {
+        console.log('Updating page:', pageData);
         
-        clearTimeout(timeoutId);
+        // Queued with the background jobs, so a summary or archive finishing meanwhile is kept
+        const updatedPage = await updateStoredPage(pageData.id, pageData);
+        if (!updatedPage) {
+            throw new Error('Page not found');
+        }
+        indexPageForSearch(updatedPage);
         
-        if (response.ok) {
-            console.log('OpenAI API test successful');
-            return true;
+        sendResponse({ success: true, message: 'Page updated successfully' });
+    } catch (error) {
+        console.error('Error updating page:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle update settings request
+async function handleUpdateSettings(settings, sendResponse) {
+    try {
+        // API keys go to the secret store, never into settings
+        const { apiKey, apiKeys, ...rest } = settings || {};
+        if (apiKey) {
+            await secretStore.setSecret(providerKeyName(rest.apiProvider || 'openai'), apiKey);
+        }
+        for (const [provider, key] of Object.entries(apiKeys || {})) {
+            if (key) {
+                await secretStore.setSecret(providerKeyName(provider), key);
+            }
+        }
+        
+        await chrome.storage.sync.set({ settings: rest });
+        console.log('Settings updated:', rest);
+        
+        sendResponse({ success: true, message: 'Settings updated successfully' });
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle get settings request
+async function handleGetSettings(sendResponse) {
+    try {
+        const result = await chrome.storage.sync.get('settings');
+        const { apiKey, apiKeys, ...settings } = result.settings || {};
+        
+        // Pages only learn whether a key is set, plus a masked form to show
+        settings.apiKeyStatus = {};
+        for (const provider of getKeyedProviderIds()) {
+            settings.apiKeyStatus[provider] = await secretStore.describeSecret(providerKeyName(provider));
+        }
+        const keyStatus = settings.apiKeyStatus[settings.apiProvider || 'openai'] || { configured: false, masked: '' };
+        settings.apiKeyConfigured = keyStatus.configured;
+        settings.apiKeyMasked = keyStatus.masked;
+        
+        sendResponse({ success: true, data: settings });
+    } catch (error) {
+        console.error('Error getting settings:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle extract page info request
+async function handleExtractPageInfo(sendResponse) {
+    try {
+        // Get current active tab
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        
+        if (!tab) {
+            throw new Error('No active tab found');
+        }
+        
+        // Send message to content script to extract page info
+        const response = await chrome.tabs.sendMessage(tab.id, {
+            action: 'getPageInfo'
+        });
+        
+        if (response && response.success) {
+            sendResponse({ success: true, data: response.data });
         } else {
-            const errorText = await response.text();
-            console.error('OpenAI API test failed:', response.status, errorText);
-            throw new Error(`API test failed: ${response.status} ${response.statusText}`);
+            throw new Error(response?.error || 'Failed to extract page info');
+        }
+        
+    } catch (error) {
+        console.error('Error extracting page info:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Providers whose API keys are kept in the secret store
+ * API 키를 비밀 저장소에 보관하는 제공업체
+ */
+function getKeyedProviderIds() {
+    return new AISummaryService().getAvailableProviders()
+        .filter(provider => provider.acceptsApiKey)
+        .map(provider => provider.id);
+}
+
+/**
+ * Move API keys still saved in plain settings into the secret store
+ * 일반 설정에 남아 있는 API 키를 비밀 저장소로 이동
+ *
+ * Covers keys saved by older versions and settings imported from files.
+ * A single plain key (or the single stored key of earlier builds) belongs to
+ * the selected provider; encrypted exports carry an `apiKeys` map instead.
+ * The options page settings win over the legacy top-level and sync copies.
+ */
+async function migrateApiKeys() {
+    const [local, sync] = await Promise.all([
+        chrome.storage.local.get(['settings', 'apiKey', 'aiProvider']),
+        chrome.storage.sync.get('settings')
+    ]);
+    const provider = local.settings?.apiProvider || local.aiProvider || sync.settings?.apiProvider || 'openai';
+    const plainKey = local.settings?.apiKey || local.apiKey || sync.settings?.apiKey;
+    const plainKeys = { ...sync.settings?.apiKeys, ...local.settings?.apiKeys };
+    let moved = false;
+    
+    const singleKey = await secretStore.getSecret('apiKey');
+    if (singleKey) {
+        if (!(await secretStore.describeSecret(providerKeyName(provider))).configured) {
+            await secretStore.setSecret(providerKeyName(provider), singleKey);
+        }
+        await secretStore.deleteSecret('apiKey');
+        moved = true;
+    }
+    
+    if (plainKey) {
+        await secretStore.setSecret(providerKeyName(provider), plainKey);
+        moved = true;
+    }
+    for (const [name, key] of Object.entries(plainKeys)) {
+        if (key && typeof key === 'string') {
+            await secretStore.setSecret(providerKeyName(name), key);
+            moved = true;
+        }
+    }
+    if (!moved) {
+        return false;
+    }
+    
+    if (local.settings?.apiKey || local.settings?.apiKeys) {
+        const { apiKey, apiKeys, ...settings } = local.settings;
+        await chrome.storage.local.set({ settings });
+    }
+    if (local.apiKey) {
+        await chrome.storage.local.remove('apiKey');
+    }
+    if (sync.settings?.apiKey || sync.settings?.apiKeys) {
+        const { apiKey, apiKeys, ...settings } = sync.settings;
+        await chrome.storage.sync.set({ settings });
+    }
+    
+    console.log('API keys moved to the secret store');
+    return true;
+}
+
+// Handle API key replacement for a provider; an empty key removes the stored one
+async function handleSetApiKey(data, sendResponse) {
+    try {
+        if (!data?.provider) {
+            throw new Error('Provider is required');
+        }
+        const status = await secretStore.setSecret(providerKeyName(data.provider), data.apiKey);
+        sendResponse({ success: true, data: status });
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle API key status request: whether a provider has a key and its masked form
+async function handleGetApiKeyStatus(data, sendResponse) {
+    try {
+        if (!data?.provider) {
+            throw new Error('Provider is required');
         }
+        const status = await secretStore.describeSecret(providerKeyName(data.provider));
+        sendResponse({ success: true, data: status });
     } catch (error) {
-        console.error('OpenAI API test failed:', error);
-        if (error.name === 'AbortError') {
-            throw new Error('Request timeout - please check your internet connection');
-        }
-        throw error;
+        console.error('Error getting API key status:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Test Anthropic API key
-async function testAnthropicKey(apiKey) {
+// Model lists are refreshed after a day; older lists are still shown when offline
+const MODEL_CACHE_KEY = 'modelCache';
+const MODEL_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Remember a provider's model list for offline use
+ * 오프라인 사용을 위해 제공업체의 모델 목록 저장
+ */
+async function cacheModelList(provider, models) {
+    const result = await chrome.storage.local.get(MODEL_CACHE_KEY);
+    const entry = { models, fetchedAt: Date.now() };
+    await chrome.storage.local.set({ [MODEL_CACHE_KEY]: { ...result[MODEL_CACHE_KEY], [provider]: entry } });
+    return entry;
+}
+
+// Handle list models request: { provider, refresh }; answers from the cache
+// while it is fresh, and falls back to it when the provider can't be reached
+async function handleListModels(data, sendResponse) {
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'x-api-key': apiKey,
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 5,
-                messages: [
-                    {
-                        role: 'user',
-                        content: 'Hi'
-                    }
-                ]
-            }),
-            signal: controller.signal
-        });
+        const provider = data?.provider;
+        if (!provider) {
+            throw new Error('Provider is required');
+        }
         
-        clearTimeout(timeoutId);
+        const result = await chrome.storage.local.get(MODEL_CACHE_KEY);
+        const cached = result[MODEL_CACHE_KEY]?.[provider];
+        if (cached && !data.refresh && Date.now() - cached.fetchedAt < MODEL_CACHE_MAX_AGE) {
+            sendResponse({ success: true, data: { ...cached, cached: true } });
+            return;
+        }
         
-        if (response.ok) {
-            console.log('Anthropic API test successful');
-            return true;
-        } else {
-            const errorText = await response.text();
-            console.error('Anthropic API test failed:', response.status, errorText);
-            throw new Error(`API test failed: ${response.status} ${response.statusText}`);
+        try {
+            const models = await new AISummaryService({ secretStore }).listModels(provider);
+            const entry = await cacheModelList(provider, models);
+            sendResponse({ success: true, data: { ...entry, cached: false } });
+        } catch (fetchError) {
+            if (!cached) {
+                throw fetchError;
+            }
+            console.warn(`Using cached ${provider} models:`, fetchError.message);
+            sendResponse({ success: true, data: { ...cached, cached: true, error: fetchError.message } });
         }
     } catch (error) {
-        console.error('Anthropic API test failed:', error);
-        if (error.name === 'AbortError') {
-            throw new Error('Request timeout - please check your internet connection');
-        }
-        throw error;
+        console.error('Error listing models:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Test Google Gemini API key
-async function testGeminiKey(apiKey) {
+// Handle test API key request: { provider, apiKey? }; without `apiKey` the stored
+// key is tested. Listing the models checks the key and refreshes the model cache.
+async function handleTestAPIKey(data, sendResponse) {
     try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        
-        // First try to list models to validate API key
-        const modelsResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            signal: controller.signal
-        });
+        const provider = data?.provider;
+        if (!provider) {
+            throw new Error('Provider is required');
+        }
         
-        clearTimeout(timeoutId);
+        console.log(`Testing ${provider} API key...`);
         
-        if (modelsResponse.ok) {
-            const modelsData = await modelsResponse.json();
-            console.log('Gemini API test successful - found models:', modelsData.models?.length || 0);
-            return true;
-        } else {
-            const errorText = await modelsResponse.text();
-            console.error('Gemini API test failed:', modelsResponse.status, errorText);
-            
-            // Parse error message if possible
-            try {
-                const errorData = JSON.parse(errorText);
-                if (errorData.error && errorData.error.message) {
-                    throw new Error(`API test failed: ${errorData.error.message}`);
-                }
-            } catch (parseError) {
-                // If parsing fails, use the status text
-            }
-            
-            throw new Error(`API test failed: ${modelsResponse.status} ${modelsResponse.statusText}`);
+        const overrides = data.apiKey ? { apiKey: data.apiKey } : {};
+        const models = await new AISummaryService({ secretStore }).listModels(provider, overrides);
+        if (!data.apiKey) {
+            await cacheModelList(provider, models);
         }
+        
+        sendResponse({ 
+            success: true, 
+            message: 'API connection successful!',
+            data: { models }
+        });
+        
     } catch (error) {
-        console.error('Gemini API test failed:', error);
-        if (error.name === 'AbortError') {
-            throw new Error('Request timeout - please check your internet connection');
-        }
-        throw error;
+        console.error('Error testing API key:', error);
+        sendResponse({ 
+            success: false, 
+            error: error.message || 'API test failed - please check your API key'
+        });
     }
 }
 
@@ -1360,19 +3027,27 @@ async function handleGetStorageInfo(sendResponse) {
         const jsonString = JSON.stringify(result);
         const storageUsed = new Blob([jsonString]).size;
         
-        // Get page count
-        const pages = result.pages || [];
-        const pageCount = pages.length;
+        // Pages and their thumbnails are counted from the page store
+        const store = await getPageStore();
+        const pageUsage = await store.getUsage();
+        const pageCount = pageUsage.count;
         
         // Storage quota (Chrome extension limit is usually around 5MB for local storage)
         const storageQuota = 5 * 1024 * 1024; // 5MB
         
+        // Offline snapshots are kept separately in IndexedDB
+        const archiveUsage = await archiveStore.getUsage().catch(() => ({ count: 0, totalSize: 0 }));
+        
         sendResponse({
             success: true,
             data: {
                 pageCount,
                 storageUsed,
-                storageQuota
+                storageQuota,
+                storageBackend: store.getBackendName(),
+                pageStoreSize: pageUsage.totalSize,
+                archiveCount: archiveUsage.count,
+                archiveSize: archiveUsage.totalSize
             }
         });
         
@@ -1382,13 +3057,37 @@ async function handleGetStorageInfo(sendResponse) {
     }
 }
 
-// Handle export data request
-async function handleExportData(sendResponse) {
+// Handle export data request; API keys are left out unless `includeSecrets` is set
+// (the options page only sets it for passphrase-encrypted files)
+async function handleExportData(data, sendResponse) {
     try {
         // Get all data from storage
         const localData = await chrome.storage.local.get(null);
         const syncData = await chrome.storage.sync.get(null);
         
+        // Keep the export format unchanged: pages go under local.pages
+        const store = await getPageStore();
+        localData.pages = await store.getAllPages({ includeThumbnails: true });
+        delete localData.storageBackend;
+        delete localData[MODEL_CACHE_KEY];
+        
+        if (data?.includeSecrets) {
+            // Encrypted files carry the keys so they can be restored on another device
+            const apiKeys = {};
+            for (const provider of getKeyedProviderIds()) {
+                const apiKey = await secretStore.getSecret(providerKeyName(provider));
+                if (apiKey) {
+                    apiKeys[provider] = apiKey;
+                }
+            }
+            if (Object.keys(apiKeys).length > 0) {
+                localData.settings = { ...localData.settings, apiKeys };
+            }
+        } else {
+            localData.settings = stripSecretSettings(localData.settings);
+            syncData.settings = stripSecretSettings(syncData.settings);
+        }
+        
         const exportData = {
             version: '1.0.0',
             exportDate: new Date().toISOString(),
@@ -1414,18 +3113,41 @@ async function handleImportData(importData, sendResponse) {
             throw new Error('Invalid import data format');
         }
         
-        // Restore local storage data
+        // Files exported without secrets should not clear the API keys already set
+        const current = {
+            local: await chrome.storage.local.get('settings'),
+            sync: await chrome.storage.sync.get('settings')
+        };
+        
+        // Restore local storage data; pages go to the page store
         if (importData.local) {
+            const { pages = [], storageBackend, ...localData } = importData.local;
+            const store = await getPageStore();
+            
+            if (localData.settings) {
+                localData.settings = keepSecretSettings(localData.settings, current.local.settings);
+            }
+            
             await chrome.storage.local.clear();
-            await chrome.storage.local.set(importData.local);
+            await chrome.storage.local.set({ ...localData, storageBackend: store.getBackendName() });
+            await store.replaceAll(Array.isArray(pages) ? pages : []);
+            await searchIndex.rebuild(await store.getAllPages());
         }
         
         // Restore sync storage data
         if (importData.sync) {
+            const syncData = { ...importData.sync };
+            if (syncData.settings) {
+                syncData.settings = keepSecretSettings(syncData.settings, current.sync.settings);
+            }
+            
             await chrome.storage.sync.clear();
-            await chrome.storage.sync.set(importData.sync);
+            await chrome.storage.sync.set(syncData);
         }
         
+        // A key carried by the file replaces the stored one
+        await migrateApiKeys();
+        
         sendResponse({
             success: true,
             message: 'Data imported successfully'
@@ -1437,6 +3159,536 @@ async function handleImportData(importData, sendResponse) {
     }
 }
 
+/**
+ * Parse an import file into entries shaped like parseBookmarkHtml's
+ * 가져오기 파일을 parseBookmarkHtml 결과와 같은 형태의 항목으로 파싱
+ * @param {Object} options - { mapping } column mapping for plain CSV files
+ */
+function parseImportFile(format, text, options = {}) {
+    switch (format) {
+        case 'csv':
+            return parseMappedCsv(text, options.mapping);
+        case 'bookmarks-html':
+            return parseBookmarkHtml(text);
+        case 'pocket-html':
+            return parsePocketHtml(text);
+        case 'pocket-csv':
+            return parsePocketCsv(text);
+        case 'instapaper-csv':
+            return parseInstapaperCsv(text);
+        case 'raindrop-csv':
+            return parseRaindropCsv(text);
+        case 'pinboard-json':
+            return parsePinboardJson(text);
+        default:
+            throw new Error(`Unsupported import format: ${format}`);
+    }
+}
+
+/**
+ * Sort parsed import rows into new pages, duplicates and invalid rows
+ * 파싱된 가져오기 행을 새 페이지, 중복, 잘못된 행으로 분류
+ *
+ * Entries go through SavedPage.validate and the same canonical URL check as a
+ * normal save. A URL repeated within the file counts as a duplicate of its
+ * first occurrence (`page` is null for those). Rows the parser could not read
+ * are listed as invalid alongside the ones that fail validation.
+ */
+async function classifyImportEntries({ entries, errors = [] }, store) {
+    const savedByUrl = new Map();
+    (await store.getAllPages()).forEach(page => {
+        savedByUrl.set(page.canonicalUrl || canonicalizeUrl(page.url), page);
+    });
+
+    const seenInFile = new Set();
+    const result = { newPages: [], duplicates: [], invalid: [...errors] };
+
+    entries.forEach(entry => {
+        const candidate = {
+            ...entry,
+            title: entry.title || entry.url,
+            tags: normalizeTags(entry.tags)
+        };
+        const validation = SavedPage.validate(candidate);
+        if (!validation.isValid) {
+            result.invalid.push({ line: entry.line, url: entry.url, errors: validation.errors });
+            return;
+        }
+
+        const canonicalUrl = canonicalizeUrl(candidate.url);
+        if (savedByUrl.has(canonicalUrl) || seenInFile.has(canonicalUrl)) {
+            result.duplicates.push({ entry: candidate, canonicalUrl, page: savedByUrl.get(canonicalUrl) || null });
+            return;
+        }
+
+        seenInFile.add(canonicalUrl);
+        result.newPages.push({ entry: candidate, canonicalUrl });
+    });
+
+    result.invalid.sort((a, b) => a.line - b.line);
+    return result;
+}
+
+// Handle import preview request
+async function handlePreviewImport(data, sendResponse) {
+    try {
+        const parsed = parseImportFile(data?.format, data?.text, { mapping: data?.mapping });
+        const store = await getPageStore();
+        const { newPages, duplicates, invalid } = await classifyImportEntries(parsed, store);
+
+        sendResponse({
+            success: true,
+            data: {
+                total: parsed.entries.length + parsed.errors.length,
+                newCount: newPages.length,
+                duplicateCount: duplicates.length,
+                invalidCount: invalid.length,
+                invalid: invalid.slice(0, 50),
+                duplicates: duplicates.slice(0, 50).map(({ entry, page }) => ({
+                    line: entry.line,
+                    url: entry.url,
+                    title: page ? page.title : entry.title
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle import pages request
+async function handleImportPages(data, sendResponse) {
+    try {
+        const { format, text, mapping, duplicateAction = 'skip' } = data || {};
+        const store = await getPageStore();
+        const { newPages, duplicates, invalid } = await classifyImportEntries(parseImportFile(format, text, { mapping }), store);
+        const collectionCount = (await collectionStore.getAll()).length;
+
+        // Folders become collections; each distinct path is resolved once
+        const folderIds = new Map();
+        const getCollectionIds = async (folders = []) => {
+            const key = folders.join('\u0000');
+            if (!folderIds.has(key)) {
+                folderIds.set(key, await collectionStore.ensurePath(folders));
+            }
+            const id = folderIds.get(key);
+            return id ? [id] : [];
+        };
+
+        const records = new Map();
+        for (const { entry, canonicalUrl } of newPages) {
+            records.set(canonicalUrl, createPageRecord({
+                url: entry.url,
+                canonicalUrl,
+                title: entry.title,
+                savedAt: entry.savedAt || Date.now(),
+                isFavorite: entry.isFavorite === true,
+                isRead: entry.isRead === true,
+                tags: entry.tags,
+                collectionIds: await getCollectionIds(entry.folders),
+                summary: entry.description || '',
+                summaryMetadata: {
+                    method: 'imported',
+                    reason: `Imported from ${format}`,
+                    timestamp: Date.now()
+                }
+            }));
+        }
+
+        let merged = 0;
+        if (duplicateAction === 'merge') {
+            for (const { entry, canonicalUrl, page } of duplicates) {
+                const collectionIds = await getCollectionIds(entry.folders);
+                const pending = records.get(canonicalUrl);
+
+                if (pending) {
+                    // Repeated within the file: fold into the record about to be written
+                    pending.tags = normalizeTags([...pending.tags, ...entry.tags]);
+                    pending.collectionIds = [...new Set([...pending.collectionIds, ...collectionIds])];
+                    continue;
+                }
+
+                const updated = await updateStoredPage(page.id, current => ({
+                    tags: normalizeTags([...(current.tags || []), ...entry.tags]),
+                    collectionIds: [...new Set([...(current.collectionIds || []), ...collectionIds])]
+                }));
+                if (updated) {
+                    indexPageForSearch(updated);
+                    merged++;
+                }
+            }
+        }
+
+        const imported = [...records.values()];
+        if (imported.length > 0) {
+            await store.putPages(imported);
+            imported.forEach(page => indexPageForSearch(page));
+        }
+
+        console.log('Imported pages:', imported.length, 'merged:', merged);
+        sendResponse({
+            success: true,
+            data: {
+                imported: imported.length,
+                merged,
+                skipped: duplicates.length - merged,
+                invalid: invalid.length,
+                collectionsCreated: (await collectionStore.getAll()).length - collectionCount
+            }
+        });
+    } catch (error) {
+        console.error('Error importing pages:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle bookmark HTML export request
+async function handleExportBookmarks(sendResponse) {
+    try {
+        const store = await getPageStore();
+        const pages = await store.getAllPages();
+        const collections = await collectionStore.getAll();
+
+        sendResponse({
+            success: true,
+            data: {
+                html: buildBookmarkHtml(pages, collections),
+                count: pages.length
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting bookmarks:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle CSV export request with the chosen columns
+async function handleExportCsv(data, sendResponse) {
+    try {
+        const store = await getPageStore();
+        const pages = await store.getAllPages();
+        const collections = await collectionStore.getAll();
+        const columns = Array.isArray(data?.columns) ? data.columns : PAGE_CSV_COLUMNS.map(column => column.id);
+        
+        sendResponse({
+            success: true,
+            data: {
+                csv: buildPagesCsv(pages.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0)), columns, collections),
+                count: pages.length
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting CSV:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle Markdown export request; the caller zips the returned files
+async function handleExportMarkdown(data, sendResponse) {
+    try {
+        const store = await getPageStore();
+        const allPages = await store.getAllPages();
+        
+        // Keep the caller's order (e.g. the popup's current search results)
+        const pages = Array.isArray(data?.pageIds) ?
+            data.pageIds.map(id => allPages.find(page => page.id === id)).filter(Boolean) :
+            allPages;
+        
+        // Main content is the ContentExtractor text kept by the search index
+        const index = await getSearchIndex();
+        const contents = new Map();
+        for (const page of pages) {
+            const content = await index.getContent(page.id).catch(() => null);
+            if (content?.text) {
+                contents.set(page.id, content.text);
+            }
+        }
+        
+        const result = await chrome.storage.local.get('settings');
+        const files = buildMarkdownFiles(pages, {
+            template: result.settings?.markdownFilenameTemplate,
+            contents
+        });
+        
+        sendResponse({ success: true, data: { files } });
+    } catch (error) {
+        console.error('Error exporting Markdown:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Alarm that takes scheduled restore points
+const BACKUP_ALARM = 'scheduled-backup';
+
+// Minutes between scheduled restore points for each backupFrequency setting
+const BACKUP_PERIOD_MINUTES = {
+    daily: 24 * 60,
+    weekly: 7 * 24 * 60,
+    monthly: 30 * 24 * 60
+};
+
+/**
+ * Create, update or clear the backup alarm to match the settings
+ * 설정에 맞게 백업 알람 생성, 변경 또는 해제
+ */
+async function scheduleBackups() {
+    const result = await chrome.storage.local.get('settings');
+    const settings = new ExtensionSettings(result.settings || {});
+    const existing = await chrome.alarms.get(BACKUP_ALARM);
+    
+    if (!settings.autoBackup) {
+        if (existing) {
+            await chrome.alarms.clear(BACKUP_ALARM);
+        }
+        return;
+    }
+    
+    const period = BACKUP_PERIOD_MINUTES[settings.backupFrequency] || BACKUP_PERIOD_MINUTES.weekly;
+    if (existing && existing.periodInMinutes === period) {
+        return;
+    }
+    
+    // The first run comes soon; it is skipped anyway if nothing changed since the last point
+    await chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: period });
+}
+
+/**
+ * Record the current pages and collections as a restore point, then apply retention
+ * 현재 페이지와 컬렉션을 복원 지점으로 기록한 뒤 보관 개수 적용
+ * @returns {Object|null} The new point, or null when nothing changed since the last one
+ */
+async function createBackupPoint(reason, { force = false } = {}) {
+    const store = await getPageStore();
+    const [pages, collections, result] = await Promise.all([
+        store.getAllPages(),
+        collectionStore.getAll(),
+        chrome.storage.local.get('settings')
+    ]);
+    
+    const point = await backupStore.createRestorePoint({ pages, collections, reason, force });
+    const removed = await backupStore.prune(new ExtensionSettings(result.settings || {}).backupRetention);
+    
+    if (point) {
+        console.log(`Restore point created (${reason}): ${point.changeCount} changes, ${removed} old points removed`);
+    }
+    return point;
+}
+
+// Handle restore point list request
+async function handleGetRestorePoints(sendResponse) {
+    try {
+        const points = await backupStore.list();
+        sendResponse({ success: true, data: points });
+    } catch (error) {
+        console.error('Error getting restore points:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle manual backup request
+async function handleCreateBackup(sendResponse) {
+    try {
+        const point = await createBackupPoint('manual', { force: true });
+        sendResponse({ success: true, data: point });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle restore preview request: what restoring the point would change
+async function handlePreviewRestore(data, sendResponse) {
+    try {
+        const { point, pages } = await backupStore.materialize(data?.id);
+        const store = await getPageStore();
+        const diff = compareRestorePoint(pages, await store.getAllPages());
+        
+        sendResponse({ success: true, data: { point, ...diff } });
+    } catch (error) {
+        console.error('Error previewing restore:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Handle restore request
+ * 복원 요청 처리
+ *
+ * Without `pageIds` the whole point is restored: pages added since are removed
+ * and collections are replaced. With `pageIds` only those pages are put back,
+ * along with any collections they need. A 'before-restore' point is taken
+ * first so the restore itself can be undone.
+ */
+async function handleRestoreBackup(data, sendResponse) {
+    try {
+        const { pages: backupPages, collections } = await backupStore.materialize(data?.id);
+        await createBackupPoint('before-restore');
+        
+        const store = await getPageStore();
+        const currentPages = await store.getAllPages({ includeThumbnails: true });
+        const currentById = new Map(currentPages.map(page => [page.id, page]));
+        const selected = Array.isArray(data.pageIds) ? new Set(data.pageIds) : null;
+        
+        // Restore points leave thumbnails out; keep the ones pages still have
+        const pages = backupPages
+            .filter(page => !selected || selected.has(page.id))
+            .map(page => ({ ...page, thumbnail: currentById.get(page.id)?.thumbnail || '' }));
+        
+        let removed = 0;
+        if (selected) {
+            await store.putPages(pages);
+            await collectionStore.enqueue(async () => {
+                const current = await collectionStore.getAll();
+                const missing = findMissingCollections(collections, current, pages);
+                if (missing.length > 0) {
+                    await collectionStore.saveAll([...current, ...missing]);
+                }
+            });
+        } else {
+            const keep = new Set(pages.map(page => page.id));
+            const removedIds = currentPages.filter(page => !keep.has(page.id)).map(page => page.id);
+            
+            await store.replaceAll(pages);
+            await collectionStore.enqueue(() => collectionStore.saveAll(collections));
+            
+            // Extracted text stays stored, so restoring these pages later keeps full-text search
+            for (const pageId of removedIds) {
+                await searchIndex.removePage(pageId);
+            }
+            removed = removedIds.length;
+        }
+        
+        pages.forEach(page => indexPageForSearch(page));
+        
+        sendResponse({ success: true, data: { restored: pages.length, removed } });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Handle restore point deletion request
+async function handleDeleteRestorePoint(data, sendResponse) {
+    try {
+        await backupStore.remove(data?.id);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Error deleting restore point:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Alarm that writes the weekly digest
+const DIGEST_ALARM = 'weekly-digest';
+const DIGEST_PERIOD_MINUTES = 7 * 24 * 60;
+
+/**
+ * Create or clear the weekly digest alarm to match the settings
+ * 설정에 맞게 주간 다이제스트 알람 생성 또는 해제
+ */
+async function scheduleDigests() {
+    const result = await chrome.storage.local.get('settings');
+    const settings = new ExtensionSettings(result.settings || {});
+    const existing = await chrome.alarms.get(DIGEST_ALARM);
+    
+    if (!settings.weeklyDigest) {
+        if (existing) {
+            await chrome.alarms.clear(DIGEST_ALARM);
+        }
+        return;
+    }
+    
+    // The first digest comes a week after turning it on, when there is a week to cover
+    if (!existing) {
+        await chrome.alarms.create(DIGEST_ALARM, {
+            delayInMinutes: DIGEST_PERIOD_MINUTES,
+            periodInMinutes: DIGEST_PERIOD_MINUTES
+        });
+    }
+}
+
+/**
+ * Write and store a digest of the pages saved in the last days
+ * 최근 며칠 동안 저장된 페이지의 다이제스트 작성 및 저장
+ * @param {Object} options - { days, groupBy }; groupBy defaults to the digestGroupBy setting
+ */
+async function generateDigest({ days = DIGEST_DAYS, groupBy = null } = {}) {
+    const [pages, result] = await Promise.all([
+        (await getPageStore()).getAllPages(),
+        chrome.storage.local.get('settings')
+    ]);
+    const settings = new ExtensionSettings(result.settings || {});
+    
+    // Range labels follow the interface language chosen in the options
+    const formatter = new DateFormatter();
+    if (settings.language && settings.language !== 'auto') {
+        formatter.setLanguage(settings.language);
+    }
+    
+    const digest = await createDigest(new AISummaryService({ secretStore }), pages, {
+        ...getDigestRange(days),
+        groupBy: groupBy || settings.digestGroupBy,
+        formatter
+    });
+    return digestStore.add(digest);
+}
+
+// Handle digest request: write one now for data.days, grouped by data.groupBy
+async function handleGenerateDigest(data, sendResponse) {
+    try {
+        const digest = await generateDigest({
+            days: parseInt(data?.days, 10) || DIGEST_DAYS,
+            groupBy: data?.groupBy || null
+        });
+        sendResponse({ success: true, data: digest });
+    } catch (error) {
+        console.error('Error generating digest:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Fetch a page resource for snapshots when the content script is blocked by CORS
+async function handleFetchResource(data, sendResponse) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+    
+    try {
+        const { url, as = 'dataUrl', maxSize = 5 * 1024 * 1024 } = data || {};
+        
+        if (!url || !/^https?:/i.test(url)) {
+            throw new Error('Only http(s) resources can be fetched');
+        }
+        
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const blob = await response.blob();
+        if (blob.size > maxSize) {
+            throw new Error('Resource too large');
+        }
+        
+        if (as === 'text') {
+            sendResponse({ success: true, data: { text: await blob.text(), size: blob.size } });
+            return;
+        }
+        
+        sendResponse({
+            success: true,
+            data: {
+                dataUrl: await blobToDataUrl(blob),
+                size: blob.size
+            }
+        });
+    } catch (error) {
+        sendResponse({ success: false, error: error.message });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 // Handle clear cache request
 async function handleClearCache(sendResponse) {
     try {
@@ -1465,8 +3717,15 @@ async function handleClearCache(sendResponse) {
 async function handleClearAll(sendResponse) {
     try {
         // Clear all storage
+        const store = await getPageStore();
         await chrome.storage.local.clear();
         await chrome.storage.sync.clear();
+        await secretStore.clear();
+        await archiveStore.clear();
+        await backupStore.clear();
+        await searchIndex.clear();
+        await store.clear();
+        await chrome.storage.local.set({ storageBackend: store.getBackendName() });
         
         // Reinitialize default settings
         await lifecycleManager.initializeDefaultSettings();
@@ -21,6 +21,14 @@
         waitForImages: true
     };
     
+    // Offline snapshot configuration
+    const SNAPSHOT_CONFIG = {
+        maxResourceSize: 5 * 1024 * 1024,   // Skip single resources above 5MB
+        maxTotalSize: 25 * 1024 * 1024,     // Stop inlining once 25MB is reached
+        resourceTimeout: 15000,
+        maxImportDepth: 3
+    };
+    
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         console.log('Content script received message:', message);
@@ -66,6 +74,9 @@
             case 'extractForAI':
                 return await extractForAISummarization(options);
                 
+            case 'createSnapshot':
+                return await createPageSnapshot(options);
+                
             default:
                 throw new Error(`Unknown action: ${action}`);
         }
@@ -630,6 +641,317 @@
         return element.textContent.trim();
     }
     
+    /**
+     * Create a self-contained HTML snapshot with CSS, images and fonts inlined
+     * CSS, 이미지, 폰트가 인라인된 독립 실행형 HTML 스냅샷 생성
+     */
+    async function createPageSnapshot(options = {}) {
+        const state = {
+            config: { ...SNAPSHOT_CONFIG, ...options },
+            cache: new Map(),
+            totalSize: 0,
+            resourceCount: 0,
+            failedResources: []
+        };
+        
+        const clone = document.documentElement.cloneNode(true);
+        
+        // Pair live elements with their clones before the clone is pruned
+        const pairs = (selector) => {
+            const originals = document.documentElement.querySelectorAll(selector);
+            const copies = clone.querySelectorAll(selector);
+            return Array.from(copies).map((copy, index) => [originals[index], copy]);
+        };
+        const imagePairs = pairs('img');
+        const stylePairs = pairs('style');
+        const canvasPairs = pairs('canvas');
+        
+        // Strip active content so the archive renders the same offline
+        clone.querySelectorAll([
+            'script', 'noscript', 'iframe', 'frame', 'object', 'embed', 'base',
+            'link[rel="preload"]', 'link[rel="prefetch"]', 'link[rel="modulepreload"]',
+            'meta[http-equiv]', 'picture source'
+        ].join(',')).forEach(element => element.remove());
+        
+        clone.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+                if (attr.name.toLowerCase().startsWith('on')) {
+                    element.removeAttribute(attr.name);
+                }
+            });
+        });
+        
+        // Stylesheets
+        for (const link of clone.querySelectorAll('link[rel~="stylesheet"]')) {
+            const href = toAbsoluteUrl(link.getAttribute('href'));
+            const cssText = href ? await getStylesheetText(href, state) : null;
+            
+            if (cssText === null) {
+                link.remove();
+                continue;
+            }
+            
+            const style = document.createElement('style');
+            if (link.media) style.media = link.media;
+            style.textContent = await inlineCssResources(cssText, href, state, 0);
+            link.replaceWith(style);
+        }
+        
+        for (const [original, copy] of stylePairs) {
+            if (!copy.isConnected) continue;
+            
+            // Prefer CSSOM rules so styles injected with insertRule() are kept
+            const cssText = readSheetRules(original?.sheet) || copy.textContent;
+            copy.textContent = await inlineCssResources(cssText, document.baseURI, state, 0);
+        }
+        
+        // Images
+        await Promise.all(imagePairs.map(async ([original, copy]) => {
+            const src = original?.currentSrc || original?.src;
+            copy.removeAttribute('srcset');
+            copy.removeAttribute('sizes');
+            copy.removeAttribute('loading');
+            
+            if (!src) return;
+            
+            const dataUrl = await fetchResourceAsDataUrl(src, state);
+            copy.setAttribute('src', dataUrl || src);
+        }));
+        
+        // Canvases cannot be cloned; freeze them as images
+        canvasPairs.forEach(([original, copy]) => {
+            try {
+                const img = document.createElement('img');
+                img.src = original.toDataURL();
+                img.width = original.width;
+                img.height = original.height;
+                copy.replaceWith(img);
+            } catch (error) {
+                // Tainted canvas, leave it empty
+            }
+        });
+        
+        // Inline style attributes and icons
+        for (const element of clone.querySelectorAll('[style*="url("]')) {
+            element.setAttribute('style', await inlineCssResources(element.getAttribute('style'), document.baseURI, state, 0));
+        }
+        
+        for (const icon of clone.querySelectorAll('link[rel~="icon"]')) {
+            const href = toAbsoluteUrl(icon.getAttribute('href'));
+            const dataUrl = href ? await fetchResourceAsDataUrl(href, state) : null;
+            if (dataUrl) icon.setAttribute('href', dataUrl);
+        }
+        
+        // Links should leave the archive rather than navigate inside it
+        clone.querySelectorAll('a[href]').forEach(anchor => {
+            const href = toAbsoluteUrl(anchor.getAttribute('href'));
+            if (href) anchor.setAttribute('href', href);
+            anchor.setAttribute('target', '_blank');
+            anchor.setAttribute('rel', 'noopener noreferrer');
+        });
+        
+        // Snapshot metadata
+        const head = clone.querySelector('head') || clone.insertBefore(document.createElement('head'), clone.firstChild);
+        head.querySelectorAll('meta[charset]').forEach(meta => meta.remove());
+        const charset = document.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        head.prepend(charset);
+        
+        const capturedAt = Date.now();
+        [['pagepouch-source', window.location.href], ['pagepouch-captured', new Date(capturedAt).toISOString()]]
+            .forEach(([name, content]) => {
+                const meta = document.createElement('meta');
+                meta.setAttribute('name', name);
+                meta.setAttribute('content', content);
+                head.appendChild(meta);
+            });
+        
+        return {
+            html: '<!DOCTYPE html>\n' + clone.outerHTML,
+            url: window.location.href,
+            title: document.title,
+            capturedAt: capturedAt,
+            resourceCount: state.resourceCount,
+            failedResources: state.failedResources
+        };
+    }
+    
+    /**
+     * Read CSS text from a stylesheet through the CSSOM (same-origin only)
+     * CSSOM으로 스타일시트 CSS 텍스트 읽기 (동일 출처만)
+     */
+    function readSheetRules(sheet) {
+        try {
+            if (!sheet || !sheet.cssRules) return null;
+            return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+        } catch (error) {
+            return null; // Cross-origin sheet
+        }
+    }
+    
+    /**
+     * Get the text of a linked stylesheet
+     * 링크된 스타일시트 텍스트 가져오기
+     */
+    async function getStylesheetText(href, state) {
+        const sheet = Array.from(document.styleSheets).find(item => item.href === href);
+        const rules = readSheetRules(sheet);
+        if (rules !== null) {
+            return rules;
+        }
+        
+        const resource = await fetchResource(href, state, 'text');
+        return resource ? resource.text : null;
+    }
+    
+    /**
+     * Inline @import rules and url() references in CSS
+     * CSS의 @import 규칙과 url() 참조 인라인
+     */
+    async function inlineCssResources(cssText, baseUrl, state, depth) {
+        if (!cssText) return '';
+        
+        let css = cssText;
+        
+        // @import "x.css"; / @import url(x.css) screen;
+        const importPattern = /@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)['"]?\s*\)?([^;]*);/gi;
+        const imports = Array.from(css.matchAll(importPattern));
+        for (const match of imports) {
+            const href = toAbsoluteUrl(match[1], baseUrl);
+            let replacement = '';
+            
+            if (href && depth < state.config.maxImportDepth) {
+                const resource = await fetchResource(href, state, 'text');
+                if (resource) {
+                    const inner = await inlineCssResources(resource.text, href, state, depth + 1);
+                    const media = match[2].trim();
+                    replacement = media ? `@media ${media} {\n${inner}\n}` : inner;
+                }
+            }
+            
+            css = css.replace(match[0], replacement);
+        }
+        
+        // url(...) references: fonts, background images, cursors
+        const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+        const references = Array.from(new Set(Array.from(css.matchAll(urlPattern)).map(match => match[2])));
+        const replacements = new Map();
+        
+        await Promise.all(references.map(async (reference) => {
+            if (reference.startsWith('data:') || reference.startsWith('#')) return;
+            
+            const href = toAbsoluteUrl(reference, baseUrl);
+            const dataUrl = href ? await fetchResourceAsDataUrl(href, state) : null;
+            replacements.set(reference, dataUrl || href || reference);
+        }));
+        
+        return css.replace(urlPattern, (match, quote, reference) => {
+            return replacements.has(reference) ? `url("${replacements.get(reference)}")` : match;
+        });
+    }
+    
+    /**
+     * Fetch a resource and return it as a data URL
+     * 리소스를 가져와 데이터 URL로 반환
+     */
+    async function fetchResourceAsDataUrl(url, state) {
+        if (url.startsWith('data:')) return url;
+        
+        const resource = await fetchResource(url, state, 'dataUrl');
+        return resource ? resource.dataUrl : null;
+    }
+    
+    /**
+     * Fetch a resource directly, falling back to the background worker for cross-origin files
+     * 리소스를 직접 가져오고, 교차 출처 파일은 백그라운드 워커로 대체
+     */
+    function fetchResource(url, state, as) {
+        const key = `${as}:${url}`;
+        if (state.cache.has(key)) {
+            return state.cache.get(key);
+        }
+        
+        const task = (async () => {
+            if (!/^https?:/i.test(url) || state.totalSize >= state.config.maxTotalSize) {
+                return null;
+            }
+            
+            let resource = null;
+            try {
+                resource = await fetchResourceDirect(url, state, as);
+            } catch (error) {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'fetchResource',
+                    data: { url, as, maxSize: state.config.maxResourceSize }
+                }).catch(() => null);
+                
+                resource = response && response.success ? response.data : null;
+            }
+            
+            if (!resource || state.totalSize + resource.size > state.config.maxTotalSize) {
+                state.failedResources.push(url);
+                return null;
+            }
+            
+            state.totalSize += resource.size;
+            state.resourceCount++;
+            return resource;
+        })();
+        
+        state.cache.set(key, task);
+        return task;
+    }
+    
+    /**
+     * Fetch a resource from the page context
+     * 페이지 컨텍스트에서 리소스 가져오기
+     */
+    async function fetchResourceDirect(url, state, as) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), state.config.resourceTimeout);
+        
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const blob = await response.blob();
+            if (blob.size > state.config.maxResourceSize) {
+                throw new Error('Resource too large');
+            }
+            
+            if (as === 'text') {
+                return { text: await blob.text(), size: blob.size };
+            }
+            
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+            
+            return { dataUrl, size: blob.size };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    
+    /**
+     * Resolve a possibly relative URL
+     * 상대 URL일 수 있는 주소 해석
+     */
+    function toAbsoluteUrl(url, baseUrl = document.baseURI) {
+        if (!url) return null;
+        
+        try {
+            return new URL(url, baseUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     // Initialize content script
     console.log('PagePouch content script initialized');
     
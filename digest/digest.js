@@ -0,0 +1,169 @@
+// Weekly digest view for PagePouch Chrome extension
+// 주간 다이제스트 뷰 - 저장된 다이제스트 표시, 새로 작성, 마크다운/HTML로 내보내기
+
+/**
+ * Digest view that renders a stored digest in a sandboxed frame
+ * 저장된 다이제스트를 샌드박스 프레임에 렌더링하는 뷰
+ */
+class DigestView {
+    constructor() {
+        this.digestStore = new DigestStore();
+        this.digests = [];
+        this.current = null;
+        this.objectUrl = null;
+
+        this.elements = {
+            select: document.getElementById('digest-select'),
+            meta: document.getElementById('digest-meta'),
+            groupBy: document.getElementById('digest-group-by'),
+            generate: document.getElementById('digest-generate'),
+            downloadMarkdown: document.getElementById('digest-download-markdown'),
+            downloadHtml: document.getElementById('digest-download-html'),
+            notice: document.getElementById('digest-notice'),
+            empty: document.getElementById('digest-empty'),
+            emptyMessage: document.getElementById('digest-empty-message'),
+            frame: document.getElementById('digest-frame')
+        };
+
+        this.elements.select.addEventListener('change', (e) => {
+            this.render(this.digests.find(digest => digest.id === e.target.value));
+        });
+        this.elements.generate.addEventListener('click', () => this.generate());
+        this.elements.downloadMarkdown.addEventListener('click', () => this.download('markdown'));
+        this.elements.downloadHtml.addEventListener('click', () => this.download('html'));
+
+        window.addEventListener('unload', () => {
+            if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        });
+
+        this.init();
+    }
+
+    /**
+     * Load stored digests and show the one named in ?id=, or the newest
+     * 저장된 다이제스트를 불러와 ?id=의 다이제스트 또는 최신 다이제스트 표시
+     */
+    async init() {
+        try {
+            const result = await chrome.storage.local.get('settings');
+            this.elements.groupBy.value = result.settings?.digestGroupBy === 'domain' ? 'domain' : 'tag';
+
+            await this.loadDigests(new URLSearchParams(window.location.search).get('id'));
+        } catch (error) {
+            console.error('Error loading digests:', error);
+            this.showEmpty(error.message);
+        }
+    }
+
+    async loadDigests(selectedId = null) {
+        this.digests = await this.digestStore.getAll();
+
+        const { select } = this.elements;
+        select.innerHTML = '';
+        this.digests.forEach(digest => {
+            const option = document.createElement('option');
+            option.value = digest.id;
+            option.textContent = digest.rangeLabel;
+            select.appendChild(option);
+        });
+        select.classList.toggle('hidden', this.digests.length === 0);
+
+        const digest = this.digests.find(item => item.id === selectedId) || this.digests[0];
+        if (digest) {
+            this.render(digest);
+        } else {
+            this.showEmpty('No digest yet. Write one for the pages saved in the last 7 days.');
+        }
+    }
+
+    /**
+     * Render a digest and its details in the toolbar
+     * 다이제스트와 툴바 정보 렌더링
+     */
+    render(digest) {
+        if (!digest) return;
+        this.current = digest;
+        document.title = `${digest.rangeLabel} - PagePouch Digest`;
+
+        this.elements.select.value = digest.id;
+        this.elements.meta.textContent = `${digest.pageCount} pages · Written ${new Date(digest.createdAt).toLocaleString()}`;
+        this.elements.downloadMarkdown.disabled = false;
+        this.elements.downloadHtml.disabled = false;
+
+        // Without an overview the digest is still the grouped listing
+        const showNotice = digest.pageCount > 0 && !digest.overview && digest.aiError;
+        this.elements.notice.textContent = showNotice ? `Listing only, without an overview: ${digest.aiError}` : '';
+        this.elements.notice.classList.toggle('hidden', !showNotice);
+
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = URL.createObjectURL(new Blob([buildDigestHtml(digest)], { type: 'text/html' }));
+        this.elements.frame.src = this.objectUrl;
+        this.elements.frame.classList.remove('hidden');
+        this.elements.empty.classList.add('hidden');
+    }
+
+    /**
+     * Write a new digest of the last 7 days in the background and show it
+     * 백그라운드에서 최근 7일의 새 다이제스트를 작성하여 표시
+     */
+    async generate() {
+        const button = this.elements.generate;
+        button.disabled = true;
+        button.textContent = 'Writing...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'generateDigest',
+                data: { groupBy: this.elements.groupBy.value }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to write digest');
+            }
+
+            await this.loadDigests(response.data.id);
+        } catch (error) {
+            console.error('Error writing digest:', error);
+            this.elements.notice.textContent = `Could not write digest: ${error.message}`;
+            this.elements.notice.classList.remove('hidden');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Write Digest';
+        }
+    }
+
+    /**
+     * Download the shown digest as Markdown or HTML
+     * 표시된 다이제스트를 마크다운 또는 HTML로 다운로드
+     */
+    download(format) {
+        if (!this.current) return;
+
+        const date = new Date(this.current.end).toISOString().split('T')[0];
+        const blob = format === 'markdown' ?
+            new Blob([buildDigestMarkdown(this.current)], { type: 'text/markdown' }) :
+            new Blob([buildDigestHtml(this.current)], { type: 'text/html' });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `pagepouch-digest-${date}.${format === 'markdown' ? 'md' : 'html'}`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show empty or error state
+     * 빈 상태 또는 오류 상태 표시
+     */
+    showEmpty(message) {
+        this.elements.emptyMessage.textContent = message;
+        this.elements.empty.classList.remove('hidden');
+        this.elements.frame.classList.add('hidden');
+    }
+}
+
+// Initialize digest view when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new DigestView();
+});
@@ -9,6 +9,17 @@ class OptionsManager {
         this.settingsManager = new SettingsManager();
         this.currentTab = 'general';
         
+        // Provider defaults (base URL, model) for placeholders; no requests are made from here
+        this.aiProviders = new AISummaryService().providers;
+        
+        // Port of the test summary being streamed, if any
+        this.testSummaryPort = null;
+        
+        // Template being edited ({ id: null } until first saved) and the text the test modal uses
+        this.editingTemplate = null;
+        this.testPromptTemplate = null;
+        this.promptCollections = [];
+        
         this.init();
     }
 
@@ -24,6 +35,10 @@ class OptionsManager {
             this.updateUI();
             console.log('UI updated');
             this.loadStorageInfo();
+            this.loadTags();
+            this.loadRestorePoints();
+            this.loadPromptCollections();
+            this.loadEmbeddingStatus();
             console.log('Options page initialization complete');
         } catch (error) {
             console.error('Failed to initialize options:', error);
@@ -41,6 +56,27 @@ class OptionsManager {
             console.error('Error loading settings:', error);
             this.settings = ExtensionSettings.getDefaults().toJSON();
         }
+
+        // API keys live in the service worker's secret store; this page only sees their status
+        await this.loadAPIKeyStatus();
+        this.settings.apiKey = '';
+    }
+
+    // Key status of the selected provider
+    async loadAPIKeyStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getApiKeyStatus',
+                data: { provider: this.settings.apiProvider || 'openai' }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to read API key status');
+            }
+            this.apiKeyStatus = response.data;
+        } catch (error) {
+            console.error('Error loading API key status:', error);
+            this.apiKeyStatus = { configured: false, masked: '' };
+        }
     }
 
     initTabs() {
@@ -78,6 +114,9 @@ class OptionsManager {
         // Storage Settings
         this.bindStorageEvents();
         
+        // Tag Management
+        this.bindTagEvents();
+        
         // Privacy Settings
         this.bindPrivacyEvents();
         
@@ -167,6 +206,12 @@ class OptionsManager {
                 this.updateProviderInfo(e.target.value);
                 this.updateAPIKeyHelp(e.target.value);
                 
+                // Each provider keeps its own key, model and config
+                await this.loadAPIKeyStatus();
+                this.renderAPIKeyStatus();
+                this.renderProviderConfig();
+                this.loadModels();
+                
                 // Save settings when provider is changed
                 try {
                     await this.saveSettings();
@@ -177,29 +222,152 @@ class OptionsManager {
             });
         }
 
-        // API Key input with optional validation
-        const apiKey = document.getElementById('api-key');
-        if (apiKey) {
-            apiKey.addEventListener('input', async (e) => {
-                console.log('API key input changed');
-                this.handleAPIKeyInput(e.target.value);
-                
-                // Save settings when API key is changed
+        // Model and advanced config apply to the selected provider only
+        const aiModel = document.getElementById('ai-model');
+        if (aiModel) {
+            aiModel.addEventListener('change', (e) => {
+                this.updateProviderConfig('model', e.target.value);
+            });
+        }
+
+        const modelName = document.getElementById('ai-model-name');
+        if (modelName) {
+            modelName.addEventListener('change', async (e) => {
+                await this.updateProviderConfig('model', e.target.value.trim());
+                this.renderModelOptions(this.listedModels || []);
+            });
+        }
+
+        const refreshModels = document.getElementById('refresh-models');
+        if (refreshModels) {
+            refreshModels.addEventListener('click', () => this.loadModels({ refresh: true }));
+        }
+
+        const baseUrl = document.getElementById('ai-base-url');
+        if (baseUrl) {
+            baseUrl.addEventListener('change', async (e) => {
+                if (e.target.value.trim() && !e.target.checkValidity()) {
+                    this.showToast('Please enter a full URL, e.g. https://example.com/v1', 'warning');
+                    return;
+                }
+                await this.updateProviderConfig('baseUrl', e.target.value.trim());
+                this.loadModels({ refresh: true });
+            });
+        }
+
+        const headers = document.getElementById('ai-headers');
+        if (headers) {
+            headers.addEventListener('change', (e) => {
+                const { headers: parsed, invalid } = parseHeaderLines(e.target.value);
+                if (invalid.length > 0) {
+                    this.showToast(`Header lines must look like "Name: value": ${invalid[0]}`, 'warning');
+                    return;
+                }
+                this.updateProviderConfig('headers', Object.keys(parsed).length > 0 ? parsed : '');
+            });
+        }
+
+        const maxTokens = document.getElementById('ai-max-tokens');
+        if (maxTokens) {
+            maxTokens.addEventListener('change', (e) => {
+                this.updateProviderConfig('maxTokens', e.target.value ? parseInt(e.target.value) : '');
+            });
+        }
+
+        const contextTokens = document.getElementById('ai-context-tokens');
+        if (contextTokens) {
+            contextTokens.addEventListener('change', (e) => {
+                this.updateProviderConfig('contextTokens', e.target.value ? parseInt(e.target.value) : '');
+            });
+        }
+
+        const temperature = document.getElementById('ai-temperature');
+        if (temperature) {
+            temperature.addEventListener('change', (e) => {
+                this.updateProviderConfig('temperature', e.target.value ? parseFloat(e.target.value) : '');
+            });
+        }
+
+        const aiFallback = document.getElementById('ai-fallback');
+        if (aiFallback) {
+            aiFallback.addEventListener('change', (e) => {
+                this.settings.aiFallback = e.target.checked;
+            });
+        }
+
+        // Semantic search keeps its own provider; the embedding model is saved with that provider's config
+        const embeddingProvider = document.getElementById('embedding-provider');
+        if (embeddingProvider) {
+            embeddingProvider.addEventListener('change', async (e) => {
+                this.settings.embeddingProvider = e.target.value;
+                this.renderEmbeddingSettings();
                 try {
                     await this.saveSettings();
-                    console.log('Settings saved after API key change');
                 } catch (error) {
-                    console.error('Failed to save settings after API key change:', error);
+                    console.error('Failed to save semantic search settings:', error);
                 }
+                this.loadEmbeddingStatus();
+            });
+        }
+
+        const embeddingModel = document.getElementById('embedding-model');
+        if (embeddingModel) {
+            embeddingModel.addEventListener('change', async (e) => {
+                await this.updateProviderConfig('embeddingModel', e.target.value.trim(), this.settings.embeddingProvider);
+                this.loadEmbeddingStatus();
+            });
+        }
+
+        const buildEmbeddings = document.getElementById('build-embeddings');
+        if (buildEmbeddings) {
+            buildEmbeddings.addEventListener('click', () => this.buildEmbeddings());
+        }
+
+        // Weekly digest settings
+        const weeklyDigest = document.getElementById('weekly-digest');
+        if (weeklyDigest) {
+            weeklyDigest.addEventListener('change', (e) => {
+                this.settings.weeklyDigest = e.target.checked;
+            });
+        }
+
+        const digestGroupBy = document.getElementById('digest-group-by');
+        if (digestGroupBy) {
+            digestGroupBy.addEventListener('change', (e) => {
+                this.settings.digestGroupBy = e.target.value;
             });
         }
 
-        // Toggle API key visibility
-        const toggleApiKey = document.getElementById('toggle-api-key');
-        if (toggleApiKey) {
-            toggleApiKey.addEventListener('click', () => {
-                this.toggleAPIKeyVisibility();
+        // API Key input with optional validation; nothing is stored until Save Key
+        const apiKey = document.getElementById('api-key');
+        if (apiKey) {
+            apiKey.addEventListener('input', (e) => {
+                this.handleAPIKeyInput(e.target.value);
             });
+            apiKey.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.saveAPIKey();
+            });
+        }
+
+        // Replace key flow: the stored key is never shown, only replaced or removed
+        const replaceApiKey = document.getElementById('replace-api-key');
+        if (replaceApiKey) {
+            replaceApiKey.addEventListener('click', () => this.showAPIKeyForm(true));
+        }
+
+        const cancelApiKey = document.getElementById('cancel-api-key');
+        if (cancelApiKey) {
+            cancelApiKey.addEventListener('click', () => this.showAPIKeyForm(false));
+        }
+
+        const saveApiKey = document.getElementById('save-api-key');
+        if (saveApiKey) {
+            saveApiKey.addEventListener('click', () => this.saveAPIKey());
+        }
+
+        const removeApiKey = document.getElementById('remove-api-key');
+        if (removeApiKey) {
+            removeApiKey.addEventListener('click', () => this.removeAPIKey());
         }
 
         // Test API connection (optional)
@@ -210,6 +378,24 @@ class OptionsManager {
             });
         }
 
+        // Test summary modal, streamed from the background
+        const openTestSummary = document.getElementById('open-test-summary');
+        if (openTestSummary) {
+            openTestSummary.addEventListener('click', () => this.openTestSummary());
+        }
+
+        const generateTestSummary = document.getElementById('generate-test-summary');
+        if (generateTestSummary) {
+            generateTestSummary.addEventListener('click', () => this.generateTestSummary());
+        }
+
+        const cancelTestSummary = document.getElementById('cancel-test-summary');
+        if (cancelTestSummary) {
+            cancelTestSummary.addEventListener('click', () => this.cancelTestSummary());
+        }
+
+        this.bindPromptTemplateEvents();
+
         // Summary length slider
         const summaryLength = document.getElementById('summary-length');
         if (summaryLength) {
@@ -295,6 +481,23 @@ class OptionsManager {
             });
         }
 
+        // Offline archive
+        const archivePages = document.getElementById('archive-pages');
+        if (archivePages) {
+            archivePages.addEventListener('change', (e) => {
+                this.settings.archivePages = e.target.checked;
+            });
+        }
+
+        // Markdown export file names
+        const markdownFilenameTemplate = document.getElementById('markdown-filename-template');
+        if (markdownFilenameTemplate) {
+            markdownFilenameTemplate.addEventListener('input', (e) => {
+                this.settings.markdownFilenameTemplate = e.target.value.trim() || DEFAULT_MARKDOWN_FILENAME_TEMPLATE;
+                this.updateMarkdownFilenamePreview();
+            });
+        }
+
         // Capture full page
         const captureFullPage = document.getElementById('capture-full-page');
         if (captureFullPage) {
@@ -314,6 +517,36 @@ class OptionsManager {
             importData.addEventListener('click', () => this.importData());
         }
 
+        const exportBookmarks = document.getElementById('export-bookmarks');
+        if (exportBookmarks) {
+            exportBookmarks.addEventListener('click', () => this.exportBookmarks());
+        }
+
+        const importBookmarks = document.getElementById('import-bookmarks');
+        if (importBookmarks) {
+            importBookmarks.addEventListener('click', () => this.importPages('bookmarks-html', '.html,.htm'));
+        }
+
+        const exportCsv = document.getElementById('export-csv');
+        if (exportCsv) {
+            exportCsv.addEventListener('click', () => this.exportCsv());
+        }
+
+        const importCsv = document.getElementById('import-csv');
+        if (importCsv) {
+            importCsv.addEventListener('click', () => this.importPages('csv', '.csv', text => this.showCsvMapping(text)));
+        }
+
+        const importServiceFile = document.getElementById('import-service-file');
+        if (importServiceFile) {
+            importServiceFile.addEventListener('click', () => {
+                const format = document.getElementById('import-service').value;
+                // Pick the file type from the format id, e.g. "pocket-csv"
+                const extension = format.split('-').pop();
+                this.importPages(format, extension === 'html' ? '.html,.htm' : `.${extension}`);
+            });
+        }
+
         const clearCache = document.getElementById('clear-cache');
         if (clearCache) {
             clearCache.addEventListener('click', () => this.clearCache());
@@ -325,6 +558,49 @@ class OptionsManager {
         }
     }
 
+    bindTagEvents() {
+        // Tag suggestions on save
+        const suggestTags = document.getElementById('suggest-tags');
+        if (suggestTags) {
+            suggestTags.addEventListener('change', (e) => {
+                this.settings.suggestTags = e.target.checked;
+            });
+        }
+
+        // Tag filter
+        const tagFilter = document.getElementById('tag-filter');
+        if (tagFilter) {
+            tagFilter.addEventListener('input', () => this.renderTags());
+        }
+
+        // Rename and delete buttons on each tag row
+        const tagList = document.getElementById('tag-list');
+        if (tagList) {
+            tagList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-tag-action]');
+                const row = e.target.closest('.tag-row');
+                if (!button || !row) return;
+
+                const tag = this.tags[row.dataset.tagIndex]?.tag;
+                if (button.dataset.tagAction === 'rename') {
+                    this.startTagRename(row, tag);
+                } else if (button.dataset.tagAction === 'delete') {
+                    this.deleteTag(tag);
+                }
+            });
+        }
+
+        // Merge form
+        const mergeTags = document.getElementById('merge-tags');
+        if (mergeTags) {
+            mergeTags.addEventListener('click', () => {
+                const source = document.getElementById('merge-source')?.value;
+                const target = document.getElementById('merge-target')?.value;
+                this.mergeTags(source, target);
+            });
+        }
+    }
+
     bindPrivacyEvents() {
         // Privacy settings
         const encryptData = document.getElementById('encrypt-data');
@@ -435,14 +711,32 @@ class OptionsManager {
             });
         }
 
+        const backupRetention = document.getElementById('backup-retention');
+        if (backupRetention) {
+            backupRetention.addEventListener('change', (e) => {
+                this.settings.backupRetention = parseInt(e.target.value);
+            });
+        }
+
         const createBackup = document.getElementById('create-backup');
         if (createBackup) {
             createBackup.addEventListener('click', () => this.createBackup());
         }
 
-        const restoreBackup = document.getElementById('restore-backup');
-        if (restoreBackup) {
-            restoreBackup.addEventListener('click', () => this.restoreBackup());
+        // Restore and delete buttons on each restore point
+        const restorePoints = document.getElementById('restore-points');
+        if (restorePoints) {
+            restorePoints.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-restore-action]');
+                const row = e.target.closest('.restore-point');
+                if (!button || !row) return;
+
+                if (button.dataset.restoreAction === 'restore') {
+                    this.restoreBackup(row.dataset.pointId);
+                } else if (button.dataset.restoreAction === 'delete') {
+                    this.deleteRestorePoint(row.dataset.pointId);
+                }
+            });
         }
     }
 
@@ -518,15 +812,101 @@ class OptionsManager {
     }
 
     handleAPIKeyInput(apiKey) {
-        console.log('Handling API key input, length:', apiKey ? apiKey.length : 0);
-        this.settings.apiKey = apiKey;
+        const saveButton = document.getElementById('save-api-key');
+        if (saveButton) {
+            saveButton.disabled = !apiKey || apiKey.trim().length === 0;
+        }
         
         // Optional validation - only validate if key is provided
         if (apiKey && apiKey.trim().length > 0) {
             this.validateAPIKey(apiKey);
         } else {
-            this.clearAPIKeyStatus();
+            this.checkAPIKeyStatus();
+        }
+    }
+
+    /**
+     * Show the entry form for a new key, or go back to the saved key row
+     * 새 키 입력 양식 표시 또는 저장된 키 행으로 돌아가기
+     */
+    showAPIKeyForm(visible) {
+        const input = document.getElementById('api-key');
+        document.getElementById('api-key-form')?.classList.toggle('hidden', !visible);
+        document.getElementById('api-key-saved')?.classList.toggle('hidden', visible);
+
+        if (input) {
+            input.value = '';
+            if (visible) input.focus();
+        }
+        this.handleAPIKeyInput('');
+    }
+
+    async saveAPIKey() {
+        const input = document.getElementById('api-key');
+        const apiKey = input ? input.value.trim() : '';
+        if (!apiKey) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setApiKey',
+                data: { provider: this.settings.apiProvider || 'openai', apiKey }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to save API key');
+            }
+
+            this.apiKeyStatus = response.data;
+            this.showAPIKeyForm(false);
+            this.renderAPIKeyStatus();
+            this.showToast('API key saved', 'success');
+            this.loadModels({ refresh: true });
+        } catch (error) {
+            console.error('Error saving API key:', error);
+            this.showToast('Failed to save API key', 'error');
+        }
+    }
+
+    async removeAPIKey() {
+        const confirmed = await this.showConfirmModal(
+            'Remove API Key',
+            'Remove the saved API key for this provider?',
+            'This provider is skipped until you add a key again.',
+            'Remove',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setApiKey',
+                data: { provider: this.settings.apiProvider || 'openai', apiKey: '' }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to remove API key');
+            }
+
+            this.apiKeyStatus = response.data;
+            this.renderAPIKeyStatus();
+            this.showToast('API key removed', 'success');
+        } catch (error) {
+            console.error('Error removing API key:', error);
+            this.showToast('Failed to remove API key', 'error');
+        }
+    }
+
+    renderAPIKeyStatus() {
+        const { configured, masked } = this.apiKeyStatus || {};
+        const maskedElement = document.getElementById('api-key-masked');
+        if (maskedElement) {
+            maskedElement.textContent = configured ? masked : '';
+        }
+        document.getElementById('api-key-not-set')?.classList.toggle('hidden', !!configured);
+
+        const removeButton = document.getElementById('remove-api-key');
+        if (removeButton) {
+            removeButton.classList.toggle('hidden', !configured);
         }
+        this.checkAPIKeyStatus();
     }
 
     validateAPIKey(apiKey) {
@@ -549,40 +929,41 @@ class OptionsManager {
                 isValidFormat = apiKey.length > 20;
                 formatMessage = isValidFormat ? 'API key format looks valid' : 'Please enter a valid Gemini API key';
                 break;
+            case 'custom':
+                // Gateways issue keys in any format
+                isValidFormat = true;
+                formatMessage = 'API key provided';
+                break;
             default:
                 isValidFormat = apiKey.length > 10;
                 formatMessage = 'API key provided';
         }
         
         this.updateProviderStatus(formatMessage, isValidFormat ? 'valid' : 'warning');
-        
-        // Enable test button if format looks valid
-        const testButton = document.getElementById('test-api');
-        if (testButton) {
-            testButton.disabled = !isValidFormat;
-        }
     }
 
     clearAPIKeyStatus() {
         this.updateProviderStatus('Not configured', 'default');
-        const testButton = document.getElementById('test-api');
-        if (testButton) {
-            testButton.disabled = true;
-        }
     }
 
     checkAPIKeyStatus() {
-        const apiKey = this.settings.apiKey;
+        const isConfigured = !!this.apiKeyStatus?.configured || !this.providerRequiresApiKey();
         const isAIEnabled = this.settings.enableAISummary;
         const apiKeyNotice = document.getElementById('api-key-notice');
         
-        if (isAIEnabled && (!apiKey || apiKey.trim().length === 0)) {
+        // The saved key can be tested without this page ever seeing it
+        const testButton = document.getElementById('test-api');
+        if (testButton) {
+            testButton.disabled = !isConfigured;
+        }
+        
+        if (isAIEnabled && !isConfigured) {
             this.updateProviderStatus('⚠️ Please enter an API key to use AI features', 'warning');
             if (apiKeyNotice) {
                 apiKeyNotice.style.display = 'block';
             }
-        } else if (isAIEnabled && apiKey && apiKey.trim().length > 0) {
-            this.validateAPIKey(apiKey);
+        } else if (isAIEnabled && isConfigured) {
+            this.updateProviderStatus(this.apiKeyStatus?.configured ? 'API key saved' : 'No API key needed', 'valid');
             if (apiKeyNotice) {
                 apiKeyNotice.style.display = 'none';
             }
@@ -620,6 +1001,7 @@ class OptionsManager {
             };
             
             helpLink.href = urls[provider] || '#';
+            helpLink.classList.toggle('hidden', provider === 'custom');
             
             if (provider === 'ollama') {
                 helpLink.textContent = 'Learn about Ollama setup';
@@ -629,26 +1011,10 @@ class OptionsManager {
         }
     }
 
-    toggleAPIKeyVisibility() {
-        const apiKeyInput = document.getElementById('api-key');
-        const toggleButton = document.getElementById('toggle-api-key');
-        
-        if (apiKeyInput && toggleButton) {
-            const isPassword = apiKeyInput.type === 'password';
-            apiKeyInput.type = isPassword ? 'text' : 'password';
-            
-            const icon = toggleButton.querySelector('.icon');
-            if (icon) {
-                icon.textContent = isPassword ? '🙈' : '👁️';
-            }
-        }
-    }
-
     async testAPIConnection() {
-        const apiKey = this.settings.apiKey;
-        const provider = this.settings.apiProvider;
+        const provider = this.settings.apiProvider || 'openai';
         
-        if (!apiKey || !apiKey.trim()) {
+        if (this.providerRequiresApiKey() && !this.apiKeyStatus?.configured) {
             this.showToast('Please enter an API key first', 'warning');
             return;
         }
@@ -662,15 +1028,16 @@ class OptionsManager {
         this.updateProviderStatus('Testing API connection...', 'testing');
 
         try {
-            // Test the API connection through background script
+            // The background tests the saved key
             const response = await chrome.runtime.sendMessage({
                 action: 'testAPIKey',
-                data: { apiKey, provider }
+                data: { provider }
             });
 
             if (response && response.success) {
                 this.updateProviderStatus('✅ API connection successful!', 'success');
                 this.showToast('API connection test successful!', 'success');
+                this.renderModelOptions(response.data?.models || []);
             } else {
                 const errorMsg = response?.error || 'Unknown error occurred';
                 this.updateProviderStatus(`❌ Test failed: ${errorMsg}`, 'error');
@@ -687,88 +1054,692 @@ class OptionsManager {
         }
     }
 
-    // UI Update Methods
-    updateUI() {
-        // General settings
-        this.setCheckboxValue('auto-save', this.settings.autoSave);
-        this.setCheckboxValue('show-notifications', this.settings.showNotifications);
-        this.setSelectValue('default-view', this.settings.defaultView || 'list');
-        this.setCheckboxValue('enable-shortcuts', this.settings.enableShortcuts);
-        this.setSelectValue('interface-language', this.settings.interfaceLanguage || 'en');
-
-        // AI settings
-        this.setCheckboxValue('enable-ai-summary', this.settings.enableAISummary);
-        this.setSelectValue('ai-provider', this.settings.apiProvider || 'openai');
-        this.setInputValue('api-key', this.settings.apiKey || '');
-        this.setRangeValue('summary-length', this.settings.summaryLength || 200);
-        this.setRadioValue('summary-style', this.settings.summaryStyle || 'concise');
-        this.setSelectValue('summary-language', this.settings.summaryLanguage || 'auto');
-        this.setRangeValue('min-content-length', this.settings.minContentLength || 500);
-        this.setCheckboxValue('extract-images', this.settings.extractImages);
-        this.setCheckboxValue('extract-links', this.settings.extractLinks);
+    /**
+     * Open the test summary modal; with a template text, the test uses it instead of the default
+     * 요약 시험 모달 열기 (템플릿 본문이 있으면 기본 템플릿 대신 사용)
+     */
+    openTestSummary(promptTemplate = null) {
+        const modal = document.getElementById('test-summary-modal');
+        if (!modal) return;
 
-        // Storage settings
-        this.setInputValue('max-pages', this.settings.maxStorageItems || 1000);
-        this.setSelectValue('auto-cleanup', this.settings.autoCleanupDays === 0 ? 'never' : this.settings.autoCleanupDays?.toString() || 'never');
-        this.setRangeValue('thumbnail-quality', this.settings.thumbnailQuality || 0.8);
-        this.setSelectValue('thumbnail-size', this.settings.thumbnailSize || 'medium');
-        this.setCheckboxValue('capture-full-page', this.settings.captureFullPage);
+        this.testPromptTemplate = promptTemplate;
+        modal.classList.remove('hidden');
+        document.getElementById('test-content')?.focus();
+    }
 
-        // Privacy settings
-        this.setCheckboxValue('encrypt-data', this.settings.encryptData);
-        this.setCheckboxValue('incognito-mode', this.settings.incognitoMode);
-        this.setCheckboxValue('analytics-opt-out', this.settings.analyticsOptOut);
-        this.setTextareaValue('blocked-domains', this.settings.blockedDomains?.join('\n') || '');
-        this.setCheckboxValue('filter-adult-content', this.settings.filterAdultContent);
-        this.setCheckboxValue('require-https', this.settings.requireHttps);
+    /**
+     * Summarize the modal's text with the saved settings, showing it as it is written
+     * 저장된 설정으로 모달의 텍스트를 요약하고 작성되는 대로 표시
+     */
+    generateTestSummary() {
+        const content = document.getElementById('test-content')?.value.trim() || '';
+        const output = document.getElementById('summary-output');
+        const result = document.getElementById('test-result');
+        const lengthDisplay = document.getElementById('summary-length-display');
+        const timeDisplay = document.getElementById('summary-time-display');
+        const statusDisplay = document.getElementById('summary-status-display');
+        if (!output || !result) return;
+
+        if (content.length < 50) {
+            this.showToast('Enter at least 50 characters to summarize', 'warning');
+            return;
+        }
 
-        // Advanced settings
-        this.setInputValue('concurrent-saves', this.settings.concurrentSaves || 3);
-        this.setSelectValue('cache-duration', this.settings.cacheDuration?.toString() || '1800');
-        this.setCheckboxValue('preload-content', this.settings.preloadContent);
-        this.setCheckboxValue('debug-mode', this.settings.debugMode);
-        this.setCheckboxValue('experimental-features', this.settings.experimentalFeatures);
-        this.setCheckboxValue('auto-backup', this.settings.autoBackup);
-        this.setSelectValue('backup-frequency', this.settings.backupFrequency || 'weekly');
+        this.finishTestSummary();
 
-        // Update range value displays
-        this.updateRangeValue('summary-length-value', (this.settings.summaryLength || 200) + ' chars');
-        this.updateRangeValue('min-content-value', (this.settings.minContentLength || 500) + ' words');
-        this.updateRangeValue('thumbnail-quality-value', Math.round((this.settings.thumbnailQuality || 0.8) * 100) + '%');
+        const startedAt = Date.now();
+        const showText = (text, duration = Date.now() - startedAt) => {
+            output.textContent = text;
+            if (lengthDisplay) lengthDisplay.textContent = text.length;
+            if (timeDisplay) timeDisplay.textContent = duration;
+        };
+        const showStatus = (text) => {
+            if (statusDisplay) statusDisplay.textContent = text;
+        };
 
-        // Toggle AI settings visibility
-        console.log('Initial AI settings state:', this.settings.enableAISummary);
-        this.toggleAISettings(this.settings.enableAISummary);
+        showText('', 0);
+        showStatus('Summarizing…');
+        result.classList.remove('hidden');
+
+        const port = chrome.runtime.connect({ name: 'summary-stream' });
+        this.testSummaryPort = port;
+        this.setTestSummaryRunning(true);
+
+        port.onMessage.addListener((message) => {
+            switch (message.type) {
+                case 'chunk':
+                    showText(message.text);
+                    break;
+                case 'done':
+                    showText(message.summary, message.duration);
+                    showStatus([message.provider, message.model].filter(Boolean).join(' · '));
+                    this.finishTestSummary(port);
+                    break;
+                case 'cancelled':
+                    if (timeDisplay) timeDisplay.textContent = message.duration;
+                    showStatus('Stopped');
+                    this.finishTestSummary(port);
+                    break;
+                case 'error':
+                    showStatus(`Failed: ${message.error}`);
+                    this.showToast(`Summary failed: ${message.error}`, 'error');
+                    this.finishTestSummary(port);
+                    break;
+            }
+        });
 
-        // Update provider info
-        this.updateProviderInfo(this.settings.apiProvider || 'openai');
-        this.updateAPIKeyHelp(this.settings.apiProvider || 'openai');
+        // The service worker went away mid-summary
+        port.onDisconnect.addListener(() => {
+            if (this.testSummaryPort === port) {
+                showStatus('Stopped');
+                this.finishTestSummary(port);
+            }
+        });
 
-        // Check API key status
-        this.checkAPIKeyStatus();
+        port.postMessage({
+            type: 'test',
+            content,
+            ...(this.testPromptTemplate !== null ? { promptTemplate: this.testPromptTemplate } : {})
+        });
+    }
 
-        // Apply current language
-        this.applyLanguage(this.settings.interfaceLanguage || 'en');
+    cancelTestSummary() {
+        this.testSummaryPort?.postMessage({ type: 'cancel' });
     }
 
     /**
-     * Apply language to the interface
-     * 인터페이스에 언어 적용
+     * Close the test summary port; without an argument, whichever one is open
+     * 요약 시험 포트 닫기 (인자가 없으면 열려 있는 포트)
      */
-    async applyLanguage(languageCode) {
-        try {
-            // Set the language in chrome.i18n
-            if (chrome.i18n) {
-                // Update the document language
-                document.documentElement.lang = languageCode;
-                
-                // Apply translations to elements with data-i18n attribute
-                const elements = document.querySelectorAll('[data-i18n]');
-                elements.forEach(element => {
-                    const key = element.getAttribute('data-i18n');
-                    const translation = chrome.i18n.getMessage(key);
-                    if (translation) {
-                        if (element.tagName === 'INPUT' && element.type === 'placeholder') {
+    finishTestSummary(port = this.testSummaryPort) {
+        if (!port) return;
+
+        port.disconnect();
+        if (this.testSummaryPort === port) {
+            this.testSummaryPort = null;
+            this.setTestSummaryRunning(false);
+        }
+    }
+
+    setTestSummaryRunning(running) {
+        const generateButton = document.getElementById('generate-test-summary');
+        const cancelButton = document.getElementById('cancel-test-summary');
+
+        if (generateButton) {
+            generateButton.disabled = running;
+            generateButton.querySelector('.btn-text')?.classList.toggle('hidden', running);
+            generateButton.querySelector('.btn-spinner')?.classList.toggle('hidden', !running);
+        }
+        cancelButton?.classList.toggle('hidden', !running);
+    }
+
+    bindPromptTemplateEvents() {
+        const templateSelect = document.getElementById('prompt-template-select');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', (e) => {
+                const template = (this.settings.promptTemplates || []).find(item => item.id === e.target.value);
+                this.editPromptTemplate(template ? { ...template } : null);
+            });
+        }
+
+        document.getElementById('new-prompt-template')?.addEventListener('click', () => {
+            if ((this.settings.promptTemplates || []).length >= MAX_PROMPT_TEMPLATES) {
+                this.showToast(`You can keep up to ${MAX_PROMPT_TEMPLATES} templates`, 'warning');
+                return;
+            }
+            this.editPromptTemplate({ id: null, name: '', text: PROMPT_TEMPLATE_EXAMPLE });
+            document.getElementById('prompt-template-name')?.focus();
+        });
+
+        document.getElementById('delete-prompt-template')?.addEventListener('click', () => this.deletePromptTemplate());
+        document.getElementById('save-prompt-template')?.addEventListener('click', () => this.savePromptTemplate());
+
+        ['prompt-template-name', 'prompt-template-text'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.validatePromptTemplateForm());
+        });
+
+        document.getElementById('test-prompt-template')?.addEventListener('click', () => {
+            const template = this.readPromptTemplateForm();
+            if (this.validatePromptTemplateForm()) {
+                this.openTestSummary(template.text);
+            }
+        });
+
+        document.getElementById('default-prompt-template')?.addEventListener('change', async (e) => {
+            this.settings.defaultPromptTemplateId = e.target.value;
+            await this.saveSettings();
+        });
+
+        document.getElementById('prompt-rule-type')?.addEventListener('change', (e) => {
+            document.getElementById('prompt-rule-domain')?.classList.toggle('hidden', e.target.value !== 'domain');
+            document.getElementById('prompt-rule-collection')?.classList.toggle('hidden', e.target.value !== 'collection');
+        });
+
+        document.getElementById('add-prompt-rule')?.addEventListener('click', () => this.addPromptTemplateRule());
+
+        document.getElementById('prompt-template-rules')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-rule-index]');
+            if (!button) return;
+
+            const rules = [...(this.settings.promptTemplateRules || [])];
+            rules.splice(Number(button.dataset.ruleIndex), 1);
+            this.settings.promptTemplateRules = rules;
+            this.renderPromptTemplateRules();
+            await this.saveSettings();
+        });
+    }
+
+    /**
+     * Fill the template pickers, rules and editor from settings
+     * 설정으로 템플릿 선택 목록, 규칙, 편집기 채우기
+     */
+    renderPromptTemplates() {
+        const templates = this.settings.promptTemplates || [];
+        const fillTemplateOptions = (select, selected) => {
+            if (!select) return;
+
+            select.textContent = '';
+            [{ id: '', name: 'Built-in prompt' }, ...templates].forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                select.appendChild(option);
+            });
+            select.value = templates.some(template => template.id === selected) ? selected : '';
+        };
+
+        fillTemplateOptions(document.getElementById('prompt-template-select'), this.editingTemplate?.id || '');
+        fillTemplateOptions(document.getElementById('default-prompt-template'), this.settings.defaultPromptTemplateId || '');
+        fillTemplateOptions(document.getElementById('prompt-rule-template'), document.getElementById('prompt-rule-template')?.value || '');
+
+        document.getElementById('delete-prompt-template')?.toggleAttribute('disabled', !this.editingTemplate?.id);
+        this.renderPromptTemplateRules();
+    }
+
+    renderPromptTemplateRules() {
+        const list = document.getElementById('prompt-template-rules');
+        if (!list) return;
+
+        const templates = this.settings.promptTemplates || [];
+        const collectionSelect = document.getElementById('prompt-rule-collection');
+        if (collectionSelect) {
+            collectionSelect.textContent = '';
+            this.promptCollections.forEach(collection => {
+                const option = document.createElement('option');
+                option.value = collection.id;
+                option.textContent = collection.name;
+                collectionSelect.appendChild(option);
+            });
+        }
+
+        list.textContent = '';
+        (this.settings.promptTemplateRules || []).forEach((rule, index) => {
+            const row = document.createElement('li');
+            row.className = 'prompt-template-rule';
+
+            const collection = this.promptCollections.find(item => item.id === rule.value);
+            const target = document.createElement('span');
+            target.className = 'prompt-template-rule-target';
+            target.textContent = rule.type === 'domain' ?
+                `Site: ${rule.value}` :
+                `Collection: ${collection ? collection.name : 'deleted collection'}`;
+
+            const template = document.createElement('span');
+            template.className = 'restore-point-meta';
+            template.textContent = (templates.find(item => item.id === rule.templateId) || { name: 'Built-in prompt' }).name;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-outline btn-small';
+            remove.dataset.ruleIndex = index;
+            remove.textContent = 'Remove';
+
+            row.append(target, template, remove);
+            list.appendChild(row);
+        });
+    }
+
+    async loadPromptCollections() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getCollections' });
+            this.promptCollections = response && response.success ? response.data : [];
+        } catch (error) {
+            console.error('Error loading collections for prompt templates:', error);
+            this.promptCollections = [];
+        }
+        this.renderPromptTemplateRules();
+    }
+
+    /**
+     * Show a template in the editor, or hide the editor for the built-in prompt
+     * 편집기에 템플릿 표시 (기본 프롬프트면 편집기 숨김)
+     */
+    editPromptTemplate(template) {
+        this.editingTemplate = template;
+        document.getElementById('prompt-template-editor')?.classList.toggle('hidden', !template);
+        if (template) {
+            this.setInputValue('prompt-template-name', template.name);
+            this.setInputValue('prompt-template-text', template.text);
+            this.validatePromptTemplateForm();
+        }
+        this.renderPromptTemplates();
+    }
+
+    readPromptTemplateForm() {
+        return {
+            name: document.getElementById('prompt-template-name')?.value.trim() || '',
+            text: document.getElementById('prompt-template-text')?.value || ''
+        };
+    }
+
+    /**
+     * Show the editor's problems, unknown variables included
+     * 편집기의 문제 표시 (알 수 없는 변수 포함)
+     * @returns {boolean} Whether the template can be saved
+     */
+    validatePromptTemplateForm() {
+        const { isValid, errors } = validatePromptTemplate(this.readPromptTemplateForm());
+        const list = document.getElementById('prompt-template-errors');
+        if (list) {
+            list.textContent = '';
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+        }
+        document.getElementById('save-prompt-template')?.toggleAttribute('disabled', !isValid);
+        return isValid;
+    }
+
+    async savePromptTemplate() {
+        if (!this.editingTemplate || !this.validatePromptTemplateForm()) return;
+
+        const template = {
+            id: this.editingTemplate.id || `tpl-${Date.now().toString(36)}`,
+            ...this.readPromptTemplateForm()
+        };
+        const templates = [...(this.settings.promptTemplates || [])];
+        const index = templates.findIndex(item => item.id === template.id);
+        if (index === -1) {
+            templates.push(template);
+        } else {
+            templates[index] = template;
+        }
+
+        this.settings.promptTemplates = templates;
+        this.editPromptTemplate(template);
+        await this.saveSettings();
+    }
+
+    /**
+     * Delete the edited template; the default and rules that used it go back to the built-in prompt
+     * 편집 중인 템플릿 삭제 (이를 쓰던 기본값과 규칙은 기본 프롬프트로 복귀)
+     */
+    async deletePromptTemplate() {
+        const id = this.editingTemplate?.id;
+        if (!id || !confirm(`Delete the template "${this.editingTemplate.name}"?`)) return;
+
+        this.settings.promptTemplates = (this.settings.promptTemplates || []).filter(item => item.id !== id);
+        if (this.settings.defaultPromptTemplateId === id) {
+            this.settings.defaultPromptTemplateId = '';
+        }
+        this.settings.promptTemplateRules = (this.settings.promptTemplateRules || [])
+            .map(rule => rule.templateId === id ? { ...rule, templateId: '' } : rule);
+
+        this.editPromptTemplate(null);
+        await this.saveSettings();
+    }
+
+    async addPromptTemplateRule() {
+        const type = document.getElementById('prompt-rule-type')?.value || 'domain';
+        const templateId = document.getElementById('prompt-rule-template')?.value || '';
+        let value;
+
+        if (type === 'domain') {
+            const input = document.getElementById('prompt-rule-domain');
+            const text = (input?.value || '').trim().toLowerCase();
+            try {
+                // Accept a pasted URL as well as a bare domain
+                value = new URL(text.includes('://') ? text : `https://${text}`).hostname.replace(/^www\./, '');
+            } catch (error) {
+                value = '';
+            }
+            if (!value || !value.includes('.')) {
+                this.showToast('Enter a site such as example.com', 'warning');
+                return;
+            }
+            if (input) input.value = '';
+        } else {
+            value = document.getElementById('prompt-rule-collection')?.value || '';
+            if (!value) {
+                this.showToast('Create a collection first', 'warning');
+                return;
+            }
+        }
+
+        // One rule per site or collection; adding again replaces it
+        const rules = (this.settings.promptTemplateRules || []).filter(rule => !(rule.type === type && rule.value === value));
+        this.settings.promptTemplateRules = [...rules, { type, value, templateId }];
+        this.renderPromptTemplateRules();
+        await this.saveSettings();
+    }
+
+    providerRequiresApiKey(provider = this.settings.apiProvider || 'openai') {
+        const instance = this.aiProviders[provider];
+        return instance ? instance.requiresApiKey() : true;
+    }
+
+    providerAcceptsApiKey(provider = this.settings.apiProvider || 'openai') {
+        const instance = this.aiProviders[provider];
+        return instance ? instance.acceptsApiKey() : true;
+    }
+
+    getProviderConfig(provider = this.settings.apiProvider || 'openai') {
+        return (this.settings.providerConfigs || {})[provider] || {};
+    }
+
+    /**
+     * Set one config field of a provider (the selected one by default) and save; empty values go back to the default
+     * 제공업체(기본값은 선택한 제공업체)의 구성 필드 하나를 설정하고 저장 (빈 값은 기본값으로 복귀)
+     */
+    async updateProviderConfig(field, value, provider = this.settings.apiProvider || 'openai') {
+        const config = { ...this.getProviderConfig(provider) };
+        if (value === '' || value === null || Number.isNaN(value)) {
+            delete config[field];
+        } else {
+            config[field] = value;
+        }
+        this.settings.providerConfigs = { ...this.settings.providerConfigs, [provider]: config };
+
+        try {
+            await this.saveSettings();
+        } catch (error) {
+            console.error('Failed to save provider settings:', error);
+        }
+    }
+
+    /**
+     * Show the selected provider's config, with its defaults as placeholders
+     * 선택한 제공업체의 구성 표시 (기본값은 자리 표시자로)
+     */
+    renderProviderConfig() {
+        const provider = this.settings.apiProvider || 'openai';
+        const config = this.getProviderConfig(provider);
+        const defaults = this.aiProviders[provider];
+
+        const baseUrl = document.getElementById('ai-base-url');
+        if (baseUrl) {
+            baseUrl.value = config.baseUrl || '';
+            baseUrl.placeholder = defaults ? defaults.baseUrl : '';
+        }
+        this.setInputValue('ai-max-tokens', config.maxTokens);
+        this.setInputValue('ai-context-tokens', config.contextTokens);
+
+        const contextTokens = document.getElementById('ai-context-tokens');
+        if (contextTokens) {
+            contextTokens.placeholder = defaults ? String(defaults.contextTokens) : '';
+        }
+
+        const temperature = document.getElementById('ai-temperature');
+        if (temperature) {
+            temperature.value = typeof config.temperature === 'number' ? config.temperature : '';
+        }
+
+        // Local providers take no key; custom endpoints take an optional one
+        document.getElementById('api-key-group')?.classList.toggle('hidden', !this.providerAcceptsApiKey(provider));
+
+        // Custom endpoints also take a free-form model name and extra headers
+        const isCustom = provider === 'custom';
+        document.getElementById('ai-model-name-group')?.classList.toggle('hidden', !isCustom);
+        document.getElementById('ai-headers-group')?.classList.toggle('hidden', !isCustom);
+        this.setInputValue('ai-model-name', isCustom ? config.model : '');
+        this.setTextareaValue('ai-headers', isCustom ? formatHeaderLines(config.headers) : '');
+
+        // A custom endpoint is unusable until its base URL is set
+        const advanced = document.querySelector('.provider-advanced');
+        if (advanced && isCustom && !config.baseUrl) {
+            advanced.open = true;
+        }
+
+        this.renderModelOptions([]);
+    }
+
+    /**
+     * Fill the model dropdown; the saved model stays listed even when the provider no longer offers it
+     * 모델 드롭다운 채우기 (저장된 모델은 목록에 없어도 유지)
+     */
+    renderModelOptions(models) {
+        const select = document.getElementById('ai-model');
+        if (!select) return;
+
+        const provider = this.settings.apiProvider || 'openai';
+        const selected = this.getProviderConfig(provider).model || '';
+        const defaultModel = this.aiProviders[provider]?.model;
+        const names = selected && !models.includes(selected) ? [selected, ...models] : models;
+        this.listedModels = models;
+
+        select.textContent = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = defaultModel ? `Default (${defaultModel})` : 'Default';
+        select.appendChild(defaultOption);
+
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Load the selected provider's models; the background answers from its cache when offline
+     * 선택한 제공업체의 모델 목록 불러오기 (오프라인이면 백그라운드 캐시 사용)
+     */
+    async loadModels({ refresh = false } = {}) {
+        const provider = this.settings.apiProvider || 'openai';
+        const statusElement = document.getElementById('model-list-status');
+        const setStatus = (text) => {
+            if (statusElement) statusElement.textContent = text;
+        };
+
+        if (this.providerRequiresApiKey(provider) && !this.apiKeyStatus?.configured) {
+            setStatus('Save an API key to load the model list.');
+            return;
+        }
+        if (provider === 'custom' && !this.getProviderConfig(provider).baseUrl) {
+            setStatus('Set the base URL to load the model list.');
+            return;
+        }
+
+        setStatus('Loading models...');
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listModels', data: { provider, refresh } });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to load models');
+            }
+            // The provider may have been switched while the list loaded
+            if (provider !== (this.settings.apiProvider || 'openai')) return;
+
+            const { models, fetchedAt, error } = response.data;
+            this.renderModelOptions(models);
+            const listedAt = new Date(fetchedAt).toLocaleString();
+            setStatus(error ?
+                `Could not reach the provider; showing the list from ${listedAt}.` :
+                `${models.length} models, listed ${listedAt}.`);
+        } catch (error) {
+            console.error('Error loading models:', error);
+            if (provider === (this.settings.apiProvider || 'openai')) {
+                setStatus(`Could not load models: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Show the semantic search provider and its embedding model, with the default as placeholder
+     * 의미 검색 제공업체와 임베딩 모델 표시 (기본값은 자리 표시자로)
+     */
+    renderEmbeddingSettings() {
+        const provider = this.settings.embeddingProvider || '';
+        this.setSelectValue('embedding-provider', provider);
+        document.getElementById('embedding-model-group')?.classList.toggle('hidden', !provider);
+        document.getElementById('embedding-index-group')?.classList.toggle('hidden', !provider);
+
+        const model = document.getElementById('embedding-model');
+        if (model) {
+            model.value = provider ? this.getProviderConfig(provider).embeddingModel || '' : '';
+            model.placeholder = provider ? this.aiProviders[provider]?.embeddingModel || 'e.g. text-embedding-3-small' : '';
+        }
+    }
+
+    /**
+     * Show how many pages have a vector from the current embedding model
+     * 현재 임베딩 모델의 벡터가 있는 페이지 수 표시
+     */
+    async loadEmbeddingStatus() {
+        const status = document.getElementById('embedding-status');
+        if (!status) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getEmbeddingStatus' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to load status');
+            }
+
+            const { enabled, model, embedded, total } = response.data;
+            status.textContent = enabled ?
+                `${embedded} of ${total} pages indexed${model ? ` with ${model}` : ''}` : '';
+        } catch (error) {
+            console.error('Error loading semantic search status:', error);
+            status.textContent = '';
+        }
+    }
+
+    /**
+     * Embed every page that has no vector from the current model yet
+     * 현재 모델의 벡터가 아직 없는 모든 페이지 임베딩
+     */
+    async buildEmbeddings() {
+        const button = document.getElementById('build-embeddings');
+        const status = document.getElementById('embedding-status');
+        if (button) button.disabled = true;
+        if (status) status.textContent = 'Indexing pages...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'buildEmbeddings' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Indexing failed');
+            }
+
+            const { embedded, failed, error } = response.data;
+            if (failed > 0) {
+                this.showToast(`Indexed ${embedded} pages; ${failed} failed: ${error}`, 'warning');
+            } else {
+                this.showToast(embedded > 0 ? `Indexed ${embedded} pages` : 'All pages are already indexed', 'success');
+            }
+        } catch (error) {
+            console.error('Error indexing pages for semantic search:', error);
+            this.showToast(`Indexing failed: ${error.message}`, 'error');
+        } finally {
+            if (button) button.disabled = false;
+            this.loadEmbeddingStatus();
+        }
+    }
+
+    // UI Update Methods
+    updateUI() {
+        // General settings
+        this.setCheckboxValue('auto-save', this.settings.autoSave);
+        this.setCheckboxValue('show-notifications', this.settings.showNotifications);
+        this.setSelectValue('default-view', this.settings.defaultView || 'list');
+        this.setCheckboxValue('enable-shortcuts', this.settings.enableShortcuts);
+        this.setSelectValue('interface-language', this.settings.interfaceLanguage || 'en');
+
+        // AI settings
+        this.setCheckboxValue('enable-ai-summary', this.settings.enableAISummary);
+        this.setSelectValue('ai-provider', this.settings.apiProvider || 'openai');
+        this.setCheckboxValue('ai-fallback', this.settings.aiFallback !== false);
+        this.renderProviderConfig();
+        this.renderEmbeddingSettings();
+        this.setCheckboxValue('weekly-digest', this.settings.weeklyDigest);
+        this.setSelectValue('digest-group-by', this.settings.digestGroupBy || 'tag');
+        this.setRangeValue('summary-length', this.settings.summaryLength || 200);
+        this.setRadioValue('summary-style', this.settings.summaryStyle || 'concise');
+        this.setSelectValue('summary-language', this.settings.summaryLanguage || 'auto');
+        this.renderPromptTemplates();
+        this.setRangeValue('min-content-length', this.settings.minContentLength || 500);
+        this.setCheckboxValue('extract-images', this.settings.extractImages);
+        this.setCheckboxValue('extract-links', this.settings.extractLinks);
+
+        // Storage settings
+        this.setInputValue('max-pages', this.settings.maxStorageItems || 1000);
+        this.setSelectValue('auto-cleanup', this.settings.autoCleanupDays === 0 ? 'never' : this.settings.autoCleanupDays?.toString() || 'never');
+        this.setRangeValue('thumbnail-quality', this.settings.thumbnailQuality || 0.8);
+        this.setSelectValue('thumbnail-size', this.settings.thumbnailSize || 'medium');
+        this.setCheckboxValue('capture-full-page', this.settings.captureFullPage);
+        this.setCheckboxValue('archive-pages', this.settings.archivePages);
+        this.setInputValue('markdown-filename-template', this.settings.markdownFilenameTemplate || DEFAULT_MARKDOWN_FILENAME_TEMPLATE);
+        this.updateMarkdownFilenamePreview();
+        this.setCheckboxValue('suggest-tags', this.settings.suggestTags !== false);
+
+        // Privacy settings
+        this.setCheckboxValue('encrypt-data', this.settings.encryptData);
+        this.setCheckboxValue('incognito-mode', this.settings.incognitoMode);
+        this.setCheckboxValue('analytics-opt-out', this.settings.analyticsOptOut);
+        this.setTextareaValue('blocked-domains', this.settings.blockedDomains?.join('\n') || '');
+        this.setCheckboxValue('filter-adult-content', this.settings.filterAdultContent);
+        this.setCheckboxValue('require-https', this.settings.requireHttps);
+
+        // Advanced settings
+        this.setInputValue('concurrent-saves', this.settings.concurrentSaves || 3);
+        this.setSelectValue('cache-duration', this.settings.cacheDuration?.toString() || '1800');
+        this.setCheckboxValue('preload-content', this.settings.preloadContent);
+        this.setCheckboxValue('debug-mode', this.settings.debugMode);
+        this.setCheckboxValue('experimental-features', this.settings.experimentalFeatures);
+        this.setCheckboxValue('auto-backup', this.settings.autoBackup);
+        this.setSelectValue('backup-frequency', this.settings.backupFrequency || 'weekly');
+        this.setInputValue('backup-retention', this.settings.backupRetention || 10);
+
+        // Update range value displays
+        this.updateRangeValue('summary-length-value', (this.settings.summaryLength || 200) + ' chars');
+        this.updateRangeValue('min-content-value', (this.settings.minContentLength || 500) + ' words');
+        this.updateRangeValue('thumbnail-quality-value', Math.round((this.settings.thumbnailQuality || 0.8) * 100) + '%');
+
+        // Toggle AI settings visibility
+        console.log('Initial AI settings state:', this.settings.enableAISummary);
+        this.toggleAISettings(this.settings.enableAISummary);
+
+        // Update provider info
+        this.updateProviderInfo(this.settings.apiProvider || 'openai');
+        this.updateAPIKeyHelp(this.settings.apiProvider || 'openai');
+
+        // Show the saved API key status and the provider's models
+        this.renderAPIKeyStatus();
+        this.loadModels();
+
+        // Apply current language
+        this.applyLanguage(this.settings.interfaceLanguage || 'en');
+    }
+
+    /**
+     * Apply language to the interface
+     * 인터페이스에 언어 적용
+     */
+    async applyLanguage(languageCode) {
+        try {
+            // Set the language in chrome.i18n
+            if (chrome.i18n) {
+                // Update the document language
+                document.documentElement.lang = languageCode;
+                
+                // Apply translations to elements with data-i18n attribute
+                const elements = document.querySelectorAll('[data-i18n]');
+                elements.forEach(element => {
+                    const key = element.getAttribute('data-i18n');
+                    const translation = chrome.i18n.getMessage(key);
+                    if (translation) {
+                        if (element.tagName === 'INPUT' && element.type === 'placeholder') {
                             element.placeholder = translation;
                         } else {
                             element.textContent = translation;
@@ -847,7 +1818,7 @@ class OptionsManager {
             });
 
             if (response && response.success) {
-                const { pageCount, storageUsed, storageQuota } = response.data;
+                const { pageCount, storageUsed, storageQuota, archiveCount, archiveSize } = response.data;
                 
                 // Update storage usage display
                 const usageElement = document.querySelector('.usage-text');
@@ -863,6 +1834,13 @@ class OptionsManager {
                     const percentage = Math.min((storageUsed / storageQuota) * 100, 100);
                     usageFill.style.width = `${percentage}%`;
                 }
+
+                // Offline copies are stored outside the quota above
+                const archiveUsage = document.getElementById('archive-usage');
+                if (archiveUsage) {
+                    archiveUsage.textContent = archiveCount ?
+                        `${archiveCount} offline ${archiveCount === 1 ? 'copy' : 'copies'} stored (${formatBytes(archiveSize)})` : '';
+                }
             }
         } catch (error) {
             console.error('Error loading storage info:', error);
@@ -870,23 +1848,20 @@ class OptionsManager {
     }
 
     async exportData() {
+        const options = await this.showExportOptions();
+        if (!options) return;
+
         try {
             const response = await chrome.runtime.sendMessage({
-                action: 'exportData'
+                action: 'exportData',
+                data: { includeSecrets: options.includeSecrets }
             });
 
             if (response && response.success) {
-                const dataStr = JSON.stringify(response.data, null, 2);
-                const blob = new Blob([dataStr], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `pagepouch-backup-${new Date().toISOString().split('T')[0]}.json`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
+                await this.writeExportFile(response.data, `pagepouch-backup-${new Date().toISOString().split('T')[0]}.json`, {
+                    passphrase: options.passphrase,
+                    content: 'backup'
+                });
                 
                 this.showToast('Data exported successfully!', 'success');
             } else {
@@ -898,6 +1873,97 @@ class OptionsManager {
         }
     }
 
+    /**
+     * Ask whether to encrypt an export and whether plain files keep API keys
+     * 내보내기 암호화 여부와 일반 파일에 API 키 포함 여부 확인
+     * @param {Object} options - { secrets: false } for exports that never carry API keys
+     * @returns {Promise<{passphrase: string|null, includeSecrets: boolean}|null>} null when cancelled
+     */
+    showExportOptions({ secrets = true } = {}) {
+        const modal = document.getElementById('export-options-modal');
+        if (!modal) return Promise.resolve(null);
+
+        const encrypt = document.getElementById('export-encrypt');
+        const passphrase = document.getElementById('export-passphrase');
+        const repeat = document.getElementById('export-passphrase-confirm');
+        const hint = document.getElementById('export-passphrase-hint');
+        const includeSecrets = document.getElementById('export-include-secrets');
+        const confirmButton = modal.querySelector('.modal-confirm');
+
+        document.getElementById('export-encrypt-description').textContent = secrets ?
+            'Encrypted files include your API keys. The passphrase cannot be recovered if you forget it.' :
+            'API keys are never included. The passphrase cannot be recovered if you forget it.';
+        encrypt.checked = false;
+        passphrase.value = '';
+        repeat.value = '';
+        includeSecrets.checked = false;
+
+        const updateState = () => {
+            document.getElementById('export-passphrase-group').classList.toggle('hidden', !encrypt.checked);
+            document.getElementById('export-secrets-group').classList.toggle('hidden', !secrets || encrypt.checked);
+
+            let problem = '';
+            if (passphrase.value.length < MIN_EXPORT_PASSPHRASE_LENGTH) {
+                problem = `Use at least ${MIN_EXPORT_PASSPHRASE_LENGTH} characters.`;
+            } else if (passphrase.value !== repeat.value) {
+                problem = 'The passphrases do not match.';
+            }
+            hint.textContent = problem;
+            confirmButton.disabled = encrypt.checked && problem !== '';
+        };
+        modal.oninput = updateState;
+        modal.onchange = updateState;
+        updateState();
+
+        return this.waitForModal(modal, () => ({
+            passphrase: encrypt.checked ? passphrase.value : null,
+            includeSecrets: secrets && (encrypt.checked || includeSecrets.checked)
+        }));
+    }
+
+    /**
+     * Download export data as JSON, encrypted when a passphrase is given
+     * 내보내기 데이터를 JSON으로 다운로드 (암호문구가 있으면 암호화)
+     */
+    async writeExportFile(data, filename, { passphrase = null, content = 'backup' } = {}) {
+        const output = passphrase ? await encryptExport(data, passphrase, { content }) : data;
+        this.downloadFile(JSON.stringify(output, null, 2), filename, 'application/json');
+    }
+
+    /**
+     * Parse an exported JSON file, asking for the passphrase if it is encrypted
+     * 내보낸 JSON 파일 파싱 (암호화된 경우 암호문구 요청)
+     * @returns {Promise<Object|null>} File contents, or null when cancelled
+     */
+    async readExportFile(text) {
+        const data = JSON.parse(text);
+        if (!isEncryptedExport(data)) {
+            return data;
+        }
+
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('import-passphrase');
+        const errorText = document.getElementById('passphrase-error');
+        if (!modal || !input) return null;
+
+        errorText.classList.add('hidden');
+        for (;;) {
+            input.value = '';
+            setTimeout(() => input.focus(), 0);
+            const passphrase = await this.waitForModal(modal, () => input.value);
+            if (passphrase === null) return null;
+
+            try {
+                return await decryptExport(data, passphrase);
+            } catch (error) {
+                // Ask again only when the passphrase may be what's wrong
+                if (error.message !== 'Wrong passphrase or damaged file') throw error;
+                errorText.textContent = 'That passphrase did not work. Try again.';
+                errorText.classList.remove('hidden');
+            }
+        }
+    }
+
     async importData() {
         const input = document.createElement('input');
         input.type = 'file';
@@ -909,7 +1975,8 @@ class OptionsManager {
             
             try {
                 const text = await file.text();
-                const data = JSON.parse(text);
+                const data = await this.readExportFile(text);
+                if (!data) return;
                 
                 const response = await chrome.runtime.sendMessage({
                     action: 'importData',
@@ -919,6 +1986,7 @@ class OptionsManager {
                 if (response && response.success) {
                     this.showToast('Data imported successfully!', 'success');
                     this.loadStorageInfo();
+                    this.loadTags();
                 } else {
                     throw new Error(response?.error || 'Import failed');
                 }
@@ -931,6 +1999,306 @@ class OptionsManager {
         input.click();
     }
 
+    /**
+     * Show the file name the Markdown export would use for a sample page
+     * 샘플 페이지에 대해 마크다운 내보내기가 사용할 파일 이름 표시
+     */
+    updateMarkdownFilenamePreview() {
+        const preview = document.getElementById('markdown-filename-preview');
+        if (!preview) return;
+
+        const sample = {
+            id: 'lq2x7k9ab',
+            title: 'How to build a Chrome extension',
+            domain: 'developer.chrome.com',
+            savedAt: Date.now()
+        };
+        preview.textContent = `Example: ${renderMarkdownFilename(this.settings.markdownFilenameTemplate, sample)}.md`;
+    }
+
+    async exportBookmarks() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportBookmarks'
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+
+            this.downloadFile(
+                response.data.html,
+                `pagepouch-bookmarks-${new Date().toISOString().split('T')[0]}.html`,
+                'text/html'
+            );
+            this.showToast(`Exported ${response.data.count} bookmarks`, 'success');
+        } catch (error) {
+            console.error('Error exporting bookmarks:', error);
+            this.showToast('Failed to export bookmarks', 'error');
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import pages from another app's file after showing a preview
+     * 미리보기를 보여준 뒤 다른 앱의 파일에서 페이지 가져오기
+     *
+     * Unlike importData this adds to the saved pages instead of replacing everything.
+     * `prepare` may ask for more input (e.g. a CSV column mapping) and returns
+     * extra request data, or null to cancel.
+     */
+    importPages(format, accept, prepare = null) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const extra = prepare ? await prepare(text) : {};
+                if (!extra) return;
+
+                // Dry run: every row is parsed, validated and checked for duplicates
+                const preview = await chrome.runtime.sendMessage({
+                    action: 'previewImport',
+                    data: { format, text, ...extra }
+                });
+                if (!preview || !preview.success) {
+                    throw new Error(preview?.error || 'Could not read the file');
+                }
+
+                const duplicateAction = await this.showImportPreview(preview.data);
+                if (!duplicateAction) return;
+
+                const response = await chrome.runtime.sendMessage({
+                    action: 'importPages',
+                    data: { format, text, ...extra, duplicateAction }
+                });
+                if (!response || !response.success) {
+                    throw new Error(response?.error || 'Import failed');
+                }
+
+                const { imported, merged } = response.data;
+                this.showToast(
+                    merged > 0 ? `Imported ${imported} pages, merged ${merged}` : `Imported ${imported} pages`,
+                    'success'
+                );
+                this.loadStorageInfo();
+                this.loadTags();
+            } catch (error) {
+                console.error('Error importing pages:', error);
+                this.showToast(`Failed to import: ${error.message}`, 'error');
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Show new, duplicate and invalid counts; resolves the duplicate action, or null when cancelled
+     * 새 페이지, 중복, 잘못된 행 개수 표시 (중복 처리 방식 반환, 취소 시 null)
+     */
+    showImportPreview(preview) {
+        const modal = document.getElementById('import-preview-modal');
+        if (!modal) return Promise.resolve(null);
+
+        const confirmButton = modal.querySelector('.modal-confirm');
+        const duplicateSelect = document.getElementById('import-duplicate-action');
+        const invalidList = document.getElementById('import-invalid-list');
+
+        document.getElementById('import-new-count').textContent = preview.newCount;
+        document.getElementById('import-duplicate-count').textContent = preview.duplicateCount;
+        document.getElementById('import-invalid-count').textContent = preview.invalidCount;
+        document.getElementById('import-duplicate-group').classList.toggle('hidden', preview.duplicateCount === 0);
+        document.getElementById('import-invalid').classList.toggle('hidden', preview.invalidCount === 0);
+        duplicateSelect.value = 'skip';
+
+        invalidList.innerHTML = '';
+        preview.invalid.forEach(row => {
+            const item = document.createElement('li');
+            item.textContent = `#${row.line} ${row.url || '(no URL)'} — ${row.errors.join(', ')}`;
+            invalidList.appendChild(item);
+        });
+        if (preview.invalidCount > preview.invalid.length) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${preview.invalidCount - preview.invalid.length} more`;
+            invalidList.appendChild(more);
+        }
+
+        confirmButton.disabled = preview.newCount === 0 && preview.duplicateCount === 0;
+
+        return this.waitForModal(modal, () => duplicateSelect.value);
+    }
+
+    /**
+     * Show a modal until it is confirmed or cancelled
+     * 확인 또는 취소될 때까지 모달 표시
+     * @returns {Promise} getResult() on confirm, null on cancel
+     */
+    waitForModal(modal, getResult) {
+        return new Promise((resolve) => {
+            const confirmButton = modal.querySelector('.modal-confirm');
+            modal.classList.remove('hidden');
+
+            const finish = (result) => {
+                modal.classList.add('hidden');
+                confirmButton.removeEventListener('click', handleConfirm);
+                modal.removeEventListener('click', handleCancel);
+                resolve(result);
+            };
+            const handleConfirm = () => finish(getResult());
+            const handleCancel = (e) => {
+                if (e.target.classList.contains('modal-cancel') ||
+                    e.target.classList.contains('modal-backdrop') ||
+                    e.target.classList.contains('modal-close')) {
+                    finish(null);
+                }
+            };
+
+            confirmButton.addEventListener('click', handleConfirm);
+            modal.addEventListener('click', handleCancel);
+        });
+    }
+
+    /**
+     * Let the user pick the CSV export columns
+     * CSV 내보내기 열 선택
+     * @returns {Promise<string[]|null>} Column ids, or null when cancelled
+     */
+    showCsvColumnPicker() {
+        const modal = document.getElementById('csv-export-modal');
+        const list = document.getElementById('csv-columns');
+        if (!modal || !list) return Promise.resolve(null);
+
+        // Keep the previous choice while the page is open
+        const selected = this.csvExportColumns || PAGE_CSV_COLUMNS.map(column => column.id);
+        list.innerHTML = '';
+        PAGE_CSV_COLUMNS.forEach(column => {
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'setting-checkbox';
+            checkbox.value = column.id;
+            checkbox.checked = selected.includes(column.id);
+            const text = document.createElement('span');
+            text.className = 'setting-text';
+            text.textContent = column.label;
+            label.append(checkbox, text);
+            list.appendChild(label);
+        });
+
+        const confirmButton = modal.querySelector('.modal-confirm');
+        const getChecked = () => Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+        const updateButton = () => {
+            confirmButton.disabled = getChecked().length === 0;
+        };
+        list.onchange = updateButton;
+        updateButton();
+
+        return this.waitForModal(modal, getChecked);
+    }
+
+    async exportCsv() {
+        const columns = await this.showCsvColumnPicker();
+        if (!columns) return;
+        this.csvExportColumns = columns;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'exportCsv',
+                data: { columns }
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+
+            this.downloadFile(
+                response.data.csv,
+                `pagepouch-pages-${new Date().toISOString().split('T')[0]}.csv`,
+                'text/csv'
+            );
+            this.showToast(`Exported ${response.data.count} pages`, 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            this.showToast('Failed to export CSV', 'error');
+        }
+    }
+
+    /**
+     * Ask which CSV column holds each page field, guessing from the header
+     * 각 페이지 필드가 어느 CSV 열에 있는지 묻기 (헤더로 추측)
+     * @returns {Promise<Object|null>} { mapping }, or null when cancelled
+     */
+    showCsvMapping(text) {
+        const [header, sample] = parseCsv(text);
+        if (!header) {
+            throw new Error('The file is empty');
+        }
+
+        const modal = document.getElementById('csv-mapping-modal');
+        const fieldList = document.getElementById('csv-mapping-fields');
+        if (!modal || !fieldList) return Promise.resolve(null);
+
+        const guessed = guessCsvMapping(header.values);
+        fieldList.innerHTML = '';
+        CSV_IMPORT_FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'setting-group';
+
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            label.htmlFor = `csv-map-${field.id}`;
+            label.textContent = field.required ? `${field.label} (required)` : field.label;
+
+            const select = document.createElement('select');
+            select.id = `csv-map-${field.id}`;
+            select.className = 'setting-select';
+            select.dataset.field = field.id;
+            select.add(new Option('— Not imported —', ''));
+            header.values.forEach((name, index) => {
+                const example = sample?.values[index] ? ` (e.g. ${sample.values[index].slice(0, 40)})` : '';
+                select.add(new Option(`${name || `Column ${index + 1}`}${example}`, String(index)));
+            });
+            select.value = guessed[field.id] === null ? '' : String(guessed[field.id]);
+
+            group.append(label, select);
+            fieldList.appendChild(group);
+        });
+
+        const confirmButton = modal.querySelector('.modal-confirm');
+        const getMapping = () => {
+            const mapping = {};
+            fieldList.querySelectorAll('select').forEach(select => {
+                mapping[select.dataset.field] = select.value === '' ? null : parseInt(select.value, 10);
+            });
+            return mapping;
+        };
+        const updateButton = () => {
+            confirmButton.disabled = getMapping().url === null;
+        };
+        fieldList.onchange = updateButton;
+        updateButton();
+
+        return this.waitForModal(modal, () => ({ mapping: getMapping() }));
+    }
+
     async clearCache() {
         if (!confirm('Are you sure you want to clear the cache? This will not delete your saved pages.')) {
             return;
@@ -971,6 +2339,7 @@ class OptionsManager {
             if (response && response.success) {
                 this.showToast('All data deleted successfully!', 'success');
                 this.loadStorageInfo();
+                this.loadTags();
             } else {
                 throw new Error(response?.error || 'Delete failed');
             }
@@ -980,6 +2349,189 @@ class OptionsManager {
         }
     }
 
+    // Tag Management
+    async sendTagRequest(action, data) {
+        const response = await chrome.runtime.sendMessage({ action, data });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Tag request failed');
+        }
+        return response.data;
+    }
+
+    async loadTags() {
+        try {
+            this.tags = await this.sendTagRequest('getTags');
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            this.tags = [];
+        }
+        this.renderTags();
+        this.renderMergeOptions();
+    }
+
+    renderTags() {
+        const tagList = document.getElementById('tag-list');
+        if (!tagList) return;
+
+        const tags = this.tags || [];
+        const filter = normalizeTag(document.getElementById('tag-filter')?.value || '');
+
+        const total = document.getElementById('tag-total');
+        if (total) {
+            total.textContent = `${tags.length} ${tags.length === 1 ? 'tag' : 'tags'}`;
+        }
+        document.getElementById('tag-empty')?.classList.toggle('hidden', tags.length > 0);
+
+        // Rows keep their index into this.tags so tag text never goes into attributes
+        tagList.innerHTML = tags
+            .map((item, index) => ({ ...item, index }))
+            .filter(item => !filter || item.tag.includes(filter))
+            .map(item => `
+                <li class="tag-row" data-tag-index="${item.index}">
+                    <span class="tag-name">#${escapeHtml(item.tag)}</span>
+                    <span class="tag-count">${item.count} ${item.count === 1 ? 'page' : 'pages'}</span>
+                    <div class="tag-actions">
+                        <button class="btn btn-outline btn-small" data-tag-action="rename">Rename</button>
+                        <button class="btn btn-danger btn-small" data-tag-action="delete">Delete</button>
+                    </div>
+                </li>
+            `).join('');
+    }
+
+    renderMergeOptions() {
+        const tags = this.tags || [];
+        ['merge-source', 'merge-target'].forEach((id, selectIndex) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            select.innerHTML = '';
+            tags.forEach(item => {
+                select.appendChild(new Option(`${item.tag} (${item.count})`, item.tag));
+            });
+            // Start with two different tags selected
+            select.selectedIndex = Math.min(selectIndex, tags.length - 1);
+        });
+
+        const mergeButton = document.getElementById('merge-tags');
+        if (mergeButton) {
+            mergeButton.disabled = tags.length < 2;
+        }
+    }
+
+    startTagRename(row, tag) {
+        const nameElement = row.querySelector('.tag-name');
+        if (!tag || !nameElement) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'setting-input';
+        input.value = tag;
+        input.maxLength = 50;
+        input.setAttribute('aria-label', 'New tag name');
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save && normalizeTag(input.value) && normalizeTag(input.value) !== tag) {
+                this.renameTag(tag, input.value);
+            } else {
+                this.renderTags();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    async renameTag(tag, newName) {
+        const cleanName = normalizeTag(newName);
+        const existing = (this.tags || []).find(item => item.tag === cleanName);
+
+        // Renaming onto a tag that already exists merges the two
+        if (existing) {
+            const confirmed = await this.showConfirmModal(
+                'Merge Tags',
+                `"${cleanName}" already exists. Merge "${tag}" into it?`,
+                `Pages tagged "${tag}" will be tagged "${cleanName}" instead.`,
+                'Merge',
+                'primary'
+            );
+            if (!confirmed) {
+                this.renderTags();
+                return;
+            }
+        }
+
+        try {
+            const result = await this.sendTagRequest('renameTag', { tag, newName: cleanName });
+            this.showToast(`Renamed "${tag}" to "${result.tag}" on ${result.updatedCount} pages`, 'success');
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            this.showToast(`Failed to rename tag: ${error.message}`, 'error');
+        }
+        await this.loadTags();
+    }
+
+    async mergeTags(source, target) {
+        if (!source || !target || source === target) {
+            this.showToast('Choose two different tags to merge', 'warning');
+            return;
+        }
+
+        const sourceCount = (this.tags || []).find(item => item.tag === source)?.count || 0;
+        const confirmed = await this.showConfirmModal(
+            'Merge Tags',
+            `Merge "${source}" into "${target}"?`,
+            `${sourceCount} ${sourceCount === 1 ? 'page' : 'pages'} will be tagged "${target}" instead of "${source}".`,
+            'Merge',
+            'primary'
+        );
+        if (!confirmed) return;
+
+        try {
+            const result = await this.sendTagRequest('mergeTags', { sourceTags: [source], targetTag: target });
+            this.showToast(`Merged "${source}" into "${result.tag}" on ${result.updatedCount} pages`, 'success');
+        } catch (error) {
+            console.error('Error merging tags:', error);
+            this.showToast(`Failed to merge tags: ${error.message}`, 'error');
+        }
+        await this.loadTags();
+    }
+
+    async deleteTag(tag) {
+        if (!tag) return;
+
+        const count = (this.tags || []).find(item => item.tag === tag)?.count || 0;
+        const confirmed = await this.showConfirmModal(
+            'Delete Tag',
+            `Remove "${tag}" from all pages?`,
+            `The tag is removed from ${count} ${count === 1 ? 'page' : 'pages'}. The pages themselves are kept.`,
+            'Delete Tag',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            const result = await this.sendTagRequest('deleteTag', { tag });
+            this.showToast(`Removed "${tag}" from ${result.updatedCount} pages`, 'success');
+        } catch (error) {
+            console.error('Error deleting tag:', error);
+            this.showToast(`Failed to delete tag: ${error.message}`, 'error');
+        }
+        await this.loadTags();
+    }
+
     // Settings Management
     async saveSettings() {
         console.log('Saving settings:', this.settings);
@@ -1060,24 +2612,21 @@ class OptionsManager {
     }
 
     async exportSettings() {
+        // This page never holds the API key, so settings files go without it
+        const options = await this.showExportOptions({ secrets: false });
+        if (!options) return;
+
         try {
             const settingsData = {
-                settings: this.settings,
+                settings: stripSecretSettings(this.settings),
                 exportDate: new Date().toISOString(),
                 version: '1.0.0'
             };
 
-            const dataStr = JSON.stringify(settingsData, null, 2);
-            const blob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `pagepouch-settings-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            await this.writeExportFile(settingsData, `pagepouch-settings-${new Date().toISOString().split('T')[0]}.json`, {
+                passphrase: options.passphrase,
+                content: 'settings'
+            });
             
             this.showToast('Settings exported successfully!', 'success');
         } catch (error) {
@@ -1097,10 +2646,22 @@ class OptionsManager {
             
             try {
                 const text = await file.text();
-                const data = JSON.parse(text);
+                const data = await this.readExportFile(text);
+                if (!data) return;
                 
                 if (data.settings) {
-                    this.settings = { ...this.settings, ...data.settings };
+                    // Keys in the file go straight to the secret store
+                    const { apiKey, apiKeys, ...settings } = data.settings;
+                    const keys = { ...apiKeys };
+                    if (apiKey) {
+                        keys[settings.apiProvider || 'openai'] = apiKey;
+                    }
+                    for (const [provider, key] of Object.entries(keys)) {
+                        await chrome.runtime.sendMessage({ action: 'setApiKey', data: { provider, apiKey: key } });
+                    }
+                    
+                    this.settings = { ...this.settings, ...settings, apiKey: '' };
+                    await this.loadAPIKeyStatus();
                     this.updateUI();
                     this.showToast('Settings imported successfully!', 'success');
                 } else {
@@ -1151,13 +2712,186 @@ class OptionsManager {
         }
     }
 
+    // Backups and restore points
+    async loadRestorePoints() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getRestorePoints' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to load restore points');
+            }
+            this.restorePoints = response.data;
+        } catch (error) {
+            console.error('Error loading restore points:', error);
+            this.restorePoints = [];
+        }
+        this.renderRestorePoints();
+    }
+
+    renderRestorePoints() {
+        const list = document.getElementById('restore-points');
+        if (!list) return;
+
+        const points = this.restorePoints || [];
+        const reasons = { scheduled: 'Scheduled', manual: 'Manual', 'before-restore': 'Before restore' };
+        document.getElementById('restore-points-empty')?.classList.toggle('hidden', points.length > 0);
+
+        list.innerHTML = '';
+        points.forEach(point => {
+            const row = document.createElement('li');
+            row.className = 'restore-point';
+            row.dataset.pointId = point.id;
+
+            const date = document.createElement('span');
+            date.className = 'restore-point-date';
+            date.textContent = new Date(point.createdAt).toLocaleString();
+
+            const meta = document.createElement('span');
+            meta.className = 'restore-point-meta';
+            meta.textContent = `${reasons[point.reason] || point.reason} · ${point.pageCount} ${point.pageCount === 1 ? 'page' : 'pages'} · ${formatBytes(point.size)}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'tag-actions';
+            actions.innerHTML = `
+                <button class="btn btn-outline btn-small" data-restore-action="restore">Restore</button>
+                <button class="btn btn-danger btn-small" data-restore-action="delete">Delete</button>
+            `;
+
+            row.append(date, meta, actions);
+            list.appendChild(row);
+        });
+    }
+
     async createBackup() {
-        this.showToast('Creating backup...', 'info');
-        await this.exportData();
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'createBackup' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Backup failed');
+            }
+
+            this.showToast('Restore point created', 'success');
+            this.loadRestorePoints();
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.showToast(`Backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Preview a restore point against current data, then restore all or some pages
+     * 복원 지점을 현재 데이터와 비교해 미리 본 뒤 전체 또는 일부 페이지 복원
+     */
+    async restoreBackup(pointId) {
+        try {
+            const preview = await chrome.runtime.sendMessage({ action: 'previewRestore', data: { id: pointId } });
+            if (!preview || !preview.success) {
+                throw new Error(preview?.error || 'Could not read the restore point');
+            }
+
+            const choice = await this.showRestorePreview(preview.data);
+            if (!choice) return;
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'restoreBackup',
+                data: { id: pointId, pageIds: choice.pageIds }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Restore failed');
+            }
+
+            const { restored, removed } = response.data;
+            const removedText = removed > 0 ? `, removed ${removed}` : '';
+            this.showToast(`Restored ${restored} ${restored === 1 ? 'page' : 'pages'}${removedText}`, 'success');
+            this.loadStorageInfo();
+            this.loadTags();
+            this.loadRestorePoints();
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showToast(`Restore failed: ${error.message}`, 'error');
+        }
     }
 
-    async restoreBackup() {
-        await this.importData();
+    /**
+     * Show what a restore would change and let the user pick pages
+     * 복원으로 바뀌는 내용을 보여 주고 페이지 선택
+     * @returns {Promise<{pageIds: string[]|null}|null>} null pageIds restores everything; null when cancelled
+     */
+    showRestorePreview(preview) {
+        const modal = document.getElementById('restore-preview-modal');
+        const pageList = document.getElementById('restore-page-list');
+        const modeSelect = document.getElementById('restore-mode');
+        if (!modal || !pageList || !modeSelect) return Promise.resolve(null);
+
+        const { point, deleted, changed, added } = preview;
+        document.getElementById('restore-point-label').textContent =
+            `Restore point from ${new Date(point.createdAt).toLocaleString()} with ${point.pageCount} ${point.pageCount === 1 ? 'page' : 'pages'}.`;
+        document.getElementById('restore-deleted-count').textContent = deleted.length;
+        document.getElementById('restore-changed-count').textContent = changed.length;
+        document.getElementById('restore-added-count').textContent = added.length;
+        modeSelect.value = 'all';
+
+        // Only pages the point holds can be restored one by one
+        pageList.innerHTML = '';
+        [...deleted.map(page => ({ ...page, status: 'Deleted' })), ...changed.map(page => ({ ...page, status: 'Changed' }))]
+            .forEach(page => {
+                const item = document.createElement('li');
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = page.id;
+                checkbox.checked = true;
+
+                const title = document.createElement('span');
+                title.textContent = page.title || page.url;
+
+                const status = document.createElement('span');
+                status.className = 'restore-page-status';
+                status.textContent = page.status;
+
+                label.append(checkbox, title, status);
+                item.appendChild(label);
+                pageList.appendChild(item);
+            });
+
+        const confirmButton = modal.querySelector('.modal-confirm');
+        const getCheckedIds = () => [...pageList.querySelectorAll('input:checked')].map(input => input.value);
+        const updateState = () => {
+            const selective = modeSelect.value === 'selected';
+            pageList.querySelectorAll('input').forEach(input => {
+                input.disabled = !selective;
+            });
+            confirmButton.disabled = selective ?
+                getCheckedIds().length === 0 :
+                deleted.length + changed.length + added.length === 0;
+        };
+        modeSelect.onchange = updateState;
+        pageList.onchange = updateState;
+        updateState();
+
+        return this.waitForModal(modal, () => ({
+            pageIds: modeSelect.value === 'selected' ? getCheckedIds() : null
+        }));
+    }
+
+    async deleteRestorePoint(pointId) {
+        const confirmed = await this.showConfirmModal(
+            'Delete Restore Point',
+            'Delete this restore point?',
+            'Later restore points are kept and stay restorable.',
+            'Delete',
+            'danger'
+        );
+        if (!confirmed) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'deleteRestorePoint', data: { id: pointId } });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Delete failed');
+            }
+            this.loadRestorePoints();
+        } catch (error) {
+            console.error('Error deleting restore point:', error);
+            this.showToast('Failed to delete restore point', 'error');
+        }
     }
 
     // Modal and Toast Methods
@@ -1218,6 +2952,9 @@ class OptionsManager {
     closeModal() {
         const modals = document.querySelectorAll('.modal');
         modals.forEach(modal => modal.classList.add('hidden'));
+
+        // Closing the port stops a test summary that is still running
+        this.finishTestSummary();
     }
 
     showToast(message, type = 'info') {
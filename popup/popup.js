@@ -27,14 +27,25 @@ class PopupManager {
         this.maxSearchHistory = 10;
         this.searchSuggestions = [];
         this.isAdvancedSearch = false;
-        this.searchFilters = {
-            title: true,
-            summary: true,
-            url: true,
-            tags: false
-        };
         this.searchDebounceTimer = null;
         this.searchDebounceDelay = 300;
+        this.searchResults = null; // Full-text index hits for the current query
+        this.searchMode = 'keyword'; // 'keyword', or 'semantic' to also match pages by meaning
+        this.semanticResults = null; // Similarity of pages to the current query in semantic mode
+        this.relatedPages = new Map(); // Most similar pages, by page id
+        this.queryParser = new SearchQueryParser();
+        this.smartCollections = []; // Saved searches shown as filter tabs
+        this.collections = []; // Manual, nestable collections
+        this.currentCollection = null; // Collection shown in the page list, null for all pages
+        this.collectionResults = new Map(); // Full-text index hits per smart collection
+        this.streamingSummaries = new Map(); // Text so far of summaries being written, by page id
+        this.summaryProgress = new Map(); // Part progress of long page summaries, by page id
+        this.summaryProgressBars = new Map(); // Progress bar ids of those summaries, by page id
+        this.summaryPort = null;
+        this.chatPageId = null; // Page the question panel is open for
+        this.chatMessages = []; // Its stored conversation
+        this.chatPending = null; // Question being answered and the answer so far
+        this.chatPort = null;
         
         // UI elements cache
         this.elements = {};
@@ -60,6 +71,7 @@ class PopupManager {
             await this.loadSearchHistory();
             await this.loadDeletedPages();
             await this.loadPages();
+            await this.loadCollections();
             this.renderPages();
             this.updateStorageInfo();
         } catch (error) {
@@ -85,10 +97,28 @@ class PopupManager {
             // Search elements
             searchInput: document.getElementById('search-input'),
             clearSearchBtn: document.getElementById('clear-search'),
+            semanticToggle: document.getElementById('semantic-search-toggle'),
+            searchError: document.getElementById('search-error'),
             clearSearchEmpty: document.getElementById('clear-search-empty'),
             
             // Filter elements
             filterTabs: document.querySelectorAll('.filter-tab'),
+            filterTabsContainer: document.querySelector('.filter-tabs'),
+            collectionsToggle: document.getElementById('toggle-collections'),
+            selectModeToggle: document.getElementById('toggle-select-mode'),
+            
+            // Collection elements
+            collectionsSidebar: document.getElementById('collections-sidebar'),
+            collectionsTree: document.getElementById('collections-tree'),
+            newCollectionBtn: document.getElementById('new-collection'),
+            
+            // Selection elements
+            bulkActions: document.getElementById('bulk-actions'),
+            selectAllBtn: document.getElementById('select-all'),
+            clearSelectionBtn: document.getElementById('clear-selection'),
+            deleteSelectedBtn: document.getElementById('delete-selected'),
+            moveSelectedSelect: document.getElementById('move-selected'),
+            saveCollectionBtn: document.getElementById('save-smart-collection'),
             sortSelect: document.getElementById('sort-select'),
             
             // Content elements
@@ -102,13 +132,16 @@ class PopupManager {
             // Footer elements
             pageCount: document.getElementById('page-count'),
             storageInfo: document.getElementById('storage-info'),
+            digestBtn: document.getElementById('open-digest'),
             exportBtn: document.getElementById('export-pages'),
             deleteAllBtn: document.getElementById('delete-all'),
             
             // Interactive elements
             notificationToast: document.getElementById('notification-toast'),
             contextMenu: document.getElementById('context-menu'),
-            confirmationModal: document.getElementById('confirmation-modal')
+            knownTags: document.getElementById('known-tags'),
+            confirmationModal: document.getElementById('confirmation-modal'),
+            pageChat: document.getElementById('page-chat')
         };
     }
 
@@ -129,6 +162,13 @@ class PopupManager {
             // Apply view mode
             this.applyViewMode(this.currentView);
             
+            // Show smart collections in the filter bar
+            this.smartCollections = Array.isArray(this.settings.savedSearches) ? this.settings.savedSearches : [];
+            this.renderSmartCollections();
+            
+            this.searchMode = this.settings.searchMode === 'semantic' ? 'semantic' : 'keyword';
+            this.updateSemanticToggle();
+            
             console.log('Settings loaded:', this.settings);
             console.log('Current view:', this.currentView);
         } catch (error) {
@@ -162,6 +202,187 @@ class PopupManager {
                 this.handleSettingsChange(changes.settings.newValue);
             }
         });
+
+        // Pages live in IndexedDB, so background jobs announce their updates
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'PAGES_CHANGED') {
+                this.handlePagesChange(message.data?.pages);
+            }
+        });
+        
+        this.connectSummaryStream();
+    }
+
+    /**
+     * Follow summaries being written in the background
+     * 백그라운드에서 작성 중인 요약 구독
+     */
+    connectSummaryStream() {
+        try {
+            this.summaryPort = chrome.runtime.connect({ name: 'summary-stream' });
+        } catch (error) {
+            console.warn('Summary streaming unavailable:', error);
+            return;
+        }
+        
+        this.summaryPort.onMessage.addListener((message) => {
+            if (message.type === 'chunk') {
+                this.showStreamingSummary(message.pageId, message.text);
+            } else if (message.type === 'progress') {
+                this.showSummaryProgress(message.pageId, message);
+            }
+        });
+        
+        // The service worker restarted; finished summaries still arrive as PAGES_CHANGED
+        this.summaryPort.onDisconnect.addListener(() => {
+            this.summaryPort = null;
+        });
+        
+        this.summaryPort.postMessage({ type: 'subscribe' });
+    }
+
+    /**
+     * Show the text so far of a summary on its card
+     * 카드에 지금까지 작성된 요약 표시
+     */
+    showStreamingSummary(pageId, text) {
+        const page = this.pages.find(p => p.id === pageId);
+        if (!page || page.summaryMetadata?.method !== 'pending') return;
+        
+        this.streamingSummaries.set(pageId, text);
+        
+        const summaryElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${pageId}"] .page-summary`);
+        if (summaryElement) {
+            summaryElement.textContent = text;
+            summaryElement.title = text;
+            summaryElement.classList.add('streaming');
+        }
+    }
+
+    /**
+     * Show how far a long page summary has come on its card
+     * 카드에 긴 페이지 요약의 진행 상황 표시
+     * @param {Object} progress - { stage: 'parts'|'merge'|'final', done, total }
+     */
+    showSummaryProgress(pageId, progress) {
+        const page = this.pages.find(p => p.id === pageId);
+        if (!page || page.summaryMetadata?.method !== 'pending') return;
+        
+        this.summaryProgress.set(pageId, { stage: progress.stage, done: progress.done, total: progress.total });
+        
+        const pageElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${pageId}"]`);
+        if (pageElement) {
+            this.renderSummaryProgress(pageElement, pageId);
+        }
+    }
+
+    /**
+     * Draw or update the progress bar of a long page summary in its card
+     * 카드에 긴 페이지 요약의 진행 표시줄 그리기 또는 갱신
+     */
+    renderSummaryProgress(pageElement, pageId) {
+        const progress = this.summaryProgress.get(pageId);
+        const slot = pageElement.querySelector('.summary-progress');
+        if (!progress || !slot) return;
+        
+        const text = {
+            parts: `Summarizing part ${Math.min(progress.done + 1, progress.total)} of ${progress.total}`,
+            merge: 'Combining part summaries...',
+            final: 'Writing the summary...'
+        }[progress.stage] || 'Summarizing...';
+        const options = { value: progress.done, max: progress.total || 1, text };
+        
+        // A re-rendered card has a new slot, so the old bar is replaced
+        const progressId = this.summaryProgressBars.get(pageId);
+        if (progressId && slot.contains(document.getElementById(progressId))) {
+            updateProgress(progressId, options);
+            return;
+        }
+        if (progressId) {
+            hideLoading(progressId);
+        }
+        this.summaryProgressBars.set(pageId, showProgress(slot, options));
+    }
+
+    /**
+     * Remove the progress of a summary that finished
+     * 완료된 요약의 진행 표시 제거
+     */
+    clearSummaryProgress(pageId) {
+        const progressId = this.summaryProgressBars.get(pageId);
+        if (progressId) {
+            hideLoading(progressId);
+        }
+        this.summaryProgressBars.delete(pageId);
+        this.summaryProgress.delete(pageId);
+    }
+
+    /**
+     * Stop a summary that is still being written
+     * 작성 중인 요약 중지
+     */
+    cancelSummary(pageId) {
+        if (!this.summaryPort) {
+            this.showNotification('Could not reach the background to stop the summary', 'error');
+            return;
+        }
+        
+        this.summaryPort.postMessage({ type: 'cancel', pageId });
+    }
+
+    /**
+     * Refresh cards whose summary, offline copy, collections or tags were updated in the background
+     * 백그라운드에서 요약, 오프라인 사본, 컬렉션 또는 태그가 갱신된 카드 새로고침
+     */
+    handlePagesChange(newPages) {
+        if (!Array.isArray(newPages)) return;
+        
+        let membershipChanged = false;
+        newPages.forEach(updatedPage => {
+            const page = this.pages.find(p => p.id === updatedPage.id);
+            if (!page) return;
+            
+            const oldMethod = page.summaryMetadata?.method;
+            const newMethod = updatedPage.summaryMetadata?.method;
+            const oldArchive = page.archiveMetadata?.status;
+            const newArchive = updatedPage.archiveMetadata?.status;
+            const sameCollections = (page.collectionIds || []).join() === (updatedPage.collectionIds || []).join();
+            const sameTags = (page.tags || []).join() === (updatedPage.tags || []).join() &&
+                (page.tagSuggestions?.tags || []).join() === (updatedPage.tagSuggestions?.tags || []).join();
+            if (page.summary === updatedPage.summary && oldMethod === newMethod && oldArchive === newArchive && sameCollections && sameTags) return;
+            if (!sameCollections) membershipChanged = true;
+            
+            if (newMethod !== 'pending') {
+                this.streamingSummaries.delete(updatedPage.id);
+                this.clearSummaryProgress(updatedPage.id);
+            }
+            
+            const filteredPage = this.filteredPages.find(p => p.id === updatedPage.id);
+            [page, filteredPage].forEach(target => {
+                if (!target) return;
+                target.summary = updatedPage.summary;
+                target.summaryMetadata = updatedPage.summaryMetadata;
+                target.isArchived = updatedPage.isArchived;
+                target.archiveMetadata = updatedPage.archiveMetadata;
+                target.collectionIds = updatedPage.collectionIds || [];
+                target.tags = updatedPage.tags || [];
+                target.tagSuggestions = updatedPage.tagSuggestions || null;
+            });
+            
+            const pageElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${updatedPage.id}"]`);
+            if (pageElement) {
+                pageElement.replaceWith(this.createPageElement(filteredPage || page));
+            }
+        });
+        
+        this.updateSmartCollectionCounts();
+        
+        if (membershipChanged && this.currentCollection) {
+            this.applyFiltersAndSort();
+            this.renderPages();
+        } else if (membershipChanged) {
+            this.renderCollections();
+        }
     }
 
     /**
@@ -175,6 +396,27 @@ class PopupManager {
             this.applyViewMode(this.currentView);
             this.renderPages(); // Re-render to apply new view mode
         }
+        
+        // Smart collections edited elsewhere (another popup or a settings import)
+        const savedSearches = Array.isArray(newSettings?.savedSearches) ? newSettings.savedSearches : [];
+        if (JSON.stringify(savedSearches) !== JSON.stringify(this.smartCollections)) {
+            this.settings.savedSearches = savedSearches;
+            this.smartCollections = savedSearches;
+            this.renderSmartCollections();
+            if (!this.getSmartCollection(this.currentFilter) && this.currentFilter.startsWith('collection:')) {
+                this.handleFilterChange('all');
+            }
+            this.refreshCollectionResults();
+        }
+        
+        // Semantic search turned on or off, or moved to another model
+        const embeddingProvider = newSettings?.embeddingProvider || '';
+        if (this.settings && embeddingProvider !== (this.settings.embeddingProvider || '')) {
+            this.settings.embeddingProvider = embeddingProvider;
+            this.relatedPages.clear();
+            this.updateSemanticToggle();
+            this.renderPages();
+        }
     }
 
     /**
@@ -215,6 +457,10 @@ class PopupManager {
             this.clearSearch();
         });
         
+        this.elements.semanticToggle?.addEventListener('click', () => {
+            this.toggleSemanticSearch();
+        });
+        
         this.elements.clearSearchEmpty?.addEventListener('click', () => {
             this.clearSearch();
         });
@@ -226,11 +472,23 @@ class PopupManager {
             }
         });
         
-        // Filter tabs
-        this.elements.filterTabs?.forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                this.handleFilterChange(e.target.dataset.filter);
-            });
+        // Filter tabs, including smart collection tabs rendered later
+        this.elements.filterTabsContainer?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.collection-remove');
+            if (removeBtn) {
+                e.stopPropagation();
+                this.deleteSmartCollection(removeBtn.dataset.collectionId);
+                return;
+            }
+            
+            const tab = e.target.closest('.filter-tab');
+            if (tab?.dataset.filter) {
+                this.handleFilterChange(tab.dataset.filter);
+            }
+        });
+        
+        this.elements.saveCollectionBtn?.addEventListener('click', () => {
+            this.saveSmartCollection();
         });
         
         // Sort dropdown
@@ -238,6 +496,45 @@ class PopupManager {
             this.handleSortChange(e.target.value);
         });
         
+        // Collections sidebar
+        this.elements.collectionsToggle?.addEventListener('click', () => {
+            this.toggleCollectionsSidebar();
+        });
+        
+        this.elements.newCollectionBtn?.addEventListener('click', () => {
+            this.createCollection();
+        });
+        
+        this.bindCollectionTreeEvents();
+        
+        // Page selection and bulk actions
+        this.elements.selectModeToggle?.addEventListener('click', () => {
+            this.toggleDeleteMode();
+        });
+        
+        this.elements.selectAllBtn?.addEventListener('click', () => {
+            if (this.selectedPages.size === this.filteredPages.length) {
+                this.clearSelection();
+            } else {
+                this.selectAllPages();
+            }
+        });
+        
+        this.elements.clearSelectionBtn?.addEventListener('click', () => {
+            this.clearSelection();
+        });
+        
+        this.elements.deleteSelectedBtn?.addEventListener('click', async () => {
+            await this.deleteMultiplePages(Array.from(this.selectedPages));
+            this.clearSelection();
+        });
+        
+        this.elements.moveSelectedSelect?.addEventListener('change', (e) => {
+            const target = e.target.value;
+            e.target.value = '';
+            this.moveSelectedPages(target);
+        });
+        
         // View toggle buttons
         document.getElementById('grid-view-btn')?.addEventListener('click', () => {
             this.handleViewChange('grid');
@@ -253,6 +550,10 @@ class PopupManager {
         });
         
         // Footer actions
+        this.elements.digestBtn?.addEventListener('click', () => {
+            this.openDigest();
+        });
+        
         this.elements.exportBtn?.addEventListener('click', () => {
             this.exportPages();
         });
@@ -275,6 +576,7 @@ class PopupManager {
         
         // Modal events
         this.bindModalEvents();
+        this.bindPageChatEvents();
         
         // Toast events
         this.bindToastEvents();
@@ -372,8 +674,10 @@ class PopupManager {
 
             if (response.success) {
                 this.pages = response.data || [];
+                this.relatedPages.clear();
                 this.applyFiltersAndSort();
                 this.updatePageCount();
+                this.refreshCollectionResults();
             } else {
                 throw new Error(response.error || 'Failed to load pages');
             }
@@ -399,16 +703,15 @@ class PopupManager {
             filtered = this.performAdvancedSearch(filtered, this.searchQuery);
         }
         
-        // Apply category filter
-        switch (this.currentFilter) {
-            case 'recent':
-                const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-                filtered = filtered.filter(page => page.savedAt > weekAgo);
-                break;
-            case 'favorites':
-                filtered = filtered.filter(page => page.isFavorite);
-                break;
-            // 'all' case doesn't need filtering
+        // Apply category filter or smart collection
+        const collection = this.getSmartCollection(this.currentFilter);
+        filtered = collection
+            ? this.filterBySmartCollection(filtered, collection)
+            : this.applyCategoryFilter(filtered, this.currentFilter);
+        
+        // Limit to the open collection and its subcollections
+        if (this.currentCollection) {
+            filtered = this.filterByCollection(filtered, this.currentCollection);
         }
         
         // Apply sorting with search relevance
@@ -433,199 +736,806 @@ class PopupManager {
         
         this.filteredPages = filtered;
         this.loadedCount = 0;
+        
+        // Keep smart collection and collection counts in step with the page list
+        this.updateSmartCollectionCounts();
+        this.renderCollections();
     }
 
     /**
-     * Perform advanced search with multiple criteria
-     * 다중 기준을 사용한 고급 검색 수행
+     * Perform advanced search with the structured query language
+     * 구조화된 쿼리 언어로 고급 검색 수행
      */
     performAdvancedSearch(pages, query) {
-        const searchTerms = this.parseSearchQuery(query);
+        const parsed = this.queryParser.parse(query);
+        if (!parsed.success) {
+            return pages; // The syntax error is shown next to the search box
+        }
         
-        return pages.filter(page => {
-            return searchTerms.every(term => this.matchesSearchTerm(page, term));
-        }).map(page => {
-            // Add relevance score for sorting
-            page._searchScore = this.calculateRelevanceScore(page, searchTerms);
+        const byTerm = this.searchResults?.query === query ? this.searchResults.byTerm : null;
+        const positiveTerms = this.queryParser.getTextTerms(parsed.ast).filter(term => !term.isNegated);
+        
+        // Plain terms are answered by the full-text index when it is available
+        const matchText = this.createTextMatcher(byTerm);
+        
+        // In semantic mode pages similar to the free text match too, if they pass the field operators
+        const similarities = this.semanticResults?.query === query ? this.semanticResults.similarities : null;
+        const semanticFilter = similarities ? withoutTextQueries(parsed.filter) : null;
+        const isMatch = page => matchesFilter(page, parsed.filter, { matchText }) ||
+            (!!similarities?.has(page.id) && matchesFilter(page, semanticFilter, { matchText }));
+        
+        const results = pages.filter(isMatch).map(page => {
+            // Add BM25 relevance score and matching passage for sorting and display
+            let score = 0;
+            let best = null;
+            positiveTerms.forEach(term => {
+                const result = byTerm?.get(term.text.toLowerCase())?.get(page.id);
+                if (result) {
+                    score += result.score;
+                    if (!best || result.score > best.score) best = result;
+                }
+            });
+            page._searchScore = score;
+            page._searchSnippet = best ? best.snippet : '';
             return page;
         });
+        
+        if (similarities) {
+            const blended = blendSearchScores(new Map(results.map(page => [page.id, page._searchScore])), similarities);
+            results.forEach(page => {
+                // Blended scores run from 0 to 1; scaled to the range of keyword scores for the relevance badge
+                page._searchScore = blended.get(page.id) * 20;
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Fetch ranked full-text matches for each free-text term of a query
+     * 쿼리의 각 자유 텍스트 용어에 대한 순위별 전문 검색 결과 가져오기
+     */
+    async fetchSearchResults(query) {
+        const semantic = this.fetchSemanticResults(query);
+        try {
+            const byTerm = await this.lookupTextTerms(this.queryParser.parse(query));
+            this.searchResults = byTerm ? { query: query, byTerm: byTerm } : null;
+        } catch (error) {
+            console.warn('Full-text search unavailable, matching locally:', error);
+            this.searchResults = null;
+        }
+        await semantic;
     }
 
     /**
-     * Parse search query into terms and operators
-     * 검색 쿼리를 용어와 연산자로 파싱
+     * Fetch the similarity of pages to the free text of a query, in semantic mode
+     * 의미 검색 모드에서 쿼리의 자유 텍스트와 페이지의 유사도 가져오기
      */
-    parseSearchQuery(query) {
-        const terms = [];
-        const regex = /(?:"([^"]+)"|(\S+))/g;
-        let match;
+    async fetchSemanticResults(query) {
+        const parsed = this.queryParser.parse(query);
+        const text = this.isSemanticSearch() && parsed.success
+            ? this.queryParser.getTextTerms(parsed.ast)
+                .filter(term => !term.isNegated)
+                .map(term => term.text)
+                .join(' ')
+            : '';
+        
+        if (!text) {
+            this.semanticResults = null;
+            return;
+        }
         
-        while ((match = regex.exec(query)) !== null) {
-            const term = match[1] || match[2]; // Quoted or unquoted term
-            const isExact = !!match[1]; // True if quoted
-            const isNegated = term.startsWith('-');
-            const cleanTerm = isNegated ? term.slice(1) : term;
-            
-            if (cleanTerm) {
-                terms.push({
-                    text: cleanTerm.toLowerCase(),
-                    isExact: isExact,
-                    isNegated: isNegated,
-                    isUrl: this.isUrl(cleanTerm),
-                    isTag: cleanTerm.startsWith('#')
-                });
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'semanticSearch',
+                data: { query: text, limit: Math.max(this.pages.length, 200) }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Semantic search failed');
             }
+            
+            // null means semantic search was turned off in the meantime
+            this.semanticResults = response.data ? {
+                query: query,
+                similarities: new Map(response.data.map(result => [result.pageId, result.similarity]))
+            } : null;
+        } catch (error) {
+            console.warn('Semantic search unavailable, matching keywords only:', error);
+            this.semanticResults = null;
+            this.showNotification(`Semantic search failed: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Whether searches also match pages by meaning
+     * 검색이 의미로도 페이지를 찾는지 여부
+     */
+    isSemanticSearch() {
+        return this.searchMode === 'semantic' && !!this.settings?.embeddingProvider;
+    }
+
+    /**
+     * Switch between keyword and semantic search, remembering the choice
+     * 키워드 검색과 의미 검색 전환 (선택 기억)
+     */
+    toggleSemanticSearch() {
+        this.searchMode = this.searchMode === 'semantic' ? 'keyword' : 'semantic';
+        this.updateSemanticToggle();
+        
+        if (this.settings) {
+            this.settings.searchMode = this.searchMode;
+            this.saveSettings();
         }
         
-        return terms.length > 0 ? terms : [{ text: query.toLowerCase(), isExact: false, isNegated: false }];
+        if (this.searchQuery) {
+            this.performSearch(this.searchQuery);
+        }
+    }
+
+    /**
+     * Show the semantic search toggle when a provider is set up for it
+     * 제공업체가 설정되어 있으면 의미 검색 토글 표시
+     */
+    updateSemanticToggle() {
+        const toggle = this.elements.semanticToggle;
+        if (!toggle) return;
+        
+        const active = this.isSemanticSearch();
+        toggle.classList.toggle('hidden', !this.settings?.embeddingProvider);
+        toggle.classList.toggle('active', active);
+        toggle.setAttribute('aria-pressed', String(active));
+        toggle.title = active ? 'Semantic search on: also matching pages by meaning' : 'Semantic search off: matching keywords only';
     }
 
     /**
-     * Check if a page matches a search term
-     * 페이지가 검색 용어와 일치하는지 확인
+     * Look up the free-text terms of a parsed query in the background index
+     * 파싱된 쿼리의 자유 텍스트 용어를 백그라운드 색인에서 조회
+     *
+     * Terms are looked up one by one so OR groups and negations can be evaluated
+     * locally; quoted phrases fall back to a substring match.
+     * @returns {Promise<Map|null>} Hits by lowercased term, or null when there is nothing to look up
      */
-    matchesSearchTerm(page, term) {
-        const searchableFields = [];
+    async lookupTextTerms(parsed) {
+        const texts = parsed.success
+            ? [...new Set(this.queryParser.getTextTerms(parsed.ast)
+                .filter(term => !term.exact)
+                .map(term => term.text.toLowerCase()))]
+            : [];
+        
+        if (texts.length === 0) {
+            return null;
+        }
+        
+        const byTerm = new Map();
+        await Promise.all(texts.map(async text => {
+            const response = await chrome.runtime.sendMessage({
+                action: 'searchPages',
+                data: { query: text, limit: Math.max(this.pages.length, 200) }
+            });
+            
+            if (!response?.success) {
+                throw new Error(response?.error || 'Search failed');
+            }
+            
+            // null means the term has nothing indexable (e.g. a stop word)
+            byTerm.set(text, response.data ? new Map(response.data.map(result => [result.pageId, result])) : null);
+        }));
         
-        // Add fields based on search filters
-        if (this.searchFilters.title) {
-            searchableFields.push(page.title?.toLowerCase() || '');
+        return byTerm;
+    }
+
+    /**
+     * Answer free-text terms from index hits, falling back to a substring match
+     * 색인 결과로 자유 텍스트 용어 판정 (없으면 부분 문자열 일치로 대체)
+     */
+    createTextMatcher(byTerm) {
+        return (page, text) => {
+            const hits = byTerm?.get(text.toLowerCase());
+            return hits ? hits.has(page.id) : null;
+        };
+    }
+
+    /**
+     * Filter pages by a built-in category
+     * 기본 카테고리로 페이지 필터링
+     */
+    applyCategoryFilter(pages, filter) {
+        switch (filter) {
+            case 'recent':
+                const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+                return pages.filter(page => page.savedAt > weekAgo);
+            case 'favorites':
+                return pages.filter(page => page.isFavorite);
+            default:
+                // 'all' case doesn't need filtering
+                return pages;
         }
-        if (this.searchFilters.summary) {
-            searchableFields.push(page.summary?.toLowerCase() || '');
+    }
+
+    /**
+     * Find the smart collection behind a filter tab value
+     * 필터 탭 값에 해당하는 스마트 컬렉션 찾기
+     */
+    getSmartCollection(filter) {
+        if (typeof filter !== 'string' || !filter.startsWith('collection:')) {
+            return null;
         }
-        if (this.searchFilters.url) {
-            searchableFields.push(page.url?.toLowerCase() || '');
+        const id = filter.slice('collection:'.length);
+        return this.smartCollections.find(collection => collection.id === id) || null;
+    }
+
+    /**
+     * Filter pages by a smart collection's category and query
+     * 스마트 컬렉션의 카테고리와 쿼리로 페이지 필터링
+     */
+    filterBySmartCollection(pages, collection) {
+        const filtered = this.applyCategoryFilter(pages, collection.filter);
+        if (!collection.query) {
+            return filtered;
         }
-        if (this.searchFilters.tags && page.tags) {
-            searchableFields.push(page.tags.join(' ').toLowerCase());
+        
+        const parsed = this.queryParser.parse(collection.query);
+        if (!parsed.success) {
+            return [];
         }
         
-        const searchText = searchableFields.join(' ');
+        const matchText = this.createTextMatcher(this.collectionResults.get(collection.id));
+        return filtered.filter(page => matchesFilter(page, parsed.filter, { matchText }));
+    }
+
+    /**
+     * Fetch index hits for every smart collection and refresh counts
+     * 모든 스마트 컬렉션의 색인 결과를 가져오고 개수 새로고침
+     */
+    async refreshCollectionResults() {
+        const results = new Map();
+        
+        await Promise.all(this.smartCollections.map(async collection => {
+            try {
+                const byTerm = await this.lookupTextTerms(this.queryParser.parse(collection.query));
+                if (byTerm) results.set(collection.id, byTerm);
+            } catch (error) {
+                console.warn(`Full-text lookup failed for collection "${collection.name}":`, error);
+            }
+        }));
         
-        let matches = false;
+        this.collectionResults = results;
         
-        if (term.isExact) {
-            matches = searchText.includes(term.text);
-        } else if (term.isUrl) {
-            matches = page.url?.toLowerCase().includes(term.text) || false;
-        } else if (term.isTag) {
-            const tagName = term.text.slice(1); // Remove #
-            matches = page.tags?.some(tag => tag.toLowerCase().includes(tagName)) || false;
+        if (this.getSmartCollection(this.currentFilter)) {
+            this.applyFiltersAndSort();
+            this.renderPages();
         } else {
-            // Fuzzy matching for regular terms
-            matches = this.fuzzyMatch(searchText, term.text);
+            this.updateSmartCollectionCounts();
         }
+    }
+
+    /**
+     * Render smart collection tabs in the filter bar
+     * 필터 바에 스마트 컬렉션 탭 렌더링
+     */
+    renderSmartCollections() {
+        const container = this.elements.filterTabsContainer;
+        if (!container) return;
+        
+        container.querySelectorAll('.collection-tab').forEach(tab => tab.remove());
+        
+        this.smartCollections.forEach(collection => {
+            const filter = `collection:${collection.id}`;
+            const tab = document.createElement('button');
+            tab.className = 'filter-tab collection-tab';
+            tab.classList.toggle('active', this.currentFilter === filter);
+            tab.dataset.filter = filter;
+            tab.title = collection.query || collection.name;
+            tab.innerHTML = `
+                <span class="collection-name">${this.escapeHtml(collection.name)}</span>
+                <span class="filter-count">0</span>
+                <span class="collection-remove" data-collection-id="${this.escapeHtml(collection.id)}" title="Delete smart collection">✕</span>
+            `;
+            container.insertBefore(tab, this.elements.saveCollectionBtn || null);
+        });
         
-        return term.isNegated ? !matches : matches;
+        this.elements.filterTabs = container.querySelectorAll('.filter-tab');
+        this.updateSmartCollectionCounts();
+    }
+
+    /**
+     * Update live page counts on smart collection tabs
+     * 스마트 컬렉션 탭의 실시간 페이지 수 업데이트
+     */
+    updateSmartCollectionCounts() {
+        this.elements.filterTabsContainer?.querySelectorAll('.collection-tab').forEach(tab => {
+            const collection = this.getSmartCollection(tab.dataset.filter);
+            const count = tab.querySelector('.filter-count');
+            if (collection && count) {
+                count.textContent = this.filterBySmartCollection(this.pages, collection).length;
+            }
+        });
     }
 
     /**
-     * Perform fuzzy matching
-     * 퍼지 매칭 수행
+     * Save the current search, filter and sort as a smart collection
+     * 현재 검색, 필터, 정렬을 스마트 컬렉션으로 저장
      */
-    fuzzyMatch(text, pattern) {
-        // Simple fuzzy matching - can be enhanced with more sophisticated algorithms
-        if (text.includes(pattern)) {
-            return true;
+    async saveSmartCollection() {
+        // Saving from inside a collection narrows that collection further
+        const active = this.getSmartCollection(this.currentFilter);
+        const queries = [active?.query, this.searchQuery].filter(Boolean);
+        const query = queries.length > 1 ? queries.map(q => `(${q})`).join(' ') : (queries[0] || '');
+        const filter = active ? active.filter : this.currentFilter;
+        
+        if (!query && filter === 'all') {
+            this.showNotification('Search or pick a filter before saving a collection', 'info');
+            return;
         }
         
-        // Check for partial word matches
-        const words = text.split(/\s+/);
-        return words.some(word => 
-            word.includes(pattern) || 
-            this.levenshteinDistance(word, pattern) <= Math.floor(pattern.length * 0.3)
-        );
+        const parsed = this.queryParser.parse(query);
+        if (!parsed.success) {
+            this.showNotification(`Fix the search first: ${parsed.error.message}`, 'error');
+            return;
+        }
+        
+        const name = await showPrompt({
+            title: 'Save Smart Collection',
+            message: 'Name this collection:',
+            defaultValue: this.searchQuery || active?.name || filter,
+            required: true,
+            confirmText: 'Save'
+        });
+        if (!name || !name.trim()) return;
+        
+        const collection = {
+            id: generateUniqueId(),
+            name: name.trim(),
+            query: query,
+            filter: filter,
+            sort: this.currentSort,
+            createdAt: Date.now()
+        };
+        
+        this.smartCollections = [...this.smartCollections, collection];
+        await this.persistSmartCollections();
+        
+        // Show the new collection on its own
+        this.elements.searchInput.value = '';
+        this.searchQuery = '';
+        this.searchResults = null;
+        this.elements.clearSearchBtn?.classList.add('hidden');
+        this.hideSearchError();
+        this.handleFilterChange(`collection:${collection.id}`);
+        this.refreshCollectionResults();
+        
+        this.showNotification(`Saved "${collection.name}"`, 'success');
     }
 
     /**
-     * Calculate Levenshtein distance for fuzzy matching
-     * 퍼지 매칭을 위한 레벤슈타인 거리 계산
+     * Delete a smart collection after confirmation
+     * 확인 후 스마트 컬렉션 삭제
      */
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
+    async deleteSmartCollection(collectionId) {
+        const collection = this.smartCollections.find(item => item.id === collectionId);
+        if (!collection) return;
+        
+        const confirmed = await showConfirm({
+            title: 'Delete Smart Collection',
+            message: `Delete "${collection.name}"?`,
+            details: 'Only the saved search is removed; your pages stay.',
+            confirmText: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
         
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
-        }
+        const wasActive = this.currentFilter === `collection:${collectionId}`;
+        this.smartCollections = this.smartCollections.filter(item => item.id !== collectionId);
+        this.collectionResults.delete(collectionId);
+        await this.persistSmartCollections();
         
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
+        if (wasActive) {
+            this.handleFilterChange('all');
         }
-        
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
-                }
+    }
+
+    /**
+     * Store smart collections with the settings and redraw their tabs
+     * 스마트 컬렉션을 설정에 저장하고 탭 다시 그리기
+     */
+    async persistSmartCollections() {
+        this.settings.savedSearches = this.smartCollections;
+        await this.saveSettings();
+        this.renderSmartCollections();
+    }
+
+    /**
+     * Load collections from the background
+     * 백그라운드에서 컬렉션 로드
+     */
+    async loadCollections() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getCollections' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to load collections');
             }
+            
+            this.collections = response.data || [];
+            
+            // The open collection may have been deleted elsewhere
+            if (this.currentCollection && !this.collections.some(c => c.id === this.currentCollection)) {
+                this.currentCollection = null;
+                this.applyFiltersAndSort();
+                this.renderPages();
+            }
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            this.collections = [];
         }
         
-        return matrix[str2.length][str1.length];
+        this.renderCollections();
     }
 
     /**
-     * Calculate relevance score for search results
-     * 검색 결과의 관련성 점수 계산
+     * Render the collection tree and the bulk move menu
+     * 컬렉션 트리와 일괄 이동 메뉴 렌더링
      */
-    calculateRelevanceScore(page, searchTerms) {
-        let score = 0;
+    renderCollections() {
+        const rows = CollectionStore.flattenTree(this.collections);
+        const counts = new Map();
+        this.pages.forEach(page => {
+            (page.collectionIds || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        });
         
-        searchTerms.forEach(term => {
-            if (term.isNegated) return;
-            
-            const termText = term.text;
+        if (this.elements.collectionsTree) {
+            const allRow = `
+                <div class="collection-item ${this.currentCollection ? '' : 'active'}" data-collection-id="" role="treeitem">
+                    <span class="collection-icon">📚</span>
+                    <span class="collection-label">All pages</span>
+                    <span class="collection-count">${this.pages.length}</span>
+                </div>
+            `;
             
-            // Title matches get highest score
-            if (page.title?.toLowerCase().includes(termText)) {
-                score += term.isExact ? 10 : 5;
-                // Bonus for exact title match
-                if (page.title.toLowerCase() === termText) {
-                    score += 15;
-                }
+            this.elements.collectionsTree.innerHTML = allRow + rows.map(row => `
+                <div class="collection-item ${row.id === this.currentCollection ? 'active' : ''}"
+                     data-collection-id="${this.escapeHtml(row.id)}"
+                     style="padding-left: ${8 + row.depth * 14}px"
+                     draggable="true"
+                     role="treeitem"
+                     aria-level="${row.depth + 1}">
+                    <span class="collection-icon">📁</span>
+                    <span class="collection-label" title="${this.escapeHtml(row.name)}">${this.escapeHtml(row.name)}</span>
+                    <span class="collection-count">${counts.get(row.id) || 0}</span>
+                    <button class="collection-menu-btn" data-collection-id="${this.escapeHtml(row.id)}" title="Collection actions">⋯</button>
+                </div>
+            `).join('') + (rows.length === 0 ? '<p class="collections-empty">Create a collection, then drag pages onto it.</p>' : '');
+        }
+        
+        if (this.elements.moveSelectedSelect) {
+            this.elements.moveSelectedSelect.innerHTML = `
+                <option value="">📁 Move to…</option>
+                ${rows.map(row => `<option value="${this.escapeHtml(row.id)}">${'\u00a0\u00a0'.repeat(row.depth)}${this.escapeHtml(row.name)}</option>`).join('')}
+                <option value="__new__">＋ New collection…</option>
+            `;
+        }
+    }
+
+    /**
+     * Bind clicks and drops on the collection tree
+     * 컬렉션 트리의 클릭과 드롭 이벤트 바인딩
+     */
+    bindCollectionTreeEvents() {
+        const tree = this.elements.collectionsTree;
+        if (!tree) return;
+        
+        tree.addEventListener('click', (e) => {
+            const menuBtn = e.target.closest('.collection-menu-btn');
+            if (menuBtn) {
+                e.stopPropagation();
+                this.showCollectionActions(menuBtn.dataset.collectionId);
+                return;
             }
             
-            // Summary matches get medium score
-            if (page.summary?.toLowerCase().includes(termText)) {
-                score += term.isExact ? 3 : 2;
+            const item = e.target.closest('.collection-item');
+            if (item) {
+                this.selectCollection(item.dataset.collectionId || null);
+            }
+        });
+        
+        // Collections can be dragged onto each other to nest them
+        tree.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.collection-item');
+            if (item?.dataset.collectionId) {
+                e.dataTransfer.setData('application/x-pagepouch-collection', item.dataset.collectionId);
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        
+        tree.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.collection-item');
+            const types = Array.from(e.dataTransfer.types);
+            if (!item || !(types.includes('application/x-pagepouch-pages') || types.includes('application/x-pagepouch-collection'))) {
+                return;
+            }
+            // "All pages" only accepts collections (to move them to the top level)
+            if (!item.dataset.collectionId && !types.includes('application/x-pagepouch-collection')) {
+                return;
             }
             
-            // URL matches get lower score
-            if (page.url?.toLowerCase().includes(termText)) {
-                score += 1;
+            e.preventDefault();
+            tree.querySelectorAll('.drop-target').forEach(el => el !== item && el.classList.remove('drop-target'));
+            item.classList.add('drop-target');
+        });
+        
+        tree.addEventListener('dragleave', (e) => {
+            const item = e.target.closest('.collection-item');
+            if (item && !item.contains(e.relatedTarget)) {
+                item.classList.remove('drop-target');
             }
+        });
+        
+        tree.addEventListener('drop', (e) => {
+            const item = e.target.closest('.collection-item');
+            if (!item) return;
+            
+            e.preventDefault();
+            item.classList.remove('drop-target');
+            const targetId = item.dataset.collectionId || null;
             
-            // Tag matches get bonus score
-            if (page.tags?.some(tag => tag.toLowerCase().includes(termText))) {
-                score += 4;
+            const draggedCollection = e.dataTransfer.getData('application/x-pagepouch-collection');
+            if (draggedCollection) {
+                if (draggedCollection !== targetId) {
+                    this.updateCollection(draggedCollection, { parentId: targetId });
+                }
+                return;
             }
             
-            // Bonus for multiple matches
-            const titleMatches = (page.title?.toLowerCase().match(new RegExp(termText, 'g')) || []).length;
-            const summaryMatches = (page.summary?.toLowerCase().match(new RegExp(termText, 'g')) || []).length;
-            score += (titleMatches + summaryMatches - 1) * 0.5;
+            const pageData = e.dataTransfer.getData('application/x-pagepouch-pages');
+            if (pageData && targetId) {
+                this.movePagesToCollection(JSON.parse(pageData), targetId);
+            }
         });
+    }
+
+    /**
+     * Show or hide the collections sidebar
+     * 컬렉션 사이드바 표시/숨기기
+     */
+    toggleCollectionsSidebar(show) {
+        const sidebar = this.elements.collectionsSidebar;
+        if (!sidebar) return;
+        
+        const visible = show !== undefined ? show : sidebar.classList.contains('hidden');
+        sidebar.classList.toggle('hidden', !visible);
+        this.elements.collectionsToggle?.classList.toggle('active', visible);
+        this.elements.collectionsToggle?.setAttribute('aria-pressed', String(visible));
+    }
+
+    /**
+     * Reveal the sidebar while cards are dragged, then restore it
+     * 카드를 끄는 동안 사이드바를 표시하고 이후 원래대로 복원
+     */
+    showCollectionsForDrag(dragging) {
+        if (dragging) {
+            this.sidebarOpenedForDrag = this.elements.collectionsSidebar?.classList.contains('hidden');
+            if (this.sidebarOpenedForDrag) this.toggleCollectionsSidebar(true);
+        } else if (this.sidebarOpenedForDrag) {
+            this.sidebarOpenedForDrag = false;
+            this.toggleCollectionsSidebar(false);
+        }
+    }
+
+    /**
+     * Show pages of a collection, or all pages for null
+     * 컬렉션의 페이지 표시 (null이면 전체 페이지)
+     */
+    selectCollection(collectionId) {
+        this.currentCollection = collectionId;
+        this.clearSelection();
+        this.applyFiltersAndSort();
+        this.renderPages();
+    }
+
+    /**
+     * Keep pages in a collection or any collection nested below it
+     * 컬렉션 또는 그 하위 컬렉션에 속한 페이지만 남기기
+     */
+    filterByCollection(pages, collectionId) {
+        const ids = new Set([collectionId]);
+        let added = true;
+        while (added) {
+            added = false;
+            this.collections.forEach(collection => {
+                if (ids.has(collection.parentId) && !ids.has(collection.id)) {
+                    ids.add(collection.id);
+                    added = true;
+                }
+            });
+        }
         
-        // Recency bonus
-        const daysSinceCreated = (Date.now() - page.savedAt) / (1000 * 60 * 60 * 24);
-        if (daysSinceCreated < 7) {
-            score += 2;
-        } else if (daysSinceCreated < 30) {
-            score += 1;
+        return pages.filter(page => (page.collectionIds || []).some(id => ids.has(id)));
+    }
+
+    /**
+     * Send a collection request to the background and return its data
+     * 컬렉션 요청을 백그라운드로 보내고 결과 데이터 반환
+     */
+    async sendCollectionRequest(action, data) {
+        const response = await chrome.runtime.sendMessage({ action, data });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Collection request failed');
         }
+        return response.data;
+    }
+
+    /**
+     * Ask for a name and create a collection
+     * 이름을 입력받아 컬렉션 생성
+     */
+    async createCollection(parentId = null) {
+        const parent = this.collections.find(c => c.id === parentId);
+        const name = await showPrompt({
+            title: parent ? `New Collection in "${parent.name}"` : 'New Collection',
+            message: 'Collection name:',
+            required: true,
+            confirmText: 'Create'
+        });
+        if (!name || !name.trim()) return null;
         
-        // Favorite bonus
-        if (page.isFavorite) {
-            score += 3;
+        try {
+            const collection = await this.sendCollectionRequest('createCollection', { name, parentId });
+            await this.loadCollections();
+            this.toggleCollectionsSidebar(true);
+            return collection;
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            this.showNotification(error.message, 'error');
+            return null;
         }
+    }
+
+    /**
+     * Rename or re-parent a collection
+     * 컬렉션 이름 변경 또는 상위 컬렉션 변경
+     */
+    async updateCollection(collectionId, changes) {
+        try {
+            await this.sendCollectionRequest('updateCollection', { id: collectionId, ...changes });
+            await this.loadCollections();
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Offer actions for a collection
+     * 컬렉션 작업 선택지 제공
+     */
+    async showCollectionActions(collectionId) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        if (!collection) return;
+        
+        const choices = [
+            { value: 'subcollection', label: 'New Subcollection' },
+            { value: 'rename', label: 'Rename', primary: true }
+        ];
+        if (collection.parentId) {
+            choices.push({ value: 'top-level', label: 'Move to Top' });
+        }
+        choices.push({ value: 'delete', label: 'Delete' });
+        
+        const action = await showChoice({
+            title: collection.name,
+            message: 'Drag a collection onto another one to nest it.',
+            type: 'none',
+            choices
+        });
+        
+        switch (action) {
+            case 'subcollection':
+                await this.createCollection(collection.id);
+                break;
+            case 'rename': {
+                const name = await showPrompt({
+                    title: 'Rename Collection',
+                    message: 'Collection name:',
+                    defaultValue: collection.name,
+                    required: true,
+                    confirmText: 'Rename'
+                });
+                if (name && name.trim() && name.trim() !== collection.name) {
+                    await this.updateCollection(collection.id, { name });
+                }
+                break;
+            }
+            case 'top-level':
+                await this.updateCollection(collection.id, { parentId: null });
+                break;
+            case 'delete':
+                await this.deleteCollection(collection);
+                break;
+        }
+    }
+
+    /**
+     * Delete a collection and its subcollections; pages are kept
+     * 컬렉션과 하위 컬렉션 삭제 (페이지는 유지)
+     */
+    async deleteCollection(collection) {
+        const confirmed = await showConfirm({
+            title: 'Delete Collection',
+            message: `Delete "${collection.name}" and its subcollections?`,
+            details: 'Pages in it are not deleted.',
+            confirmText: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
         
-        return score;
+        try {
+            const { removedIds } = await this.sendCollectionRequest('deleteCollection', { id: collection.id });
+            
+            this.pages.forEach(page => {
+                if (page.collectionIds) {
+                    page.collectionIds = page.collectionIds.filter(id => !removedIds.includes(id));
+                }
+            });
+            if (removedIds.includes(this.currentCollection)) {
+                this.currentCollection = null;
+            }
+            
+            await this.loadCollections();
+            this.applyFiltersAndSort();
+            this.renderPages();
+            this.showNotification(`Deleted "${collection.name}"`, 'success');
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * File pages into a collection; inside another collection this moves them out of it
+     * 페이지를 컬렉션에 넣기 (다른 컬렉션을 보는 중이면 그 컬렉션에서 이동)
+     */
+    async movePagesToCollection(pageIds, collectionId) {
+        const target = this.collections.find(c => c.id === collectionId);
+        if (!target || pageIds.length === 0) return;
+        
+        const fromCollectionId = this.currentCollection !== collectionId ? this.currentCollection : null;
+        
+        try {
+            await this.sendCollectionRequest('moveToCollection', { collectionId, pageIds, fromCollectionId });
+            
+            this.pages.forEach(page => {
+                if (!pageIds.includes(page.id)) return;
+                const collectionIds = (page.collectionIds || []).filter(id => id !== fromCollectionId);
+                if (!collectionIds.includes(collectionId)) collectionIds.push(collectionId);
+                page.collectionIds = collectionIds;
+            });
+            
+            this.clearSelection();
+            this.applyFiltersAndSort();
+            this.renderPages();
+            
+            const count = `${pageIds.length} page${pageIds.length === 1 ? '' : 's'}`;
+            this.showNotification(fromCollectionId ? `Moved ${count} to "${target.name}"` : `Added ${count} to "${target.name}"`, 'success');
+        } catch (error) {
+            console.error('Error moving pages to collection:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Move the selected pages from the bulk action menu
+     * 일괄 작업 메뉴에서 선택된 페이지 이동
+     */
+    async moveSelectedPages(target) {
+        if (!target || this.selectedPages.size === 0) return;
+        
+        const pageIds = Array.from(this.selectedPages);
+        let collectionId = target;
+        if (target === '__new__') {
+            const collection = await this.createCollection();
+            if (!collection) return;
+            collectionId = collection.id;
+        }
+        
+        await this.movePagesToCollection(pageIds, collectionId);
     }
 
     /**
@@ -645,19 +1555,6 @@ class PopupManager {
         });
     }
 
-    /**
-     * Check if a string is a URL
-     * 문자열이 URL인지 확인
-     */
-    isUrl(str) {
-        try {
-            new URL(str);
-            return true;
-        } catch {
-            return /^(https?:\/\/|www\.|[a-zA-Z0-9-]+\.[a-zA-Z]{2,})/.test(str);
-        }
-    }
-
     /**
      * Render pages in the grid
      * 그리드에 페이지 렌더링
@@ -701,6 +1598,7 @@ class PopupManager {
         });
         
         this.loadedCount = endIndex;
+        this.loadRelatedPages(pagesToLoad.map(page => page.id));
         
         // Update load more button visibility
         const hasMore = this.loadedCount < this.filteredPages.length;
@@ -719,6 +1617,8 @@ class PopupManager {
         pageElement.className = 'page-item';
         pageElement.dataset.pageId = page.id;
         pageElement.tabIndex = 0;
+        pageElement.draggable = true; // Drop onto a collection to file it
+        pageElement.classList.toggle('selected', this.selectedPages.has(page.id));
         pageElement.setAttribute('role', 'button');
         pageElement.setAttribute('aria-label', `Open ${page.title}`);
         
@@ -741,9 +1641,13 @@ class PopupManager {
         // Create summary info
         const summaryInfo = this.createSummaryInfo(page);
         
+        // A summary still being written shows its text so far
+        const streamingSummary = page.summaryMetadata?.method === 'pending' ? this.streamingSummaries.get(page.id) : undefined;
+        const summaryText = streamingSummary !== undefined ? streamingSummary : page.summary;
+        
         // Apply search highlighting
         const highlightedTitle = this.highlightSearchTerms(page.title, this.searchQuery);
-        const highlightedSummary = this.highlightSearchTerms(page.summary, this.searchQuery);
+        const highlightedSummary = this.highlightSearchTerms(summaryText, this.searchQuery);
         
         pageElement.innerHTML = `
             <div class="page-thumbnail">
@@ -760,14 +1664,21 @@ class PopupManager {
                 <h3 class="page-title" title="${this.escapeHtml(page.title)}">
                     ${highlightedTitle}
                 </h3>
-                <p class="page-summary" title="${this.escapeHtml(page.summary)}">
+                <p class="page-summary${streamingSummary !== undefined ? ' streaming' : ''}" title="${this.escapeHtml(summaryText)}">
                     ${highlightedSummary}
                 </p>
+                ${this.searchQuery && page._searchSnippet ? `<p class="page-snippet">${this.highlightSearchTerms(page._searchSnippet, this.searchQuery)}</p>` : ''}
+                ${page.summaryMetadata?.method === 'pending' ? '<div class="summary-progress"></div>' : ''}
                 ${summaryInfo}
+                ${this.createTagList(page)}
+                ${this.createTagSuggestions(page)}
+                ${this.settings?.embeddingProvider ? '<div class="related-pages hidden"></div>' : ''}
                 <div class="page-meta">
                     <span class="page-date" title="Saved on ${date.toLocaleString()}">
                         ${formattedDate}
                     </span>
+                    ${this.createArchiveBadge(page)}
+                    ${page.saveCount > 1 ? `<span class="page-save-count" title="Saved ${page.saveCount} times, last re-saved ${new Date(page.lastResavedAt).toLocaleString()}">×${page.saveCount}</span>` : ''}
                     <div class="page-actions">
                         <button class="page-action-btn" 
                                 data-action="open" 
@@ -791,9 +1702,87 @@ class PopupManager {
         // Bind events
         this.bindPageElementEvents(pageElement, page);
         
+        if (this.summaryProgress.has(page.id)) {
+            this.renderSummaryProgress(pageElement, page.id);
+        }
+        
+        if (this.relatedPages.has(page.id)) {
+            this.renderRelatedPages(pageElement, page.id);
+        }
+        
         return pageElement;
     }
 
+    /**
+     * Fetch the related pages of cards and show them under each card
+     * 카드의 관련 페이지를 가져와 각 카드 아래에 표시
+     */
+    async loadRelatedPages(pageIds) {
+        if (!this.settings?.embeddingProvider) return;
+        
+        const missing = pageIds.filter(pageId => !this.relatedPages.has(pageId));
+        if (missing.length > 0) {
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'getRelatedPages',
+                    data: { pageIds: missing, limit: 3 }
+                });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'Failed to load related pages');
+                }
+                if (!response.data) return; // Semantic search is off
+                
+                Object.entries(response.data).forEach(([pageId, related]) => {
+                    this.relatedPages.set(pageId, related);
+                });
+            } catch (error) {
+                console.warn('Related pages unavailable:', error);
+                return;
+            }
+        }
+        
+        pageIds.forEach(pageId => {
+            const pageElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${pageId}"]`);
+            if (pageElement) {
+                this.renderRelatedPages(pageElement, pageId);
+            }
+        });
+    }
+
+    /**
+     * Fill a card's related pages strip; clicking a page opens it
+     * 카드의 관련 페이지 목록 채우기 (클릭하면 해당 페이지 열기)
+     */
+    renderRelatedPages(pageElement, pageId) {
+        const strip = pageElement.querySelector('.related-pages');
+        if (!strip) return;
+        
+        const related = (this.relatedPages.get(pageId) || [])
+            .map(item => this.pages.find(page => page.id === item.pageId))
+            .filter(Boolean);
+        
+        strip.textContent = '';
+        strip.classList.toggle('hidden', related.length === 0);
+        if (related.length === 0) return;
+        
+        const label = document.createElement('span');
+        label.className = 'related-pages-label';
+        label.textContent = 'Related';
+        strip.appendChild(label);
+        
+        related.forEach(page => {
+            const link = document.createElement('button');
+            link.className = 'related-page';
+            link.textContent = page.title || page.domain;
+            link.title = `${page.title}\n${page.url}`;
+            link.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openPage(page.id);
+            });
+            strip.appendChild(link);
+        });
+    }
+
     /**
      * Highlight search terms in text
      * 텍스트에서 검색 용어 하이라이팅
@@ -803,11 +1792,14 @@ class PopupManager {
             return this.escapeHtml(text || '');
         }
         
-        const searchTerms = this.parseSearchQuery(query);
+        const parsed = this.queryParser.parse(query);
         let highlightedText = this.escapeHtml(text);
+        if (!parsed.success) {
+            return highlightedText;
+        }
         
         // Sort terms by length (longest first) to avoid partial replacements
-        const sortedTerms = searchTerms
+        const sortedTerms = this.queryParser.getTextTerms(parsed.ast)
             .filter(term => !term.isNegated)
             .sort((a, b) => b.text.length - a.text.length);
         
@@ -841,10 +1833,18 @@ class PopupManager {
         let text = '';
         
         switch (metadata.method) {
+            case 'pending':
+                className += ' pending';
+                text = 'Summarizing…';
+                break;
             case 'ai_generated':
                 className += ' ai-generated';
                 text = `AI (${metadata.provider})`;
                 break;
+            case 'cancelled':
+                className += ' fallback';
+                text = 'Stopped';
+                break;
             case 'fallback':
                 className += ' fallback';
                 text = 'Fallback';
@@ -861,7 +1861,30 @@ class PopupManager {
                 return '';
         }
         
-        return `<div class="${className}" title="${metadata.reason || ''}">${text}</div>`;
+        const parts = metadata.parts ? `Summarized in ${metadata.parts} parts` : '';
+        const details = [metadata.reason, metadata.model, metadata.promptTemplate, parts, metadata.error].filter(Boolean).join(' · ');
+        const cancelButton = metadata.method === 'pending' ?
+            '<button class="summary-cancel" title="Stop summarizing" aria-label="Stop summarizing">✕</button>' : '';
+        return `<div class="${className}" title="${this.escapeHtml(details)}">${text}</div>${cancelButton}`;
+    }
+
+    /**
+     * Create offline copy badge
+     * 오프라인 사본 배지 생성
+     */
+    createArchiveBadge(page) {
+        const status = page.archiveMetadata?.status;
+        
+        if (page.isArchived) {
+            return '<span class="page-archive-badge" title="Offline copy saved">📦</span>';
+        }
+        if (status === 'pending') {
+            return '<span class="page-archive-badge pending" title="Saving offline copy...">📦</span>';
+        }
+        if (status === 'error') {
+            return `<span class="page-archive-badge error" title="${this.escapeHtml(`Offline copy failed: ${page.archiveMetadata.error || ''}`)}">📦</span>`;
+        }
+        return '';
     }
 
     /**
@@ -874,9 +1897,60 @@ class PopupManager {
             if (e.target.closest('.page-favorite') || e.target.closest('.page-action-btn')) {
                 return; // Don't open page if clicking on action buttons
             }
+            if (this.deleteMode) {
+                this.togglePageSelection(page.id);
+                return;
+            }
             this.openPage(page.id);
         });
         
+        // Drag onto a collection; dragging a selected card carries the whole selection
+        pageElement.addEventListener('dragstart', (e) => {
+            const pageIds = this.selectedPages.has(page.id) ? Array.from(this.selectedPages) : [page.id];
+            e.dataTransfer.setData('application/x-pagepouch-pages', JSON.stringify(pageIds));
+            e.dataTransfer.effectAllowed = 'copyMove';
+            this.showCollectionsForDrag(true);
+        });
+        
+        pageElement.addEventListener('dragend', () => {
+            this.showCollectionsForDrag(false);
+        });
+        
+        // Tag chips search by tag; the edit button opens the inline tag editor
+        pageElement.querySelector('.page-tags')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const chip = e.target.closest('.page-tag[data-index]');
+            if (chip) {
+                this.searchByTag(page.tags[chip.dataset.index]);
+            } else if (e.target.closest('.page-tag-edit')) {
+                this.openTagEditor(page.id);
+            }
+        });
+        
+        // Suggested tags: a chip accepts one tag, the buttons accept or dismiss the rest
+        pageElement.querySelector('.tag-suggestions')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const chip = e.target.closest('[data-suggestion-index]');
+            const tag = chip ? page.tagSuggestions?.tags[chip.dataset.suggestionIndex] : null;
+            
+            if (e.target.closest('.suggestion-dismiss') && tag) {
+                this.resolveTagSuggestions(page.id, false, [tag]);
+            } else if (tag) {
+                this.resolveTagSuggestions(page.id, true, [tag]);
+            } else if (e.target.closest('[data-suggestions-action="accept"]')) {
+                this.resolveTagSuggestions(page.id, true);
+            } else if (e.target.closest('[data-suggestions-action="dismiss"]')) {
+                this.resolveTagSuggestions(page.id, false);
+            }
+        });
+        
+        // Stop a summary that is still being written
+        pageElement.querySelector('.summary-cancel')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.currentTarget.disabled = true;
+            this.cancelSummary(page.id);
+        });
+        
         // Favorite button
         const favoriteBtn = pageElement.querySelector('.page-favorite');
         favoriteBtn?.addEventListener('click', (e) => {
@@ -906,13 +1980,235 @@ class PopupManager {
             });
         }
         
-        // Keyboard navigation
-        pageElement.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.openPage(page.id);
-            }
-        });
+        // Keyboard navigation
+        pageElement.addEventListener('keydown', (e) => {
+            if (e.target !== pageElement) return; // Keys typed into the tag editor or buttons
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openPage(page.id);
+            }
+        });
+    }
+
+    /**
+     * Create the tag chips and edit button shown on a card
+     * 카드에 표시되는 태그 칩과 편집 버튼 생성
+     */
+    createTagList(page) {
+        const tags = page.tags || [];
+        const chips = tags.map((tag, index) =>
+            `<button class="page-tag" data-index="${index}" title="Show pages with this tag">#${this.escapeHtml(tag)}</button>`
+        ).join('');
+        
+        return `
+            <div class="page-tags">
+                ${chips}
+                <button class="page-tag-edit" title="Edit tags" aria-label="Edit tags">${tags.length ? '✎' : '+ Tag'}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the row of suggested tags waiting for accept or dismiss
+     * 수락 또는 무시를 기다리는 제안 태그 행 생성
+     */
+    createTagSuggestions(page) {
+        const tags = page.tagSuggestions?.tags || [];
+        if (tags.length === 0) return '';
+        
+        const source = page.tagSuggestions.source === 'ai' ? 'Suggested by AI' : 'Suggested from page type and site';
+        const chips = tags.map((tag, index) => `
+            <span class="suggested-tag" data-suggestion-index="${index}" title="Add this tag">+#${this.escapeHtml(tag)}<button class="suggestion-dismiss" title="Dismiss" aria-label="Dismiss suggestion">×</button></span>
+        `).join('');
+        
+        return `
+            <div class="tag-suggestions" title="${source}">
+                <span class="tag-suggestions-label">${page.tagSuggestions.source === 'ai' ? '✨' : '💡'}</span>
+                ${chips}
+                <button class="tag-suggestions-btn" data-suggestions-action="accept" title="Add all suggested tags">✓ All</button>
+                <button class="tag-suggestions-btn" data-suggestions-action="dismiss" title="Dismiss all suggestions">✕</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Accept or dismiss suggested tags; without tags it applies to all of them
+     * 제안 태그 수락 또는 무시 (태그를 지정하지 않으면 전체 적용)
+     */
+    async resolveTagSuggestions(pageId, accept, tags = null) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: accept ? 'acceptTagSuggestions' : 'dismissTagSuggestions',
+                data: { pageId, tags }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to update tag suggestions');
+            }
+            this.handlePagesChange([response.data]);
+        } catch (error) {
+            console.error('Error resolving tag suggestions:', error);
+            this.showNotification(`Failed to update tags: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Search for pages with a tag
+     * 태그가 있는 페이지 검색
+     */
+    searchByTag(tag) {
+        if (!tag || !this.elements.searchInput) return;
+        
+        const query = /[\s()]/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+        this.elements.searchInput.value = query;
+        this.handleSearch(query);
+    }
+
+    /**
+     * Replace a card's tag list with an inline editor
+     * 카드의 태그 목록을 인라인 편집기로 교체
+     *
+     * Enter or comma adds the typed tag, Backspace on an empty input removes the
+     * last one, Escape cancels and leaving the editor saves.
+     */
+    openTagEditor(pageId) {
+        const page = this.pages.find(p => p.id === pageId);
+        const pageElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${pageId}"]`);
+        const container = pageElement?.querySelector('.page-tags');
+        if (!page || !container || container.classList.contains('editing')) return;
+        
+        const tags = [...(page.tags || [])];
+        pageElement.draggable = false; // Let the input select text instead of dragging the card
+        container.classList.add('editing');
+        container.innerHTML = `
+            <span class="tag-editor-chips"></span>
+            <input type="text" class="tag-editor-input" list="known-tags" maxlength="50"
+                   placeholder="Add tag…" aria-label="Add tag">
+        `;
+        
+        const chipsElement = container.querySelector('.tag-editor-chips');
+        const input = container.querySelector('.tag-editor-input');
+        
+        const renderChips = () => {
+            chipsElement.innerHTML = tags.map((tag, index) => `
+                <span class="page-tag">#${this.escapeHtml(tag)}<button class="tag-remove" data-index="${index}" title="Remove tag" aria-label="Remove tag">×</button></span>
+            `).join('');
+            this.updateTagSuggestions(tags);
+        };
+        
+        const addTypedTags = () => {
+            normalizeTags(input.value.split(',')).forEach(tag => {
+                if (!tags.includes(tag)) tags.push(tag);
+            });
+            input.value = '';
+            renderChips();
+        };
+        
+        let closed = false;
+        const close = (save) => {
+            if (closed) return;
+            closed = true;
+            
+            if (save) addTypedTags();
+            if (save && tags.join() !== (page.tags || []).join()) {
+                this.savePageTags(pageId, tags);
+            } else {
+                this.refreshPageElement(pageId);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                if (input.value.trim()) {
+                    addTypedTags();
+                } else if (e.key === 'Enter') {
+                    close(true);
+                }
+            } else if (e.key === 'Backspace' && !input.value && tags.length) {
+                tags.pop();
+                renderChips();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation(); // Don't also clear the search
+                close(false);
+            }
+        });
+        
+        // Keep focus in the input while removing chips, so the editor stays open
+        chipsElement.addEventListener('mousedown', (e) => {
+            if (e.target.closest('.tag-remove')) e.preventDefault();
+        });
+        chipsElement.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.tag-remove');
+            if (!removeBtn) return;
+            tags.splice(Number(removeBtn.dataset.index), 1);
+            renderChips();
+            input.focus();
+        });
+        
+        container.addEventListener('focusout', (e) => {
+            if (!container.contains(e.relatedTarget)) close(true);
+        });
+        
+        renderChips();
+        input.focus();
+    }
+
+    /**
+     * Offer known tags the page doesn't have yet as input suggestions
+     * 페이지에 아직 없는 기존 태그를 입력 제안으로 제공
+     */
+    updateTagSuggestions(exclude = []) {
+        const datalist = this.elements.knownTags;
+        if (!datalist) return;
+        
+        datalist.innerHTML = this.getKnownTags()
+            .filter(tag => !exclude.includes(tag))
+            .map(tag => `<option value="${this.escapeHtml(tag)}"></option>`)
+            .join('');
+    }
+
+    /**
+     * Save a page's tags through the background, showing them right away
+     * 백그라운드를 통해 페이지 태그 저장 (화면에는 즉시 반영)
+     */
+    async savePageTags(pageId, tags) {
+        const targets = [
+            this.pages.find(p => p.id === pageId),
+            this.filteredPages.find(p => p.id === pageId)
+        ].filter(Boolean);
+        const previousTags = targets[0]?.tags || [];
+        
+        targets.forEach(target => { target.tags = tags; });
+        this.refreshPageElement(pageId);
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setPageTags',
+                data: { pageId, tags }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to save tags');
+            }
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            targets.forEach(target => { target.tags = previousTags; });
+            this.refreshPageElement(pageId);
+            this.showNotification(`Failed to save tags: ${error.message}`, 'error');
+        }
+        
+        this.updateSmartCollectionCounts();
+    }
+
+    /**
+     * Re-render a single card from the current page data
+     * 현재 페이지 데이터로 카드 하나 다시 렌더링
+     */
+    refreshPageElement(pageId) {
+        const pageElement = this.elements.pagesGrid?.querySelector(`.page-item[data-page-id="${pageId}"]`);
+        const page = this.filteredPages.find(p => p.id === pageId) || this.pages.find(p => p.id === pageId);
+        if (pageElement && page) {
+            pageElement.replaceWith(this.createPageElement(page));
+        }
     }
 
     /**
@@ -932,14 +2228,32 @@ class PopupManager {
             }
             
             // Send message to background script to save the page
-            const response = await chrome.runtime.sendMessage({
+            const saveMessage = {
                 action: 'savePage',
                 tabId: tab.id,
                 data: {
                     url: tab.url,
                     title: tab.title
                 }
-            });
+            };
+            let response = await chrome.runtime.sendMessage(saveMessage);
+            
+            // Page was saved before: ask how to handle the re-save
+            if (response.duplicate) {
+                this.showLoading(false);
+                const duplicateAction = await this.askDuplicateAction(response.data);
+                
+                if (!duplicateAction) {
+                    this.showNotification('Page was not saved again', 'info');
+                    return;
+                }
+                
+                this.showLoading(true);
+                response = await chrome.runtime.sendMessage({
+                    ...saveMessage,
+                    data: { ...saveMessage.data, duplicateAction }
+                });
+            }
 
             if (response.success) {
                 await this.loadPages();
@@ -959,6 +2273,26 @@ class PopupManager {
         }
     }
 
+    /**
+     * Ask how to handle saving a page that is already saved
+     * 이미 저장된 페이지를 다시 저장할 때 처리 방법 묻기
+     */
+    async askDuplicateAction(existingPage) {
+        const saveCount = existingPage.saveCount || 1;
+        const lastSaved = existingPage.lastResavedAt || existingPage.savedAt;
+        
+        return await showChoice({
+            title: 'Page Already Saved',
+            message: `"${existingPage.title}" is already in your list.`,
+            details: `Saved ${saveCount} ${saveCount === 1 ? 'time' : 'times'}, last on ${new Date(lastSaved).toLocaleString()}.`,
+            choices: [
+                { value: 'merge', label: 'Merge', primary: true },
+                { value: 'update', label: 'Update' },
+                { value: 'keep-both', label: 'Keep Both' }
+            ]
+        });
+    }
+
     /**
      * Open a saved page
      * 저장된 페이지 열기
@@ -982,6 +2316,26 @@ class PopupManager {
         }
     }
 
+    /**
+     * Open the stored offline copy of a page in the reader view
+     * 저장된 페이지의 오프라인 사본을 리더 뷰로 열기
+     */
+    async openArchive(pageId) {
+        try {
+            const page = this.pages.find(p => p.id === pageId);
+            if (!page || !page.isArchived) {
+                throw new Error('No offline copy for this page');
+            }
+            
+            await chrome.tabs.create({
+                url: chrome.runtime.getURL(`reader/reader.html?id=${encodeURIComponent(pageId)}`)
+            });
+        } catch (error) {
+            console.error('Error opening archive:', error);
+            this.showNotification('Failed to open offline copy', 'error');
+        }
+    }
+
     /**
      * Toggle favorite status
      * 즐겨찾기 상태 토글
@@ -1010,9 +2364,11 @@ class PopupManager {
                 }
                 
                 // Re-apply filters if needed
-                if (this.currentFilter === 'favorites') {
+                if (this.currentFilter === 'favorites' || this.getSmartCollection(this.currentFilter)) {
                     this.applyFiltersAndSort();
                     this.renderPages();
+                } else {
+                    this.updateSmartCollectionCounts();
                 }
                 
                 this.showNotification(
@@ -1275,6 +2631,8 @@ class PopupManager {
         
         // Update UI
         document.body.classList.toggle('delete-mode', this.deleteMode);
+        this.elements.selectModeToggle?.classList.toggle('active', this.deleteMode);
+        this.elements.selectModeToggle?.setAttribute('aria-pressed', String(this.deleteMode));
         
         // Clear selections when exiting delete mode
         if (!this.deleteMode) {
@@ -1360,7 +2718,11 @@ class PopupManager {
         const hasSelection = this.selectedPages.size > 0;
         
         if (bulkActions) {
-            bulkActions.classList.toggle('hidden', !hasSelection);
+            bulkActions.classList.toggle('hidden', !hasSelection && !this.deleteMode);
+        }
+        
+        if (this.elements.moveSelectedSelect) {
+            this.elements.moveSelectedSelect.disabled = !hasSelection;
         }
         
         // Update button states
@@ -1435,7 +2797,23 @@ class PopupManager {
      * Perform the actual search
      * 실제 검색 수행
      */
-    performSearch(query) {
+    async performSearch(query) {
+        // Report syntax errors inline and keep the current results until the query is fixed
+        const parsed = this.queryParser.parse(query);
+        if (!parsed.success) {
+            this.showSearchError(parsed.error);
+            return;
+        }
+        this.hideSearchError();
+        
+        // Rank matches with the full-text index before filtering
+        if (query) {
+            await this.fetchSearchResults(query);
+            if (query !== this.searchQuery) return; // A newer search has started
+        } else {
+            this.searchResults = null;
+        }
+        
         // Add to search history if not empty and not duplicate
         if (query && !this.searchHistory.includes(query)) {
             this.searchHistory.unshift(query);
@@ -1453,6 +2831,34 @@ class PopupManager {
         this.trackSearchAnalytics(query);
     }
 
+    /**
+     * Show a query syntax error below the search box
+     * 검색창 아래에 쿼리 구문 오류 표시
+     */
+    showSearchError(error) {
+        const { searchInput, searchError } = this.elements;
+        if (!searchError) return;
+        
+        const fragment = this.searchQuery.slice(error.start, error.end);
+        searchError.textContent = fragment && !error.message.includes(fragment)
+            ? `${error.message} near "${fragment}"`
+            : error.message;
+        searchError.classList.remove('hidden');
+        searchInput?.classList.add('has-error');
+        searchInput?.setAttribute('aria-invalid', 'true');
+    }
+
+    /**
+     * Hide the query syntax error
+     * 쿼리 구문 오류 숨기기
+     */
+    hideSearchError() {
+        const { searchInput, searchError } = this.elements;
+        searchError?.classList.add('hidden');
+        searchInput?.classList.remove('has-error');
+        searchInput?.removeAttribute('aria-invalid');
+    }
+
     /**
      * Update search suggestions based on input
      * 입력을 기반으로 검색 제안 업데이트
@@ -1472,9 +2878,29 @@ class PopupManager {
      * 검색 제안 생성
      */
     generateSearchSuggestions(query) {
+        // Complete operator values (tag:, domain:, is:, ...) for the word being typed
+        const operatorSuggestions = this.generateOperatorSuggestions(query);
+        if (operatorSuggestions) {
+            return operatorSuggestions.slice(0, 8);
+        }
+        
         const suggestions = new Set();
         const queryLower = query.toLowerCase();
         
+        // Add operator names matching the word being typed
+        const nameMatch = /(^|[\s(])(-?)([a-z]{2,})$/i.exec(query);
+        if (nameMatch) {
+            const lead = query.slice(0, nameMatch.index + nameMatch[1].length) + nameMatch[2];
+            Object.keys(SEARCH_OPERATORS)
+                .filter(name => name.startsWith(nameMatch[3].toLowerCase()) && name !== nameMatch[3].toLowerCase())
+                .forEach(name => suggestions.add({
+                    text: `${lead}${name}:`,
+                    type: 'operator',
+                    icon: '⚙️',
+                    description: SEARCH_OPERATORS[name].description
+                }));
+        }
+        
         // Add suggestions from search history
         this.searchHistory.forEach(historyItem => {
             if (historyItem.toLowerCase().includes(queryLower) && historyItem !== query) {
@@ -1529,7 +2955,7 @@ class PopupManager {
         if (queryLower.length > 2) {
             const operators = [
                 { text: `"${query}"`, type: 'operator', icon: '🔍', description: 'Exact phrase' },
-                { text: `title:${query}`, type: 'operator', icon: '📝', description: 'Search in titles only' },
+                { text: `tag:${query}`, type: 'operator', icon: '🏷️', description: SEARCH_OPERATORS.tag.description },
                 { text: `-${query}`, type: 'operator', icon: '🚫', description: 'Exclude this term' }
             ];
             
@@ -1539,6 +2965,69 @@ class PopupManager {
         return Array.from(suggestions).slice(0, 8); // Limit to 8 suggestions
     }
 
+    /**
+     * Suggest values for an operator being typed as the last word of a query
+     * 쿼리의 마지막 단어로 입력 중인 연산자의 값 제안
+     * @returns {Array|null} Suggestions, or null when the last word is not an operator
+     */
+    generateOperatorSuggestions(query) {
+        const valueMatch = /(^|[\s(])(-?)([a-z]+):("?)([^\s"()]*)$/i.exec(query);
+        const prefix = valueMatch ? query.slice(0, valueMatch.index + valueMatch[1].length) : '';
+        
+        if (valueMatch && SEARCH_OPERATORS[valueMatch[3].toLowerCase()]) {
+            const field = valueMatch[3].toLowerCase();
+            const partial = valueMatch[5].toLowerCase();
+            const lead = `${prefix}${valueMatch[2]}${field}:`;
+            
+            let values;
+            if (SEARCH_OPERATORS[field].values) {
+                values = SEARCH_OPERATORS[field].values;
+            } else if (field === 'tag') {
+                values = this.getKnownTags();
+            } else if (field === 'domain' || field === 'site') {
+                values = this.getKnownDomains();
+            } else {
+                values = ['today', 'yesterday', '7d', '1m', new Date().getFullYear().toString()];
+            }
+            
+            return values
+                .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+                .map(value => ({
+                    text: `${lead}${/\s/.test(value) ? `"${value}"` : value}`,
+                    type: 'operator',
+                    icon: field === 'tag' ? '🏷️' : field === 'domain' || field === 'site' ? '🌐' : '🔎',
+                    description: SEARCH_OPERATORS[field].description
+                }));
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get tags used by saved pages, most used first
+     * 저장된 페이지에서 사용된 태그 (사용 빈도순)
+     */
+    getKnownTags() {
+        const counts = new Map();
+        this.pages.forEach(page => {
+            (page.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    }
+
+    /**
+     * Get domains of saved pages, most saved first
+     * 저장된 페이지의 도메인 (저장 빈도순)
+     */
+    getKnownDomains() {
+        const counts = new Map();
+        this.pages.forEach(page => {
+            const domain = String(page.domain || '').toLowerCase().replace(/^www\./, '');
+            if (domain) counts.set(domain, (counts.get(domain) || 0) + 1);
+        });
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    }
+
     /**
      * Show search suggestions
      * 검색 제안 표시
@@ -1679,6 +3168,15 @@ class PopupManager {
     handleFilterChange(filter) {
         this.currentFilter = filter;
         
+        // Smart collections bring their own sort order
+        const collection = this.getSmartCollection(filter);
+        if (collection) {
+            this.currentSort = collection.sort;
+            if (this.elements.sortSelect) {
+                this.elements.sortSelect.value = collection.sort;
+            }
+        }
+        
         // Update active tab
         this.elements.filterTabs?.forEach(tab => {
             tab.classList.toggle('active', tab.dataset.filter === filter);
@@ -1701,11 +3199,111 @@ class PopupManager {
         this.renderPages();
     }
 
+    /**
+     * Open the weekly digest view with the latest digest
+     * 최신 다이제스트가 표시된 주간 다이제스트 뷰 열기
+     */
+    async openDigest() {
+        try {
+            await chrome.tabs.create({ url: chrome.runtime.getURL('digest/digest.html') });
+        } catch (error) {
+            console.error('Error opening digest:', error);
+            this.showNotification('Failed to open digest', 'error');
+        }
+    }
+
     /**
      * Export pages
      * 페이지 내보내기
      */
     async exportPages() {
+        const format = await showChoice({
+            title: 'Export Pages',
+            message: 'Choose an export format.',
+            details: 'Bookmarks HTML can be imported into any browser, with collections as folders. ' +
+                'Markdown writes a zip with one note per page shown for the current search.',
+            type: 'none',
+            choices: [
+                { value: 'json', label: 'JSON', primary: true },
+                { value: 'bookmarks-html', label: 'Bookmarks HTML' },
+                { value: 'markdown', label: `Markdown (${this.filteredPages.length} shown)` }
+            ]
+        });
+        
+        if (format === 'bookmarks-html') {
+            await this.exportBookmarks();
+        } else if (format === 'markdown') {
+            await this.exportMarkdown();
+        } else if (format === 'json') {
+            this.exportPagesAsJson();
+        }
+    }
+
+    /**
+     * Export all saved pages as a Netscape bookmark file
+     * 저장된 모든 페이지를 넷스케이프 북마크 파일로 내보내기
+     */
+    async exportBookmarks() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'EXPORT_BOOKMARKS' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+            
+            const blob = new Blob([response.data.html], { type: 'text/html' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `pagepouch-bookmarks-${new Date().toISOString().split('T')[0]}.html`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            
+            this.showNotification(`Exported ${response.data.count} bookmarks`, 'success');
+        } catch (error) {
+            console.error('Error exporting bookmarks:', error);
+            this.showNotification('Failed to export bookmarks', 'error');
+        }
+    }
+
+    /**
+     * Export the pages shown for the current search as a zip of Markdown notes
+     * 현재 검색에 표시된 페이지를 마크다운 노트 zip으로 내보내기
+     */
+    async exportMarkdown() {
+        if (this.filteredPages.length === 0) {
+            this.showNotification('No pages to export', 'info');
+            return;
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'EXPORT_MARKDOWN',
+                data: { pageIds: this.filteredPages.map(page => page.id) }
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+            
+            // Dates arrive as ISO strings after messaging
+            const files = response.data.files.map(file => ({ ...file, date: new Date(file.date) }));
+            const blob = new Blob([createZip(files)], { type: 'application/zip' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `pagepouch-markdown-${new Date().toISOString().split('T')[0]}.zip`;
+            a.click();
+            
+            URL.revokeObjectURL(url);
+            
+            this.showNotification(`Exported ${files.length} pages as Markdown`, 'success');
+        } catch (error) {
+            console.error('Error exporting Markdown:', error);
+            this.showNotification('Failed to export Markdown', 'error');
+        }
+    }
+
+    exportPagesAsJson() {
         try {
             const exportData = {
                 exportedAt: new Date().toISOString(),
@@ -1891,6 +3489,8 @@ class PopupManager {
         const metadata = pageData.summaryMetadata;
         
         switch (metadata.method) {
+            case 'pending':
+                return 'Generating summary...';
             case 'ai_generated':
                 return `AI summary generated (${metadata.provider})`;
             case 'fallback':
@@ -1943,6 +3543,10 @@ class PopupManager {
             `;
         }
         
+        // Offline copy is only available once a snapshot was stored
+        const archiveItem = this.elements.contextMenu.querySelector('[data-action="open-archive"]');
+        archiveItem?.classList.toggle('hidden', !page.isArchived);
+        
         // Position and show menu
         this.elements.contextMenu.style.left = `${x}px`;
         this.elements.contextMenu.style.top = `${y}px`;
@@ -1966,6 +3570,10 @@ class PopupManager {
      * 컨텍스트 메뉴 이벤트 바인딩
      */
     bindContextMenuEvents() {
+        // Menu is reused for every card, so only bind once
+        if (this.contextMenuBound) return;
+        this.contextMenuBound = true;
+        
         const menuItems = this.elements.contextMenu?.querySelectorAll('.context-menu-item');
         menuItems?.forEach(item => {
             item.addEventListener('click', (e) => {
@@ -1994,9 +3602,18 @@ class PopupManager {
             case 'open-new-tab':
                 await this.openPage(pageId, true);
                 break;
+            case 'open-archive':
+                await this.openArchive(pageId);
+                break;
             case 'favorite':
                 await this.toggleFavorite(pageId);
                 break;
+            case 'edit-tags':
+                this.openTagEditor(pageId);
+                break;
+            case 'ask':
+                this.openPageChat(pageId);
+                break;
             case 'copy-url':
                 await this.copyToClipboard(page.url);
                 this.showNotification('URL copied to clipboard', 'success');
@@ -2034,13 +3651,301 @@ class PopupManager {
             this.hideContextMenu();
         } else if (!this.elements.confirmationModal?.classList.contains('hidden')) {
             this.hideModal();
+        } else if (!this.elements.pageChat?.classList.contains('hidden')) {
+            this.closePageChat();
         } else if (!this.elements.notificationToast?.classList.contains('hidden')) {
             this.hideNotification();
+        } else if (this.deleteMode) {
+            this.toggleDeleteMode();
         } else if (this.elements.searchInput?.value) {
             this.clearSearch();
         }
     }
 
+    // Page Questions
+
+    /**
+     * Bind the events of the page question panel
+     * 페이지 질문 패널 이벤트 바인딩
+     */
+    bindPageChatEvents() {
+        const panel = this.elements.pageChat;
+        if (!panel) return;
+
+        const input = panel.querySelector('.page-chat-input');
+
+        panel.querySelector('.modal-content')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+        panel.querySelector('.modal-backdrop')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closePageChat();
+        });
+        panel.querySelector('.page-chat-close')?.addEventListener('click', () => {
+            this.closePageChat();
+        });
+        panel.querySelector('.page-chat-clear')?.addEventListener('click', () => {
+            this.clearPageChat();
+        });
+        panel.querySelector('.page-chat-stop')?.addEventListener('click', () => {
+            this.chatPort?.postMessage({ type: 'cancel' });
+        });
+        panel.querySelector('.page-chat-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.askPageChatQuestion();
+        });
+
+        // Enter asks, Shift+Enter starts a new line
+        input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+                e.preventDefault();
+                this.askPageChatQuestion();
+            }
+        });
+    }
+
+    /**
+     * Open the question panel for a page with its stored conversation
+     * 저장된 대화와 함께 페이지 질문 패널 열기
+     */
+    async openPageChat(pageId) {
+        const panel = this.elements.pageChat;
+        const page = this.pages.find(p => p.id === pageId);
+        if (!panel || !page) return;
+
+        this.closePageChat();
+        this.chatPageId = pageId;
+        this.chatMessages = [];
+
+        const title = panel.querySelector('.page-chat-title');
+        title.textContent = page.title || page.url;
+        title.title = page.title || page.url;
+        this.renderPageChat();
+        panel.classList.remove('hidden');
+        panel.querySelector('.page-chat-input')?.focus();
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getPageChat', data: { pageId } });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to load conversation');
+            }
+            if (this.chatPageId === pageId) {
+                this.chatMessages = response.data;
+                this.renderPageChat();
+            }
+        } catch (error) {
+            console.error('Error loading page conversation:', error);
+            this.showNotification('Failed to load conversation', 'error');
+        }
+    }
+
+    /**
+     * Close the question panel, stopping an answer being written
+     * 질문 패널 닫기 (작성 중인 답변 중지)
+     */
+    closePageChat() {
+        if (this.chatPort) {
+            this.chatPort.disconnect();
+            this.chatPort = null;
+        }
+        if (this.chatPending) {
+            this.chatPending = null;
+            this.setPageChatBusy(false);
+        }
+        this.chatPageId = null;
+        this.elements.pageChat?.classList.add('hidden');
+    }
+
+    /**
+     * Send the typed question and stream its answer into the panel
+     * 입력한 질문을 보내고 답변을 패널에 스트리밍
+     */
+    askPageChatQuestion() {
+        const input = this.elements.pageChat?.querySelector('.page-chat-input');
+        const question = input?.value.trim();
+        if (!question || !this.chatPageId || this.chatPending) return;
+
+        if (!this.chatPort) {
+            try {
+                this.chatPort = chrome.runtime.connect({ name: 'page-chat' });
+            } catch (error) {
+                console.error('Error connecting to page chat:', error);
+                this.showNotification('Failed to ask the question', 'error');
+                return;
+            }
+            this.chatPort.onMessage.addListener((message) => this.handlePageChatMessage(message));
+            this.chatPort.onDisconnect.addListener(() => {
+                this.chatPort = null;
+                if (this.chatPending) {
+                    this.finishPageChatQuestion('The answer was interrupted');
+                }
+            });
+        }
+
+        this.chatPending = { question, text: '' };
+        input.value = '';
+        this.setPageChatBusy(true);
+        this.renderPageChat();
+        this.chatPort.postMessage({ type: 'ask', pageId: this.chatPageId, question });
+    }
+
+    /**
+     * Handle a message about the answer being written
+     * 작성 중인 답변에 대한 메시지 처리
+     */
+    handlePageChatMessage(message) {
+        if (!this.chatPending) return;
+
+        switch (message.type) {
+            case 'chunk':
+                this.chatPending.text = message.text;
+                this.renderPageChat();
+                break;
+            case 'done':
+                this.chatMessages = [...this.chatMessages, ...message.messages];
+                this.chatPending = null;
+                this.setPageChatBusy(false);
+                this.renderPageChat();
+                break;
+            case 'cancelled':
+                this.finishPageChatQuestion();
+                break;
+            case 'error':
+                this.finishPageChatQuestion(message.error || 'Failed to answer the question');
+                break;
+        }
+    }
+
+    /**
+     * End a question that got no answer, putting it back in the input
+     * 답변을 받지 못한 질문 종료 (질문을 입력란에 되돌림)
+     */
+    finishPageChatQuestion(error = null) {
+        const input = this.elements.pageChat?.querySelector('.page-chat-input');
+        if (input && !input.value) {
+            input.value = this.chatPending.question;
+        }
+        this.chatPending = null;
+        this.setPageChatBusy(false);
+        this.renderPageChat();
+
+        if (error) {
+            this.showNotification(error, 'error');
+        }
+    }
+
+    /**
+     * Switch the panel between asking and answering
+     * 패널을 질문 상태와 답변 상태 사이에서 전환
+     */
+    setPageChatBusy(busy) {
+        const panel = this.elements.pageChat;
+        if (!panel) return;
+
+        panel.querySelector('.page-chat-stop')?.classList.toggle('hidden', !busy);
+        const sendBtn = panel.querySelector('.page-chat-send');
+        if (sendBtn) sendBtn.disabled = busy;
+        const clearBtn = panel.querySelector('.page-chat-clear');
+        if (clearBtn) clearBtn.disabled = busy;
+    }
+
+    /**
+     * Render the conversation, with the answer being written last
+     * 대화 렌더링 (작성 중인 답변은 마지막에)
+     */
+    renderPageChat() {
+        const list = this.elements.pageChat?.querySelector('.page-chat-messages');
+        if (!list) return;
+
+        const messages = [...this.chatMessages];
+        if (this.chatPending) {
+            messages.push(
+                { role: 'user', content: this.chatPending.question },
+                { role: 'assistant', content: this.chatPending.text || '…', pending: true }
+            );
+        }
+
+        list.textContent = '';
+        if (messages.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'page-chat-empty';
+            empty.textContent = 'Ask anything about this page. Answers come from its saved text and cite the passages they use.';
+            list.appendChild(empty);
+            return;
+        }
+
+        messages.forEach(message => list.appendChild(this.createPageChatMessage(message)));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Create the element for one message, with the passages an answer cites
+     * 메시지 하나의 요소 생성 (답변이 인용한 구절 포함)
+     */
+    createPageChatMessage(message) {
+        const item = document.createElement('div');
+        item.className = `chat-message ${message.role === 'user' ? 'user' : 'assistant'}`;
+        if (message.pending) {
+            item.classList.add('pending');
+        }
+
+        const text = document.createElement('p');
+        text.className = 'chat-message-text';
+        text.textContent = message.content;
+        item.appendChild(text);
+
+        if (message.citations?.length > 0) {
+            const sources = document.createElement('div');
+            sources.className = 'chat-citations';
+            message.citations.forEach(citation => {
+                const quote = document.createElement('blockquote');
+                quote.className = 'chat-citation';
+                const number = document.createElement('span');
+                number.className = 'chat-citation-number';
+                number.textContent = `[${citation.number}]`;
+                quote.append(number, ` ${citation.text}`);
+                sources.appendChild(quote);
+            });
+            item.appendChild(sources);
+        }
+
+        if (message.role === 'assistant' && message.provider) {
+            item.title = message.model ? `${message.provider} · ${message.model}` : message.provider;
+        }
+
+        return item;
+    }
+
+    /**
+     * Delete the conversation about the open page
+     * 열려 있는 페이지에 대한 대화 삭제
+     */
+    clearPageChat() {
+        const pageId = this.chatPageId;
+        if (!pageId || this.chatMessages.length === 0 || this.chatPending) return;
+
+        this.showModal(
+            'Clear Conversation',
+            'Delete all questions and answers about this page?',
+            'Clear',
+            async () => {
+                try {
+                    const response = await chrome.runtime.sendMessage({ action: 'clearPageChat', data: { pageId } });
+                    if (!response?.success) {
+                        throw new Error(response?.error || 'Failed to clear conversation');
+                    }
+                    if (this.chatPageId === pageId) {
+                        this.chatMessages = [];
+                        this.renderPageChat();
+                    }
+                } catch (error) {
+                    console.error('Error clearing page conversation:', error);
+                    this.showNotification('Failed to clear conversation', 'error');
+                }
+            }
+        );
+    }
+
     // Modal and Toast Management
     
     /**
@@ -2528,3 +4433,8 @@ class PopupManager {
 document.addEventListener('DOMContentLoaded', () => {
     new PopupManager();
 });
+
+// Export for tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopupManager;
+}
@@ -0,0 +1,88 @@
+// Reader view for archived pages in PagePouch Chrome extension
+// 리더 뷰 - 아카이브된 페이지 스냅샷을 오프라인으로 표시
+
+/**
+ * Reader view that renders a stored snapshot in a sandboxed frame
+ * 저장된 스냅샷을 샌드박스 프레임에 렌더링하는 리더 뷰
+ */
+class ReaderView {
+    constructor() {
+        this.archiveStore = new ArchiveStore();
+        this.objectUrl = null;
+
+        this.elements = {
+            title: document.getElementById('reader-title'),
+            meta: document.getElementById('reader-meta'),
+            original: document.getElementById('reader-original'),
+            frame: document.getElementById('reader-frame'),
+            error: document.getElementById('reader-error'),
+            errorMessage: document.getElementById('reader-error-message')
+        };
+
+        window.addEventListener('unload', () => {
+            if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        });
+
+        this.init();
+    }
+
+    /**
+     * Load the snapshot named in the ?id= query parameter
+     * ?id= 쿼리 매개변수의 스냅샷 로드
+     */
+    async init() {
+        try {
+            const pageId = new URLSearchParams(window.location.search).get('id');
+            if (!pageId) {
+                throw new Error('No page specified');
+            }
+
+            const snapshot = await this.archiveStore.getSnapshot(pageId);
+            if (!snapshot) {
+                throw new Error('No offline copy is stored for this page');
+            }
+
+            this.render(snapshot);
+        } catch (error) {
+            console.error('Error loading archive:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Render snapshot and toolbar details
+     * 스냅샷과 툴바 정보 렌더링
+     */
+    render(snapshot) {
+        const title = snapshot.title || snapshot.url;
+        document.title = `${title} - PagePouch Archive`;
+
+        this.elements.title.textContent = title;
+        this.elements.title.title = title;
+        this.elements.meta.textContent = `Captured ${new Date(snapshot.capturedAt).toLocaleString()} · ${formatBytes(snapshot.size)}`;
+
+        if (snapshot.url) {
+            this.elements.original.href = snapshot.url;
+            this.elements.original.classList.remove('hidden');
+        }
+
+        this.objectUrl = URL.createObjectURL(snapshot.html);
+        this.elements.frame.src = this.objectUrl;
+        this.elements.frame.classList.remove('hidden');
+    }
+
+    /**
+     * Show error state
+     * 오류 상태 표시
+     */
+    showError(message) {
+        this.elements.title.textContent = 'Archive unavailable';
+        this.elements.errorMessage.textContent = message;
+        this.elements.error.classList.remove('hidden');
+    }
+}
+
+// Initialize reader when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new ReaderView();
+});
@@ -1,7 +1,23 @@
 // Test suite for AI Summary Service
 // AI 요약 서비스 테스트 스위트
 
-const { AISummaryService, OpenAIProvider, AnthropicProvider, GeminiProvider, OllamaProvider } = require('../utils/ai-summary.js');
+const http = require('http');
+
+// jsdom provides no TextEncoder or TextDecoder for stream bodies
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+global.TextDecoder = global.TextDecoder || require('util').TextDecoder;
+
+const {
+    AISummaryService,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    AnthropicProvider,
+    GeminiProvider,
+    OllamaProvider,
+    parseHeaderLines,
+    formatHeaderLines,
+    createStreamParser
+} = require('../utils/ai-summary.js');
 
 describe('AISummaryService', () => {
     let aiService;
@@ -113,10 +129,33 @@ describe('AISummaryService', () => {
 
             expect(result.success).toBe(true);
             expect(result.summary).toBe('Test summary');
+            expect(result.model).toBe('gpt-3.5-turbo');
             expect(result.metadata).toBeDefined();
             expect(result.metadata.originalLength).toBe(content.length);
         });
 
+        test('should split summary and tags when tags are requested', async () => {
+            global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+                callback({
+                    enableAISummary: true,
+                    aiProvider: 'openai',
+                    apiKey: 'sk-test-key'
+                });
+            });
+
+            const content = 'This is a long enough content for summarization. It contains multiple sentences and provides enough context.';
+            aiService.attemptSummary = jest.fn().mockResolvedValue({
+                success: true,
+                summary: '```json\n{"summary": "Test summary", "tags": ["cooking", "recipes"]}\n```'
+            });
+
+            const result = await aiService.generateSummary(content, { suggestTags: true, knownTags: ['recipe'] });
+
+            expect(result.summary).toBe('Test summary');
+            expect(result.suggestedTags).toEqual(['cooking', 'recipes']);
+            expect(aiService.attemptSummary.mock.calls[0][3].knownTags).toEqual(['recipe']);
+        });
+
         test('should retry on failure and return fallback', async () => {
             global.chrome.storage.local.get.mockImplementation((keys, callback) => {
                 callback({
@@ -168,6 +207,17 @@ describe('AISummaryService', () => {
         });
     });
 
+    describe('parseTaggedSummary', () => {
+        test('should keep a reply that is not JSON as the summary', () => {
+            expect(aiService.parseTaggedSummary('Just a summary.')).toEqual({ summary: 'Just a summary.', tags: [] });
+        });
+
+        test('should drop tags that are not strings and cap the count', () => {
+            const reply = JSON.stringify({ summary: 'S', tags: ['a', 1, '', 'b', 'c'] });
+            expect(aiService.parseTaggedSummary(reply, 2)).toEqual({ summary: 'S', tags: ['a', 'b'] });
+        });
+    });
+
     describe('generateFallbackSummary', () => {
         test('should extract first few sentences', () => {
             const content = 'First sentence. Second sentence. Third sentence. Fourth sentence.';
@@ -195,12 +245,350 @@ describe('AISummaryService', () => {
         });
     });
 
+    describe('getSettings', () => {
+        test('should read provider and key from the options page settings object', async () => {
+            global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+                callback({
+                    settings: {
+                        enableAISummary: true,
+                        apiProvider: 'anthropic',
+                        apiKey: 'sk-ant-test'
+                    }
+                });
+            });
+
+            const settings = await aiService.getSettings();
+
+            expect(settings.enableAISummary).toBe(true);
+            expect(settings.aiProvider).toBe('anthropic');
+            expect(settings.anthropicApiKey).toBe('sk-ant-test');
+        });
+
+        test('should read the API key from the secret store when given one', async () => {
+            global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+                callback({
+                    settings: { enableAISummary: true, apiProvider: 'gemini', apiKey: '' }
+                });
+            });
+            const secretStore = { getSecret: jest.fn().mockResolvedValue('gemini-secret-key') };
+
+            const settings = await new AISummaryService({ secretStore }).getSettings();
+
+            expect(secretStore.getSecret).toHaveBeenCalledWith('apiKey:gemini');
+            expect(settings.apiKey).toBe('gemini-secret-key');
+            expect(settings.geminiApiKey).toBe('gemini-secret-key');
+        });
+
+        test('should keep a key and config per provider', async () => {
+            global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+                callback({
+                    settings: {
+                        enableAISummary: true,
+                        apiProvider: 'openai',
+                        providerConfigs: { anthropic: { model: 'claude-3-5-haiku-latest', temperature: 0 } }
+                    }
+                });
+            });
+            const keys = { 'apiKey:openai': 'sk-openai', 'apiKey:anthropic': 'sk-ant-key' };
+            const secretStore = { getSecret: jest.fn(async (name) => keys[name] || '') };
+            const service = new AISummaryService({ secretStore });
+
+            const settings = await service.getSettings();
+            const anthropic = service.getProviderSettings('anthropic', settings);
+
+            expect(settings.apiKey).toBe('sk-openai');
+            expect(settings.providers.gemini.apiKey).toBe('');
+            expect(anthropic.anthropicApiKey).toBe('sk-ant-key');
+            expect(anthropic.model).toBe('claude-3-5-haiku-latest');
+            expect(anthropic.temperature).toBe(0);
+        });
+
+        test('should prefer legacy top-level keys', async () => {
+            global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+                callback({
+                    enableAISummary: false,
+                    aiProvider: 'openai',
+                    settings: { enableAISummary: true, apiProvider: 'gemini' }
+                });
+            });
+
+            const settings = await aiService.getSettings();
+
+            expect(settings.enableAISummary).toBe(false);
+            expect(settings.aiProvider).toBe('openai');
+        });
+    });
+
+    describe('getProviderModel', () => {
+        test('should use the configured model before the provider default', () => {
+            expect(aiService.getProviderModel('openai', { openaiModel: 'gpt-4o-mini' })).toBe('gpt-4o-mini');
+            expect(aiService.getProviderModel('gemini', {})).toBe('gemini-pro');
+            expect(aiService.getProviderModel('unknown', {})).toBeNull();
+        });
+
+        test('should prefer the model in the provider config', () => {
+            const settings = { openaiModel: 'gpt-4o-mini', providers: { openai: { model: 'gpt-4o' } } };
+            expect(aiService.getProviderModel('openai', settings)).toBe('gpt-4o');
+        });
+    });
+
+    describe('provider fallback', () => {
+        const content = 'This is a long enough content for summarization. It contains multiple sentences and provides enough context.';
+
+        beforeEach(() => {
+            aiService.maxRetries = 0;
+            aiService.getSettings = jest.fn().mockResolvedValue({
+                enableAISummary: true,
+                aiProvider: 'openai',
+                aiFallback: true,
+                providers: {
+                    openai: { apiKey: 'sk-openai' },
+                    anthropic: { apiKey: 'sk-ant-key', model: 'claude-3-5-haiku-latest', maxTokens: 300 },
+                    gemini: { apiKey: '' },
+                    ollama: { apiKey: '' }
+                }
+            });
+        });
+
+        test('should move on to the next provider with its own settings', async () => {
+            aiService.attemptSummary = jest.fn()
+                .mockRejectedValueOnce(new Error('Rate limit exceeded'))
+                .mockResolvedValueOnce({ success: true, summary: 'From Claude' });
+
+            const result = await aiService.generateSummary(content);
+
+            expect(result.success).toBe(true);
+            expect(result.provider).toBe('anthropic');
+            expect(result.model).toBe('claude-3-5-haiku-latest');
+            expect(aiService.attemptSummary.mock.calls.map(call => call[1])).toEqual(['openai', 'anthropic']);
+
+            const anthropicSettings = aiService.attemptSummary.mock.calls[1][2];
+            expect(anthropicSettings.anthropicApiKey).toBe('sk-ant-key');
+            expect(anthropicSettings.maxTokens).toBe(300);
+        });
+
+        test('should stay on the selected provider when fallback is off', async () => {
+            aiService.getSettings.mockResolvedValue({
+                ...(await aiService.getSettings()),
+                aiFallback: false
+            });
+            aiService.attemptSummary = jest.fn().mockRejectedValue(new Error('Rate limit exceeded'));
+
+            const result = await aiService.generateSummary(content);
+
+            expect(result.success).toBe(false);
+            expect(aiService.attemptSummary).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('prompt templates', () => {
+        const content = 'This is a long enough content for summarization. It contains multiple sentences and provides enough context.';
+
+        beforeEach(() => {
+            aiService.maxRetries = 0;
+            aiService.getSettings = jest.fn().mockResolvedValue({
+                enableAISummary: true,
+                aiProvider: 'openai',
+                aiFallback: false,
+                providers: { openai: { apiKey: 'sk-openai' } },
+                promptTemplates: [{ id: 'news', name: 'News', text: 'News brief: {{content}}' }],
+                promptTemplateRules: [{ type: 'domain', value: 'example.com', templateId: 'news' }],
+                defaultPromptTemplateId: ''
+            });
+            aiService.attemptSummary = jest.fn().mockResolvedValue({ success: true, summary: 'Brief' });
+        });
+
+        test('should pick the template for the page being summarized', async () => {
+            const result = await aiService.generateSummary(content, { url: 'https://blog.example.com/post' });
+
+            expect(aiService.attemptSummary.mock.calls[0][3].promptTemplate).toBe('News brief: {{content}}');
+            expect(result.promptTemplate).toBe('News');
+        });
+
+        test('should keep an explicit template, even an empty one', async () => {
+            await aiService.generateSummary(content, { url: 'https://example.com', promptTemplate: '' });
+            await aiService.generateSummary(content, { url: 'https://other.com' });
+
+            expect(aiService.attemptSummary.mock.calls[0][3].promptTemplate).toBe('');
+            expect(aiService.attemptSummary.mock.calls[1][3].promptTemplate).toBe('');
+        });
+    });
+
+    describe('long documents', () => {
+        const paragraph = 'This paragraph explains one step of the method in enough detail to matter. '.repeat(20);
+        const sections = ['Introduction', 'Method', 'Results', 'Discussion'].map(heading => ({
+            heading, level: 2, text: paragraph
+        }));
+        let cacheEntries;
+
+        beforeEach(() => {
+            aiService.maxRetries = 0;
+            aiService.getSettings = jest.fn().mockResolvedValue({
+                enableAISummary: true,
+                aiProvider: 'openai',
+                aiFallback: false,
+                providers: { openai: { apiKey: 'sk-openai' } }
+            });
+            aiService.getChunkLength = jest.fn().mockResolvedValue(2000);
+            cacheEntries = {};
+            aiService.chunkCache = {
+                get: jest.fn(async key => cacheEntries[key] || null),
+                set: jest.fn(async (key, summary) => { cacheEntries[key] = summary; })
+            };
+        });
+
+        test('should summarize each part, then the part summaries', async () => {
+            aiService.attemptSummary = jest.fn(async (content, provider, settings, config) => ({
+                success: true,
+                summary: config.promptTemplate.includes('one part of a longer document') ?
+                    `Part summary ${aiService.attemptSummary.mock.calls.length}. It keeps the key facts of this part.` :
+                    'Final summary'
+            }));
+            const progress = [];
+
+            const result = await aiService.summarizeDocument(sections, {
+                title: 'Paper',
+                onProgress: update => progress.push(`${update.stage} ${update.done}/${update.total}`)
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.summary).toBe('Final summary');
+            expect(result.metadata.parts).toBe(4);
+            expect(aiService.attemptSummary).toHaveBeenCalledTimes(5);
+            expect(aiService.attemptSummary.mock.calls[0][3].promptTemplate).toContain('titled "{{title}}"');
+            expect(aiService.attemptSummary.mock.calls[4][0]).toContain('## Results Part summary 3.');
+            expect(progress).toEqual(['parts 0/4', 'parts 1/4', 'parts 2/4', 'parts 3/4', 'parts 4/4', 'final 0/1']);
+        });
+
+        test('should reuse cached part summaries on a retry', async () => {
+            aiService.attemptSummary = jest.fn()
+                .mockResolvedValueOnce({ success: true, summary: 'Introduction summary with enough words.' })
+                .mockResolvedValueOnce({ success: true, summary: 'Method summary with enough words.' })
+                .mockRejectedValueOnce(new Error('Rate limit exceeded'));
+
+            const failed = await aiService.summarizeDocument(sections, { title: 'Paper' });
+
+            expect(failed.success).toBe(false);
+            expect(failed.fallback).toBeDefined();
+            expect(Object.keys(cacheEntries)).toHaveLength(2);
+
+            aiService.attemptSummary = jest.fn().mockResolvedValue({ success: true, summary: 'Fresh summary text.' });
+            const result = await aiService.summarizeDocument(sections, { title: 'Paper' });
+
+            expect(result.success).toBe(true);
+            // Results, Discussion and the final pass
+            expect(aiService.attemptSummary).toHaveBeenCalledTimes(3);
+        });
+
+        test('should take the normal path for short documents', async () => {
+            aiService.attemptSummary = jest.fn().mockResolvedValue({ success: true, summary: 'Short' });
+
+            const result = await aiService.summarizeDocument(sections.slice(0, 1), { title: 'Note' });
+
+            expect(result.success).toBe(true);
+            expect(aiService.attemptSummary).toHaveBeenCalledTimes(1);
+            expect(aiService.getChunkLength).not.toHaveBeenCalled();
+        });
+
+        test('should size parts for the smallest context window', async () => {
+            delete aiService.getChunkLength;
+            const settings = {
+                aiProvider: 'openai',
+                aiFallback: true,
+                providers: { openai: { apiKey: 'sk-openai' }, ollama: {}, anthropic: { apiKey: 'sk-ant-key', contextTokens: 2000 } }
+            };
+
+            const length = await aiService.getChunkLength(settings, { maxLength: 500 });
+
+            // 2000 tokens less 750 for the answer and 500 for the prompt, at 3 characters a token
+            expect(length).toBe(2250);
+        });
+    });
+
+    describe('generateText', () => {
+        beforeEach(() => {
+            aiService.maxRetries = 0;
+            aiService.getSettings = jest.fn().mockResolvedValue({
+                enableAISummary: true,
+                aiProvider: 'ollama',
+                aiFallback: true,
+                providers: { ollama: {}, openai: { apiKey: 'sk-openai' } }
+            });
+        });
+
+        test('should send the prompt as written and fall back to the next provider', async () => {
+            aiService.attemptSummary = jest.fn()
+                .mockResolvedValueOnce({ success: false, error: 'Ollama is not running' })
+                .mockResolvedValueOnce({ success: true, summary: 'The answer [1].' });
+
+            const result = await aiService.generateText('Question prompt', { maxLength: 800 });
+
+            expect(result.success).toBe(true);
+            expect(result.text).toBe('The answer [1].');
+            expect(result.provider).toBe('openai');
+            expect(aiService.attemptSummary.mock.calls[0][1]).toBe('ollama');
+            expect(aiService.attemptSummary.mock.calls[0][3].prompt).toBe('Question prompt');
+            expect(aiService.attemptSummary.mock.calls[0][3].maxLength).toBe(800);
+        });
+
+        test('should report a cancelled request', async () => {
+            const controller = new AbortController();
+            controller.abort();
+            aiService.attemptSummary = jest.fn();
+
+            const result = await aiService.generateText('Question prompt', { signal: controller.signal });
+
+            expect(result.cancelled).toBe(true);
+            expect(aiService.attemptSummary).toHaveBeenCalledTimes(0);
+        });
+    });
+
+    describe('embedTexts', () => {
+        test('should not embed when semantic search is off', async () => {
+            const result = await aiService.embedTexts(['Text'], { embeddingProvider: '', providers: {} });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Semantic search is turned off in settings');
+        });
+
+        test('should embed with the semantic search provider and its configured model', async () => {
+            const ollama = aiService.providers.ollama;
+            ollama.embed = jest.fn().mockResolvedValue([[0.1, 0.2], [0.3, 0.4]]);
+
+            const result = await aiService.embedTexts(['One', 'Two'], {
+                embeddingProvider: 'ollama',
+                providers: { ollama: { embeddingModel: 'mxbai-embed-large' } }
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.vectors).toHaveLength(2);
+            expect(result.provider).toBe('ollama');
+            expect(result.model).toBe('mxbai-embed-large');
+        });
+
+        test('should fail when the provider returns too few vectors', async () => {
+            aiService.providers.ollama.embed = jest.fn().mockResolvedValue([[0.1, 0.2]]);
+
+            const result = await aiService.embedTexts(['One', 'Two'], { embeddingProvider: 'ollama', providers: {} });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Expected 2 embeddings, got 1');
+        });
+
+        test('should refuse providers without embeddings', async () => {
+            const result = await aiService.embedTexts(['One'], { embeddingProvider: 'anthropic', providers: {} });
+
+            expect(result.success).toBe(false);
+        });
+    });
+
     describe('getAvailableProviders', () => {
         test('should return list of available providers', () => {
             const providers = aiService.getAvailableProviders();
             
-            expect(providers).toHaveLength(4);
-            expect(providers.map(p => p.id)).toEqual(['openai', 'anthropic', 'gemini', 'ollama']);
+            expect(providers).toHaveLength(5);
+            expect(providers.map(p => p.id)).toEqual(['openai', 'anthropic', 'gemini', 'ollama', 'custom']);
+            expect(providers.find(p => p.id === 'custom').acceptsApiKey).toBe(true);
             
             providers.forEach(provider => {
                 expect(provider).toHaveProperty('id');
@@ -247,6 +635,24 @@ describe('OpenAIProvider', () => {
         });
     });
 
+    describe('embed', () => {
+        test('should return vectors in input order', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({
+                    data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }]
+                })
+            });
+
+            const vectors = await provider.embed(['First', 'Second'], { apiKey: 'sk-test-key-123' });
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://api.openai.com/v1/embeddings');
+            expect(JSON.parse(options.body)).toEqual({ model: 'text-embedding-3-small', input: ['First', 'Second'] });
+            expect(vectors).toEqual([[1, 0], [0, 1]]);
+        });
+    });
+
     describe('testConnection', () => {
         test('should return success for valid API key', async () => {
             global.fetch.mockResolvedValue({
@@ -352,6 +758,32 @@ describe('OpenAIProvider', () => {
         });
     });
 
+    describe('listModels', () => {
+        test('should list chat models from the configured base URL', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({
+                    data: [{ id: 'gpt-4o' }, { id: 'text-embedding-3-small' }, { id: 'gpt-4o-audio-preview' }, { id: 'o3-mini' }]
+                })
+            });
+
+            const models = await provider.listModels({ apiKey: 'sk-test-key', baseUrl: 'https://proxy.example.com/v1/' });
+
+            expect(models).toEqual(['gpt-4o', 'o3-mini']);
+            expect(global.fetch.mock.calls[0][0]).toBe('https://proxy.example.com/v1/models');
+        });
+
+        test('should report API errors', async () => {
+            global.fetch.mockResolvedValue({
+                ok: false,
+                status: 401,
+                json: () => Promise.resolve({ error: { message: 'Invalid API key' } })
+            });
+
+            await expect(provider.listModels({ apiKey: 'sk-bad' })).rejects.toThrow('Invalid API key');
+        });
+    });
+
     describe('buildPrompt', () => {
         test('should build Korean prompt', () => {
             const content = 'Test content';
@@ -374,6 +806,22 @@ describe('OpenAIProvider', () => {
             expect(prompt).toContain('상세하고 포괄적인');
         });
 
+        test('should send a full prompt as it is', () => {
+            const prompt = provider.buildPrompt('Ignored content', { language: 'ko', maxLength: 200, prompt: 'Answer from the passages.' });
+
+            expect(prompt).toBe('Answer from the passages.');
+        });
+
+        test('should use the configured max tokens and temperature', () => {
+            const config = { maxLength: 200 };
+
+            expect(provider.getMaxTokens(config, { maxTokens: 1000 })).toBe(1000);
+            expect(provider.getContextTokens({})).toBe(16000);
+            expect(provider.getContextTokens({ contextTokens: 128000 })).toBe(128000);
+            expect(provider.getTemperature({ temperature: 0 })).toBe(0);
+            expect(provider.getTemperature({})).toBe(0.3);
+        });
+
         test('should build auto language prompt', () => {
             const content = 'Test content';
             const config = { language: 'auto', maxLength: 200, style: 'bullet' };
@@ -383,6 +831,279 @@ describe('OpenAIProvider', () => {
             expect(prompt).toContain('내용의 주요 언어로');
             expect(prompt).toContain('불릿 포인트로');
         });
+
+        test('should ask for JSON with tags from the existing vocabulary', () => {
+            const config = { language: 'en', maxLength: 200, style: 'concise', suggestTags: true, knownTags: ['recipe', 'travel'], maxTags: 3 };
+
+            const prompt = provider.buildPrompt('Test content', config);
+
+            expect(prompt).toContain('최대 3개');
+            expect(prompt).toContain('recipe, travel');
+            expect(prompt).toContain('{"summary": "요약", "tags": ["태그1", "태그2"]}');
+            expect(provider.getMaxTokens(config)).toBe(400);
+        });
+
+        test('should use a prompt template and add the tag request after it', () => {
+            const config = {
+                language: 'en',
+                maxLength: 120,
+                title: 'Release notes',
+                url: 'https://example.com/notes',
+                promptTemplate: 'Summarize "{{title}}" ({{url}}) in {{language}}, {{maxLength}} chars:\n{{content}}'
+            };
+
+            expect(provider.buildPrompt('Test content', config))
+                .toBe('Summarize "Release notes" (https://example.com/notes) in English, 120 chars:\nTest content');
+
+            const tagged = provider.buildPrompt('Test content', { ...config, suggestTags: true, maxTags: 2 });
+            expect(tagged.startsWith('Summarize "Release notes"')).toBe(true);
+            expect(tagged).toContain('최대 2개');
+            expect(tagged).toContain('{"summary": "요약", "tags": ["태그1", "태그2"]}');
+        });
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    let provider;
+    let server;
+    let baseUrl;
+    let requests;
+
+    // Minimal fetch over Node's http module, so requests reach a real local server
+    const fetchOverHttp = (url, options = {}) => new Promise((resolve, reject) => {
+        const request = http.request(url, { method: options.method || 'GET', headers: options.headers }, (response) => {
+            const chunks = response[Symbol.asyncIterator]();
+            resolve({
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                status: response.statusCode,
+                json: async () => {
+                    let body = '';
+                    for await (const chunk of response) body += chunk;
+                    return JSON.parse(body);
+                },
+                body: {
+                    getReader: () => ({
+                        read: async () => {
+                            const { done, value } = await chunks.next();
+                            return done ? { done: true } : { done: false, value: new Uint8Array(value) };
+                        }
+                    })
+                }
+            });
+        });
+        request.on('error', reject);
+        options.signal?.addEventListener('abort', () => {
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            request.destroy(error);
+        });
+        if (options.body) request.write(options.body);
+        request.end();
+    });
+
+    // Mock OpenAI-compatible gateway
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+                res.setHeader('Content-Type', 'application/json');
+
+                if (req.url === '/v1/models') {
+                    res.end(JSON.stringify({ data: [{ id: 'qwen2-7b' }, { id: 'llama-3.1-8b' }] }));
+                } else if (req.url === '/v1/chat/completions' && JSON.parse(body).stream) {
+                    // Event boundaries deliberately fall inside the writes
+                    res.setHeader('Content-Type', 'text/event-stream');
+                    res.write(': keep-alive\n\ndata: {"choices":[{"delta":{"role":"assistant"}}]}\n\ndata: {"choices":[{"delta":{"content":"Gate');
+                    res.write('way"}}]}\n\ndata: {"choices":[{"delta":{"content":" summary"}}]}\n\n');
+                    if (JSON.parse(body).model === 'slow') {
+                        return; // Never finishes; the client has to cancel
+                    }
+                    res.end('data: [DONE]\n\n');
+                } else if (req.url === '/v1/chat/completions') {
+                    res.end(JSON.stringify({ choices: [{ message: { content: 'Gateway summary' } }], usage: { total_tokens: 12 } }));
+                } else {
+                    res.statusCode = 404;
+                    res.end(JSON.stringify({ error: { message: 'Not found' } }));
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        provider = new OpenAICompatibleProvider();
+        requests = [];
+        global.fetch = jest.fn(fetchOverHttp);
+    });
+
+    test('should need a base URL and a model but no key', async () => {
+        expect(provider.requiresApiKey()).toBe(false);
+        expect(await provider.isConfigured({ baseUrl })).toBe(false);
+        expect(await provider.isConfigured({ baseUrl, model: 'llama-3.1-8b' })).toBe(true);
+        await expect(provider.listModels({})).rejects.toThrow('Base URL is required');
+    });
+
+    test('should list every model with the key and extra headers', async () => {
+        const models = await provider.listModels({ baseUrl, apiKey: 'gw-key', headers: { 'X-Team': 'research' } });
+
+        expect(models).toEqual(['qwen2-7b', 'llama-3.1-8b']);
+        expect(requests[0].headers.authorization).toBe('Bearer gw-key');
+        expect(requests[0].headers['x-team']).toBe('research');
+    });
+
+    test('should summarize through the gateway without a key', async () => {
+        const settings = { baseUrl: `${baseUrl}/`, model: 'llama-3.1-8b', temperature: 0.1 };
+
+        const result = await provider.generateSummary('Test content', { maxLength: 200, language: 'en' }, settings);
+
+        expect(result.success).toBe(true);
+        expect(result.summary).toBe('Gateway summary');
+        expect(requests[0].url).toBe('/v1/chat/completions');
+        expect(requests[0].body.model).toBe('llama-3.1-8b');
+        expect(requests[0].body.temperature).toBe(0.1);
+        expect(requests[0].headers.authorization).toBeUndefined();
+    });
+
+    test('should be used through the service with its saved config', async () => {
+        const aiService = new AISummaryService();
+        aiService.getSettings = jest.fn().mockResolvedValue({
+            enableAISummary: true,
+            aiProvider: 'custom',
+            providers: { custom: { apiKey: '', baseUrl, model: 'qwen2-7b', headers: { 'X-Team': 'research' } } }
+        });
+
+        const result = await aiService.generateSummary('This is a long enough content for summarization. It contains multiple sentences.');
+
+        expect(result.success).toBe(true);
+        expect(result.provider).toBe('custom');
+        expect(result.model).toBe('qwen2-7b');
+        expect(requests[0].headers['x-team']).toBe('research');
+    });
+
+    test('should stream server-sent events as they arrive', async () => {
+        const texts = [];
+
+        const result = await provider.generateSummary('Test content', { maxLength: 200, language: 'en' },
+            { baseUrl, model: 'llama-3.1-8b' }, { onText: text => texts.push(text) });
+
+        expect(requests[0].body.stream).toBe(true);
+        expect(texts).toEqual(['Gateway', 'Gateway summary']);
+        expect(result).toEqual({ success: true, summary: 'Gateway summary', language: 'en' });
+    });
+
+    test('should stop a running generation without retrying', async () => {
+        const aiService = new AISummaryService();
+        aiService.getSettings = jest.fn().mockResolvedValue({
+            enableAISummary: true,
+            aiProvider: 'custom',
+            providers: { custom: { apiKey: '', baseUrl, model: 'slow' } }
+        });
+        const controller = new AbortController();
+        const texts = [];
+
+        const result = await aiService.generateSummary('This is a long enough content for summarization. It contains multiple sentences.', {
+            signal: controller.signal,
+            onText: (text) => {
+                texts.push(text);
+                if (text === 'Gateway summary') controller.abort();
+            }
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.cancelled).toBe(true);
+        expect(result.fallback).toBeDefined();
+        expect(texts).toEqual(['Gateway', 'Gateway summary']);
+        expect(requests.length).toBe(1);
+    });
+});
+
+describe('Stream parsing', () => {
+    test('should join server-sent event data split across pieces', () => {
+        const events = [];
+        const parser = createStreamParser('sse', event => events.push(event));
+
+        parser.push('event: message_start\r\ndata: {"a":');
+        parser.push('1}\r\n\r\n: ping\n\ndata: {"b":\ndata: 2}\n\n');
+        parser.push('data: [DONE]\n\ndata: {"c":3}');
+        parser.end();
+
+        expect(events).toEqual([{ a: 1 }, { b: 2 }, { c: 3 }]);
+    });
+
+    test('should parse newline-delimited JSON', () => {
+        const events = [];
+        const parser = createStreamParser('ndjson', event => events.push(event));
+
+        parser.push('{"response":"Hel"}\n{"respo');
+        parser.push('nse":"lo"}\n\n{"done":true}');
+        parser.end();
+
+        expect(events).toEqual([{ response: 'Hel' }, { response: 'lo' }, { done: true }]);
+    });
+
+    test('should show the summary field of tagged output as it fills in', () => {
+        const aiService = new AISummaryService();
+        const config = { suggestTags: true };
+
+        expect(aiService.previewSummary('{"summ', config)).toBe('');
+        expect(aiService.previewSummary('{"summary": "Line one\\nLine \\"two', config)).toBe('Line one\nLine "two');
+        expect(aiService.previewSummary('{"summary": "Caf\\u00', config)).toBe('Caf');
+        expect(aiService.previewSummary('{"summary": "Done", "tags": ["a"', config)).toBe('Done');
+        expect(aiService.previewSummary('plain', {})).toBe('plain');
+    });
+});
+
+describe('Header lines', () => {
+    test('should parse "Name: value" lines and report the rest', () => {
+        const { headers, invalid } = parseHeaderLines('X-Team: research\n\nX-Trace: a:b\nnot a header');
+
+        expect(headers).toEqual({ 'X-Team': 'research', 'X-Trace': 'a:b' });
+        expect(invalid).toEqual(['not a header']);
+        expect(formatHeaderLines(headers)).toBe('X-Team: research\nX-Trace: a:b');
+    });
+});
+
+describe('GeminiProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = new GeminiProvider();
+        global.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should list only models that generate content', async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                models: [
+                    { name: 'models/gemini-1.5-flash', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+                    { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] }
+                ]
+            })
+        });
+
+        expect(await provider.listModels({ geminiApiKey: 'key' })).toEqual(['gemini-1.5-flash']);
+    });
+
+    test('should send requests to the configured model', () => {
+        expect(provider.getGenerateUrl({ geminiApiKey: 'key', model: 'gemini-1.5-flash' }))
+            .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=key');
+    });
+
+    test('should use the server-sent events endpoint when streaming', () => {
+        expect(provider.getGenerateUrl({ geminiApiKey: 'key', model: 'gemini-1.5-flash' }, true))
+            .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse&key=key');
     });
 });
 
@@ -452,6 +1173,71 @@ describe('OllamaProvider', () => {
             expect(result.error).toBe('Ollama server not accessible');
         });
     });
+
+    describe('embed', () => {
+        test('should embed one text per request', async () => {
+            global.fetch
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ embedding: [1, 0] }) })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ embedding: [0, 1] }) });
+
+            const vectors = await provider.embed(['First', 'Second'], {});
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/embeddings');
+            expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ model: 'nomic-embed-text', prompt: 'Second' });
+            expect(vectors).toEqual([[1, 0], [0, 1]]);
+        });
+
+        test('should explain an empty embedding', async () => {
+            global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ embedding: [] }) });
+
+            await expect(provider.embed(['Text'], { embeddingModel: 'bge-m3' }))
+                .rejects.toThrow('Ollama returned no embedding; is bge-m3 pulled?');
+        });
+    });
+
+    describe('generateSummary', () => {
+        // Response whose body yields the given pieces, like a slow local model
+        const streamedResponse = (pieces) => {
+            const encoder = new TextEncoder();
+            const queue = pieces.map(piece => encoder.encode(piece));
+            return {
+                ok: true,
+                body: {
+                    getReader: () => ({
+                        read: async () => queue.length ? { done: false, value: queue.shift() } : { done: true }
+                    })
+                }
+            };
+        };
+
+        test('should stream newline-delimited JSON', async () => {
+            global.fetch.mockResolvedValue(streamedResponse([
+                '{"response":"로컬","done":false}\n{"resp',
+                'onse":" 요약","done":false}\n{"response":"","done":true}\n'
+            ]));
+            const texts = [];
+
+            const result = await provider.generateSummary('Test content', { maxLength: 200, language: 'ko' },
+                { model: 'llama3' }, { onText: text => texts.push(text) });
+
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body.stream).toBe(true);
+            expect(body.options.num_ctx).toBe(4096);
+            expect(texts).toEqual(['로컬', '로컬 요약']);
+            expect(result.summary).toBe('로컬 요약');
+            expect(result.model).toBe('llama3');
+        });
+
+        test('should report errors sent inside the stream', async () => {
+            global.fetch.mockResolvedValue(streamedResponse(['{"error":"model \'llama3\' not found"}\n']));
+
+            const result = await provider.generateSummary('Test content', { maxLength: 200 }, {}, { onText: () => {} });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe("model 'llama3' not found");
+        });
+    });
 });
 
 describe('Integration Tests', () => {
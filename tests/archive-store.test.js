@@ -0,0 +1,64 @@
+// Tests for offline archive storage
+// 오프라인 아카이브 저장소 테스트
+
+const ArchiveStore = require('../utils/archive-store');
+
+useRealBlob();
+
+describe('ArchiveStore', () => {
+    let archiveStore;
+    let records;
+
+    beforeEach(() => {
+        archiveStore = new ArchiveStore();
+        records = useInMemoryIndexedDB(archiveStore, { snapshots: 'pageId' }).snapshots;
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('saveSnapshot', () => {
+        test('should store snapshot HTML as a blob with its metadata', async () => {
+            const summary = await archiveStore.saveSnapshot('page-1', {
+                html: '<!DOCTYPE html><html><body>Hello</body></html>',
+                url: 'https://example.com/article',
+                title: 'Article',
+                capturedAt: 1700000000000,
+                resourceCount: 3,
+                failedResources: ['https://cdn.example.com/font.woff2']
+            });
+
+            expect(summary.pageId).toBe('page-1');
+            expect(summary.size).toBeGreaterThan(0);
+            expect(summary.failedResources).toHaveLength(1);
+            expect(summary.html).toBeUndefined();
+            expect(records.get('page-1').html).toBeInstanceOf(Blob);
+        });
+
+        test('should reject snapshots without HTML', async () => {
+            await expect(archiveStore.saveSnapshot('page-1', { url: 'https://example.com' }))
+                .rejects.toThrow('Page ID and snapshot HTML are required');
+            expect(archiveStore.runRequest).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getSnapshot', () => {
+        test('should return null when no snapshot exists', async () => {
+            const snapshot = await archiveStore.getSnapshot('missing');
+            expect(snapshot).toBeNull();
+        });
+    });
+
+    describe('removeOrphans', () => {
+        test('should delete snapshots for pages that no longer exist', async () => {
+            await archiveStore.saveSnapshot('keep', { html: '<p>keep</p>' });
+            await archiveStore.saveSnapshot('orphan', { html: '<p>orphan</p>' });
+
+            const removed = await archiveStore.removeOrphans(['keep']);
+
+            expect(removed).toBe(1);
+            expect(Array.from(records.keys())).toEqual(['keep']);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// Tests for incremental restore points
+// 증분 복원 지점 테스트
+
+const { BackupStore, compareRestorePoint, findMissingCollections } = require('../utils/backup-store');
+
+describe('BackupStore', () => {
+    let backupStore;
+    let records;
+
+    const page = (id, title) => ({ id, title, url: `https://example.com/${id}`, thumbnail: 'data:image/png;base64,AAAA' });
+
+    beforeEach(() => {
+        backupStore = new BackupStore();
+        records = useInMemoryIndexedDB(backupStore, { restorePoints: 'id' }).restorePoints;
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store only the changes after the first point', async () => {
+        const first = await backupStore.createRestorePoint({ pages: [page('a', 'A'), page('b', 'B')], reason: 'scheduled' });
+        const second = await backupStore.createRestorePoint({ pages: [page('a', 'A2'), page('c', 'C')], reason: 'scheduled' });
+
+        expect(first.type).toBe('full');
+        expect(second.type).toBe('incremental');
+        expect(second.pageCount).toBe(2);
+        expect(second.changeCount).toBe(3);
+
+        const stored = records.get(second.id);
+        expect(stored.upserts.map(item => item.id)).toEqual(['a', 'c']);
+        expect(stored.removedIds).toEqual(['b']);
+        expect(stored.upserts[0].thumbnail).toBe('');
+    });
+
+    test('should skip scheduled points when nothing changed', async () => {
+        await backupStore.createRestorePoint({ pages: [page('a', 'A')] });
+
+        expect(await backupStore.createRestorePoint({ pages: [page('a', 'A')] })).toBeNull();
+        expect(await backupStore.createRestorePoint({ pages: [page('a', 'A')], force: true })).not.toBeNull();
+    });
+
+    test('should replay the chain when reading a point', async () => {
+        await backupStore.createRestorePoint({ pages: [page('a', 'A'), page('b', 'B')] });
+        const second = await backupStore.createRestorePoint({ pages: [page('b', 'B2')], collections: [{ id: 'c1', name: 'Work' }] });
+        await backupStore.createRestorePoint({ pages: [] });
+
+        const { pages, collections } = await backupStore.materialize(second.id);
+        expect(pages).toEqual([{ ...page('b', 'B2'), thumbnail: '' }]);
+        expect(collections).toEqual([{ id: 'c1', name: 'Work' }]);
+    });
+
+    test('should keep later points readable after pruning and removal', async () => {
+        await backupStore.createRestorePoint({ pages: [page('a', 'A')] });
+        await backupStore.createRestorePoint({ pages: [page('a', 'A'), page('b', 'B')] });
+        const third = await backupStore.createRestorePoint({ pages: [page('a', 'A'), page('b', 'B'), page('c', 'C')] });
+        const fourth = await backupStore.createRestorePoint({ pages: [page('c', 'C')] });
+
+        expect(await backupStore.prune(3)).toBe(1);
+        const [newest, , oldest] = await backupStore.list();
+        expect(oldest.type).toBe('full');
+        expect((await backupStore.materialize(oldest.id)).pages.map(item => item.id)).toEqual(['a', 'b']);
+
+        await backupStore.remove(third.id);
+        expect(newest.id).toBe(fourth.id);
+        expect((await backupStore.materialize(fourth.id)).pages.map(item => item.id)).toEqual(['c']);
+        await expect(backupStore.materialize(third.id)).rejects.toThrow('Restore point not found');
+    });
+});
+
+describe('Restore point comparison', () => {
+    test('should list pages deleted, changed and added since the point', () => {
+        const backupPages = [
+            { id: 'a', title: 'A', url: 'https://a.com', thumbnail: '' },
+            { id: 'b', title: 'B', url: 'https://b.com', thumbnail: '' }
+        ];
+        const currentPages = [
+            { id: 'b', title: 'B edited', url: 'https://b.com', thumbnail: 'data:image/png;base64,AAAA' },
+            { id: 'c', title: 'C', url: 'https://c.com', thumbnail: '' }
+        ];
+
+        expect(compareRestorePoint(backupPages, currentPages)).toEqual({
+            deleted: [{ id: 'a', title: 'A', url: 'https://a.com' }],
+            changed: [{ id: 'b', title: 'B', url: 'https://b.com' }],
+            added: [{ id: 'c', title: 'C', url: 'https://c.com' }]
+        });
+    });
+
+    test('should bring back deleted collections with their parents', () => {
+        const backupCollections = [
+            { id: 'c1', name: 'Work', parentId: null },
+            { id: 'c2', name: 'Reports', parentId: 'c1' },
+            { id: 'c3', name: 'Later', parentId: null }
+        ];
+        const pages = [{ id: 'a', collectionIds: ['c2', 'c3'] }];
+
+        expect(findMissingCollections(backupCollections, [backupCollections[2]], pages).map(item => item.id)).toEqual(['c2', 'c1']);
+    });
+});
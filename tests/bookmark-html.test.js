@@ -0,0 +1,76 @@
+// Tests for Netscape bookmark HTML import/export
+// 넷스케이프 북마크 HTML 가져오기/내보내기 테스트
+
+const { parseBookmarkHtml, buildBookmarkHtml } = require('../utils/bookmark-html');
+
+describe('parseBookmarkHtml', () => {
+    const html = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        '    <DT><H3 ADD_DATE="1700000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>',
+        '    <DL><p>',
+        '        <DT><A HREF="https://example.com/a" ADD_DATE="1700000100" TAGS="news,Tech">Tom &amp; Jerry</A>',
+        '        <DD>Cartoon &lt;classics&gt;',
+        '        <DT><H3>Work</H3>',
+        '        <DL><p>',
+        '            <DT><A HREF="https://example.com/b">B</A>',
+        '        </DL><p>',
+        '    </DL><p>',
+        '    <DT><A HREF="javascript:void(0)">Bookmarklet</A>',
+        '</DL><p>'
+    ].join('\n');
+
+    test('should read links with tags, dates and descriptions', () => {
+        const { entries } = parseBookmarkHtml(html);
+
+        expect(entries[0]).toEqual({
+            url: 'https://example.com/a',
+            title: 'Tom & Jerry',
+            tags: ['news', 'Tech'],
+            folders: [],
+            savedAt: 1700000100000,
+            description: 'Cartoon <classics>',
+            line: 7
+        });
+    });
+
+    test('should keep the folder path without browser root folders', () => {
+        const { entries } = parseBookmarkHtml(html);
+
+        expect(entries[1].folders).toEqual(['Work']);
+        expect(entries[1].savedAt).toBeNull();
+        expect(entries[2].folders).toEqual([]);
+        expect(entries[2].line).toBe(14);
+    });
+
+    test('should reject files that are not bookmark exports', () => {
+        expect(() => parseBookmarkHtml('<html><body>Hello</body></html>')).toThrow('Not a bookmark HTML file');
+    });
+});
+
+describe('buildBookmarkHtml', () => {
+    test('should write collections as folders and round-trip through the parser', () => {
+        const collections = [
+            { id: 'c1', name: 'Reading', parentId: null },
+            { id: 'c2', name: 'Papers', parentId: 'c1' }
+        ];
+        const pages = [
+            { url: 'https://example.com/x?a=1&b=2', title: 'Paper "X"', tags: ['ml'], collectionIds: ['c2'], savedAt: 1700000000000, summary: 'About X' },
+            { url: 'https://example.com/y', title: 'Loose page', tags: [], collectionIds: [], savedAt: 1690000000000 }
+        ];
+
+        const html = buildBookmarkHtml(pages, collections);
+        const { entries } = parseBookmarkHtml(html);
+
+        expect(html).toContain('HREF="https://example.com/x?a=1&amp;b=2"');
+        expect(entries.map(entry => [entry.url, entry.title, entry.folders])).toEqual([
+            ['https://example.com/x?a=1&b=2', 'Paper "X"', ['Reading', 'Papers']],
+            ['https://example.com/y', 'Loose page', []]
+        ]);
+        expect(entries[0].tags).toEqual(['ml']);
+        expect(entries[0].savedAt).toBe(1700000000000);
+        expect(entries[0].description).toBe('About X');
+    });
+});
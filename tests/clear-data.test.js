@@ -0,0 +1,43 @@
+// Tests for clearing all extension data in the background script
+// 백그라운드 스크립트의 전체 데이터 삭제 테스트
+
+describe('Clear all data', () => {
+    let background;
+    let pageStore;
+
+    beforeEach(() => {
+        background = loadBackgroundScript();
+
+        pageStore = { clear: jest.fn().mockResolvedValue(), getBackendName: () => 'indexeddb' };
+        background.context.getPageStore = jest.fn().mockResolvedValue(pageStore);
+        ['secretStore', 'archiveStore', 'backupStore', 'searchIndex'].forEach(name => {
+            background.get(name).clear = jest.fn().mockResolvedValue();
+        });
+
+        const lifecycleManager = background.get('lifecycleManager');
+        lifecycleManager.initializeDefaultSettings = jest.fn().mockResolvedValue();
+        lifecycleManager.setupStorageStructure = jest.fn().mockResolvedValue();
+    });
+
+    test('should clear every store, including restore points', async () => {
+        const sendResponse = jest.fn();
+
+        await background.get('handleClearAll')(sendResponse);
+
+        expect(sendResponse.mock.calls[0][0].success).toBe(true);
+        ['secretStore', 'archiveStore', 'backupStore', 'searchIndex'].forEach(name => {
+            expect(background.get(name).clear).toHaveBeenCalledTimes(1);
+        });
+        expect(pageStore.clear).toHaveBeenCalledTimes(1);
+        expect(background.context.chrome.storage.local.clear).toHaveBeenCalledTimes(1);
+    });
+
+    test('should clear restore points when resetting the extension', async () => {
+        const sendResponse = jest.fn();
+
+        await background.get('handleResetExtension')(sendResponse);
+
+        expect(sendResponse.mock.calls[0][0].success).toBe(true);
+        expect(background.get('backupStore').clear).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,122 @@
+// Tests for nestable collections
+// 중첩 가능한 컬렉션 테스트
+
+const CollectionStore = require('../utils/collections');
+
+describe('CollectionStore', () => {
+    let collectionStore;
+    let localData;
+
+    beforeEach(() => {
+        collectionStore = new CollectionStore();
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('create', () => {
+        test('should store nested collections in chrome.storage.local', async () => {
+            const parent = await collectionStore.create({ name: ' Reading ' });
+            const child = await collectionStore.create({ name: 'Papers', parentId: parent.id });
+
+            expect(parent.name).toBe('Reading');
+            expect(child.parentId).toBe(parent.id);
+            expect(localData.collections).toHaveLength(2);
+        });
+
+        test('should reject empty and duplicate names', async () => {
+            await collectionStore.create({ name: 'Work' });
+
+            await expect(collectionStore.create({ name: '  ' })).rejects.toThrow('Collection name is required');
+            await expect(collectionStore.create({ name: 'work' })).rejects.toThrow('already exists');
+        });
+
+        test('should reject unknown parents', async () => {
+            await expect(collectionStore.create({ name: 'Orphan', parentId: 'missing' }))
+                .rejects.toThrow('Parent collection not found');
+        });
+
+        test('should limit nesting depth', async () => {
+            let parentId = null;
+            for (let level = 1; level <= collectionStore.MAX_DEPTH; level++) {
+                parentId = (await collectionStore.create({ name: `Level ${level}`, parentId })).id;
+            }
+
+            await expect(collectionStore.create({ name: 'Too deep', parentId }))
+                .rejects.toThrow('nested at most');
+        });
+    });
+
+    describe('ensurePath', () => {
+        test('should reuse existing folders and create the missing ones', async () => {
+            const work = await collectionStore.create({ name: 'Work' });
+
+            const id = await collectionStore.ensurePath(['work', ' Reports ']);
+            const again = await collectionStore.ensurePath(['Work', 'reports']);
+
+            expect(again).toBe(id);
+            expect(localData.collections).toHaveLength(2);
+            expect(localData.collections.find(c => c.id === id).parentId).toBe(work.id);
+        });
+
+        test('should stop at the maximum depth', async () => {
+            const names = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+            const id = await collectionStore.ensurePath(names);
+
+            expect(localData.collections).toHaveLength(collectionStore.MAX_DEPTH);
+            expect(localData.collections.find(c => c.id === id).name).toBe('E');
+            expect(await collectionStore.ensurePath(['  '])).toBeNull();
+        });
+    });
+
+    describe('update', () => {
+        test('should refuse to move a collection into its own subtree', async () => {
+            const parent = await collectionStore.create({ name: 'Parent' });
+            const child = await collectionStore.create({ name: 'Child', parentId: parent.id });
+
+            await expect(collectionStore.update(parent.id, { parentId: child.id }))
+                .rejects.toThrow('cannot be moved into itself');
+        });
+
+        test('should rename and move to the top level', async () => {
+            const parent = await collectionStore.create({ name: 'Parent' });
+            const child = await collectionStore.create({ name: 'Child', parentId: parent.id });
+
+            const updated = await collectionStore.update(child.id, { name: 'Renamed', parentId: null });
+
+            expect(updated.name).toBe('Renamed');
+            expect(updated.parentId).toBeNull();
+        });
+    });
+
+    describe('remove', () => {
+        test('should remove a collection with its descendants', async () => {
+            const parent = await collectionStore.create({ name: 'Parent' });
+            const child = await collectionStore.create({ name: 'Child', parentId: parent.id });
+            const grandchild = await collectionStore.create({ name: 'Grandchild', parentId: child.id });
+            const other = await collectionStore.create({ name: 'Other' });
+
+            const removedIds = await collectionStore.remove(parent.id);
+
+            expect(removedIds.sort()).toEqual([parent.id, child.id, grandchild.id].sort());
+            expect(localData.collections.map(c => c.id)).toEqual([other.id]);
+        });
+    });
+
+    describe('flattenTree', () => {
+        test('should list collections in tree order with depth', () => {
+            const rows = CollectionStore.flattenTree([
+                { id: 'b', name: 'Beta', parentId: null },
+                { id: 'a', name: 'Alpha', parentId: null },
+                { id: 'a1', name: 'Child', parentId: 'a' },
+                { id: 'x', name: 'Lost', parentId: 'deleted' }
+            ]);
+
+            expect(rows.map(row => [row.id, row.depth])).toEqual([
+                ['a', 0], ['a1', 1], ['b', 0], ['x', 0]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+// Tests for weekly digests
+// 주간 다이제스트 테스트
+
+const {
+    MAX_DIGESTS,
+    UNTAGGED_GROUP,
+    getDigestRange,
+    formatDigestRange,
+    groupDigestPages,
+    buildDigestPrompt,
+    createDigest,
+    buildDigestMarkdown,
+    buildDigestHtml,
+    DigestStore
+} = require('../utils/digest');
+const { DateFormatter } = require('../utils/date-formatter');
+
+const day = 24 * 60 * 60 * 1000;
+const now = new Date(2024, 4, 10, 15, 30).getTime();
+
+describe('Digest range', () => {
+    test('should start at midnight six days before today', () => {
+        const range = getDigestRange(7, now);
+
+        expect(range.start).toBe(new Date(2024, 4, 4).getTime());
+        expect(range.end).toBe(now);
+    });
+
+    test('should label the range with the date formatter', () => {
+        const formatter = new DateFormatter();
+        formatter.setLanguage('en');
+
+        expect(formatDigestRange(getDigestRange(7, now), formatter)).toBe('May 4, 2024 – May 10, 2024');
+        expect(formatDigestRange(getDigestRange(1, now), formatter)).toBe('May 10, 2024');
+    });
+});
+
+describe('groupDigestPages', () => {
+    const pages = [
+        { id: 'a', title: 'A', domain: 'a.com', tags: ['news', 'ai'], savedAt: 1 },
+        { id: 'b', title: 'B', domain: 'b.com', tags: ['ai'], savedAt: 3 },
+        { id: 'c', title: 'C', domain: 'a.com', tags: [], savedAt: 2 },
+        { id: 'd', title: 'D', domain: 'a.com', tags: ['ai', 'news'], savedAt: 4 }
+    ];
+
+    test('should put each page under its most shared tag, untagged last', () => {
+        const groups = groupDigestPages(pages, 'tag');
+
+        expect(groups.map(group => group.name)).toEqual(['ai', UNTAGGED_GROUP]);
+        expect(groups[0].pages.map(page => page.id)).toEqual(['d', 'b', 'a']);
+    });
+
+    test('should group by domain', () => {
+        const groups = groupDigestPages(pages, 'domain');
+
+        expect(groups.map(group => group.name)).toEqual(['a.com', 'b.com']);
+        expect(groups[0].pages).toHaveLength(3);
+    });
+
+    test('should list pages in the prompt until it is full and count the rest', () => {
+        const groups = groupDigestPages(pages, 'tag');
+
+        const full = buildDigestPrompt(groups, { rangeLabel: 'May 4 – May 10' });
+        expect(full).toContain('4 web pages the user saved (May 4 – May 10)');
+        expect(full).toContain('## ai\n- D (a.com)');
+
+        const short = buildDigestPrompt(groups, { maxLength: 40 });
+        expect(short).toContain('more pages not listed');
+    });
+});
+
+describe('createDigest', () => {
+    const formatter = new DateFormatter();
+    formatter.setLanguage('en');
+    const range = getDigestRange(7, now);
+    const pages = [
+        { id: 'new', title: 'New', url: 'https://example.com/new', domain: 'example.com', tags: ['ai'], savedAt: now - day },
+        { id: 'old', title: 'Old', url: 'https://example.com/old', domain: 'example.com', tags: ['ai'], savedAt: now - 30 * day }
+    ];
+    const createService = (configured) => ({
+        answerLength: 1200,
+        summaryConfig: { maxLength: 150 },
+        isConfigured: jest.fn().mockResolvedValue(configured),
+        getSettings: jest.fn().mockResolvedValue({}),
+        getChunkLength: jest.fn().mockResolvedValue(10000),
+        generateText: jest.fn().mockResolvedValue({ success: true, text: ' AI pages this week. ', provider: 'ollama', model: 'llama3' })
+    });
+
+    test('should write an overview of the pages in the range', async () => {
+        const service = createService(true);
+
+        const digest = await createDigest(service, pages, { ...range, groupBy: 'tag', formatter });
+
+        expect(digest.pageCount).toBe(1);
+        expect(digest.groups[0].pages[0].id).toBe('new');
+        expect(digest.overview).toBe('AI pages this week.');
+        expect(digest.model).toBe('llama3');
+        expect(service.generateText.mock.calls[0][0]).toContain('- New (example.com)');
+    });
+
+    test('should fall back to the listing when AI is not configured', async () => {
+        const service = createService(false);
+
+        const digest = await createDigest(service, pages, { ...range, groupBy: 'domain', formatter });
+
+        expect(digest.overview).toBeNull();
+        expect(digest.aiError).toBe('AI summaries are not set up');
+        expect(digest.groups[0].name).toBe('example.com');
+        expect(service.generateText).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('Digest output', () => {
+    const digest = {
+        rangeLabel: 'May 4, 2024 – May 10, 2024',
+        pageCount: 1,
+        overview: 'First paragraph.\n\nSecond <paragraph>.',
+        model: 'llama3',
+        groups: [{
+            name: 'ai',
+            pages: [{ title: 'Models [2024]', url: 'https://example.com/m', domain: 'example.com', summary: 'About models.' }]
+        }]
+    };
+
+    test('should write Markdown with the overview and linked pages', () => {
+        const markdown = buildDigestMarkdown(digest);
+
+        expect(markdown).toContain('# Weekly Digest: May 4, 2024 – May 10, 2024');
+        expect(markdown).toContain('## Overview\n\nFirst paragraph.');
+        expect(markdown).toContain('## ai (1)\n\n- [Models \\[2024\\]](https://example.com/m) — About models.');
+    });
+
+    test('should write escaped HTML with one paragraph per overview paragraph', () => {
+        const html = buildDigestHtml(digest);
+
+        expect(html).toContain('<p>First paragraph.</p><p>Second &lt;paragraph&gt;.</p>');
+        expect(html).toContain('<a href="https://example.com/m">Models [2024]</a>');
+        expect(html).toContain('Overview by llama3');
+    });
+
+    test('should say when nothing was saved', () => {
+        const empty = { ...digest, pageCount: 0, overview: null, groups: [] };
+
+        expect(buildDigestMarkdown(empty)).toContain('No pages were saved in this period.');
+        expect(buildDigestHtml(empty)).toContain('No pages were saved in this period');
+    });
+});
+
+describe('DigestStore', () => {
+    let store;
+    let localData;
+
+    beforeEach(() => {
+        store = new DigestStore();
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should keep the newest digests first', async () => {
+        for (let i = 0; i < MAX_DIGESTS + 2; i++) {
+            await store.add({ id: `d${i}` });
+        }
+
+        const digests = await store.getAll();
+        expect(digests).toHaveLength(MAX_DIGESTS);
+        expect(digests[0].id).toBe(`d${MAX_DIGESTS + 1}`);
+        expect((await store.get('d5')).id).toBe('d5');
+        expect(await store.get('d0')).toBeNull();
+    });
+});
@@ -0,0 +1,105 @@
+// Tests for semantic search embeddings
+// 의미 검색 임베딩 테스트
+
+const {
+    EMBEDDING_TEXT_LENGTH,
+    embeddingText,
+    cosineSimilarity,
+    rankBySimilarity,
+    blendSearchScores,
+    encodeVector,
+    decodeVector,
+    EmbeddingStore
+} = require('../utils/embeddings');
+
+describe('Similarity', () => {
+    test('should compare vector directions, not lengths', () => {
+        expect(cosineSimilarity([1, 0], [3, 0])).toBeCloseTo(1);
+        expect(cosineSimilarity([1, 0], [0, 2])).toBeCloseTo(0);
+        expect(cosineSimilarity([1, 1], [-1, -1])).toBeCloseTo(-1);
+    });
+
+    test('should treat empty or mismatched vectors as unrelated', () => {
+        expect(cosineSimilarity([], [])).toBe(0);
+        expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+        expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    });
+
+    test('should rank pages above the least similarity, leaving out the excluded one', () => {
+        const vectors = new Map([
+            ['same', [1, 0]],
+            ['close', [0.9, 0.3]],
+            ['far', [0, 1]],
+            ['self', [1, 0]]
+        ]);
+
+        const ranked = rankBySimilarity([1, 0], vectors, { minSimilarity: 0.5, exclude: 'self' });
+
+        expect(ranked.map(result => result.pageId)).toEqual(['same', 'close']);
+        expect(rankBySimilarity([1, 0], vectors, { limit: 1 })).toHaveLength(1);
+    });
+
+    test('should blend similarity with keyword scores scaled by the best one', () => {
+        const blended = blendSearchScores(
+            new Map([['a', 8], ['b', 2]]),
+            new Map([['b', 0.9], ['c', 0.5]]),
+            0.5
+        );
+
+        expect(blended.get('a')).toBeCloseTo(0.5);
+        expect(blended.get('b')).toBeCloseTo(0.575);
+        expect(blended.get('c')).toBeCloseTo(0.25);
+    });
+});
+
+describe('Embedding text and vectors', () => {
+    test('should embed title, tags, summary and text, cut to length', () => {
+        const page = { title: 'Title', tags: ['one', 'two'], summary: '' };
+
+        expect(embeddingText(page, 'Body')).toBe('Title\n\none, two\n\nBody');
+        expect(embeddingText(page, 'x'.repeat(10000))).toHaveLength(EMBEDDING_TEXT_LENGTH);
+    });
+
+    test('should round-trip vectors through base64', () => {
+        const decoded = decodeVector(encodeVector([0.25, -1.5, 3]));
+
+        expect(Array.from(decoded)).toEqual([0.25, -1.5, 3]);
+    });
+});
+
+describe('EmbeddingStore', () => {
+    let store;
+    let localData;
+
+    beforeEach(() => {
+        store = new EmbeddingStore();
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should return only vectors of the asked model', async () => {
+        await store.setMany([{ pageId: 'p1', vector: [1, 0] }], { provider: 'ollama', model: 'nomic-embed-text' });
+        await store.setMany([{ pageId: 'p2', vector: [0, 1] }], { provider: 'openai', model: 'text-embedding-3-small' });
+
+        const vectors = await store.getVectors('nomic-embed-text');
+
+        expect(Array.from(vectors.keys())).toEqual(['p1']);
+        expect(Array.from(vectors.get('p1'))).toEqual([1, 0]);
+        expect(localData.pageEmbeddings.p2.provider).toBe('openai');
+    });
+
+    test('should remove vectors of deleted pages', async () => {
+        await store.setMany([
+            { pageId: 'p1', vector: [1] },
+            { pageId: 'p2', vector: [1] },
+            { pageId: 'p3', vector: [1] }
+        ], { provider: 'ollama', model: 'm' });
+
+        await store.remove('p1');
+        expect(await store.removeOrphans(['p2'])).toBe(1);
+        expect((await store.getVectors('m')).size).toBe(1);
+    });
+});
@@ -0,0 +1,57 @@
+// Tests for encrypted export files
+// 암호화된 내보내기 파일 테스트
+
+// jsdom provides neither WebCrypto's subtle API nor TextEncoder
+const { webcrypto } = require('crypto');
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+global.TextDecoder = global.TextDecoder || require('util').TextDecoder;
+
+const {
+    isEncryptedExport,
+    encryptExport,
+    decryptExport,
+    stripSecretSettings,
+    keepSecretSettings
+} = require('../utils/export-crypto');
+
+describe('Export encryption', () => {
+    const data = { version: '1.0.0', local: { settings: { apiKey: 'sk-secret', theme: 'dark' }, pages: [{ id: 'a', title: '한국어' }] } };
+    const options = { iterations: 1000 };
+
+    test('should round-trip through a versioned envelope', async () => {
+        const envelope = await encryptExport(data, 'correct horse', options);
+
+        expect(isEncryptedExport(envelope)).toBe(true);
+        expect(envelope.version).toBe(1);
+        expect(envelope.kdf.iterations).toBe(1000);
+        expect(JSON.stringify(envelope)).not.toContain('sk-secret');
+        expect(await decryptExport(envelope, 'correct horse')).toEqual(data);
+    });
+
+    test('should reject a wrong passphrase and short passphrases', async () => {
+        const envelope = await encryptExport(data, 'correct horse', options);
+
+        await expect(decryptExport(envelope, 'wrong horse')).rejects.toThrow('Wrong passphrase or damaged file');
+        await expect(encryptExport(data, 'short')).rejects.toThrow('Passphrase must be at least 8 characters');
+    });
+
+    test('should refuse files from newer versions or with unsafe parameters', async () => {
+        const envelope = await encryptExport(data, 'correct horse', options);
+
+        await expect(decryptExport({ ...envelope, version: 2 }, 'correct horse')).rejects.toThrow('newer version');
+        await expect(decryptExport({ ...envelope, kdf: { ...envelope.kdf, iterations: 1e12 } }, 'correct horse'))
+            .rejects.toThrow('Unsupported encryption settings in file');
+        expect(isEncryptedExport(data)).toBe(false);
+    });
+});
+
+describe('Export secrets', () => {
+    test('should strip API keys and keep the current ones on import', () => {
+        const stripped = stripSecretSettings({ apiKey: 'sk-secret', apiKeys: { gemini: 'secret' }, theme: 'dark' });
+
+        expect(stripped).toEqual({ theme: 'dark' });
+        expect(keepSecretSettings(stripped, { apiKey: 'sk-current' })).toEqual({ theme: 'dark', apiKey: 'sk-current' });
+        expect(keepSecretSettings({ apiKey: 'sk-new' }, { apiKey: 'sk-current' })).toEqual({ apiKey: 'sk-new' });
+    });
+});
@@ -7,12 +7,16 @@ const {
     formatBytes,
     debounce,
     throttle,
+    createTaskQueue,
     generateId,
     escapeHtml,
     unescapeHtml,
     formatDate,
     parseUrl,
+    canonicalizeUrl,
     sanitizeFilename,
+    normalizeTag,
+    normalizeTags,
     deepClone,
     isEmptyObject,
     arrayUnique,
@@ -68,6 +72,20 @@ describe('Helper Utilities', () => {
                 }
             });
         });
+
+        test('should canonicalize URLs for duplicate detection', () => {
+            expect(canonicalizeUrl('https://example.com/post/?utm_source=news&id=3#comments'))
+                .toBe('https://example.com/post?id=3');
+            expect(canonicalizeUrl('https://example.com/?utm_medium=email')).toBe('https://example.com/');
+            expect(canonicalizeUrl('https://example.com/post/')).toBe(canonicalizeUrl('https://example.com/post'));
+        });
+
+        test('should honor a valid canonical link', () => {
+            expect(canonicalizeUrl('https://m.example.com/a?ref=1', 'https://example.com/a/'))
+                .toBe('https://example.com/a');
+            expect(canonicalizeUrl('https://example.com/a', 'javascript:void(0)'))
+                .toBe('https://example.com/a');
+        });
     });
 
     describe('Text Processing', () => {
@@ -108,6 +126,13 @@ describe('Helper Utilities', () => {
             expect(extractDomain('http://subdomain.example.org:8080')).toBe('subdomain.example.org');
             expect(extractDomain('invalid-url')).toBe(null);
         });
+
+        test('should normalize tags', () => {
+            expect(normalizeTag('  #Machine   Learning ')).toBe('machine learning');
+            expect(normalizeTag('"to-read", later')).toBe('to-read later');
+            expect(normalizeTag(42)).toBe('');
+            expect(normalizeTags(['JS', 'js', ' ', '#react'])).toEqual(['js', 'react']);
+        });
     });
 
     describe('Data Validation', () => {
@@ -313,6 +338,25 @@ describe('Helper Utilities', () => {
             await expect(withTimeout(fastPromise, 100)).resolves.toBe('fast');
             await expect(withTimeout(slowPromise, 100)).rejects.toThrow('Timeout');
         });
+
+        test('should run queued tasks one at a time and keep going after a failure', async () => {
+            const enqueue = createTaskQueue();
+            const order = [];
+
+            const first = enqueue(async () => {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                order.push('first');
+                throw new Error('First failed');
+            });
+            const second = enqueue(async () => {
+                order.push('second');
+                return 'done';
+            });
+
+            await expect(first).rejects.toThrow('First failed');
+            await expect(second).resolves.toBe('done');
+            expect(order).toEqual(['first', 'second']);
+        });
     });
 
     describe('Storage Utilities', () => {
@@ -0,0 +1,137 @@
+// Tests for read-later service imports
+// 나중에 읽기 서비스 가져오기 테스트
+
+const {
+    parseCsv,
+    parseImportTimestamp,
+    parsePocketHtml,
+    parsePocketCsv,
+    parseInstapaperCsv,
+    parseRaindropCsv,
+    parsePinboardJson
+} = require('../utils/import-formats');
+
+describe('parseCsv', () => {
+    test('should handle a BOM, quoted commas, escaped quotes and newlines in quotes', () => {
+        const rows = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nagain"\r\n\r\nlast,');
+
+        expect(rows).toEqual([
+            { values: ['a', 'b'], line: 1 },
+            { values: ['x, y', 'say "hi"\nagain'], line: 2 },
+            { values: ['last', ''], line: 5 }
+        ]);
+    });
+
+    test('should reject an unclosed quote', () => {
+        expect(() => parseCsv('a\n"open')).toThrow('Unclosed quote in the row starting on line 2');
+    });
+});
+
+describe('parseImportTimestamp', () => {
+    test('should accept seconds, milliseconds and date strings', () => {
+        expect(parseImportTimestamp('1700000000')).toBe(1700000000000);
+        expect(parseImportTimestamp('1700000000000')).toBe(1700000000000);
+        expect(parseImportTimestamp('2023-11-14T22:13:20Z')).toBe(1700000000000);
+        expect(parseImportTimestamp('')).toBeNull();
+        expect(() => parseImportTimestamp('someday')).toThrow('Invalid date "someday"');
+    });
+});
+
+describe('service parsers', () => {
+    test('should map Pocket HTML sections to read state', () => {
+        const html = [
+            '<!DOCTYPE html><html><body>',
+            '<h1>Unread</h1>',
+            '<ul><li><a href="https://example.com/a" time_added="1700000000" tags="news,tech">A</a></li></ul>',
+            '<h1>Read Archive</h1>',
+            '<ul><li><a href="https://example.com/b" time_added="1700000100" tags="">B &amp; C</a></li></ul>',
+            '</body></html>'
+        ].join('\n');
+
+        const { entries, errors } = parsePocketHtml(html);
+
+        expect(errors).toEqual([]);
+        expect(entries.map(entry => [entry.url, entry.title, entry.tags, entry.isRead, entry.line])).toEqual([
+            ['https://example.com/a', 'A', ['news', 'tech'], false, 3],
+            ['https://example.com/b', 'B & C', [], true, 5]
+        ]);
+        expect(entries[0].savedAt).toBe(1700000000000);
+    });
+
+    test('should report bad Pocket CSV rows without failing the file', () => {
+        const csv = [
+            'title,url,time_added,tags,status',
+            'Good,https://example.com/a,1700000000,ml|python,archive',
+            'Bad,https://example.com/b,yesterday,,unread'
+        ].join('\n');
+
+        const { entries, errors } = parsePocketCsv(csv);
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0].tags).toEqual(['ml', 'python']);
+        expect(entries[0].isRead).toBe(true);
+        expect(errors).toEqual([
+            { line: 3, url: 'https://example.com/b', errors: ['Invalid date "yesterday"'] }
+        ]);
+    });
+
+    test('should map Instapaper folders to favorites, read state and collections', () => {
+        const csv = [
+            'URL,Title,Selection,Folder,Timestamp,Tags',
+            'https://example.com/a,A,,Starred,1700000000,"[""ai""]"',
+            'https://example.com/b,B,Quote,Archive,1700000000,[]',
+            'https://example.com/c,C,,Recipes,1700000000,'
+        ].join('\n');
+
+        const { entries } = parseInstapaperCsv(csv);
+
+        expect(entries.map(entry => [entry.isFavorite, entry.isRead, entry.folders, entry.tags])).toEqual([
+            [true, false, [], ['ai']],
+            [false, true, [], []],
+            [false, false, ['Recipes'], []]
+        ]);
+        expect(entries[1].description).toBe('Quote');
+    });
+
+    test('should map Raindrop folders, tags and favorites', () => {
+        const csv = [
+            'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite',
+            '1,A,My note,Excerpt,https://example.com/a,Work/Reports,"a, b",2023-11-14T22:13:20.000Z,,,true',
+            '2,B,,Excerpt,https://example.com/b,Unsorted,,2023-11-14T22:13:20.000Z,,,false'
+        ].join('\n');
+
+        const { entries } = parseRaindropCsv(csv);
+
+        expect(entries[0]).toEqual(expect.objectContaining({
+            folders: ['Work', 'Reports'],
+            tags: ['a', 'b'],
+            description: 'My note',
+            isFavorite: true,
+            savedAt: 1700000000000
+        }));
+        expect(entries[1].folders).toEqual([]);
+        expect(entries[1].description).toBe('Excerpt');
+    });
+
+    test('should reject a CSV from a different service', () => {
+        expect(() => parseRaindropCsv('URL,Title,Selection,Folder,Timestamp\n'))
+            .toThrow('Missing "created" column; is this a Raindrop CSV export?');
+    });
+
+    test('should map Pinboard toread and space-separated tags', () => {
+        const json = JSON.stringify([
+            { href: 'https://example.com/a', description: 'A', extended: 'Notes', time: '2023-11-14T22:13:20Z', toread: 'yes', tags: 'js web' },
+            { href: 'https://example.com/b', description: 'B', time: '2023-11-14T22:13:20Z', toread: 'no', tags: '' },
+            { description: 'Missing href' }
+        ]);
+
+        const { entries, errors } = parsePinboardJson(json);
+
+        expect(entries.map(entry => [entry.tags, entry.isRead, entry.description])).toEqual([
+            [['js', 'web'], false, 'Notes'],
+            [[], true, '']
+        ]);
+        expect(errors).toEqual([{ line: 3, url: '', errors: ['Bookmark has no href'] }]);
+        expect(() => parsePinboardJson('{"posts": []}')).toThrow('Not a Pinboard JSON export');
+    });
+});
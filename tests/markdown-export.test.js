@@ -0,0 +1,77 @@
+// Tests for Markdown export and the zip writer
+// 마크다운 내보내기와 zip 작성기 테스트
+
+const { renderMarkdownFilename, buildPageMarkdown, buildMarkdownFiles } = require('../utils/markdown-export');
+const { createZip, crc32 } = require('../utils/zip-writer');
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+
+describe('Markdown export', () => {
+    const page = {
+        id: 'abc123',
+        url: 'https://example.com/post',
+        title: 'Tips: "quoted" title',
+        domain: 'example.com',
+        tags: ['js', 'web dev'],
+        savedAt: new Date(2024, 4, 10, 12).getTime(),
+        isFavorite: true,
+        summary: 'A short summary.',
+        highlights: ['First line\nsecond line']
+    };
+
+    test('should fill and sanitize the filename template', () => {
+        expect(renderMarkdownFilename('{{date}} {{title}}', page)).toBe('2024-05-10_Tips_quoted_title');
+        expect(renderMarkdownFilename('{{domain}}-{{id}}-{{unknown}}', page)).toBe('example.com-abc123-{{unknown}}');
+        expect(renderMarkdownFilename('{{title}}', { id: 'x1', title: '???' })).toBe('x1');
+    });
+
+    test('should write YAML front matter, summary, highlights and content', () => {
+        const markdown = buildPageMarkdown(page, 'Main text');
+
+        expect(markdown).toContain([
+            '---',
+            'url: "https://example.com/post"',
+            'title: "Tips: \\"quoted\\" title"',
+            'domain: "example.com"',
+            'tags:',
+            '  - "js"',
+            '  - "web dev"',
+            `savedAt: ${new Date(page.savedAt).toISOString()}`,
+            'favorite: true',
+            '---'
+        ].join('\n'));
+        expect(markdown).toContain('## Summary\n\nA short summary.');
+        expect(markdown).toContain('> First line\n> second line');
+        expect(markdown).toContain('## Content\n\nMain text');
+    });
+
+    test('should skip empty sections and keep file names unique', () => {
+        const plain = { id: 'p2', url: 'https://example.com/b', title: 'Tips: "quoted" title', tags: [], savedAt: page.savedAt };
+        const files = buildMarkdownFiles([page, plain], { template: '{{title}}' });
+
+        expect(files.map(file => file.name)).toEqual(['Tips_quoted_title.md', 'Tips_quoted_title (2).md']);
+        expect(files[1].content).toContain('tags: []');
+        expect(files[1].content).not.toContain('## Summary');
+    });
+});
+
+describe('createZip', () => {
+    test('should compute the standard CRC-32', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    });
+
+    test('should write local headers, a central directory and the end record', () => {
+        const zip = createZip([
+            { name: 'a.md', content: 'hello' },
+            { name: '노트.md', content: 'world' }
+        ]);
+        const view = new DataView(zip.buffer);
+        const end = zip.length - 22;
+
+        expect(view.getUint32(0, true)).toBe(0x04034B50);
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+        expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014B50);
+    });
+});
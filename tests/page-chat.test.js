@@ -0,0 +1,150 @@
+// Tests for questions about saved pages
+// 저장된 페이지에 대한 질문 테스트
+
+const {
+    MAX_PAGE_CHAT_MESSAGES,
+    splitIntoPassages,
+    selectPassages,
+    buildQuestionPrompt,
+    parseCitations,
+    askPageQuestion,
+    PageChatStore
+} = require('../utils/page-chat');
+
+describe('Page passages', () => {
+    test('should number passages and keep paragraphs apart', () => {
+        const passages = splitIntoPassages('First sentence. Second sentence.\n\nNext paragraph.', 600);
+
+        expect(passages).toEqual([
+            { number: 1, text: 'First sentence. Second sentence.' },
+            { number: 2, text: 'Next paragraph.' }
+        ]);
+    });
+
+    test('should break long paragraphs at sentences', () => {
+        const sentence = `${'word '.repeat(15).trim()}.`;
+        const passages = splitIntoPassages(Array(6).fill(sentence).join(' '), 200);
+
+        expect(passages.length).toBeGreaterThan(1);
+        passages.forEach(passage => expect(passage.text.length).toBeLessThanOrEqual(200));
+    });
+
+    test('should prefer passages that share words with the question and keep page order', () => {
+        const passages = [
+            { number: 1, text: 'The recipe needs flour and sugar.' },
+            { number: 2, text: 'Bake the cake for forty minutes.' },
+            { number: 3, text: 'Serve the cake with cream.' }
+        ];
+
+        expect(selectPassages(passages, 'How long to bake the cake?', 1000)).toEqual(passages);
+        expect(selectPassages(passages, 'How long to bake the cake?', 90).map(p => p.number)).toEqual([2, 3]);
+    });
+});
+
+describe('Page question prompt and citations', () => {
+    const passages = [
+        { number: 1, text: 'PagePouch saves pages.' },
+        { number: 2, text: 'Summaries use the configured provider.' }
+    ];
+
+    test('should include the numbered passages, recent conversation and question', () => {
+        const prompt = buildQuestionPrompt({
+            title: 'About',
+            url: 'https://example.com',
+            passages,
+            history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+            question: 'What does it do?'
+        });
+
+        expect(prompt).toContain('"About" (https://example.com)');
+        expect(prompt).toContain('[2] Summaries use the configured provider.');
+        expect(prompt).toContain('User: Hi\n\nAssistant: Hello');
+        expect(prompt).toContain('Question: What does it do?');
+    });
+
+    test('should collect cited passages once, ignoring unknown numbers', () => {
+        const citations = parseCitations('It saves pages [1]. It summarizes them [2][1] [7].', passages);
+
+        expect(citations.map(citation => citation.number)).toEqual([1, 2]);
+        expect(citations[0].text).toBe('PagePouch saves pages.');
+        expect(parseCitations('No citations here.', passages)).toEqual([]);
+    });
+
+    test('should cite every passage in a range or list', () => {
+        const selected = [1, 2, 3, 5].map(number => ({ number, text: `Passage ${number}.` }));
+
+        expect(parseCitations('See [1-3].', selected).map(citation => citation.number)).toEqual([1, 2, 3]);
+        expect(parseCitations('See [5, 2 - 3] and [4-900000].', selected).map(citation => citation.number)).toEqual([5, 2, 3]);
+    });
+});
+
+describe('askPageQuestion', () => {
+    const createService = (text) => ({
+        answerLength: 1200,
+        summaryConfig: { maxLength: 150 },
+        getSettings: jest.fn().mockResolvedValue({ provider: 'ollama' }),
+        getChunkLength: jest.fn().mockResolvedValue(10000),
+        generateText: jest.fn().mockResolvedValue({ success: true, text, provider: 'ollama', model: 'llama3' })
+    });
+
+    test('should answer from the page text with citations', async () => {
+        const service = createService('It is stored locally [1].');
+
+        const result = await askPageQuestion(service, {
+            text: 'Pages are stored locally.\n\nNothing is uploaded.',
+            title: 'Privacy',
+            question: 'Where are pages stored?',
+            history: [{ role: 'user', content: 'Earlier question' }]
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.answer).toBe('It is stored locally [1].');
+        expect(result.citations).toEqual([{ number: 1, text: 'Pages are stored locally.' }]);
+        expect(result.model).toBe('llama3');
+        expect(service.generateText.mock.calls[0][0]).toContain('User: Earlier question');
+    });
+
+    test('should not ask without a question or page text', async () => {
+        const service = createService('Unused');
+
+        expect((await askPageQuestion(service, { text: 'Some text', question: '  ' })).success).toBe(false);
+        expect((await askPageQuestion(service, { text: '', question: 'Why?' })).error).toBe('No saved text for this page');
+        expect(service.generateText).toHaveBeenCalledTimes(0);
+    });
+});
+
+describe('PageChatStore', () => {
+    let store;
+    let localData;
+
+    beforeEach(() => {
+        store = new PageChatStore();
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should keep each page conversation and drop the oldest messages', async () => {
+        const message = (i) => ({ role: 'user', content: `Question ${i}` });
+        await store.addMessages('p1', Array.from({ length: MAX_PAGE_CHAT_MESSAGES }, (_, i) => message(i)));
+        await store.addMessages('p1', [message('new')]);
+        await store.addMessages('p2', [message('other')]);
+
+        const messages = await store.getMessages('p1');
+        expect(messages).toHaveLength(MAX_PAGE_CHAT_MESSAGES);
+        expect(messages[0].content).toBe('Question 1');
+        expect(messages[messages.length - 1].content).toBe('Question new');
+        expect(await store.getMessages('p2')).toHaveLength(1);
+    });
+
+    test('should clear a conversation and remove those of deleted pages', async () => {
+        localData.pageChats = { p1: [], p2: [], p3: [] };
+
+        await store.clear('p1');
+        expect(await store.removeOrphans(['p2'])).toBe(1);
+        expect(Object.keys(localData.pageChats)).toEqual(['p2']);
+        expect(await store.getMessages('p9')).toEqual([]);
+    });
+});
@@ -0,0 +1,80 @@
+// Tests for CSV export and mapped CSV import
+// CSV 내보내기와 열 매핑 CSV 가져오기 테스트
+
+const { formatCsvField, buildPagesCsv, guessCsvMapping, parseMappedCsv } = require('../utils/page-csv');
+const { parseCsv } = require('../utils/import-formats');
+
+describe('CSV export', () => {
+    const collections = [
+        { id: 'c1', name: 'Work', parentId: null },
+        { id: 'c2', name: 'Reports', parentId: 'c1' }
+    ];
+    const pages = [{
+        id: 'p1',
+        title: 'Quarterly "numbers", explained',
+        url: 'https://example.com/q',
+        domain: 'example.com',
+        tags: ['finance', 'q3'],
+        collectionIds: ['c2', 'deleted'],
+        savedAt: Date.UTC(2024, 4, 10),
+        isFavorite: true,
+        summary: 'Line one\nLine two'
+    }];
+
+    test('should quote fields only when needed', () => {
+        expect(formatCsvField('plain')).toBe('plain');
+        expect(formatCsvField('a, "b"')).toBe('"a, ""b"""');
+        expect(formatCsvField(null)).toBe('');
+    });
+
+    test('should write the chosen columns with a BOM and CRLF', () => {
+        const csv = buildPagesCsv(pages, ['url', 'title', 'collections'], collections);
+
+        expect(csv).toBe('\uFEFFTitle,URL,Collections\r\n"Quarterly ""numbers"", explained",https://example.com/q,Work/Reports\r\n');
+        expect(() => buildPagesCsv(pages, [])).toThrow('Choose at least one column');
+    });
+
+    test('should round-trip through the guessed mapping', () => {
+        const csv = buildPagesCsv(pages, ['title', 'url', 'domain', 'tags', 'collections', 'savedAt', 'isFavorite', 'isRead', 'summary'], collections);
+        const mapping = guessCsvMapping(parseCsv(csv)[0].values);
+        const { entries, errors } = parseMappedCsv(csv, mapping);
+
+        expect(errors).toEqual([]);
+        expect(entries[0]).toEqual({
+            url: 'https://example.com/q',
+            title: 'Quarterly "numbers", explained',
+            tags: ['finance', 'q3'],
+            folders: ['Work', 'Reports'],
+            savedAt: Date.UTC(2024, 4, 10),
+            description: 'Line one\nLine two',
+            isFavorite: true,
+            isRead: false,
+            line: 2
+        });
+    });
+});
+
+describe('CSV import', () => {
+    test('should guess columns from common header names', () => {
+        expect(guessCsvMapping(['Link', 'Name', 'Labels', 'Created', 'Extra'])).toEqual({
+            url: 0,
+            title: 1,
+            tags: 2,
+            date: 3,
+            summary: null,
+            favorite: null,
+            read: null,
+            collection: null
+        });
+    });
+
+    test('should require a URL column and report bad rows', () => {
+        const csv = 'address,when\nhttps://example.com/a,2024-01-02\nhttps://example.com/b,not a date\n';
+
+        expect(() => parseMappedCsv(csv, { url: null })).toThrow('Choose the column that holds the URL');
+
+        const { entries, errors } = parseMappedCsv(csv, { url: 0, date: 1 });
+        expect(entries.map(entry => entry.url)).toEqual(['https://example.com/a']);
+        expect(errors).toEqual([{ line: 3, url: 'https://example.com/b', errors: ['Invalid date "not a date"'] }]);
+    });
+});
@@ -0,0 +1,81 @@
+// Tests for summary prompt templates
+// 요약 프롬프트 템플릿 테스트
+
+const {
+    PROMPT_TEMPLATE_EXAMPLE,
+    findTemplateVariables,
+    validatePromptTemplate,
+    renderPromptTemplate,
+    promptTemplateValues,
+    resolvePromptTemplate
+} = require('../utils/prompt-templates');
+
+describe('Prompt template validation', () => {
+    test('should accept the example template', () => {
+        expect(validatePromptTemplate({ name: 'Example', text: PROMPT_TEMPLATE_EXAMPLE })).toEqual({
+            isValid: true,
+            errors: [],
+            unknownVariables: []
+        });
+    });
+
+    test('should report unknown variables and a missing {{content}}', () => {
+        const result = validatePromptTemplate({ name: 'Broken', text: 'Summarize {{ titel }} for {{audience}} and {{titel}}' });
+
+        expect(result.isValid).toBe(false);
+        expect(result.unknownVariables).toEqual(['titel', 'audience']);
+        expect(result.errors).toEqual([
+            'Unknown variables: {{titel}}, {{audience}}',
+            'Template must include {{content}}'
+        ]);
+    });
+
+    test('should require a name and text', () => {
+        expect(validatePromptTemplate({ name: ' ', text: '' }).errors).toEqual([
+            'Template name is required',
+            'Template text is required'
+        ]);
+    });
+});
+
+describe('Prompt template rendering', () => {
+    test('should fill known variables and leave others as written', () => {
+        const values = promptTemplateValues('Body text', { title: 'Title', url: 'https://a.com', language: 'ko', maxLength: 150 });
+        const prompt = renderPromptTemplate('{{title}} ({{ url }}) in {{language}}, {{maxLength}} chars: {{content}} {{other}}', values);
+
+        expect(findTemplateVariables('{{a}} {{ b }} {{a}}')).toEqual(['a', 'b']);
+        expect(prompt).toBe('Title (https://a.com) in Korean, 150 chars: Body text {{other}}');
+    });
+});
+
+describe('Prompt template selection', () => {
+    const settings = {
+        promptTemplates: [
+            { id: 'news', name: 'News', text: 'News: {{content}}' },
+            { id: 'papers', name: 'Papers', text: 'Paper: {{content}}' },
+            { id: 'short', name: 'Short', text: 'Short: {{content}}' }
+        ],
+        defaultPromptTemplateId: 'short',
+        promptTemplateRules: [
+            { type: 'collection', value: 'c-research', templateId: 'papers' },
+            { type: 'domain', value: 'news.example.com', templateId: 'news' },
+            { type: 'domain', value: 'docs.example.com', templateId: '' }
+        ]
+    };
+
+    test('should prefer a site rule, then a collection rule, then the default', () => {
+        const pick = (page) => resolvePromptTemplate(settings, page)?.id || null;
+
+        expect(pick({ url: 'https://www.news.example.com/a', collectionIds: ['c-research'] })).toBe('news');
+        expect(pick({ url: 'https://live.news.example.com/b' })).toBe('news');
+        expect(pick({ url: 'https://example.com/paper', collectionIds: ['c-research'] })).toBe('papers');
+        expect(pick({ url: 'https://other.com' })).toBe('short');
+        expect(pick({ url: 'not a url' })).toBe('short');
+    });
+
+    test('should fall back to the built-in prompt for empty or deleted templates', () => {
+        expect(resolvePromptTemplate(settings, { url: 'https://docs.example.com/guide' })).toBeNull();
+        expect(resolvePromptTemplate({ ...settings, defaultPromptTemplateId: 'gone' }, { url: 'https://other.com' })).toBeNull();
+        expect(resolvePromptTemplate({}, {})).toBeNull();
+    });
+});
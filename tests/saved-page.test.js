@@ -0,0 +1,36 @@
+// Tests for duplicate tracking on saved pages
+// 저장된 페이지의 중복 추적 테스트
+
+const { SavedPage } = require('../utils/models');
+
+describe('SavedPage duplicate tracking', () => {
+    test('should canonicalize the URL like the background save', () => {
+        const page = new SavedPage({ url: 'https://example.com/post/?utm_source=feed#comments' });
+
+        expect(page.canonicalUrl).toBe('https://example.com/post');
+        expect(new SavedPage({
+            url: 'https://m.example.com/post',
+            canonicalUrl: 'https://example.com/post/'
+        }).canonicalUrl).toBe('https://example.com/post');
+    });
+
+    test('should record re-saves on plain records and keep the latest entries', () => {
+        let record = { id: 'a', url: 'https://example.com', saveHistory: [] };
+        for (let i = 0; i < SavedPage.MAX_SAVE_HISTORY + 5; i++) {
+            record = SavedPage.recordResave(record, `https://example.com/?v=${i}`, 'merge');
+        }
+
+        expect(record.saveCount).toBe(SavedPage.MAX_SAVE_HISTORY + 6);
+        expect(record.saveHistory).toHaveLength(SavedPage.MAX_SAVE_HISTORY);
+        expect(record.saveHistory[record.saveHistory.length - 1].url).toBe(`https://example.com/?v=${SavedPage.MAX_SAVE_HISTORY + 4}`);
+    });
+
+    test('should record a re-save on the model itself', () => {
+        const page = new SavedPage({ url: 'https://example.com' }).recordResave('https://example.com/', 'update');
+
+        expect(page).toBeInstanceOf(SavedPage);
+        expect(page.saveCount).toBe(2);
+        expect(page.saveHistory[0].action).toBe('update');
+        expect(page.updatedAt).toBe(page.lastResavedAt);
+    });
+});
@@ -0,0 +1,118 @@
+// Tests for the full-text search index
+// 전문 검색 색인 테스트
+
+const SearchIndex = require('../utils/search-index');
+
+describe('SearchIndex', () => {
+    let searchIndex;
+    let stores;
+
+    beforeEach(() => {
+        searchIndex = new SearchIndex();
+        stores = useInMemoryIndexedDB(searchIndex, {
+            contents: 'pageId',
+            documents: 'pageId',
+            postings: 'term',
+            meta: 'key'
+        });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('tokenize', () => {
+        test('should lowercase words and drop stop words', () => {
+            expect(searchIndex.tokenize('The Chrome Extension for Readers')).toEqual(['chrome', 'extension', 'readers']);
+        });
+
+        test('should split Korean text into overlapping bigrams', () => {
+            expect(searchIndex.tokenize('한국어를 배우다')).toEqual(['한국', '국어', '어를', '배우', '우다']);
+        });
+
+        test('should separate CJK runs from Latin text in the same word', () => {
+            expect(searchIndex.tokenize('React컴포넌트')).toEqual(['react', '컴포', '포넌', '넌트']);
+        });
+    });
+
+    describe('indexPage', () => {
+        test('should update postings incrementally when a page changes', async () => {
+            await searchIndex.indexPage({ id: 'a', title: 'Chrome extensions', tags: [] });
+            await searchIndex.indexPage({ id: 'a', title: 'Firefox addons', tags: [] });
+
+            expect(stores.postings.has('chrome')).toBe(false);
+            expect(stores.postings.get('firefox').pages).toEqual({ a: searchIndex.FIELD_WEIGHTS.title });
+            expect(stores.meta.get('stats').docCount).toBe(1);
+        });
+
+        test('should include stored page text', async () => {
+            await searchIndex.setContent('a', { text: 'IndexedDB transactions explained' });
+            await searchIndex.indexPage({ id: 'a', title: 'Notes', tags: [] });
+
+            expect(stores.postings.get('transactions').pages.a).toBe(1);
+        });
+    });
+
+    describe('removePage', () => {
+        test('should drop postings and keep text only when asked', async () => {
+            await searchIndex.setContent('a', { text: 'service workers' });
+            await searchIndex.indexPage({ id: 'a', title: 'Workers', tags: [] });
+
+            await searchIndex.removePage('a', { keepContent: true });
+            expect(stores.postings.size).toBe(0);
+            expect(stores.meta.get('stats').docCount).toBe(0);
+            expect(stores.contents.has('a')).toBe(true);
+
+            await searchIndex.removePage('a');
+            expect(stores.contents.has('a')).toBe(false);
+        });
+    });
+
+    describe('search', () => {
+        beforeEach(async () => {
+            await searchIndex.setContent('tutorial', { text: 'A long tutorial about building Chrome extensions with service workers.' });
+            await searchIndex.indexPage({ id: 'tutorial', title: 'Extension tutorial', tags: [] });
+            await searchIndex.indexPage({ id: 'news', title: 'Browser news', summary: 'Chrome release notes', tags: [] });
+            await searchIndex.indexPage({ id: 'korean', title: '한국어 검색엔진을 만들기', tags: [] });
+        });
+
+        test('should match terms by prefix and rank stronger matches first', async () => {
+            const results = await searchIndex.search('chro ext');
+
+            expect(results.map(result => result.pageId)).toEqual(['tutorial']);
+            expect(results[0].score).toBeGreaterThan(0);
+        });
+
+        test('should require every query term to match', async () => {
+            const results = await searchIndex.search('chrome');
+            expect(results.map(result => result.pageId).sort()).toEqual(['news', 'tutorial']);
+
+            expect(await searchIndex.search('chrome missingword')).toEqual([]);
+        });
+
+        test('should find Korean pages by a word inside a longer phrase', async () => {
+            const results = await searchIndex.search('검색 엔진');
+            expect(results.map(result => result.pageId)).toEqual(['korean']);
+        });
+
+        test('should return a snippet around the matching passage', async () => {
+            const [result] = await searchIndex.search('service workers');
+            expect(result.snippet).toContain('service workers');
+        });
+    });
+
+    describe('buildSnippet', () => {
+        test('should mark cut text with ellipses', () => {
+            const text = `${'intro '.repeat(40)}the matching passage is here${' outro'.repeat(40)}`;
+            const snippet = searchIndex.buildSnippet(text, 'matching');
+
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+            expect(snippet).toContain('matching passage');
+        });
+
+        test('should return an empty string when nothing matches', () => {
+            expect(searchIndex.buildSnippet('nothing relevant', 'absent')).toBe('');
+        });
+    });
+});
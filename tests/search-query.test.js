@@ -0,0 +1,173 @@
+// Tests for the structured search query language
+// 구조화된 검색 쿼리 언어 테스트
+
+const { SearchQueryParser, matchesFilter, withoutTextQueries } = require('../utils/search-query');
+
+describe('SearchQueryParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new SearchQueryParser();
+    });
+
+    describe('parse', () => {
+        test('should compile ANDed terms to the flat filter model', () => {
+            const result = parser.parse('react tag:js domain:www.github.com is:favorite has:summary');
+
+            expect(result.success).toBe(true);
+            expect(result.filter).toEqual({
+                query: 'react',
+                tags: ['js'],
+                domains: ['github.com'],
+                isFavorite: true,
+                hasSummary: true
+            });
+        });
+
+        test('should compile OR, groups and negation', () => {
+            const result = parser.parse('(tag:js OR tag:ts) -is:archived');
+
+            expect(result.filter).toEqual({
+                anyOf: [{ tags: ['js'] }, { tags: ['ts'] }],
+                not: { isArchived: true }
+            });
+        });
+
+        test('should keep repeated fields as separate conditions', () => {
+            const result = parser.parse('tag:js tag:react');
+            expect(result.filter).toEqual({ tags: ['js'], allOf: [{ tags: ['react'] }] });
+        });
+
+        test('should keep the conditions of a group next to repeated fields', () => {
+            const result = parser.parse('(tag:a tag:b) foo bar');
+
+            expect(result.filter).toEqual({
+                tags: ['a'],
+                query: 'foo',
+                allOf: [{ tags: ['b'] }, { query: 'bar' }]
+            });
+            expect(matchesFilter({ title: 'foo bar', tags: ['a'] }, result.filter)).toBe(false);
+            expect(matchesFilter({ title: 'foo bar', tags: ['a', 'b'] }, result.filter)).toBe(true);
+        });
+
+        test('should treat #tag and quoted operator values as tags', () => {
+            expect(parser.parse('#news').filter).toEqual({ tags: ['news'] });
+            expect(parser.parse('tag:"machine learning"').filter).toEqual({ tags: ['machine learning'] });
+        });
+
+        test('should leave URLs as plain text', () => {
+            expect(parser.parse('https://example.com').filter).toEqual({ query: 'https://example.com' });
+        });
+
+        test('should search for unknown prefixes as plain text', () => {
+            const result = parser.parse('Note: meeting tag:work');
+
+            expect(result.success).toBe(true);
+            expect(result.filter).toEqual({ query: 'Note:', tags: ['work'], allOf: [{ query: 'meeting' }] });
+            expect(matchesFilter({ title: 'Note: meeting with the team', tags: ['work'] }, result.filter)).toBe(true);
+        });
+
+        test('should convert before and after to a date range', () => {
+            const { filter } = parser.parse('after:2024-01-01 before:2024-02-01');
+
+            expect(filter.dateFrom).toBe(new Date(2024, 0, 1).getTime());
+            expect(filter.dateTo).toBe(new Date(2024, 1, 1).getTime() - 1);
+        });
+
+        test('should report syntax errors', () => {
+            const cases = [
+                ['tag:', 'Missing value after "tag:"'],
+                ['is:read', '"is:" expects favorite or archived'],
+                ['before:2024-02-31', 'Invalid date "2024-02-31"'],
+                ['(react', 'Missing closing ")"'],
+                ['react)', 'Unmatched ")"'],
+                ['react OR', '"OR" needs a term on both sides'],
+                ['"open phrase', 'Missing closing quote']
+            ];
+
+            cases.forEach(([query, message]) => {
+                const result = parser.parse(query);
+
+                expect(result.success).toBe(false);
+                expect(result.error.message).toBe(message);
+            });
+        });
+
+        test('should point errors at the offending part of the query', () => {
+            const { error } = parser.parse('react is:read');
+            expect([error.start, error.end]).toEqual([6, 13]);
+        });
+    });
+
+    describe('parseDateValue', () => {
+        test('should accept relative dates', () => {
+            const expected = new Date();
+            expected.setHours(0, 0, 0, 0);
+            expected.setDate(expected.getDate() - 14);
+
+            expect(parser.parseDateValue('2w')).toBe(expected.getTime());
+        });
+    });
+
+    describe('getTextTerms', () => {
+        test('should list free-text terms and mark negated ones', () => {
+            const { ast } = parser.parse('chrome -(firefox OR "safari tips") tag:web');
+
+            expect(parser.getTextTerms(ast)).toEqual([
+                { text: 'chrome', exact: false, isNegated: false },
+                { text: 'firefox', exact: false, isNegated: true },
+                { text: 'safari tips', exact: true, isNegated: true }
+            ]);
+        });
+    });
+});
+
+describe('matchesFilter', () => {
+    const page = {
+        id: 'a',
+        title: 'Building Chrome extensions',
+        url: 'https://docs.example.com/guide',
+        domain: 'docs.example.com',
+        tags: ['chrome', 'guide'],
+        summary: '',
+        savedAt: new Date(2024, 4, 10).getTime(),
+        isFavorite: true,
+        isArchived: false
+    };
+    const parser = new SearchQueryParser();
+    const matches = (query, options) => matchesFilter(page, parser.parse(query).filter, options);
+
+    test('should match field operators', () => {
+        expect(matches('tag:chrome is:favorite')).toBe(true);
+        expect(matches('site:example.com')).toBe(true);
+        expect(matches('domain:example.com')).toBe(false);
+        expect(matches('is:archived')).toBe(false);
+        expect(matches('has:summary')).toBe(false);
+    });
+
+    test('should match date ranges', () => {
+        expect(matches('after:2024-05 before:2024-06')).toBe(true);
+        expect(matches('before:2024-05-10')).toBe(false);
+    });
+
+    test('should evaluate OR and negation', () => {
+        expect(matches('tag:missing OR tag:guide')).toBe(true);
+        expect(matches('chrome -tag:guide')).toBe(false);
+    });
+
+    test('should let matchText answer free-text terms', () => {
+        const matchText = jest.fn((candidate, text) => text === 'indexed' ? true : null);
+
+        expect(matches('indexed', { matchText })).toBe(true);
+        expect(matches('extensions', { matchText })).toBe(true);
+        expect(matchText).toHaveBeenCalledWith(page, 'indexed');
+    });
+
+    test('should keep only field operators without free-text terms', () => {
+        const withoutText = (query) => matchesFilter(page, withoutTextQueries(parser.parse(query).filter));
+
+        expect(withoutText('unrelated words tag:chrome')).toBe(true);
+        expect(withoutText('unrelated words tag:missing')).toBe(false);
+        expect(withoutText('unrelated -chrome')).toBe(false);
+    });
+});
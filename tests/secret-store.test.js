@@ -0,0 +1,49 @@
+// Tests for the encrypted API key store
+// 암호화된 API 키 저장소 테스트
+
+// jsdom provides neither WebCrypto's subtle API nor TextEncoder
+const { webcrypto } = require('crypto');
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+global.TextDecoder = global.TextDecoder || require('util').TextDecoder;
+
+const { SecretStore, maskSecret } = require('../utils/secret-store');
+
+describe('SecretStore', () => {
+    let secretStore;
+    let stores;
+
+    beforeEach(() => {
+        secretStore = new SecretStore();
+        stores = useInMemoryIndexedDB(secretStore, { keys: 'id', secrets: 'name' });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store only ciphertext and a masked form', async () => {
+        const status = await secretStore.setSecret('apiKey', '  sk-test-1234567890abcd  ');
+
+        expect(status).toEqual({ configured: true, masked: 'sk-…abcd' });
+        const record = stores.secrets.get('apiKey');
+        expect(new TextDecoder().decode(record.data)).not.toContain('sk-test');
+        expect(stores.keys.get('master').key.extractable).toBe(false);
+
+        expect(await secretStore.getSecret('apiKey')).toBe('sk-test-1234567890abcd');
+        expect(await secretStore.describeSecret('apiKey')).toEqual({ configured: true, masked: 'sk-…abcd' });
+    });
+
+    test('should delete the secret when given an empty value', async () => {
+        await secretStore.setSecret('apiKey', 'sk-test-1234567890abcd');
+        expect(await secretStore.setSecret('apiKey', '')).toEqual({ configured: false, masked: '' });
+
+        expect(await secretStore.getSecret('apiKey')).toBe('');
+        expect(await secretStore.describeSecret('apiKey')).toEqual({ configured: false, masked: '' });
+    });
+
+    test('should mask short secrets completely', () => {
+        expect(maskSecret('abc')).toBe('•••');
+        expect(maskSecret('')).toBe('');
+    });
+});
@@ -348,6 +348,161 @@ global.createMockChromeStorage = () => ({
     })
 });
 
+// Back chrome.storage.local with a plain object; returns that object so tests can seed and inspect it
+global.useInMemoryLocalStorage = (localData = {}) => {
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+        const result = {};
+        [].concat(keys).forEach(key => {
+            if (key in localData) result[key] = localData[key];
+        });
+        return result;
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => {
+        Object.assign(localData, items);
+    });
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+        [].concat(keys).forEach(key => delete localData[key]);
+    });
+    return localData;
+};
+
+// Object store backed by a Map; each request answers synchronously through `result`
+global.createMemoryObjectStore = (records, keyPath) => ({
+    put: (record) => {
+        records.set(record[keyPath], record);
+        return { result: record[keyPath] };
+    },
+    get: (key) => ({ result: records.get(key) }),
+    getAll: (range) => ({
+        result: Array.from(records.entries())
+            .filter(([key]) => !range || (key >= range.lower && key <= range.upper))
+            .map(([, record]) => record)
+    }),
+    getAllKeys: () => ({ result: Array.from(records.keys()) }),
+    delete: (key) => {
+        records.delete(key);
+        return { result: undefined };
+    },
+    clear: () => {
+        records.clear();
+        return { result: undefined };
+    },
+    count: () => ({ result: records.size }),
+    index: (name) => ({
+        getAll: (value) => ({
+            result: Array.from(records.values()).filter(record => {
+                const field = record[name];
+                return Array.isArray(field) ? field.includes(value) : field === value;
+            })
+        })
+    })
+});
+
+// jsdom has no IndexedDB; key ranges only need their bounds for the memory stores
+global.IDBKeyRange = {
+    bound: (lower, upper) => ({ lower, upper })
+};
+
+/**
+ * Run a store's IndexedDB requests against in-memory object stores
+ * 저장소의 IndexedDB 요청을 메모리 객체 저장소에서 실행
+ *
+ * `keyPaths` maps each object store name to its key path. Covers both the
+ * runRequest([storeName,] mode, createRequest) and runTransaction(mode, work)
+ * helpers the stores use. Returns the Map behind each object store.
+ */
+global.useInMemoryIndexedDB = (target, keyPaths) => {
+    const names = Object.keys(keyPaths);
+    const records = {};
+    names.forEach(name => {
+        records[name] = new Map();
+    });
+    const openStore = (name) => createMemoryObjectStore(records[name], keyPaths[name]);
+
+    if (typeof target.runTransaction === 'function') {
+        target.runTransaction = jest.fn(async (mode, work) => {
+            const stores = {};
+            names.forEach(name => {
+                stores[name] = openStore(name);
+            });
+            const collect = work(stores);
+            return typeof collect === 'function' ? collect() : undefined;
+        });
+    } else {
+        // Single-store classes leave out the store name
+        target.runRequest = jest.fn(async (...args) => {
+            const [name, mode, createRequest] = args.length === 3 ? args : [names[0], ...args];
+            return createRequest(openStore(name)).result;
+        });
+    }
+    return records;
+};
+
+// setup.js replaces Blob with a bare mock; call at the top of files that check real blob contents
+global.useRealBlob = () => {
+    const { Blob: NodeBlob } = require('buffer');
+    let mockedBlob;
+
+    beforeAll(() => {
+        mockedBlob = global.Blob;
+        global.Blob = NodeBlob;
+    });
+
+    afterAll(() => {
+        global.Blob = mockedBlob;
+    });
+};
+
+/**
+ * Run background.js in its own context, as the service worker would
+ * 서비스 워커처럼 별도 컨텍스트에서 background.js 실행
+ *
+ * Chrome APIs the tests do not look at are answered by a stub that accepts
+ * any call, so event listeners and storage reads at load time do nothing.
+ * Returns the context and `get(name)` to read its top-level bindings.
+ */
+global.loadBackgroundScript = () => {
+    const vm = require('vm');
+    const fs = require('fs');
+    const path = require('path');
+    const { TextEncoder, TextDecoder } = require('util');
+    const root = path.join(__dirname, '..');
+
+    const stub = () => new Proxy(function () {}, {
+        get: (target, key) => key === 'then' ? undefined : (target[key] = target[key] || stub()),
+        apply: () => Promise.resolve({})
+    });
+
+    const chromeApi = stub();
+    chromeApi.i18n = { getUILanguage: () => 'en-US', getMessage: key => key };
+    chromeApi.storage.local.clear = jest.fn().mockResolvedValue();
+    chromeApi.storage.sync.clear = jest.fn().mockResolvedValue();
+
+    const context = vm.createContext({
+        console: { log: () => {}, warn: () => {}, error: () => {} },
+        chrome: chromeApi,
+        self: { addEventListener: () => {} },
+        navigator: {},
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: () => {},
+        TextEncoder,
+        TextDecoder,
+        URL,
+        AbortController
+    });
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    vm.runInContext(fs.readFileSync(path.join(root, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+    return {
+        context,
+        get: (name) => vm.runInContext(name, context)
+    };
+};
+
 global.createMockSavedPage = (overrides = {}) => ({
     id: 'test-page-id',
     url: 'https://example.com/test-page',
@@ -459,5 +614,10 @@ afterEach(() => {
 module.exports = {
     createMockElement: global.createMockElement,
     createMockChromeStorage: global.createMockChromeStorage,
+    useInMemoryLocalStorage: global.useInMemoryLocalStorage,
+    createMemoryObjectStore: global.createMemoryObjectStore,
+    useInMemoryIndexedDB: global.useInMemoryIndexedDB,
+    useRealBlob: global.useRealBlob,
+    loadBackgroundScript: global.loadBackgroundScript,
     createMockSavedPage: global.createMockSavedPage
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Tests for smart collections (saved searches in the filter bar)
+// 스마트 컬렉션 (필터 바의 저장된 검색) 테스트
+
+const { ExtensionSettings } = require('../utils/models');
+const { SearchQueryParser, matchesFilter } = require('../utils/search-query');
+
+// settings.js and popup.js use these as globals, as they are in the extension
+global.ExtensionSettings = ExtensionSettings;
+global.matchesFilter = matchesFilter;
+const SettingsManager = require('../utils/settings');
+const PopupManager = require('../popup/popup');
+
+const savedSearch = (overrides = {}) => ({
+    id: 'c1',
+    name: 'AI favorites',
+    query: 'tag:ai',
+    filter: 'favorites',
+    sort: 'title-asc',
+    createdAt: 1700000000000,
+    ...overrides
+});
+
+describe('Saved search settings', () => {
+    test('should accept well-formed saved searches', () => {
+        const result = ExtensionSettings.validate({ savedSearches: [savedSearch(), savedSearch({ id: 'c2', query: '', filter: 'all' })] });
+
+        expect(result.isValid).toBe(true);
+    });
+
+    test('should reject entries with a bad filter or sort, or without an id', () => {
+        const invalid = [
+            savedSearch({ filter: 'archived' }),
+            savedSearch({ sort: 'relevance' }),
+            savedSearch({ id: undefined }),
+            savedSearch({ name: '  ' }),
+            null
+        ];
+
+        invalid.forEach(item => {
+            const result = ExtensionSettings.validate({ savedSearches: [savedSearch({ id: 'ok' }), item] });
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('savedSearches must be a list of { id, name, query, filter, sort }');
+        });
+        expect(ExtensionSettings.validate({ savedSearches: 'tag:ai' }).isValid).toBe(false);
+    });
+
+    test('should carry saved searches through export and import', async () => {
+        const localData = useInMemoryLocalStorage();
+        const source = new SettingsManager();
+        await source.saveSettings({ ...ExtensionSettings.getDefaults().toJSON(), savedSearches: [savedSearch()] });
+
+        const backup = JSON.parse(JSON.stringify(await source.exportSettings()));
+        expect(backup.settings.savedSearches).toEqual([savedSearch()]);
+
+        delete localData.settings;
+        const target = new SettingsManager();
+        const result = await target.importSettings(backup);
+
+        expect(result.success).toBe(true);
+        expect(localData.settings.savedSearches).toEqual([savedSearch()]);
+        expect(ExtensionSettings.fromJSON(localData.settings).toJSON().savedSearches).toEqual([savedSearch()]);
+    });
+});
+
+describe('PopupManager smart collection tab', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const pages = [
+        { id: 'beta', title: 'Beta', tags: ['ai'], isFavorite: true, savedAt: Date.now() - 3 * day },
+        { id: 'alpha', title: 'Alpha', tags: ['ai'], isFavorite: true, savedAt: Date.now() - 2 * day },
+        { id: 'plain', title: 'Aardvark', tags: ['ai'], isFavorite: false, savedAt: Date.now() - day },
+        { id: 'other', title: 'Other', tags: ['news'], isFavorite: true, savedAt: Date.now() }
+    ];
+    let popup;
+    let tabs;
+
+    beforeEach(() => {
+        tabs = ['all', 'collection:c1'].map(filter => ({
+            dataset: { filter },
+            classList: { toggle: jest.fn() }
+        }));
+
+        // Skip init(); only the state the filter path reads is set up
+        popup = Object.assign(Object.create(PopupManager.prototype), {
+            pages: pages.map(page => ({ ...page })),
+            filteredPages: [],
+            currentFilter: 'all',
+            currentSort: 'date-desc',
+            searchQuery: '',
+            currentCollection: null,
+            smartCollections: [savedSearch()],
+            collectionResults: new Map(),
+            queryParser: new SearchQueryParser(),
+            elements: { sortSelect: { value: 'date-desc' }, filterTabs: tabs }
+        });
+        popup.renderPages = jest.fn();
+        popup.renderCollections = jest.fn();
+        popup.updateSmartCollectionCounts = jest.fn();
+    });
+
+    test('should apply the saved query, filter and sort', () => {
+        popup.handleFilterChange('collection:c1');
+
+        expect(popup.currentFilter).toBe('collection:c1');
+        expect(popup.currentSort).toBe('title-asc');
+        expect(popup.elements.sortSelect.value).toBe('title-asc');
+        expect(popup.filteredPages.map(page => page.id)).toEqual(['alpha', 'beta']);
+        expect(tabs[1].classList.toggle).toHaveBeenCalledWith('active', true);
+        expect(popup.renderPages).toHaveBeenCalledTimes(1);
+    });
+
+    test('should show every page again when going back to all', () => {
+        popup.handleFilterChange('collection:c1');
+        popup.handleFilterChange('all');
+
+        expect(popup.filteredPages).toHaveLength(pages.length);
+        expect(popup.currentSort).toBe('title-asc');
+    });
+});
@@ -0,0 +1,146 @@
+// Tests for page storage adapters and legacy migration
+// 페이지 저장소 어댑터 및 레거시 이전 테스트
+
+const {
+    ChromeStorageAdapter,
+    IndexedDBStorageAdapter,
+    migrateLegacyPages
+} = require('../utils/storage-adapters');
+
+useRealBlob();
+
+describe('Storage adapters', () => {
+    let localData;
+
+    beforeEach(() => {
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    /**
+     * IndexedDB adapter whose transactions run against in-memory maps
+     * 트랜잭션이 메모리 맵에서 실행되는 IndexedDB 어댑터
+     */
+    function createMemoryIndexedDBAdapter() {
+        const adapter = new IndexedDBStorageAdapter();
+        const { pages, thumbnails } = useInMemoryIndexedDB(adapter, { pages: 'id', thumbnails: 'pageId' });
+        return { adapter, pages, thumbnails };
+    }
+
+    describe('ChromeStorageAdapter', () => {
+        test('should add new pages first and update existing ones in place', async () => {
+            const adapter = new ChromeStorageAdapter();
+            localData.pages = [{ id: 'a', title: 'A', thumbnail: 'data:image/png;base64,AAAA' }];
+
+            await adapter.putPages([{ id: 'b', title: 'B' }, { id: 'a', title: 'A2', thumbnail: '' }]);
+
+            expect(localData.pages.map(page => page.id)).toEqual(['b', 'a']);
+            expect(localData.pages[1].title).toBe('A2');
+            expect(localData.pages[1].thumbnail).toBe('data:image/png;base64,AAAA');
+        });
+
+        test('should return the deleted page, or null when missing', async () => {
+            const adapter = new ChromeStorageAdapter();
+            localData.pages = [{ id: 'a' }, { id: 'b' }];
+
+            expect(await adapter.deletePage('a')).toEqual({ id: 'a' });
+            expect(await adapter.deletePage('missing')).toBeNull();
+            expect(localData.pages).toEqual([{ id: 'b' }]);
+        });
+
+        test('should filter pages by index field, including array fields', async () => {
+            const adapter = new ChromeStorageAdapter();
+            localData.pages = [
+                { id: 'a', domain: 'example.com', tags: ['news'] },
+                { id: 'b', domain: 'other.com', tags: ['news', 'tech'] }
+            ];
+
+            expect((await adapter.getPagesByIndex('tags', 'tech')).map(page => page.id)).toEqual(['b']);
+            expect((await adapter.getPagesByIndex('domain', 'example.com')).map(page => page.id)).toEqual(['a']);
+        });
+    });
+
+    describe('IndexedDBStorageAdapter', () => {
+        test('should store data URL thumbnails as separate blob records', async () => {
+            const { adapter, pages, thumbnails } = createMemoryIndexedDBAdapter();
+
+            await adapter.putPage({
+                id: 'a',
+                url: 'https://example.com',
+                thumbnail: 'data:image/png;base64,iVBORw0KGgo=',
+                savedAt: 1
+            });
+
+            expect(pages.get('a').thumbnail).toBe('');
+            expect(thumbnails.get('a').blob).toBeInstanceOf(Blob);
+            expect(thumbnails.get('a').size).toBe(8);
+        });
+
+        test('should keep the stored thumbnail when a page is saved without one', async () => {
+            const { adapter, thumbnails } = createMemoryIndexedDBAdapter();
+
+            await adapter.putPage({ id: 'a', thumbnail: 'data:image/png;base64,iVBORw0KGgo=' });
+            await adapter.putPage({ id: 'a', thumbnail: '', title: 'Renamed' });
+
+            expect(thumbnails.has('a')).toBe(true);
+        });
+
+        test('should return pages newest first without thumbnails by default', async () => {
+            const { adapter } = createMemoryIndexedDBAdapter();
+
+            await adapter.putPages([
+                { id: 'old', savedAt: 100 },
+                { id: 'new', savedAt: 300 },
+                { id: 'legacy', timestamp: 200 }
+            ]);
+
+            const pages = await adapter.getAllPages();
+            expect(pages.map(page => page.id)).toEqual(['new', 'legacy', 'old']);
+        });
+
+        test('should delete page and thumbnail together', async () => {
+            const { adapter, pages, thumbnails } = createMemoryIndexedDBAdapter();
+            adapter.attachThumbnail = jest.fn(async (page) => page);
+
+            await adapter.putPage({ id: 'a', thumbnail: 'data:image/png;base64,iVBORw0KGgo=' });
+            const deletedPage = await adapter.deletePage('a');
+
+            expect(deletedPage.id).toBe('a');
+            expect(pages.size).toBe(0);
+            expect(thumbnails.size).toBe(0);
+        });
+    });
+
+    describe('migrateLegacyPages', () => {
+        test('should move legacy pages into IndexedDB once', async () => {
+            const { adapter, pages } = createMemoryIndexedDBAdapter();
+            localData.pages = [
+                { id: 'a', url: 'https://example.com/post/?utm_source=feed', savedAt: 1 },
+                { id: 'b', url: 'https://example.com/b', canonicalUrl: 'https://example.com/b', savedAt: 2 },
+                null
+            ];
+
+            const first = await migrateLegacyPages(adapter);
+            const second = await migrateLegacyPages(adapter);
+
+            expect(first).toEqual({ migrated: 2, alreadyMigrated: false });
+            expect(second).toEqual({ migrated: 0, alreadyMigrated: true });
+            expect(pages.get('a').canonicalUrl).toBe('https://example.com/post');
+            expect(localData.pages).toBeUndefined();
+            expect(localData.storageBackend).toBe('indexeddb');
+        });
+
+        test('should leave the chrome.storage backend untouched', async () => {
+            localData.pages = [{ id: 'a' }];
+
+            const result = await migrateLegacyPages(new ChromeStorageAdapter());
+
+            expect(result.alreadyMigrated).toBe(true);
+            expect(localData.pages).toEqual([{ id: 'a' }]);
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+// Tests for long document chunking and the part summary cache
+// 긴 문서 분할과 부분 요약 캐시 테스트
+
+const {
+    formatSection,
+    splitSectionsIntoChunks,
+    chunkCacheKey,
+    ChunkSummaryCache
+} = require('../utils/summary-chunks');
+
+describe('splitSectionsIntoChunks', () => {
+    const section = (heading, length) => ({ heading, level: 2, text: 'x'.repeat(length) });
+
+    test('should pack whole sections and break at headings', () => {
+        const chunks = splitSectionsIntoChunks([
+            section('Intro', 300),
+            section('Method', 300),
+            section('Results', 300)
+        ], 700);
+
+        expect(chunks.map(chunk => chunk.headings)).toEqual([['Intro', 'Method'], ['Results']]);
+        expect(chunks[0].text.startsWith('## Intro\n\n')).toBe(true);
+        expect(chunks.every(chunk => chunk.text.length <= 700)).toBe(true);
+    });
+
+    test('should split a long section at paragraphs and repeat its heading', () => {
+        const paragraphs = Array.from({ length: 6 }, (_, i) => `Paragraph ${i}. ${'word '.repeat(30).trim()}`);
+        const chunks = splitSectionsIntoChunks([{ heading: 'Background', level: 1, text: paragraphs.join('\n\n') }], 400);
+
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(chunk => {
+            expect(chunk.headings).toEqual(['Background']);
+            expect(chunk.text.startsWith('# Background\n\n')).toBe(true);
+            expect(chunk.text.length).toBeLessThanOrEqual(400);
+        });
+        expect(chunks.map(chunk => chunk.text).join('\n\n')).toContain('Paragraph 5.');
+    });
+
+    test('should cut text without any boundary', () => {
+        const chunks = splitSectionsIntoChunks([{ heading: '', level: 0, text: 'y'.repeat(1000) }], 300);
+
+        expect(chunks.map(chunk => chunk.text.length)).toEqual([300, 300, 300, 100]);
+    });
+
+    test('should format headings as Markdown', () => {
+        expect(formatSection({ heading: 'Deep', level: 5, text: 'Body' })).toBe('### Deep\n\nBody');
+        expect(formatSection({ heading: '', level: 0, text: ' Body ' })).toBe('Body');
+    });
+});
+
+describe('chunkCacheKey', () => {
+    test('should change with the text and the summary settings', () => {
+        const key = chunkCacheKey('Part text', { maxLength: 500, language: 'ko' });
+
+        expect(chunkCacheKey('Part text', { maxLength: 500, language: 'ko' })).toBe(key);
+        expect(chunkCacheKey('Part text.', { maxLength: 500, language: 'ko' })).not.toBe(key);
+        expect(chunkCacheKey('Part text', { maxLength: 500, language: 'en' })).not.toBe(key);
+    });
+});
+
+describe('ChunkSummaryCache', () => {
+    let cache;
+    let localData;
+
+    beforeEach(() => {
+        cache = new ChunkSummaryCache({ maxEntries: 2 });
+        localData = useInMemoryLocalStorage();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should store part summaries and keep only the newest entries', async () => {
+        const now = jest.spyOn(Date, 'now');
+        now.mockReturnValue(1000);
+        await cache.set('a', 'Summary A');
+        now.mockReturnValue(2000);
+        await cache.set('b', 'Summary B');
+        now.mockReturnValue(3000);
+        await cache.set('c', 'Summary C');
+
+        expect(await cache.get('a')).toBeNull();
+        expect(await cache.get('c')).toBe('Summary C');
+        expect(Object.keys(localData.summaryChunkCache).sort()).toEqual(['b', 'c']);
+        now.mockRestore();
+    });
+
+    test('should ignore expired entries', async () => {
+        localData.summaryChunkCache = { old: { summary: 'Stale', savedAt: Date.now() - cache.maxAge - 1 } };
+
+        expect(await cache.get('old')).toBeNull();
+    });
+});
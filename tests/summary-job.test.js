@@ -0,0 +1,92 @@
+// Tests for the background AI summary job
+// 백그라운드 AI 요약 작업 테스트
+
+describe('Summary job', () => {
+    let background;
+    let pages;
+    let pageStore;
+    let aiService;
+
+    const runSummaryJob = (pageId) => background.get('runSummaryJob')(pageId, 7, aiService);
+
+    beforeEach(() => {
+        background = loadBackgroundScript();
+
+        pages = new Map([
+            ['a', { id: 'a', title: 'A', url: 'https://example.com/a', tags: [], summary: '', summaryMetadata: { method: 'pending' } }]
+        ]);
+        pageStore = {
+            getPage: jest.fn(async (pageId) => pages.get(pageId) || null),
+            putPage: jest.fn(async (page) => {
+                pages.set(page.id, page);
+            })
+        };
+        aiService = {
+            maxContentLength: 10000,
+            generateSummary: jest.fn().mockResolvedValue({ success: true, summary: 'A short summary.', provider: 'openai', model: 'gpt-4o-mini' }),
+            getSettings: jest.fn().mockResolvedValue({ aiProvider: 'openai' }),
+            getProviderModel: jest.fn().mockReturnValue('gpt-4o-mini')
+        };
+
+        Object.assign(background.context, {
+            getPageStore: jest.fn().mockResolvedValue(pageStore),
+            extractContentForSummary: jest.fn().mockResolvedValue({ title: 'A', description: '', content: 'Page text.' }),
+            broadcastSummaryStream: jest.fn(),
+            indexPageForSearch: jest.fn(),
+            embedPageInBackground: jest.fn()
+        });
+        jest.spyOn(background.context, 'updateStoredPage');
+    });
+
+    test('should write the summary back through the page update queue', async () => {
+        await runSummaryJob('a');
+
+        const page = pages.get('a');
+        expect(page.summary).toBe('A short summary.');
+        expect(page.summaryMetadata).toMatchObject({ method: 'ai_generated', provider: 'openai', model: 'gpt-4o-mini' });
+        expect(background.context.updateStoredPage).toHaveBeenCalledTimes(1);
+        expect(aiService.generateSummary.mock.calls[0][0]).toBe('A\n\nPage text.');
+        expect(background.context.indexPageForSearch).toHaveBeenCalledWith(page);
+        expect(background.context.embedPageInBackground).toHaveBeenCalledWith(page);
+        expect(background.get('runningSummaries').size).toBe(0);
+    });
+
+    test('should drop the summary of a page removed before it finished', async () => {
+        aiService.generateSummary.mockImplementation(async () => {
+            pages.delete('a');
+            return { success: true, summary: 'Too late.' };
+        });
+
+        await runSummaryJob('a');
+
+        expect(pages.has('a')).toBe(false);
+        expect(pageStore.putPage).not.toHaveBeenCalled();
+        expect(background.context.indexPageForSearch).not.toHaveBeenCalled();
+        expect(background.context.embedPageInBackground).not.toHaveBeenCalled();
+    });
+
+    test('should keep the fallback and the error when the provider fails', async () => {
+        aiService.generateSummary.mockResolvedValue({ success: false, error: 'Invalid API key', fallback: 'Page text.' });
+
+        await runSummaryJob('a');
+
+        const page = pages.get('a');
+        expect(page.summary).toBe('Page text.');
+        expect(page.summaryMetadata).toMatchObject({
+            method: 'fallback',
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            error: 'Invalid API key'
+        });
+    });
+
+    test('should mark the summary as failed when the page text cannot be read', async () => {
+        background.context.extractContentForSummary.mockRejectedValue(new Error('Tab was closed'));
+
+        await runSummaryJob('a');
+
+        expect(pages.get('a').summaryMetadata).toMatchObject({ method: 'error', error: 'Tab was closed' });
+        expect(aiService.generateSummary).not.toHaveBeenCalled();
+        expect(background.get('runningSummaries').size).toBe(0);
+    });
+});
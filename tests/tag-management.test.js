@@ -0,0 +1,83 @@
+// Tests for renaming, merging and deleting tags in the background script
+// 백그라운드 스크립트의 태그 이름 변경, 병합, 삭제 테스트
+
+describe('Tag management', () => {
+    let background;
+    let pages;
+    let pageStore;
+
+    // Ask a background handler and wait for its response
+    const send = (handler, data) => new Promise(resolve => background.get(handler)(data, resolve));
+
+    beforeEach(() => {
+        background = loadBackgroundScript();
+
+        pages = new Map([
+            ['a', { id: 'a', title: 'A', tags: ['js', 'react'] }],
+            ['b', { id: 'b', title: 'B', tags: ['javascript', 'js'] }],
+            ['c', { id: 'c', title: 'C', tags: ['python'] }]
+        ]);
+        pageStore = {
+            getPagesByIndex: jest.fn(async (index, value) => Array.from(pages.values()).filter(page => page[index].includes(value))),
+            getPage: jest.fn(async (pageId) => pages.get(pageId) || null),
+            putPage: jest.fn(async (page) => {
+                pages.set(page.id, page);
+            })
+        };
+        background.context.getPageStore = jest.fn().mockResolvedValue(pageStore);
+        background.context.indexPageForSearch = jest.fn();
+        jest.spyOn(background.context, 'updateStoredPage');
+    });
+
+    const writtenIds = () => pageStore.putPage.mock.calls.map(([page]) => page.id).sort();
+
+    test('should rename a tag on every page through the page update queue', async () => {
+        const response = await send('handleRenameTag', { tag: 'React', newName: 'Frontend' });
+
+        expect(response).toEqual({ success: true, data: { tag: 'frontend', updatedCount: 1 } });
+        expect(pages.get('a').tags).toEqual(['js', 'frontend']);
+        expect(background.context.updateStoredPage).toHaveBeenCalledTimes(1);
+        expect(writtenIds()).toEqual(['a']);
+        expect(background.context.indexPageForSearch.mock.calls[0][0]).toBe(pages.get('a'));
+    });
+
+    test('should merge tags without leaving a page with the target twice', async () => {
+        const response = await send('handleMergeTags', { targetTag: 'js', sourceTags: ['javascript', 'js'] });
+
+        expect(response.data).toEqual({ tag: 'js', updatedCount: 1 });
+        expect(pages.get('b').tags).toEqual(['js']);
+        expect(writtenIds()).toEqual(['b']);
+    });
+
+    test('should merge when renaming onto an existing tag', async () => {
+        await send('handleRenameTag', { tag: 'javascript', newName: 'js' });
+
+        expect(pages.get('b').tags).toEqual(['js']);
+        expect(pages.get('a').tags).toEqual(['js', 'react']);
+    });
+
+    test('should remove a deleted tag from its pages and keep the pages', async () => {
+        const response = await send('handleDeleteTag', { tag: 'js' });
+
+        expect(response.data).toEqual({ updatedCount: 2 });
+        expect(pages.get('a').tags).toEqual(['react']);
+        expect(pages.get('b').tags).toEqual(['javascript']);
+        expect(pages.size).toBe(3);
+        expect(background.context.updateStoredPage).toHaveBeenCalledTimes(2);
+        expect(writtenIds()).toEqual(['a', 'b']);
+    });
+
+    test('should not rewrite pages when nothing uses the tag', async () => {
+        const response = await send('handleDeleteTag', 'unused');
+
+        expect(response.data).toEqual({ updatedCount: 0 });
+        expect(pageStore.putPage).not.toHaveBeenCalled();
+        expect(pages.get('c').tags).toEqual(['python']);
+    });
+
+    test('should require a tag and a new name', async () => {
+        const response = await send('handleRenameTag', { tag: 'js' });
+
+        expect(response).toEqual({ success: false, error: 'Tag and new name are required' });
+    });
+});
@@ -0,0 +1,65 @@
+// Tests for heuristic tag suggestions
+// 휴리스틱 태그 제안 테스트
+
+const TagSuggester = require('../utils/tag-suggester');
+
+describe('TagSuggester', () => {
+    let suggester;
+
+    beforeEach(() => {
+        suggester = new TagSuggester();
+    });
+
+    describe('suggest', () => {
+        test('should use schema.org types, keywords, page type and domain', () => {
+            const tags = suggester.suggest({
+                domain: 'www.github.com',
+                pageType: 'article',
+                structuredData: {
+                    jsonLd: [{ '@graph': [{ '@type': ['WebPage', 'TechArticle'], keywords: 'JavaScript, Chrome Extensions' }] }],
+                    microdata: []
+                }
+            });
+
+            expect(tags).toEqual(['tech', 'javascript', 'chrome extensions', 'article', 'code']);
+        });
+
+        test('should read microdata types given as URLs', () => {
+            const tags = suggester.suggest({
+                structuredData: { jsonLd: [], microdata: [{ type: 'https://schema.org/Recipe', properties: {} }] }
+            });
+
+            expect(tags).toEqual(['recipe']);
+        });
+
+        test('should put tags the user often uses on the same site first', () => {
+            const tags = suggester.suggest({ domain: 'youtube.com', domainTags: ['talks'] }, ['talks', 'video']);
+            expect(tags).toEqual(['talks', 'video']);
+        });
+
+        test('should ignore generic page types', () => {
+            expect(suggester.suggest({ pageType: 'homepage' })).toEqual([]);
+            expect(suggester.suggest({ pageType: 'video.other' })).toEqual(['video']);
+        });
+    });
+
+    describe('matchVocabulary', () => {
+        test('should reuse the spelling of existing tags', () => {
+            const tags = suggester.matchVocabulary(['Recipes', 'How To', 'baking'], ['recipe', 'how-to']);
+            expect(tags).toEqual(['recipe', 'how-to', 'baking']);
+        });
+
+        test('should skip tags the page already has and cap the list', () => {
+            const tags = suggester.matchVocabulary(['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7'], [], { exclude: ['B2'] });
+            expect(tags).toEqual(['a1', 'c3', 'd4', 'e5', 'f6']);
+        });
+    });
+
+    describe('getKeywordTags', () => {
+        test('should keep long keywords only when they are existing tags', () => {
+            const tags = suggester.getKeywordTags(['a very long keyword phrase', 'web'], ['a very long keyword phrase']);
+            expect(tags).toEqual(['a very long keyword phrase', 'web']);
+            expect(suggester.getKeywordTags('a very long keyword phrase')).toEqual([]);
+        });
+    });
+});
@@ -1,29 +1,116 @@
 // AI Summary Service for LaterLens Chrome extension
 // LaterLens 크롬 확장 프로그램용 AI 요약 서비스
 
+// Prompt templates come from prompt-templates.js (importScripts / script tag) or require in tests
+const promptTemplateHelpers = typeof renderPromptTemplate === 'function' ?
+    { renderPromptTemplate, promptTemplateValues, resolvePromptTemplate } :
+    require('./prompt-templates.js');
+
+// Long document splitting comes from summary-chunks.js the same way
+const chunkHelpers = typeof splitSectionsIntoChunks === 'function' ?
+    { CHARS_PER_TOKEN, MAX_SUMMARY_CHUNKS, PART_PROMPT_TEMPLATE, MERGE_PROMPT_TEMPLATE, formatSection, splitSectionsIntoChunks, chunkCacheKey } :
+    require('./summary-chunks.js');
+
+/**
+ * Secret store name for a provider's API key
+ * 제공업체 API 키의 비밀 저장소 이름
+ */
+function providerKeyName(providerName) {
+    return `apiKey:${providerName}`;
+}
+
+/**
+ * Incremental parser for streamed API responses
+ * 스트리밍 API 응답용 증분 파서
+ *
+ * 'sse' reads server-sent events and passes the JSON of each `data:` field;
+ * 'ndjson' passes each line as JSON. Text may arrive split anywhere, so an
+ * unfinished last line is held until the next push or end().
+ * @param {string} format - 'sse' or 'ndjson'
+ * @param {Function} onEvent - Called with each parsed JSON value
+ * @returns {{push: Function, end: Function}}
+ */
+function createStreamParser(format, onEvent) {
+    let buffer = '';
+    let dataLines = [];
+
+    const dispatch = (payload) => {
+        if (!payload || payload === '[DONE]') return;
+        onEvent(JSON.parse(payload));
+    };
+
+    const handleLine = (rawLine) => {
+        const line = rawLine.replace(/\r$/, '');
+        if (format === 'ndjson') {
+            dispatch(line.trim());
+            return;
+        }
+        if (line === '') {
+            // A blank line ends an event; its data lines join with newlines
+            dispatch(dataLines.join('\n'));
+            dataLines = [];
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+        // Comments, event names and ids carry nothing the providers need
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        },
+        end() {
+            if (buffer) {
+                handleLine(buffer);
+                buffer = '';
+            }
+            handleLine('');
+        }
+    };
+}
+
 /**
  * AI Summary Service with multiple provider support
  * 다중 제공업체 지원 AI 요약 서비스
  */
 class AISummaryService {
-    constructor() {
+    /**
+     * @param {Object} options - { secretStore } to read API keys from (service worker only)
+     *   and { chunkCache } to keep summaries of long document parts
+     */
+    constructor({ secretStore = null, chunkCache = null } = {}) {
+        this.secretStore = secretStore;
+        this.chunkCache = chunkCache;
         this.providers = {
             openai: new OpenAIProvider(),
             anthropic: new AnthropicProvider(),
             gemini: new GeminiProvider(),
-            ollama: new OllamaProvider()
+            ollama: new OllamaProvider(),
+            custom: new OpenAICompatibleProvider()
         };
         
         this.defaultProvider = 'openai';
         this.maxRetries = 2;
         this.timeout = 30000; // 30 seconds
         
+        // Content longer than this is cut, or summarized in parts by summarizeDocument
+        this.maxContentLength = 4000;
+        this.maxChunkLength = 48000; // Keeps each part request reasonably quick
+        this.partSummaryLength = 500;
+        this.answerLength = 1200; // Answers about a page, in characters
+        
         // Summary configuration
         this.summaryConfig = {
             maxLength: 200,
             language: 'auto', // 'ko', 'en', 'auto'
             style: 'concise', // 'concise', 'detailed', 'bullet'
-            includeKeyPoints: true
+            includeKeyPoints: true,
+            suggestTags: false, // Also ask for tags in the same request
+            knownTags: [], // The user's tag vocabulary, most used first
+            maxTags: 5
         };
     }
 
@@ -46,7 +133,7 @@ class AISummaryService {
                 return false;
             }
             
-            return await providerInstance.isConfigured(settings);
+            return await providerInstance.isConfigured(this.getProviderSettings(targetProvider, settings));
         } catch (error) {
             console.error('Error checking AI configuration:', error);
             return false;
@@ -56,8 +143,22 @@ class AISummaryService {
     /**
      * Generate summary for given content
      * 주어진 콘텐츠에 대한 요약 생성
+     *
+     * `onText` streams the summary as it is written: it is called with the
+     * text so far, and a retry or fallback provider starts it over. Aborting
+     * `signal` stops the generation without retrying; the result then has
+     * `cancelled: true`.
+     * @param {Object} options - Summary config plus { onText, signal }
      */
     async generateSummary(content, options = {}) {
+        const { onText = null, signal = null, ...summaryOptions } = options;
+        const cancelled = () => ({
+            success: false,
+            cancelled: true,
+            error: 'Summary cancelled',
+            fallback: this.generateFallbackSummary(content)
+        });
+        
         try {
             const settings = await this.getSettings();
             
@@ -69,8 +170,22 @@ class AISummaryService {
                 };
             }
             
-            const config = { ...this.summaryConfig, ...options };
-            const provider = settings.aiProvider || this.defaultProvider;
+            const config = { ...this.summaryConfig, ...summaryOptions };
+            
+            // An explicit template (even '') wins over the one picked for the page
+            if (summaryOptions.promptTemplate === undefined) {
+                const template = promptTemplateHelpers.resolvePromptTemplate(settings, {
+                    url: config.url,
+                    collectionIds: config.collectionIds
+                });
+                config.promptTemplate = template ? template.text : '';
+                config.promptTemplateName = template ? template.name : '';
+            }
+            
+            const stream = {
+                onText: onText ? (text) => onText(this.previewSummary(text, config)) : null,
+                signal
+            };
             
             // Validate content
             if (!content || typeof content !== 'string' || content.trim().length < 50) {
@@ -84,42 +199,62 @@ class AISummaryService {
             // Preprocess content
             const processedContent = this.preprocessContent(content, config);
             
-            // Generate summary with retry logic
+            // Generate summary with retry logic, then move on to the fallback providers
             let lastError = null;
-            for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-                try {
-                    const result = await this.attemptSummary(
-                        processedContent, 
-                        provider, 
-                        settings, 
-                        config
-                    );
+            for (const provider of await this.getProviderOrder(settings)) {
+                const providerSettings = this.getProviderSettings(provider, settings);
+                
+                for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+                    if (signal?.aborted) {
+                        return cancelled();
+                    }
                     
-                    if (result.success) {
-                        return {
-                            success: true,
-                            summary: result.summary,
-                            provider: provider,
-                            metadata: {
-                                originalLength: content.length,
-                                processedLength: processedContent.length,
-                                summaryLength: result.summary.length,
-                                language: result.language || config.language,
-                                generatedAt: Date.now(),
-                                attempt: attempt + 1
-                            }
-                        };
+                    try {
+                        const result = await this.attemptSummary(
+                            processedContent, 
+                            provider, 
+                            providerSettings, 
+                            config,
+                            stream
+                        );
+                        
+                        if (result.success) {
+                            const tagged = config.suggestTags ?
+                                this.parseTaggedSummary(result.summary, config.maxTags) :
+                                { summary: result.summary, tags: [] };
+                            
+                            return {
+                                success: true,
+                                summary: tagged.summary,
+                                suggestedTags: tagged.tags,
+                                provider: provider,
+                                model: this.getProviderModel(provider, settings),
+                                promptTemplate: config.promptTemplateName || null,
+                                metadata: {
+                                    originalLength: content.length,
+                                    processedLength: processedContent.length,
+                                    summaryLength: tagged.summary.length,
+                                    language: result.language || config.language,
+                                    generatedAt: Date.now(),
+                                    attempt: attempt + 1
+                                }
+                            };
+                        }
+                        
+                        lastError = result.error;
+                    } catch (error) {
+                        lastError = error.message;
+                        console.warn(`Summary attempt ${attempt + 1} with ${provider} failed:`, error);
                     }
                     
-                    lastError = result.error;
-                } catch (error) {
-                    lastError = error.message;
-                    console.warn(`Summary attempt ${attempt + 1} failed:`, error);
-                }
-                
-                // Wait before retry
-                if (attempt < this.maxRetries) {
-                    await this.delay(1000 * (attempt + 1));
+                    if (signal?.aborted) {
+                        return cancelled();
+                    }
+                    
+                    // Wait before retry
+                    if (attempt < this.maxRetries) {
+                        await this.delay(1000 * (attempt + 1));
+                    }
                 }
             }
             
@@ -139,11 +274,210 @@ class AISummaryService {
         }
     }
 
+    /**
+     * Run a ready-made prompt on the configured providers
+     * 구성된 제공업체로 완성된 프롬프트 실행
+     *
+     * For requests other than summaries, such as questions about a page. The
+     * providers are tried in order once each, without retries; `onText` and
+     * `signal` work as in generateSummary.
+     * @param {string} prompt
+     * @param {Object} options - { maxLength, onText, signal }
+     * @returns {Promise<Object>} { success, text, provider, model } or { success: false, error, cancelled }
+     */
+    async generateText(prompt, options = {}) {
+        const { onText = null, signal = null, maxLength = this.answerLength } = options;
+        const cancelled = () => ({ success: false, cancelled: true, error: 'Request cancelled' });
+        
+        const settings = await this.getSettings();
+        if (!settings.enableAISummary) {
+            return { success: false, error: 'AI features are disabled in settings' };
+        }
+        
+        const config = { ...this.summaryConfig, maxLength, suggestTags: false, prompt };
+        let lastError = null;
+        for (const provider of await this.getProviderOrder(settings)) {
+            if (signal?.aborted) {
+                return cancelled();
+            }
+            
+            try {
+                const result = await this.attemptSummary(prompt, provider, this.getProviderSettings(provider, settings), config, {
+                    onText,
+                    signal
+                });
+                if (result.success) {
+                    return {
+                        success: true,
+                        text: result.summary,
+                        provider: provider,
+                        model: this.getProviderModel(provider, settings)
+                    };
+                }
+                lastError = result.error;
+            } catch (error) {
+                lastError = error.message;
+                console.warn(`Request with ${provider} failed:`, error);
+            }
+        }
+        
+        return signal?.aborted ? cancelled() : { success: false, error: lastError || 'No answer generated' };
+    }
+
+    /**
+     * Summarize a long document part by part, then summarize the part summaries
+     * 긴 문서를 부분별로 요약한 뒤 부분 요약들을 다시 요약
+     *
+     * Sections are split at headings into parts that fit the context window of
+     * every provider that may be tried. Part summaries are cached, so a retry
+     * after a failure or cancel only pays for the parts not done yet. The last
+     * pass works like generateSummary (page template, tags, streaming), and a
+     * document short enough for one request goes straight to it.
+     * @param {Array<Object>} sections - { heading, level, text } in document order
+     * @param {Object} options - generateSummary options plus
+     *   onProgress({ stage: 'parts'|'merge'|'final', done, total })
+     */
+    async summarizeDocument(sections, options = {}) {
+        const { onProgress = null, ...summaryOptions } = options;
+        const report = (stage, done, total) => {
+            if (onProgress) onProgress({ stage, done, total });
+        };
+        const text = this.joinSections(sections || []);
+        
+        const settings = await this.getSettings();
+        if (!settings.enableAISummary || text.length <= this.maxContentLength) {
+            return this.generateSummary(text, summaryOptions);
+        }
+        
+        const partOptions = {
+            title: summaryOptions.title || '',
+            language: summaryOptions.language || this.summaryConfig.language,
+            maxLength: this.partSummaryLength,
+            promptTemplate: chunkHelpers.PART_PROMPT_TEMPLATE,
+            suggestTags: false,
+            signal: summaryOptions.signal
+        };
+        const chunkLength = await this.getChunkLength(settings, { ...this.summaryConfig, ...partOptions });
+        const chunks = chunkHelpers.splitSectionsIntoChunks(sections, chunkLength);
+        if (chunks.length === 1) {
+            return this.generateSummary(chunks[0].text, { ...summaryOptions, maxContentLength: chunkLength });
+        }
+        
+        const used = chunks.slice(0, chunkHelpers.MAX_SUMMARY_CHUNKS);
+        const parts = await this.summarizeParts(used, partOptions, chunkLength, (done, total) => report('parts', done, total));
+        if (!parts.success) {
+            return { ...parts, fallback: this.generateFallbackSummary(text) };
+        }
+        
+        // Part summaries still too long for one request are merged in groups
+        let summaries = parts.summaries;
+        for (let round = 0; round < 3 && this.joinSections(summaries).length > chunkLength; round++) {
+            const groups = chunkHelpers.splitSectionsIntoChunks(summaries, chunkLength);
+            const merged = await this.summarizeParts(groups, {
+                ...partOptions,
+                promptTemplate: chunkHelpers.MERGE_PROMPT_TEMPLATE
+            }, chunkLength, (done, total) => report('merge', done, total));
+            if (!merged.success) {
+                return { ...merged, fallback: this.generateFallbackSummary(text) };
+            }
+            summaries = merged.summaries;
+        }
+        
+        report('final', 0, 1);
+        const result = await this.generateSummary(this.joinSections(summaries), {
+            ...summaryOptions,
+            maxContentLength: chunkLength
+        });
+        
+        if (result.success) {
+            result.metadata = {
+                ...result.metadata,
+                originalLength: text.length,
+                parts: used.length,
+                skippedParts: chunks.length - used.length
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Summarize one document part, or reuse its cached summary
+     * 문서 부분 하나를 요약하거나 캐시된 요약 재사용
+     */
+    async summarizePart(chunk, options, maxContentLength) {
+        const text = chunk.text.trim();
+        
+        // Too short to summarize; it stands for itself
+        if (text.length < 50) {
+            return { success: true, summary: text };
+        }
+        
+        const key = chunkHelpers.chunkCacheKey(`${options.promptTemplate}\n${options.title}\n${text}`, options);
+        const cached = this.chunkCache ? await this.chunkCache.get(key).catch(() => null) : null;
+        if (cached) {
+            return { success: true, summary: cached, cached: true };
+        }
+        
+        const result = await this.generateSummary(text, { ...options, maxContentLength });
+        if (result.success && this.chunkCache) {
+            await this.chunkCache.set(key, result.summary).catch(error => {
+                console.warn('Could not cache part summary:', error);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Summarize document parts in order, reporting each finished one
+     * 문서 부분을 순서대로 요약하고 완료될 때마다 알림
+     * @returns {Promise<Object>} { success, summaries } as sections, or the first failed result
+     */
+    async summarizeParts(chunks, options, maxContentLength, onDone) {
+        const summaries = [];
+        onDone(0, chunks.length);
+        
+        for (let i = 0; i < chunks.length; i++) {
+            const result = await this.summarizePart(chunks[i], options, maxContentLength);
+            if (!result.success) {
+                return result;
+            }
+            
+            const headings = chunks[i].headings;
+            summaries.push({
+                heading: headings.length > 1 ? `${headings[0]} – ${headings[headings.length - 1]}` : (headings[0] || ''),
+                level: 2,
+                text: result.summary
+            });
+            onDone(i + 1, chunks.length);
+        }
+        
+        return { success: true, summaries };
+    }
+
+    joinSections(sections) {
+        return sections.map(chunkHelpers.formatSection).filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Longest document part that fits every provider a summary may be tried with
+     * 요약을 시도할 수 있는 모든 제공업체에 맞는 가장 긴 문서 부분
+     */
+    async getChunkLength(settings, config) {
+        const lengths = (await this.getProviderOrder(settings))
+            .filter(name => this.providers[name])
+            .map(name => this.providers[name].getChunkLength(config, this.getProviderSettings(name, settings)));
+        return Math.min(this.maxChunkLength, ...lengths);
+    }
+
     /**
      * Attempt to generate summary with specific provider
      * 특정 제공업체로 요약 생성 시도
+     *
+     * The timeout counts from the last streamed piece, so a slow model that
+     * keeps writing is not cut off; it also aborts the request.
+     * @param {Object} stream - { onText, signal } passed on to the provider
      */
-    async attemptSummary(content, providerName, settings, config) {
+    async attemptSummary(content, providerName, settings, config, stream = {}) {
         const provider = this.providers[providerName];
         
         if (!provider) {
@@ -154,15 +488,70 @@ class AISummaryService {
             throw new Error(`Provider ${providerName} is not configured`);
         }
         
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (stream.signal?.aborted) {
+            abort();
+        }
+        stream.signal?.addEventListener('abort', abort);
+        
         // Create timeout promise
+        let timeoutId = null;
+        let rejectTimeout = null;
         const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Summary generation timeout')), this.timeout);
+            rejectTimeout = reject;
         });
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                abort();
+                rejectTimeout(new Error('Summary generation timeout'));
+            }, this.timeout);
+        };
+        resetTimeout();
         
-        // Race between summary generation and timeout
-        const summaryPromise = provider.generateSummary(content, config, settings);
+        const onText = stream.onText ? (text) => {
+            resetTimeout();
+            stream.onText(text);
+        } : null;
         
-        return await Promise.race([summaryPromise, timeoutPromise]);
+        try {
+            // Race between summary generation and timeout
+            const summaryPromise = provider.generateSummary(content, config, settings, {
+                onText,
+                signal: controller.signal
+            });
+            
+            return await Promise.race([summaryPromise, timeoutPromise]);
+        } finally {
+            clearTimeout(timeoutId);
+            stream.signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Readable part of a summary that is still being written
+     * 작성 중인 요약에서 읽을 수 있는 부분
+     *
+     * Tagged summaries arrive as JSON; show the summary field as it fills in.
+     */
+    previewSummary(text, config) {
+        if (!config.suggestTags) {
+            return text;
+        }
+        
+        const match = text.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+        if (!match) {
+            return '';
+        }
+        
+        // Drop a trailing escape that is not complete yet
+        const value = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+        try {
+            return JSON.parse(`"${value}"`);
+        } catch (error) {
+            return value;
+        }
     }
 
     /**
@@ -179,7 +568,7 @@ class AISummaryService {
         processed = processed.replace(/https?:\/\/[^\s]+/g, '');
         
         // Limit content length for API efficiency
-        const maxContentLength = 4000; // Most APIs have token limits
+        const maxContentLength = config.maxContentLength || this.maxContentLength;
         if (processed.length > maxContentLength) {
             // Try to cut at sentence boundary
             const sentences = processed.split(/[.!?]+/);
@@ -227,6 +616,36 @@ class AISummaryService {
         }
     }
 
+    /**
+     * Split a tag-suggestion reply into the summary and its tags
+     * 태그 제안 응답을 요약과 태그로 분리
+     *
+     * Models sometimes wrap the JSON in a code fence or ignore the format; then
+     * the whole reply is kept as the summary and no tags are returned.
+     */
+    parseTaggedSummary(text, maxTags = this.summaryConfig.maxTags) {
+        const raw = (text || '').trim();
+        const start = raw.indexOf('{');
+        const end = raw.lastIndexOf('}');
+        
+        if (start !== -1 && end > start) {
+            try {
+                const parsed = JSON.parse(raw.slice(start, end + 1));
+                if (typeof parsed.summary === 'string' && parsed.summary.trim()) {
+                    const tags = Array.isArray(parsed.tags) ? parsed.tags : [];
+                    return {
+                        summary: parsed.summary.trim(),
+                        tags: tags.filter(tag => typeof tag === 'string' && tag.trim()).slice(0, maxTags)
+                    };
+                }
+            } catch (error) {
+                console.warn('Tag suggestion reply was not valid JSON:', error.message);
+            }
+        }
+        
+        return { summary: raw, tags: [] };
+    }
+
     /**
      * Test API connection for a provider
      * 제공업체의 API 연결 테스트
@@ -242,12 +661,11 @@ class AISummaryService {
                 };
             }
             
-            const testSettings = {
+            const testSettings = this.getProviderSettings(providerName, {
                 enableAISummary: true,
                 aiProvider: providerName,
-                apiKey: apiKey,
-                ...options
-            };
+                providers: { [providerName]: { ...options, apiKey: apiKey } }
+            });
             
             return await provider.testConnection(testSettings);
         } catch (error) {
@@ -268,24 +686,196 @@ class AISummaryService {
             name: this.providers[key].getName(),
             description: this.providers[key].getDescription(),
             requiresApiKey: this.providers[key].requiresApiKey(),
+            acceptsApiKey: this.providers[key].acceptsApiKey(),
             supportedLanguages: this.providers[key].getSupportedLanguages()
         }));
     }
 
+    /**
+     * Get the model name a provider will use with the given settings
+     * 주어진 설정으로 제공업체가 사용할 모델 이름 가져오기
+     */
+    getProviderModel(providerName, settings = {}) {
+        const provider = this.providers[providerName];
+        if (!provider) {
+            return null;
+        }
+        
+        return settings.providers?.[providerName]?.model || settings[`${providerName}Model`] || provider.model || null;
+    }
+
+    /**
+     * Settings for one provider: its key and config over the shared settings
+     * 한 제공업체용 설정 (공통 설정 위에 해당 제공업체의 키와 구성 적용)
+     *
+     * Providers read `apiKey`, `anthropicApiKey` or `geminiApiKey`, plus
+     * `model`, `baseUrl`, `maxTokens`, `contextTokens` and `temperature`. Flat settings without
+     * a `providers` map are passed through as they are.
+     */
+    getProviderSettings(providerName, settings = {}) {
+        const config = settings.providers?.[providerName];
+        if (!config) {
+            return settings;
+        }
+        
+        const apiKey = config.apiKey || '';
+        return {
+            ...settings,
+            ...config,
+            apiKey: apiKey,
+            anthropicApiKey: apiKey,
+            geminiApiKey: apiKey,
+            model: this.getProviderModel(providerName, settings)
+        };
+    }
+
+    /**
+     * Providers to try in order: the selected one, then the others that have a key
+     * 시도할 제공업체 순서 (선택한 제공업체, 그다음 키가 있는 다른 제공업체)
+     *
+     * Fallback can be turned off in settings. Providers without a saved key
+     * (such as a local Ollama server) are only used when selected, so a missing
+     * server does not slow every summary.
+     */
+    async getProviderOrder(settings = {}) {
+        const primary = settings.aiProvider || this.defaultProvider;
+        if (settings.aiFallback === false || !settings.providers) {
+            return [primary];
+        }
+        
+        const fallbacks = [];
+        for (const name of Object.keys(this.providers)) {
+            const provider = this.providers[name];
+            if (name === primary || !settings.providers[name]?.apiKey) {
+                continue;
+            }
+            if (await provider.isConfigured(this.getProviderSettings(name, settings))) {
+                fallbacks.push(name);
+            }
+        }
+        return [primary, ...fallbacks];
+    }
+
+    /**
+     * List a provider's models with its saved key and config
+     * 저장된 키와 구성으로 제공업체의 모델 목록 가져오기
+     * @param {Object} overrides - Config to use instead of the saved one, e.g. { apiKey, baseUrl }
+     * @returns {Promise<Array<string>>} Sorted model ids
+     */
+    async listModels(providerName, overrides = {}) {
+        const provider = this.providers[providerName];
+        if (!provider) {
+            throw new Error(`Unknown provider: ${providerName}`);
+        }
+        
+        const settings = await this.getSettings();
+        const providers = settings.providers || {};
+        const providerSettings = this.getProviderSettings(providerName, {
+            ...settings,
+            providers: { ...providers, [providerName]: { ...providers[providerName], ...overrides } }
+        });
+        if (provider.requiresApiKey() && !providerSettings.apiKey) {
+            throw new Error('API key is required');
+        }
+        
+        const models = await provider.listModels(providerSettings);
+        return [...new Set(models)].sort();
+    }
+
+    /**
+     * Embed texts with the provider chosen for semantic search
+     * 의미 검색용으로 선택한 제공업체로 텍스트 임베딩
+     *
+     * Unlike summaries there is no fallback: vectors from different models
+     * cannot be compared.
+     * @param {Array<string>} texts
+     * @param {Object} settings - Settings already read, to save reading them again
+     * @returns {Promise<Object>} { success, vectors, provider, model } or { success: false, error }
+     */
+    async embedTexts(texts, settings = null) {
+        settings = settings || await this.getSettings();
+        const providerName = settings.embeddingProvider;
+        const provider = this.providers[providerName];
+        if (!provider) {
+            return { success: false, error: 'Semantic search is turned off in settings' };
+        }
+        if (!provider.supportsEmbeddings()) {
+            return { success: false, error: `${provider.getName()} does not offer embeddings` };
+        }
+        
+        const providerSettings = this.getProviderSettings(providerName, settings);
+        if (provider.requiresApiKey() && !(await provider.isConfigured(providerSettings))) {
+            return { success: false, error: `No API key saved for ${provider.getName()}` };
+        }
+        
+        try {
+            const vectors = await provider.embed(texts, providerSettings);
+            if (vectors.length !== texts.length) {
+                throw new Error(`Expected ${texts.length} embeddings, got ${vectors.length}`);
+            }
+            return {
+                success: true,
+                vectors: vectors,
+                provider: providerName,
+                model: this.getEmbeddingModel(providerName, settings)
+            };
+        } catch (error) {
+            console.warn(`Embedding with ${providerName} failed:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the embedding model a provider will use with the given settings
+     * 주어진 설정으로 제공업체가 사용할 임베딩 모델 이름 가져오기
+     */
+    getEmbeddingModel(providerName, settings = {}) {
+        const provider = this.providers[providerName];
+        if (!provider) {
+            return null;
+        }
+        return provider.getEmbeddingModel(settings.providers?.[providerName] || {}) || null;
+    }
+
     // Helper methods
     async getSettings() {
-        // This will be implemented to get settings from storage
+        // Legacy top-level keys take precedence over the options page 'settings' object
         if (typeof chrome !== 'undefined' && chrome.storage) {
-            return new Promise((resolve) => {
-                chrome.storage.local.get(['enableAISummary', 'aiProvider', 'apiKey', 'aiSettings'], (result) => {
-                    resolve({
-                        enableAISummary: result.enableAISummary || false,
-                        aiProvider: result.aiProvider || this.defaultProvider,
-                        apiKey: result.apiKey || '',
-                        ...result.aiSettings
-                    });
-                });
+            const result = await new Promise((resolve) => {
+                chrome.storage.local.get(['enableAISummary', 'aiProvider', 'apiKey', 'aiSettings', 'settings'], resolve);
             });
+            
+            const stored = result.settings || {};
+            const aiProvider = result.aiProvider || stored.apiProvider || this.defaultProvider;
+            const configs = stored.providerConfigs || {};
+            
+            // Older versions kept one plain key, for the selected provider
+            const legacyKey = result.apiKey || stored.apiKey || '';
+            
+            const providers = {};
+            for (const name of Object.keys(this.providers)) {
+                const secretKey = this.providers[name].acceptsApiKey() ? await this.readApiKey(name) : '';
+                providers[name] = {
+                    ...configs[name],
+                    apiKey: secretKey || (name === aiProvider ? legacyKey : '')
+                };
+            }
+            
+            return {
+                enableAISummary: result.enableAISummary !== undefined ?
+                    !!result.enableAISummary : !!stored.enableAISummary,
+                aiProvider: aiProvider,
+                aiFallback: stored.aiFallback !== false,
+                providers: providers,
+                promptTemplates: stored.promptTemplates || [],
+                promptTemplateRules: stored.promptTemplateRules || [],
+                defaultPromptTemplateId: stored.defaultPromptTemplateId || '',
+                embeddingProvider: stored.embeddingProvider || '',
+                apiKey: providers[aiProvider]?.apiKey || '',
+                anthropicApiKey: providers.anthropic.apiKey,
+                geminiApiKey: providers.gemini.apiKey,
+                ...result.aiSettings
+            };
         }
         
         // Fallback for testing
@@ -296,6 +886,20 @@ class AISummaryService {
         };
     }
 
+    /**
+     * Read a provider's key from the secret store (service worker only)
+     * 비밀 저장소에서 제공업체 키 읽기 (서비스 워커 전용)
+     */
+    async readApiKey(providerName) {
+        if (!this.secretStore) {
+            return '';
+        }
+        return this.secretStore.getSecret(providerKeyName(providerName)).catch(error => {
+            console.error(`Failed to read the stored ${providerName} API key:`, error);
+            return '';
+        });
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -309,6 +913,12 @@ class AIProvider {
     constructor(name, description) {
         this.name = name;
         this.description = description;
+        this.baseUrl = '';
+        this.model = '';
+        this.contextTokens = 4096; // Context window of the default model
+        this.embeddingModel = ''; // Default embeddings model, empty when there is none
+        this.requestTimeout = 10000; // Model lists and other quick requests
+        this.embeddingTimeout = 60000; // A batch of pages, or a local model on a slow machine
     }
 
     getName() {
@@ -323,6 +933,14 @@ class AIProvider {
         return true;
     }
 
+    /**
+     * Whether a key can be saved for the provider, even if it is optional
+     * 선택 사항이더라도 제공업체에 키를 저장할 수 있는지 여부
+     */
+    acceptsApiKey() {
+        return this.requiresApiKey();
+    }
+
     getSupportedLanguages() {
         return ['ko', 'en', 'auto'];
     }
@@ -335,11 +953,189 @@ class AIProvider {
         throw new Error('testConnection must be implemented by provider');
     }
 
-    async generateSummary(content, config, settings) {
+    /**
+     * Generate a summary; with `stream.onText` the response is streamed
+     * 요약 생성 (`stream.onText`가 있으면 응답을 스트리밍)
+     * @param {Object} stream - { onText(text) called with the text so far, signal to cancel }
+     */
+    async generateSummary(content, config, settings, stream = {}) {
         throw new Error('generateSummary must be implemented by provider');
     }
 
+    /**
+     * Read a streamed response body, reporting the text so far after each piece
+     * 스트리밍 응답 본문을 읽고 조각마다 지금까지의 텍스트 전달
+     * @param {Response} response
+     * @param {string} format - 'sse' or 'ndjson'
+     * @param {Function} extractText - Returns the new text in one event, throws on error events
+     * @param {Function} onText - Called with the full text so far
+     * @returns {Promise<string>} The complete text
+     */
+    async readStream(response, format, extractText, onText) {
+        let text = '';
+        const parser = createStreamParser(format, event => {
+            const piece = extractText(event);
+            if (piece) {
+                text += piece;
+                onText(text);
+            }
+        });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+        parser.push(decoder.decode());
+        parser.end();
+
+        return text;
+    }
+
+    /**
+     * Result of a streamed generation, shaped like the non-streamed one
+     * 스트리밍 생성 결과 (비스트리밍 결과와 같은 형태)
+     */
+    streamedResult(text, config) {
+        const summary = text.trim();
+        if (!summary) {
+            throw new Error('No summary generated');
+        }
+        return {
+            success: true,
+            summary: summary,
+            language: config.language
+        };
+    }
+
+    /**
+     * List the models the provider offers for text generation
+     * 제공업체가 텍스트 생성용으로 제공하는 모델 목록
+     * @returns {Promise<Array<string>>} Model ids
+     */
+    async listModels(settings) {
+        throw new Error('listModels must be implemented by provider');
+    }
+
+    /**
+     * Whether the provider has an embeddings endpoint
+     * 제공업체에 임베딩 엔드포인트가 있는지 여부
+     */
+    supportsEmbeddings() {
+        return false;
+    }
+
+    getEmbeddingModel(settings = {}) {
+        return settings.embeddingModel || this.embeddingModel;
+    }
+
+    /**
+     * Embed texts for semantic search
+     * 의미 검색을 위해 텍스트 임베딩
+     * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+     */
+    async embed(texts, settings) {
+        throw new Error(`${this.name} does not offer embeddings`);
+    }
+
+    /**
+     * API base URL: the configured one, or the provider's default
+     * API 기본 URL (설정된 값 또는 제공업체 기본값)
+     */
+    getBaseUrl(settings = {}) {
+        return (settings.baseUrl || this.baseUrl).replace(/\/+$/, '');
+    }
+
+    getModel(settings = {}) {
+        return settings.model || this.model;
+    }
+
+    /**
+     * Output token budget for a request, with room for the tag list when asked for
+     * 요청의 출력 토큰 한도 (태그 요청 시 태그 목록 공간 포함)
+     *
+     * A max tokens value configured for the provider replaces the estimate.
+     */
+    getMaxTokens(config, settings = {}) {
+        if (settings.maxTokens) {
+            return settings.maxTokens;
+        }
+        return Math.ceil(config.maxLength * 1.5) + (config.suggestTags ? 100 : 0);
+    }
+
+    /**
+     * Context window in tokens: the configured one, or the default model's
+     * 컨텍스트 창 토큰 수 (설정된 값 또는 기본 모델의 값)
+     */
+    getContextTokens(settings = {}) {
+        return settings.contextTokens || this.contextTokens;
+    }
+
+    /**
+     * Most characters of content one request can take
+     * 요청 하나가 받을 수 있는 최대 콘텐츠 글자 수
+     *
+     * The answer and the prompt around the content take their share of the
+     * context window first.
+     */
+    getChunkLength(config, settings = {}) {
+        const promptTokens = 500;
+        const contentTokens = this.getContextTokens(settings) - this.getMaxTokens(config, settings) - promptTokens;
+        return Math.max(contentTokens, 500) * chunkHelpers.CHARS_PER_TOKEN;
+    }
+
+    getTemperature(settings = {}) {
+        return typeof settings.temperature === 'number' ? settings.temperature : 0.3;
+    }
+
+    /**
+     * Fetch JSON with a timeout, turning API errors into thrown messages
+     * 타임아웃을 두고 JSON 요청 (API 오류는 메시지와 함께 예외로 변환)
+     */
+    async requestJSON(url, options = {}, timeout = this.requestTimeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error?.message || `${this.name} API request failed (${response.status})`);
+            }
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout - please check your internet connection');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Prompt for a summary: the user's template when one applies, otherwise the built-in one
+     * 요약 프롬프트 (적용되는 사용자 템플릿 또는 기본 프롬프트)
+     *
+     * Templates cannot know about tag suggestions, so the tag request and its
+     * JSON answer format are added after them. A complete prompt in
+     * `config.prompt` (see generateText) is sent as it is.
+     */
     buildPrompt(content, config) {
+        if (config.prompt) {
+            return config.prompt;
+        }
+
+        if (config.promptTemplate) {
+            const prompt = promptTemplateHelpers.renderPromptTemplate(
+                config.promptTemplate,
+                promptTemplateHelpers.promptTemplateValues(content, config)
+            );
+            return config.suggestTags ? `${prompt}\n\n${this.buildTagInstruction(config)}` : prompt;
+        }
+
         const languageInstruction = config.language === 'ko' ? 
             '한국어로 요약해주세요.' : 
             config.language === 'en' ? 
@@ -352,6 +1148,10 @@ class AIProvider {
             'bullet': '주요 포인트를 불릿 포인트로 정리해주세요.'
         }[config.style] || '간결하고 핵심적인 요약을 작성해주세요.';
 
+        if (config.suggestTags) {
+            return this.buildTaggedPrompt(content, config, languageInstruction, styleInstruction);
+        }
+
         return `다음 텍스트를 ${config.maxLength}자 이내로 요약해주세요.
 
 ${languageInstruction}
@@ -362,6 +1162,47 @@ ${content}
 
 요약:`;
     }
+
+    /**
+     * Tag request appended to a template prompt, answered as JSON
+     * 템플릿 프롬프트 뒤에 붙는 태그 요청 (JSON으로 응답)
+     */
+    buildTagInstruction(config) {
+        const maxTags = config.maxTags || 5;
+        const knownTags = (config.knownTags || []).slice(0, 50);
+        const vocabularyInstruction = knownTags.length ?
+            `다음 기존 태그 중 맞는 것이 있으면 새 태그 대신 그대로 사용해주세요: ${knownTags.join(', ')}` :
+            '짧고 일반적인 태그를 사용해주세요.';
+
+        return `페이지를 분류할 태그도 최대 ${maxTags}개 제안해주세요. 태그는 소문자 한두 단어로 작성해주세요. ${vocabularyInstruction}
+
+다음 JSON 형식으로만 답해주세요:
+{"summary": "요약", "tags": ["태그1", "태그2"]}`;
+    }
+
+    /**
+     * Prompt for a summary plus tags, answered as JSON
+     * 요약과 태그를 JSON으로 요청하는 프롬프트
+     */
+    buildTaggedPrompt(content, config, languageInstruction, styleInstruction) {
+        const maxTags = config.maxTags || 5;
+        const knownTags = (config.knownTags || []).slice(0, 50);
+        const vocabularyInstruction = knownTags.length ?
+            `다음 기존 태그 중 맞는 것이 있으면 새 태그 대신 그대로 사용해주세요: ${knownTags.join(', ')}` :
+            '짧고 일반적인 태그를 사용해주세요.';
+
+        return `다음 텍스트를 ${config.maxLength}자 이내로 요약하고, 페이지를 분류할 태그를 최대 ${maxTags}개 제안해주세요.
+
+${languageInstruction}
+${styleInstruction}
+태그는 소문자 한두 단어로 작성해주세요. ${vocabularyInstruction}
+
+다음 JSON 형식으로만 답해주세요:
+{"summary": "요약", "tags": ["태그1", "태그2"]}
+
+텍스트:
+${content}`;
+    }
 }
 
 /**
@@ -371,24 +1212,30 @@ ${content}
 class OpenAIProvider extends AIProvider {
     constructor() {
         super('OpenAI', 'OpenAI GPT models for text summarization');
-        this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+        this.baseUrl = 'https://api.openai.com/v1';
         this.model = 'gpt-3.5-turbo';
+        this.contextTokens = 16000;
+        this.embeddingModel = 'text-embedding-3-small';
     }
 
     async isConfigured(settings) {
         return !!(settings.apiKey && settings.apiKey.startsWith('sk-'));
     }
 
+    getHeaders(settings) {
+        return {
+            'Authorization': `Bearer ${settings.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
     async testConnection(settings) {
         try {
-            const response = await fetch(this.apiUrl, {
+            const response = await fetch(`${this.getBaseUrl(settings)}/chat/completions`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${settings.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getHeaders(settings),
                 body: JSON.stringify({
-                    model: this.model,
+                    model: this.getModel(settings),
                     messages: [
                         {
                             role: 'user',
@@ -416,30 +1263,32 @@ class OpenAIProvider extends AIProvider {
         }
     }
 
-    async generateSummary(content, config, settings) {
+    async generateSummary(content, config, settings, stream = {}) {
         try {
             const prompt = this.buildPrompt(content, config);
+            const streaming = typeof stream.onText === 'function';
             
-            const response = await fetch(this.apiUrl, {
+            const response = await fetch(`${this.getBaseUrl(settings)}/chat/completions`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${settings.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getHeaders(settings),
+                signal: stream.signal,
                 body: JSON.stringify({
-                    model: settings.openaiModel || this.model,
+                    model: this.getModel(settings),
                     messages: [
                         {
                             role: 'system',
-                            content: 'You are a helpful assistant that creates concise, accurate summaries of web content.'
+                            content: config.prompt ?
+                                'You are a helpful assistant that answers accurately from the web content given to you.' :
+                                'You are a helpful assistant that creates concise, accurate summaries of web content.'
                         },
                         {
                             role: 'user',
                             content: prompt
                         }
                     ],
-                    max_tokens: Math.ceil(config.maxLength * 1.5),
-                    temperature: 0.3
+                    max_tokens: this.getMaxTokens(config, settings),
+                    temperature: this.getTemperature(settings),
+                    stream: streaming
                 })
             });
 
@@ -448,6 +1297,16 @@ class OpenAIProvider extends AIProvider {
                 throw new Error(error.error?.message || 'OpenAI API request failed');
             }
 
+            if (streaming) {
+                const text = await this.readStream(response, 'sse', event => {
+                    if (event.error) {
+                        throw new Error(event.error.message || 'OpenAI stream failed');
+                    }
+                    return event.choices?.[0]?.delta?.content;
+                }, stream.onText);
+                return this.streamedResult(text, config);
+            }
+
             const data = await response.json();
             const summary = data.choices[0]?.message?.content?.trim();
 
@@ -468,6 +1327,126 @@ class OpenAIProvider extends AIProvider {
             };
         }
     }
+
+    async listModels(settings) {
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/models`, {
+            headers: this.getHeaders(settings)
+        });
+        return (data.data || []).map(model => model.id).filter(id => this.isChatModel(id));
+    }
+
+    supportsEmbeddings() {
+        return true;
+    }
+
+    async embed(texts, settings) {
+        const model = this.getEmbeddingModel(settings);
+        if (!model) {
+            throw new Error('Embedding model is required');
+        }
+        
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/embeddings`, {
+            method: 'POST',
+            headers: this.getHeaders(settings),
+            body: JSON.stringify({ model: model, input: texts })
+        }, this.embeddingTimeout);
+        
+        // Results carry their input index and are not guaranteed to be in order
+        return (data.data || [])
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    /**
+     * The models endpoint also lists embedding, audio and image models
+     * 모델 목록에는 임베딩, 오디오, 이미지 모델도 포함됨
+     */
+    isChatModel(id) {
+        return /^(gpt-|chatgpt-|o\d)/.test(id) && !/(audio|realtime|tts|transcribe|image|search)/.test(id);
+    }
+}
+
+/**
+ * Custom OpenAI-compatible Provider (vLLM, LiteLLM and other gateways)
+ * 사용자 지정 OpenAI 호환 제공업체 (vLLM, LiteLLM 등 게이트웨이)
+ *
+ * Talks to the chat completions API at the configured base URL. The key is
+ * optional and sent as a bearer token; headers from the config are added to
+ * every request and can replace the Authorization header.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor() {
+        super();
+        this.name = 'Custom OpenAI-compatible';
+        this.description = 'Any server that implements the OpenAI chat completions API';
+        this.baseUrl = '';
+        this.model = '';
+        this.contextTokens = 8192;
+        this.embeddingModel = ''; // Gateways name their embedding models freely
+    }
+
+    requiresApiKey() {
+        return false;
+    }
+
+    acceptsApiKey() {
+        return true;
+    }
+
+    async isConfigured(settings) {
+        return !!(settings.baseUrl && this.getModel(settings));
+    }
+
+    getHeaders(settings) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) {
+            headers['Authorization'] = `Bearer ${settings.apiKey}`;
+        }
+        return { ...headers, ...settings.headers };
+    }
+
+    async listModels(settings) {
+        if (!settings.baseUrl) {
+            throw new Error('Base URL is required');
+        }
+        return super.listModels(settings);
+    }
+
+    // Gateways name models freely, so nothing is filtered out
+    isChatModel(id) {
+        return true;
+    }
+}
+
+/**
+ * Parse "Name: value" lines into a headers object
+ * "이름: 값" 줄을 헤더 객체로 변환
+ * @returns {{headers: Object, invalid: Array<string>}} Headers, and the lines that could not be used
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    const invalid = [];
+
+    (text || '').split('\n').forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return;
+        }
+
+        const separator = trimmed.indexOf(':');
+        const name = separator > 0 ? trimmed.slice(0, separator).trim() : '';
+        if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+            invalid.push(trimmed);
+            return;
+        }
+        headers[name] = trimmed.slice(separator + 1).trim();
+    });
+
+    return { headers, invalid };
+}
+
+function formatHeaderLines(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
 }
 
 /**
@@ -477,8 +1456,9 @@ class OpenAIProvider extends AIProvider {
 class AnthropicProvider extends AIProvider {
     constructor() {
         super('Anthropic', 'Anthropic Claude models for text summarization');
-        this.apiUrl = 'https://api.anthropic.com/v1/messages';
+        this.baseUrl = 'https://api.anthropic.com/v1';
         this.model = 'claude-3-haiku-20240307';
+        this.contextTokens = 200000;
     }
 
     async isConfigured(settings) {
@@ -487,7 +1467,7 @@ class AnthropicProvider extends AIProvider {
 
     async testConnection(settings) {
         try {
-            const response = await fetch(this.apiUrl, {
+            const response = await fetch(`${this.getBaseUrl(settings)}/messages`, {
                 method: 'POST',
                 headers: {
                     'x-api-key': settings.anthropicApiKey,
@@ -495,7 +1475,7 @@ class AnthropicProvider extends AIProvider {
                     'anthropic-version': '2023-06-01'
                 },
                 body: JSON.stringify({
-                    model: this.model,
+                    model: this.getModel(settings),
                     max_tokens: 10,
                     messages: [
                         {
@@ -523,20 +1503,24 @@ class AnthropicProvider extends AIProvider {
         }
     }
 
-    async generateSummary(content, config, settings) {
+    async generateSummary(content, config, settings, stream = {}) {
         try {
             const prompt = this.buildPrompt(content, config);
+            const streaming = typeof stream.onText === 'function';
             
-            const response = await fetch(this.apiUrl, {
+            const response = await fetch(`${this.getBaseUrl(settings)}/messages`, {
                 method: 'POST',
                 headers: {
                     'x-api-key': settings.anthropicApiKey,
                     'Content-Type': 'application/json',
                     'anthropic-version': '2023-06-01'
                 },
+                signal: stream.signal,
                 body: JSON.stringify({
-                    model: settings.anthropicModel || this.model,
-                    max_tokens: Math.ceil(config.maxLength * 1.5),
+                    model: this.getModel(settings),
+                    max_tokens: this.getMaxTokens(config, settings),
+                    temperature: this.getTemperature(settings),
+                    stream: streaming,
                     messages: [
                         {
                             role: 'user',
@@ -551,6 +1535,17 @@ class AnthropicProvider extends AIProvider {
                 throw new Error(error.error?.message || 'Anthropic API request failed');
             }
 
+            if (streaming) {
+                // Only text deltas matter; message_start, pings and stops are skipped
+                const text = await this.readStream(response, 'sse', event => {
+                    if (event.type === 'error') {
+                        throw new Error(event.error?.message || 'Anthropic stream failed');
+                    }
+                    return event.type === 'content_block_delta' ? event.delta?.text : '';
+                }, stream.onText);
+                return this.streamedResult(text, config);
+            }
+
             const data = await response.json();
             const summary = data.content[0]?.text?.trim();
 
@@ -571,6 +1566,16 @@ class AnthropicProvider extends AIProvider {
             };
         }
     }
+
+    async listModels(settings) {
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/models?limit=100`, {
+            headers: {
+                'x-api-key': settings.anthropicApiKey,
+                'anthropic-version': '2023-06-01'
+            }
+        });
+        return (data.data || []).map(model => model.id);
+    }
 }
 
 /**
@@ -580,7 +1585,15 @@ class AnthropicProvider extends AIProvider {
 class GeminiProvider extends AIProvider {
     constructor() {
         super('Google Gemini', 'Google Gemini models for text summarization');
-        this.apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
+        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+        this.model = 'gemini-pro';
+        this.contextTokens = 32000;
+        this.embeddingModel = 'text-embedding-004';
+    }
+
+    getGenerateUrl(settings, streaming = false) {
+        const method = streaming ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        return `${this.getBaseUrl(settings)}/models/${this.getModel(settings)}:${method}key=${settings.geminiApiKey}`;
     }
 
     async isConfigured(settings) {
@@ -589,7 +1602,7 @@ class GeminiProvider extends AIProvider {
 
     async testConnection(settings) {
         try {
-            const response = await fetch(`${this.apiUrl}?key=${settings.geminiApiKey}`, {
+            const response = await fetch(this.getGenerateUrl(settings), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -624,15 +1637,17 @@ class GeminiProvider extends AIProvider {
         }
     }
 
-    async generateSummary(content, config, settings) {
+    async generateSummary(content, config, settings, stream = {}) {
         try {
             const prompt = this.buildPrompt(content, config);
+            const streaming = typeof stream.onText === 'function';
             
-            const response = await fetch(`${this.apiUrl}?key=${settings.geminiApiKey}`, {
+            const response = await fetch(this.getGenerateUrl(settings, streaming), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
+                signal: stream.signal,
                 body: JSON.stringify({
                     contents: [
                         {
@@ -644,8 +1659,8 @@ class GeminiProvider extends AIProvider {
                         }
                     ],
                     generationConfig: {
-                        maxOutputTokens: Math.ceil(config.maxLength * 1.5),
-                        temperature: 0.3
+                        maxOutputTokens: this.getMaxTokens(config, settings),
+                        temperature: this.getTemperature(settings)
                     }
                 })
             });
@@ -655,6 +1670,17 @@ class GeminiProvider extends AIProvider {
                 throw new Error(error.error?.message || 'Gemini API request failed');
             }
 
+            if (streaming) {
+                // Each event is a partial GenerateContentResponse
+                const text = await this.readStream(response, 'sse', event => {
+                    if (event.error) {
+                        throw new Error(event.error.message || 'Gemini stream failed');
+                    }
+                    return (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+                }, stream.onText);
+                return this.streamedResult(text, config);
+            }
+
             const data = await response.json();
             const summary = data.candidates[0]?.content?.parts[0]?.text?.trim();
 
@@ -674,6 +1700,29 @@ class GeminiProvider extends AIProvider {
             };
         }
     }
+
+    async listModels(settings) {
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/models?pageSize=1000&key=${settings.geminiApiKey}`);
+        return (data.models || [])
+            .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''));
+    }
+
+    supportsEmbeddings() {
+        return true;
+    }
+
+    async embed(texts, settings) {
+        const model = `models/${this.getEmbeddingModel(settings).replace(/^models\//, '')}`;
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/${model}:batchEmbedContents?key=${settings.geminiApiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                requests: texts.map(text => ({ model: model, content: { parts: [{ text: text }] } }))
+            })
+        }, this.embeddingTimeout);
+        return (data.embeddings || []).map(embedding => embedding.values);
+    }
 }
 
 /**
@@ -683,8 +1732,9 @@ class GeminiProvider extends AIProvider {
 class OllamaProvider extends AIProvider {
     constructor() {
         super('Ollama', 'Local Ollama models for text summarization');
-        this.apiUrl = 'http://localhost:11434/api/generate';
+        this.baseUrl = 'http://localhost:11434';
         this.model = 'llama2';
+        this.embeddingModel = 'nomic-embed-text';
     }
 
     requiresApiKey() {
@@ -694,7 +1744,7 @@ class OllamaProvider extends AIProvider {
     async isConfigured(settings) {
         // Check if Ollama is running locally
         try {
-            const response = await fetch('http://localhost:11434/api/tags', {
+            const response = await fetch(`${this.getBaseUrl(settings)}/api/tags`, {
                 method: 'GET'
             });
             return response.ok;
@@ -705,7 +1755,7 @@ class OllamaProvider extends AIProvider {
 
     async testConnection(settings) {
         try {
-            const response = await fetch('http://localhost:11434/api/tags', {
+            const response = await fetch(`${this.getBaseUrl(settings)}/api/tags`, {
                 method: 'GET'
             });
 
@@ -730,23 +1780,27 @@ class OllamaProvider extends AIProvider {
         }
     }
 
-    async generateSummary(content, config, settings) {
+    async generateSummary(content, config, settings, stream = {}) {
         try {
             const prompt = this.buildPrompt(content, config);
-            const model = settings.ollamaModel || this.model;
+            const model = this.getModel(settings);
+            const streaming = typeof stream.onText === 'function';
             
-            const response = await fetch(this.apiUrl, {
+            const response = await fetch(`${this.getBaseUrl(settings)}/api/generate`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
+                signal: stream.signal,
                 body: JSON.stringify({
                     model: model,
                     prompt: prompt,
-                    stream: false,
+                    stream: streaming,
                     options: {
-                        temperature: 0.3,
-                        num_predict: Math.ceil(config.maxLength * 1.5)
+                        temperature: this.getTemperature(settings),
+                        num_predict: this.getMaxTokens(config, settings),
+                        // Ask for the window parts are sized for, not the server's default
+                        num_ctx: this.getContextTokens(settings)
                     }
                 })
             });
@@ -755,6 +1809,16 @@ class OllamaProvider extends AIProvider {
                 throw new Error('Ollama API request failed');
             }
 
+            if (streaming) {
+                const text = await this.readStream(response, 'ndjson', event => {
+                    if (event.error) {
+                        throw new Error(event.error);
+                    }
+                    return event.response;
+                }, stream.onText);
+                return { ...this.streamedResult(text, config), model: model };
+            }
+
             const data = await response.json();
             const summary = data.response?.trim();
 
@@ -775,15 +1839,60 @@ class OllamaProvider extends AIProvider {
             };
         }
     }
+
+    async listModels(settings) {
+        const data = await this.requestJSON(`${this.getBaseUrl(settings)}/api/tags`);
+        return (data.models || []).map(model => model.name);
+    }
+
+    supportsEmbeddings() {
+        return true;
+    }
+
+    /**
+     * /api/embeddings takes one text per request, so texts are sent one by one
+     * /api/embeddings는 요청당 텍스트 하나만 받으므로 하나씩 전송
+     */
+    async embed(texts, settings) {
+        const vectors = [];
+        for (const text of texts) {
+            const data = await this.requestJSON(`${this.getBaseUrl(settings)}/api/embeddings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: this.getEmbeddingModel(settings), prompt: text })
+            }, this.embeddingTimeout);
+            if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+                throw new Error(`Ollama returned no embedding; is ${this.getEmbeddingModel(settings)} pulled?`);
+            }
+            vectors.push(data.embedding);
+        }
+        return vectors;
+    }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AISummaryService, AIProvider, OpenAIProvider, AnthropicProvider, GeminiProvider, OllamaProvider };
+    module.exports = {
+        AISummaryService,
+        AIProvider,
+        OpenAIProvider,
+        OpenAICompatibleProvider,
+        AnthropicProvider,
+        GeminiProvider,
+        OllamaProvider,
+        providerKeyName,
+        parseHeaderLines,
+        formatHeaderLines,
+        createStreamParser
+    };
 } else if (typeof window !== 'undefined') {
+    window.providerKeyName = providerKeyName;
+    window.parseHeaderLines = parseHeaderLines;
+    window.formatHeaderLines = formatHeaderLines;
     window.AISummaryService = AISummaryService;
     window.AIProvider = AIProvider;
     window.OpenAIProvider = OpenAIProvider;
+    window.OpenAICompatibleProvider = OpenAICompatibleProvider;
     window.AnthropicProvider = AnthropicProvider;
     window.GeminiProvider = GeminiProvider;
     window.OllamaProvider = OllamaProvider;
@@ -0,0 +1,174 @@
+// Offline page archive storage for PagePouch Chrome extension
+// 오프라인 페이지 아카이브 저장소 - 스냅샷을 IndexedDB에 보관
+
+/**
+ * IndexedDB-backed store for self-contained HTML snapshots of saved pages
+ * 저장된 페이지의 독립 실행형 HTML 스냅샷을 위한 IndexedDB 저장소
+ *
+ * Snapshots are too large for chrome.storage.local, so they live in their own
+ * database keyed by page id. Extension pages and the service worker share it.
+ */
+class ArchiveStore {
+    constructor() {
+        this.DB_NAME = 'PagePouchArchive';
+        this.DB_VERSION = 1;
+        this.SNAPSHOT_STORE = 'snapshots';
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the archive database
+     * 아카이브 데이터베이스 열기 (필요 시 생성)
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.SNAPSHOT_STORE)) {
+                    const store = db.createObjectStore(this.SNAPSHOT_STORE, { keyPath: 'pageId' });
+                    store.createIndex('capturedAt', 'capturedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * 트랜잭션 안에서 단일 요청 실행
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.SNAPSHOT_STORE, mode);
+            const request = createRequest(transaction.objectStore(this.SNAPSHOT_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Archive transaction aborted'));
+        });
+    }
+
+    /**
+     * Save a snapshot for a page, replacing any earlier one
+     * 페이지 스냅샷 저장 (기존 스냅샷 교체)
+     */
+    async saveSnapshot(pageId, snapshot) {
+        if (!pageId || !snapshot || typeof snapshot.html !== 'string') {
+            throw new Error('Page ID and snapshot HTML are required');
+        }
+
+        const html = new Blob([snapshot.html], { type: 'text/html' });
+        const record = {
+            pageId: pageId,
+            url: snapshot.url || '',
+            title: snapshot.title || '',
+            capturedAt: snapshot.capturedAt || Date.now(),
+            size: html.size,
+            resourceCount: snapshot.resourceCount || 0,
+            failedResources: snapshot.failedResources || [],
+            html: html
+        };
+
+        await this.runRequest('readwrite', store => store.put(record));
+
+        const { html: _, ...summary } = record;
+        return summary;
+    }
+
+    /**
+     * Get the stored snapshot record for a page
+     * 페이지의 저장된 스냅샷 레코드 가져오기
+     */
+    async getSnapshot(pageId) {
+        const record = await this.runRequest('readonly', store => store.get(pageId));
+        return record || null;
+    }
+
+    /**
+     * Delete the snapshot of a page
+     * 페이지 스냅샷 삭제
+     */
+    async deleteSnapshot(pageId) {
+        await this.runRequest('readwrite', store => store.delete(pageId));
+    }
+
+    /**
+     * List page ids that have a snapshot
+     * 스냅샷이 있는 페이지 ID 목록
+     */
+    async getSnapshotIds() {
+        return await this.runRequest('readonly', store => store.getAllKeys());
+    }
+
+    /**
+     * Delete snapshots whose page no longer exists
+     * 더 이상 존재하지 않는 페이지의 스냅샷 삭제
+     */
+    async removeOrphans(pageIds) {
+        const keep = new Set(pageIds);
+        const orphans = (await this.getSnapshotIds()).filter(id => !keep.has(id));
+
+        for (const pageId of orphans) {
+            await this.deleteSnapshot(pageId);
+        }
+
+        return orphans.length;
+    }
+
+    /**
+     * Get number and total size of stored snapshots
+     * 저장된 스냅샷 수와 전체 크기 가져오기
+     */
+    async getUsage() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const usage = { count: 0, totalSize: 0 };
+            const transaction = db.transaction(this.SNAPSHOT_STORE, 'readonly');
+            const request = transaction.objectStore(this.SNAPSHOT_STORE).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    usage.count++;
+                    usage.totalSize += cursor.value.size || 0;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve(usage);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete every snapshot
+     * 모든 스냅샷 삭제
+     */
+    async clear() {
+        await this.runRequest('readwrite', store => store.clear());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArchiveStore;
+} else if (typeof window !== 'undefined') {
+    window.ArchiveStore = ArchiveStore;
+}
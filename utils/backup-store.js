@@ -0,0 +1,372 @@
+// Restore points for PagePouch Chrome extension
+// 복원 지점 - 페이지와 컬렉션의 증분 백업을 IndexedDB에 보관
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const backupHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+/**
+ * Hash a page's backed-up fields so unchanged pages can be skipped (FNV-1a)
+ * 변경되지 않은 페이지를 건너뛰기 위해 백업 필드 해시 계산 (FNV-1a)
+ */
+function fingerprintPage(page) {
+    const text = JSON.stringify(page);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Copy of a page as stored in a restore point
+ * 복원 지점에 저장되는 페이지 사본
+ *
+ * Thumbnails are left out to keep restore points small; a restore keeps the
+ * thumbnail the page currently has.
+ */
+function toBackupPage(page) {
+    return { ...page, thumbnail: '' };
+}
+
+/**
+ * Find what changed between the last restore point and the current pages
+ * 마지막 복원 지점과 현재 페이지 사이의 변경 사항 찾기
+ * @param {Object} previousFingerprints - Page id to fingerprint at the last point
+ * @param {Array} pages - Current pages, already passed through toBackupPage
+ * @returns {{upserts: Array, removedIds: Array, fingerprints: Object}}
+ */
+function diffBackupPages(previousFingerprints, pages) {
+    const fingerprints = {};
+    const upserts = [];
+
+    pages.forEach(page => {
+        fingerprints[page.id] = fingerprintPage(page);
+        if (previousFingerprints[page.id] !== fingerprints[page.id]) {
+            upserts.push(page);
+        }
+    });
+
+    const removedIds = Object.keys(previousFingerprints).filter(id => !fingerprints[id]);
+    return { upserts, removedIds, fingerprints };
+}
+
+/**
+ * Apply one restore point on top of the page state before it
+ * 이전 페이지 상태 위에 복원 지점 하나 적용
+ * @param {Map} pagesById - State to update in place
+ */
+function applyRestorePoint(pagesById, point) {
+    if (point.type === 'full') {
+        pagesById.clear();
+        point.pages.forEach(page => pagesById.set(page.id, page));
+        return pagesById;
+    }
+
+    point.removedIds.forEach(id => pagesById.delete(id));
+    point.upserts.forEach(page => pagesById.set(page.id, page));
+    return pagesById;
+}
+
+/**
+ * Compare a restore point with the current pages, page by page
+ * 복원 지점과 현재 페이지를 페이지별로 비교
+ * @returns {{deleted: Array, changed: Array, added: Array}} Pages deleted, changed
+ *          or added since the restore point, as { id, title, url }
+ */
+function compareRestorePoint(backupPages, currentPages) {
+    const describe = (page) => ({ id: page.id, title: page.title || '', url: page.url || '' });
+    const currentById = new Map(currentPages.map(page => [page.id, toBackupPage(page)]));
+    const backupIds = new Set(backupPages.map(page => page.id));
+
+    return {
+        deleted: backupPages.filter(page => !currentById.has(page.id)).map(describe),
+        changed: backupPages
+            .filter(page => currentById.has(page.id) && fingerprintPage(currentById.get(page.id)) !== fingerprintPage(page))
+            .map(describe),
+        added: currentPages.filter(page => !backupIds.has(page.id)).map(describe)
+    };
+}
+
+/**
+ * Collections restored pages point to that no longer exist, with their parents
+ * 복원된 페이지가 가리키지만 더 이상 없는 컬렉션 (상위 컬렉션 포함)
+ */
+function findMissingCollections(backupCollections, currentCollections, pages) {
+    const known = new Set(currentCollections.map(collection => collection.id));
+    const backupById = new Map(backupCollections.map(collection => [collection.id, collection]));
+    const missing = [];
+
+    pages.forEach(page => {
+        (page.collectionIds || []).forEach(id => {
+            let collection = backupById.get(id);
+            while (collection && !known.has(collection.id)) {
+                known.add(collection.id);
+                missing.push(collection);
+                collection = collection.parentId ? backupById.get(collection.parentId) : null;
+            }
+        });
+    });
+
+    return missing;
+}
+
+/**
+ * IndexedDB-backed store for restore points of saved pages and collections
+ * 저장된 페이지와 컬렉션의 복원 지점을 위한 IndexedDB 저장소
+ *
+ * The first point holds every page; later ones hold only pages added, changed
+ * or removed since the point before. Reading a point replays the chain from
+ * the nearest full point. Collections are small and stored whole each time.
+ */
+class BackupStore {
+    constructor() {
+        this.DB_NAME = 'PagePouchBackups';
+        this.DB_VERSION = 1;
+        this.POINT_STORE = 'restorePoints';
+
+        this.dbPromise = null;
+
+        // Backups compare against earlier points, so they run one at a time
+        this.enqueue = backupHelpers.createTaskQueue();
+    }
+
+    /**
+     * Open (and create if needed) the backup database
+     * 백업 데이터베이스 열기 (필요 시 생성)
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.POINT_STORE)) {
+                    db.createObjectStore(this.POINT_STORE, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * 트랜잭션 안에서 단일 요청 실행
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.POINT_STORE, mode);
+            const request = createRequest(transaction.objectStore(this.POINT_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Backup transaction aborted'));
+        });
+    }
+
+    /**
+     * Get every restore point, oldest first
+     * 모든 복원 지점 가져오기 (오래된 순)
+     */
+    async getAllPoints() {
+        const points = await this.runRequest('readonly', store => store.getAll());
+        return (points || []).sort((a, b) => a.sequence - b.sequence);
+    }
+
+    /**
+     * List restore points without their page data, newest first
+     * 페이지 데이터 없이 복원 지점 목록 (최신순)
+     */
+    async list() {
+        const points = await this.getAllPoints();
+        return points.reverse().map(point => this.summarize(point));
+    }
+
+    summarize(point) {
+        return {
+            id: point.id,
+            createdAt: point.createdAt,
+            reason: point.reason,
+            type: point.type,
+            pageCount: point.pageCount,
+            changeCount: point.changeCount,
+            size: point.size
+        };
+    }
+
+    /**
+     * Record the current pages and collections as a new restore point
+     * 현재 페이지와 컬렉션을 새 복원 지점으로 기록
+     * @param {Object} options - { pages, collections, reason, force }
+     * @returns {Object|null} Summary of the new point, or null when nothing
+     *          changed since the last one and `force` is not set
+     */
+    createRestorePoint({ pages, collections = [], reason = 'manual', force = false }) {
+        return this.enqueue(async () => {
+            const points = await this.getAllPoints();
+            const latest = points[points.length - 1] || null;
+            const backupPages = pages.map(toBackupPage);
+            const { upserts, removedIds, fingerprints } = diffBackupPages(latest ? latest.fingerprints : {}, backupPages);
+            const collectionsChanged = !latest || JSON.stringify(latest.collections) !== JSON.stringify(collections);
+
+            if (latest && !force && upserts.length === 0 && removedIds.length === 0 && !collectionsChanged) {
+                return null;
+            }
+
+            const sequence = latest ? latest.sequence + 1 : 1;
+            const point = {
+                id: `rp-${Date.now().toString(36)}-${sequence}`,
+                sequence,
+                createdAt: Date.now(),
+                reason,
+                pageCount: backupPages.length,
+                changeCount: upserts.length + removedIds.length,
+                collections,
+                fingerprints,
+                ...(latest ?
+                    { type: 'incremental', upserts, removedIds } :
+                    { type: 'full', pages: backupPages })
+            };
+            point.size = this.measure(point);
+
+            await this.runRequest('readwrite', store => store.put(point));
+            return this.summarize(point);
+        });
+    }
+
+    /**
+     * Rebuild the full page list and collections of a restore point
+     * 복원 지점의 전체 페이지 목록과 컬렉션 재구성
+     */
+    async materialize(id) {
+        return this.materializeFrom(await this.getAllPoints(), id);
+    }
+
+    materializeFrom(points, id) {
+        const index = points.findIndex(point => point.id === id);
+        if (index === -1) {
+            throw new Error('Restore point not found');
+        }
+
+        let start = index;
+        while (start > 0 && points[start].type !== 'full') {
+            start--;
+        }
+
+        const pagesById = new Map();
+        for (let i = start; i <= index; i++) {
+            applyRestorePoint(pagesById, points[i]);
+        }
+
+        return {
+            point: this.summarize(points[index]),
+            pages: [...pagesById.values()],
+            collections: points[index].collections || []
+        };
+    }
+
+    /**
+     * Turn a point into a full one so it no longer needs the points before it
+     * 이전 지점이 필요 없도록 지점을 전체 지점으로 변환
+     */
+    async rewriteAsFull(points, point) {
+        const { pages } = this.materializeFrom(points, point.id);
+        const { upserts, removedIds, ...rest } = point;
+        const fullPoint = { ...rest, type: 'full', pages };
+        fullPoint.size = this.measure(fullPoint);
+
+        await this.runRequest('readwrite', store => store.put(fullPoint));
+    }
+
+    /**
+     * Delete a restore point, keeping the points after it readable
+     * 복원 지점 삭제 (이후 지점은 계속 읽을 수 있게 유지)
+     */
+    remove(id) {
+        return this.enqueue(async () => {
+            const points = await this.getAllPoints();
+            const index = points.findIndex(point => point.id === id);
+            if (index === -1) {
+                throw new Error('Restore point not found');
+            }
+
+            const next = points[index + 1];
+            if (next && next.type === 'incremental') {
+                await this.rewriteAsFull(points, next);
+            }
+            await this.runRequest('readwrite', store => store.delete(id));
+        });
+    }
+
+    /**
+     * Keep only the newest restore points
+     * 최신 복원 지점만 유지
+     * @returns {number} Number of points deleted
+     */
+    prune(keep) {
+        return this.enqueue(async () => {
+            const points = await this.getAllPoints();
+            if (points.length <= keep) {
+                return 0;
+            }
+
+            const removed = points.slice(0, points.length - keep);
+            const oldestKept = points[points.length - keep];
+            if (oldestKept.type === 'incremental') {
+                await this.rewriteAsFull(points, oldestKept);
+            }
+
+            for (const point of removed) {
+                await this.runRequest('readwrite', store => store.delete(point.id));
+            }
+            return removed.length;
+        });
+    }
+
+    /**
+     * Size in bytes of the page data a point stores
+     * 지점이 저장하는 페이지 데이터 크기 (바이트)
+     */
+    measure(point) {
+        const data = point.type === 'full' ? point.pages : { upserts: point.upserts, removedIds: point.removedIds };
+        return new Blob([JSON.stringify(data), JSON.stringify(point.collections)]).size;
+    }
+
+    /**
+     * Delete every restore point
+     * 모든 복원 지점 삭제
+     */
+    async clear() {
+        await this.enqueue(() => this.runRequest('readwrite', store => store.clear()));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BackupStore,
+        fingerprintPage,
+        toBackupPage,
+        diffBackupPages,
+        applyRestorePoint,
+        compareRestorePoint,
+        findMissingCollections
+    };
+} else if (typeof window !== 'undefined') {
+    window.BackupStore = BackupStore;
+}
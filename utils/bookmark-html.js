@@ -0,0 +1,183 @@
+// Netscape bookmark HTML for PagePouch Chrome extension
+// 넷스케이프 북마크 HTML - 모든 브라우저가 사용하는 북마크 가져오기/내보내기 형식
+
+// Browser root folders that hold bookmarks rather than name a topic
+const ROOT_FOLDER_ATTRIBUTES = ['PERSONAL_TOOLBAR_FOLDER', 'UNFILED_BOOKMARKS_FOLDER'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities browsers write into bookmark files
+ * 브라우저가 북마크 파일에 쓰는 HTML 엔티티 디코딩
+ */
+function decodeHtmlEntities(text) {
+    return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] !== undefined ? HTML_ENTITIES[code.toLowerCase()] : match;
+    });
+}
+
+/**
+ * Escape text for an HTML attribute or element body
+ * HTML 속성 또는 요소 본문용 텍스트 이스케이프
+ */
+function encodeHtmlText(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read tag attributes into an object with upper-case keys
+ * 태그 속성을 대문자 키 객체로 읽기
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        attributes[match[1].toUpperCase()] = decodeHtmlEntities(value);
+    }
+    return attributes;
+}
+
+/**
+ * Parse a Netscape bookmark file into flat entries with their folder path
+ * 넷스케이프 북마크 파일을 폴더 경로가 포함된 평면 항목으로 파싱
+ *
+ * Works on the text with a tokenizer instead of DOMParser so the service worker
+ * can use it. Entries keep `line` (1-based) so previews can point at bad rows.
+ * @returns {{ entries: Array<{url, title, tags, folders, savedAt, description, line}>, errors: Array }}
+ */
+function parseBookmarkHtml(html) {
+    const text = String(html || '');
+    if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) && !/<DT>\s*<A\s/i.test(text)) {
+        throw new Error('Not a bookmark HTML file');
+    }
+
+    const entries = [];
+    const folderStack = [];
+    let pendingFolder = null;
+    let lastEntry = null;
+    let line = 1;
+    let lineCountedTo = 0;
+
+    const tokenPattern = /<DT>\s*<H3([^>]*)>([\s\S]*?)<\/H3>|<DT>\s*<A([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)|<DL[^>]*>|<\/DL>/gi;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const token = match[0];
+
+        if (match[1] !== undefined) {
+            const attributes = parseAttributes(match[1]);
+            const isRoot = ROOT_FOLDER_ATTRIBUTES.some(name => attributes[name] === 'true');
+            pendingFolder = isRoot ? '' : decodeHtmlEntities(match[2].replace(/<[^>]*>/g, '')).trim();
+            lastEntry = null;
+        } else if (match[3] !== undefined) {
+            const attributes = parseAttributes(match[3]);
+            const addDate = parseInt(attributes.ADD_DATE, 10);
+            line += text.slice(lineCountedTo, match.index).split('\n').length - 1;
+            lineCountedTo = match.index;
+
+            lastEntry = {
+                url: (attributes.HREF || '').trim(),
+                title: decodeHtmlEntities(match[4].replace(/<[^>]*>/g, '')).trim(),
+                tags: attributes.TAGS ? attributes.TAGS.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+                folders: folderStack.filter(Boolean),
+                // ADD_DATE is in seconds
+                savedAt: addDate > 0 ? addDate * 1000 : null,
+                description: '',
+                line
+            };
+            entries.push(lastEntry);
+        } else if (match[5] !== undefined) {
+            if (lastEntry) {
+                lastEntry.description = decodeHtmlEntities(match[5]).trim();
+            }
+            lastEntry = null;
+        } else if (token[1] === '/') {
+            folderStack.pop();
+            lastEntry = null;
+        } else {
+            // <DL> opens the folder whose <H3> came right before it
+            folderStack.push(pendingFolder || '');
+            pendingFolder = null;
+            lastEntry = null;
+        }
+    }
+
+    return { entries, errors: [] };
+}
+
+/**
+ * Build a Netscape bookmark file; collections become folders and tags go in TAGS
+ * 넷스케이프 북마크 파일 생성 (컬렉션은 폴더로, 태그는 TAGS 속성으로)
+ *
+ * A page in several collections appears in each folder; pages outside any
+ * collection are listed at the top level.
+ */
+function buildBookmarkHtml(pages, collections = []) {
+    const toSeconds = (time) => Math.floor((time || Date.now()) / 1000);
+    const knownIds = new Set(collections.map(collection => collection.id));
+    const sortedPages = [...pages].sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+
+    const renderPage = (page, indent) => {
+        const tags = (page.tags || []).join(',');
+        const lines = [
+            `${indent}<DT><A HREF="${encodeHtmlText(page.url)}" ADD_DATE="${toSeconds(page.savedAt)}"` +
+            `${tags ? ` TAGS="${encodeHtmlText(tags)}"` : ''}>${encodeHtmlText(page.title || page.url)}</A>`
+        ];
+        if (page.summary) {
+            lines.push(`${indent}<DD>${encodeHtmlText(page.summary.replace(/\s+/g, ' ').trim())}`);
+        }
+        return lines;
+    };
+
+    const renderFolder = (parentId, indent) => {
+        const lines = [];
+        collections
+            .filter(collection => (collection.parentId && knownIds.has(collection.parentId) ? collection.parentId : null) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(collection => {
+                lines.push(`${indent}<DT><H3 ADD_DATE="${toSeconds(collection.createdAt)}">${encodeHtmlText(collection.name)}</H3>`);
+                lines.push(`${indent}<DL><p>`);
+                lines.push(...renderFolder(collection.id, `${indent}    `));
+                sortedPages
+                    .filter(page => (page.collectionIds || []).includes(collection.id))
+                    .forEach(page => lines.push(...renderPage(page, `${indent}    `)));
+                lines.push(`${indent}</DL><p>`);
+            });
+        return lines;
+    };
+
+    const unfiled = sortedPages.filter(page => !(page.collectionIds || []).some(id => knownIds.has(id)));
+
+    return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        ...renderFolder(null, '    '),
+        ...unfiled.flatMap(page => renderPage(page, '    ')),
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseBookmarkHtml, buildBookmarkHtml, decodeHtmlEntities, parseAttributes };
+} else if (typeof window !== 'undefined') {
+    window.parseBookmarkHtml = parseBookmarkHtml;
+    window.buildBookmarkHtml = buildBookmarkHtml;
+    window.decodeHtmlEntities = decodeHtmlEntities;
+}
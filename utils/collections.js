@@ -0,0 +1,261 @@
+// Collections for PagePouch Chrome extension
+// 컬렉션 - 이름이 있는 중첩 폴더로 페이지 정리
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const collectionHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+/**
+ * Store for user-created collections
+ * 사용자가 만든 컬렉션 저장소
+ *
+ * Collections are kept as a flat list in chrome.storage.local under `collections`
+ * (so export/import carries them) and form a tree through `parentId`. Pages
+ * record membership in their own `collectionIds`, so a page can sit in several
+ * collections at once.
+ */
+class CollectionStore {
+    constructor() {
+        this.STORAGE_KEY = 'collections';
+        this.MAX_DEPTH = 5;
+        this.MAX_NAME_LENGTH = 60;
+
+        // Collections share one key, so writes run one at a time
+        this.enqueue = collectionHelpers.createTaskQueue();
+    }
+
+    /**
+     * Get all collections as a flat list
+     * 모든 컬렉션을 평면 목록으로 가져오기
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        return Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+    }
+
+    async saveAll(collections) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: collections });
+    }
+
+    /**
+     * Create a collection, optionally inside another one
+     * 컬렉션 생성 (선택적으로 다른 컬렉션 안에)
+     */
+    create({ name, parentId = null } = {}) {
+        return this.enqueue(async () => {
+            const collections = await this.getAll();
+            const cleanName = this.validateName(name);
+            this.validateParent(collections, null, parentId);
+            this.assertUniqueName(collections, cleanName, parentId);
+
+            const collection = this.buildCollection(cleanName, parentId);
+            await this.saveAll([...collections, collection]);
+            return collection;
+        });
+    }
+
+    /**
+     * Find or create the nested collections for a folder path, e.g. from a bookmark import
+     * 폴더 경로에 해당하는 중첩 컬렉션을 찾거나 생성 (예: 북마크 가져오기)
+     *
+     * Names are matched case-insensitively among siblings; levels past MAX_DEPTH
+     * are dropped, so deep folders land in their deepest allowed ancestor.
+     * @returns {Promise<string|null>} Id of the deepest collection, or null for an empty path
+     */
+    ensurePath(names) {
+        return this.enqueue(async () => {
+            const collections = await this.getAll();
+            const path = (names || [])
+                .map(name => typeof name === 'string' ? name.trim().slice(0, this.MAX_NAME_LENGTH).trim() : '')
+                .filter(Boolean)
+                .slice(0, this.MAX_DEPTH);
+
+            let parentId = null;
+            let changed = false;
+            path.forEach(name => {
+                let collection = collections.find(item =>
+                    (item.parentId || null) === parentId && item.name.toLowerCase() === name.toLowerCase()
+                );
+                if (!collection) {
+                    collection = this.buildCollection(name, parentId);
+                    collections.push(collection);
+                    changed = true;
+                }
+                parentId = collection.id;
+            });
+
+            if (changed) {
+                await this.saveAll(collections);
+            }
+            return parentId;
+        });
+    }
+
+    buildCollection(name, parentId) {
+        const now = Date.now();
+        return {
+            id: `col_${now}_${Math.random().toString(36).slice(2, 11)}`,
+            name,
+            parentId: parentId || null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Rename a collection or move it under another parent (null for top level)
+     * 컬렉션 이름 변경 또는 다른 상위 컬렉션으로 이동 (최상위는 null)
+     */
+    update(id, changes = {}) {
+        return this.enqueue(async () => {
+            const collections = await this.getAll();
+            const collection = collections.find(item => item.id === id);
+            if (!collection) {
+                throw new Error('Collection not found');
+            }
+
+            const name = changes.name !== undefined ? this.validateName(changes.name) : collection.name;
+            const parentId = changes.parentId !== undefined ? (changes.parentId || null) : collection.parentId;
+            this.validateParent(collections, id, parentId);
+            this.assertUniqueName(collections, name, parentId, id);
+
+            const updated = { ...collection, name, parentId, updatedAt: Date.now() };
+            await this.saveAll(collections.map(item => item.id === id ? updated : item));
+            return updated;
+        });
+    }
+
+    /**
+     * Delete a collection and everything nested in it
+     * 컬렉션과 그 하위 컬렉션 모두 삭제
+     * @returns {Promise<string[]>} Ids of the removed collections
+     */
+    remove(id) {
+        return this.enqueue(async () => {
+            const collections = await this.getAll();
+            if (!collections.some(item => item.id === id)) {
+                throw new Error('Collection not found');
+            }
+
+            const removedIds = [id, ...this.getDescendantIds(collections, id)];
+            await this.saveAll(collections.filter(item => !removedIds.includes(item.id)));
+            return removedIds;
+        });
+    }
+
+    /**
+     * Check that a collection exists
+     * 컬렉션 존재 여부 확인
+     */
+    async assertExists(id) {
+        const collections = await this.getAll();
+        if (!collections.some(item => item.id === id)) {
+            throw new Error('Collection not found');
+        }
+    }
+
+    validateName(name) {
+        const cleanName = typeof name === 'string' ? name.trim() : '';
+        if (!cleanName) {
+            throw new Error('Collection name is required');
+        }
+        if (cleanName.length > this.MAX_NAME_LENGTH) {
+            throw new Error(`Collection name must be at most ${this.MAX_NAME_LENGTH} characters`);
+        }
+        return cleanName;
+    }
+
+    /**
+     * Reject missing parents, cycles and trees deeper than MAX_DEPTH
+     * 없는 상위 컬렉션, 순환, MAX_DEPTH보다 깊은 트리 거부
+     */
+    validateParent(collections, id, parentId) {
+        if (!parentId) return;
+
+        if (!collections.some(item => item.id === parentId)) {
+            throw new Error('Parent collection not found');
+        }
+        if (id && (parentId === id || this.getDescendantIds(collections, id).includes(parentId))) {
+            throw new Error('A collection cannot be moved into itself');
+        }
+
+        const subtreeHeight = id ? this.getSubtreeHeight(collections, id) : 1;
+        if (this.getDepth(collections, parentId) + subtreeHeight > this.MAX_DEPTH) {
+            throw new Error(`Collections can be nested at most ${this.MAX_DEPTH} levels deep`);
+        }
+    }
+
+    assertUniqueName(collections, name, parentId, exceptId = null) {
+        const duplicate = collections.some(item =>
+            item.id !== exceptId &&
+            (item.parentId || null) === (parentId || null) &&
+            item.name.toLowerCase() === name.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`A collection named "${name}" already exists here`);
+        }
+    }
+
+    /**
+     * Ids of every collection nested below one
+     * 특정 컬렉션 아래에 중첩된 모든 컬렉션 ID
+     */
+    getDescendantIds(collections, id) {
+        const descendants = [];
+        const visit = (parentId) => {
+            collections.filter(item => item.parentId === parentId).forEach(child => {
+                descendants.push(child.id);
+                visit(child.id);
+            });
+        };
+        visit(id);
+        return descendants;
+    }
+
+    /**
+     * Depth of a collection, counting top-level collections as 1
+     * 컬렉션 깊이 (최상위 컬렉션은 1)
+     */
+    getDepth(collections, id) {
+        let depth = 0;
+        let current = collections.find(item => item.id === id);
+        while (current && depth <= collections.length) {
+            depth++;
+            current = current.parentId ? collections.find(item => item.id === current.parentId) : null;
+        }
+        return depth;
+    }
+
+    getSubtreeHeight(collections, id) {
+        const children = collections.filter(item => item.parentId === id);
+        return 1 + Math.max(0, ...children.map(child => this.getSubtreeHeight(collections, child.id)));
+    }
+
+    /**
+     * Flatten collections in tree order with their depth, for lists and menus
+     * 목록과 메뉴용으로 컬렉션을 트리 순서로 평탄화 (깊이 포함)
+     */
+    static flattenTree(collections) {
+        const rows = [];
+        const known = new Set(collections.map(item => item.id));
+        const visit = (parentId, depth) => {
+            collections
+                .filter(item => (item.parentId && known.has(item.parentId) ? item.parentId : null) === parentId)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(item => {
+                    rows.push({ ...item, depth });
+                    visit(item.id, depth + 1);
+                });
+        };
+        visit(null, 0);
+        return rows;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollectionStore;
+} else if (typeof window !== 'undefined') {
+    window.CollectionStore = CollectionStore;
+}
@@ -20,7 +20,8 @@ class ContentExtractor {
             filterAds: true,
             filterNavigation: true,
             filterComments: true,
-            languageDetection: true
+            languageDetection: true,
+            maxDocumentLength: 200000 // Text kept when a long document is summarized in parts
         };
         
         // Content scoring weights
@@ -112,6 +113,38 @@ class ContentExtractor {
         }
     }
 
+    /**
+     * Extract the main content as sections under their headings, without truncation
+     * 주요 콘텐츠를 제목별 섹션으로 추출 (자르지 않음)
+     *
+     * For summarizing long documents in parts; extractForSummarization keeps
+     * only the first screens of these.
+     * @returns {Promise<Object>} { success, sections: [{ heading, level, text }], language, originalLength }
+     */
+    async extractDocumentSections(options = {}) {
+        const config = { ...this.config, ...options };
+        
+        try {
+            const contentContainer = await this.findMainContent();
+            if (!contentContainer) {
+                throw new Error('No suitable content container found');
+            }
+            
+            const structuredContent = await this.extractStructuredContent(contentContainer, config);
+            const sampleText = structuredContent.sections.slice(0, 5).map(section => section.text).join(' ');
+            
+            return {
+                success: true,
+                sections: structuredContent.sections,
+                language: this.detectLanguage(sampleText),
+                originalLength: structuredContent.originalLength
+            };
+        } catch (error) {
+            console.error('Section extraction failed:', error);
+            return { success: false, error: error.message, sections: [] };
+        }
+    }
+
     /**
      * Find the main content container using multiple strategies
      * 다양한 전략을 사용하여 주요 콘텐츠 컨테이너 찾기
@@ -346,6 +379,7 @@ class ContentExtractor {
             lists: [],
             quotes: [],
             images: [],
+            sections: [],
             originalLength: 0,
             structure: {}
         };
@@ -375,6 +409,9 @@ class ContentExtractor {
         // Extract images with alt text
         content.images = this.extractImageDescriptions(cleanContainer);
         
+        // Keep the whole text in document order, grouped under its headings
+        content.sections = this.extractSections(cleanContainer, config);
+        
         // Analyze structure
         content.structure = this.analyzeStructure(content);
         
@@ -470,6 +507,54 @@ class ContentExtractor {
         return paragraphs.slice(0, this.config.maxParagraphs);
     }
 
+    /**
+     * Group text blocks under the nearest heading before them, in document order
+     * 텍스트 블록을 문서 순서대로 바로 앞의 제목 아래에 묶기
+     *
+     * Unlike the lists above nothing is capped per kind, only the total text,
+     * at `maxDocumentLength`. A block inside another one is read as part of it.
+     */
+    extractSections(element, config = this.config) {
+        const sections = [];
+        let current = null;
+        let length = 0;
+        
+        element.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre').forEach(block => {
+            if (length >= config.maxDocumentLength || block.parentElement?.closest('p, li, blockquote, pre')) {
+                return;
+            }
+            
+            const isCode = block.tagName === 'PRE';
+            const text = isCode ? block.textContent.trim() : block.textContent.replace(/\s+/g, ' ').trim();
+            if (!text) return;
+            
+            if (/^H[1-6]$/.test(block.tagName)) {
+                current = { heading: text.slice(0, 200), level: parseInt(block.tagName.charAt(1)), blocks: [] };
+                sections.push(current);
+                return;
+            }
+            
+            if (!isCode && text.length < config.minSentenceLength && block.tagName !== 'LI') return;
+            if (!isCode && this.isLikelyNonContent(text)) return;
+            
+            if (!current) {
+                current = { heading: '', level: 0, blocks: [] };
+                sections.push(current);
+            }
+            const blockText = text.slice(0, config.maxDocumentLength - length);
+            current.blocks.push(block.tagName === 'LI' ? `• ${blockText}` : blockText);
+            length += blockText.length;
+        });
+        
+        return sections
+            .filter(section => section.blocks.length > 0)
+            .map(section => ({
+                heading: section.heading,
+                level: section.level,
+                text: section.blocks.join('\n\n')
+            }));
+    }
+
     /**
      * Extract list items
      * 목록 항목 추출
@@ -0,0 +1,335 @@
+// Weekly digest for PagePouch Chrome extension
+// 주간 다이제스트 - 기간 내 저장한 페이지를 태그나 도메인별로 묶고 AI 개요 작성
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const digestHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+// Days a digest covers, counting today
+const DIGEST_DAYS = 7;
+
+// Digests kept; the oldest is dropped when a new one is added
+const MAX_DIGESTS = 12;
+
+const DIGEST_GROUP_BY = ['tag', 'domain'];
+
+// Characters of each page summary sent in the overview prompt
+const DIGEST_PROMPT_SUMMARY_LENGTH = 300;
+
+// Group for pages without tags when grouping by tag
+const UNTAGGED_GROUP = 'Untagged';
+
+/**
+ * Date range of a digest: from the start of the day `days - 1` days ago until now
+ * 다이제스트 기간 (`days - 1`일 전 자정부터 현재까지)
+ * @returns {{start: number, end: number}}
+ */
+function getDigestRange(days = DIGEST_DAYS, now = Date.now()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (Math.max(1, days) - 1));
+    return { start: start.getTime(), end: now };
+}
+
+/**
+ * Range label such as "May 4, 2024 – May 10, 2024", in the formatter's locale
+ * 포매터 로케일의 기간 레이블 (예: "2024년 5월 4일 – 2024년 5월 10일")
+ * @param {DateFormatter} formatter
+ */
+function formatDigestRange({ start, end }, formatter) {
+    const from = formatter.formatDate(start);
+    const to = formatter.formatDate(end);
+    return from === to ? from : `${from} – ${to}`;
+}
+
+/**
+ * Group pages by tag or domain, largest group first
+ * 페이지를 태그 또는 도메인별로 묶기 (큰 그룹부터)
+ *
+ * Each page is listed once. A page with several tags goes under the one most
+ * of the pages share, so related pages end up together; untagged pages come last.
+ * @param {Array<Object>} pages
+ * @param {string} groupBy - 'tag' or 'domain'
+ * @returns {Array<{name: string, pages: Array<Object>}>} Pages newest first within a group
+ */
+function groupDigestPages(pages, groupBy = 'tag') {
+    const tagCounts = new Map();
+    if (groupBy === 'tag') {
+        pages.forEach(page => (page.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    }
+
+    const groups = new Map();
+    pages.forEach(page => {
+        let name;
+        if (groupBy === 'domain') {
+            name = page.domain || UNTAGGED_GROUP;
+        } else {
+            name = (page.tags || []).reduce((best, tag) =>
+                !best || tagCounts.get(tag) > tagCounts.get(best) ? tag : best, null) || UNTAGGED_GROUP;
+        }
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(page);
+    });
+
+    return Array.from(groups, ([name, groupPages]) => ({
+        name,
+        pages: groupPages.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))
+    })).sort((a, b) => {
+        if ((a.name === UNTAGGED_GROUP) !== (b.name === UNTAGGED_GROUP)) {
+            return a.name === UNTAGGED_GROUP ? 1 : -1;
+        }
+        return b.pages.length - a.pages.length || a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Prompt for an overview of the grouped pages
+ * 묶인 페이지의 개요를 요청하는 프롬프트
+ *
+ * Pages are listed by title, domain and the start of their summary until the
+ * prompt reaches `maxLength`; the rest are only counted.
+ * @param {Array<Object>} groups - From groupDigestPages
+ * @param {Object} options - { rangeLabel, maxLength }
+ */
+function buildDigestPrompt(groups, { rangeLabel = '', maxLength = Infinity } = {}) {
+    const total = groups.reduce((sum, group) => sum + group.pages.length, 0);
+    let listing = '';
+    let listed = 0;
+
+    for (const group of groups) {
+        const lines = [`\n## ${group.name}`];
+        for (const page of group.pages) {
+            const summary = String(page.summary || '').replace(/\s+/g, ' ').trim()
+                .substring(0, DIGEST_PROMPT_SUMMARY_LENGTH);
+            const line = `- ${page.title || page.url}${page.domain ? ` (${page.domain})` : ''}${summary ? `: ${summary}` : ''}`;
+            if (listing.length + lines.join('\n').length + line.length > maxLength) break;
+            lines.push(line);
+            listed++;
+        }
+        if (lines.length === 1) break;
+        listing += `${lines.join('\n')}\n`;
+    }
+
+    const unlisted = total - listed;
+    return `Write a short overview of the ${total} web pages the user saved${rangeLabel ? ` (${rangeLabel})` : ''}.
+Start with one paragraph on the main themes, then give each group below a sentence or two on what its pages cover and how they connect.
+Write plain paragraphs separated by blank lines, naming each group at the start of its paragraph. Do not list the pages again.
+Write in the language most of the page titles are in.
+
+Saved pages by group:
+${listing}${unlisted > 0 ? `\n(${unlisted} more pages not listed)\n` : ''}
+Overview:`;
+}
+
+/**
+ * Build a digest of the pages saved in a date range
+ * 기간 내 저장된 페이지의 다이제스트 작성
+ *
+ * The overview comes from the AI provider. When AI is not configured, or the
+ * request fails, the digest is the grouped listing alone and `aiError` says why.
+ * @param {AISummaryService} aiService
+ * @param {Array<Object>} pages - All saved pages; those outside the range are left out
+ * @param {Object} options - { start, end, groupBy, formatter: DateFormatter, signal }
+ * @returns {Promise<Object>} The digest, ready for DigestStore
+ */
+async function createDigest(aiService, pages, { start, end, groupBy = 'tag', formatter, signal = null }) {
+    const inRange = pages.filter(page => page.savedAt >= start && page.savedAt <= end);
+    const groups = groupDigestPages(inRange.map(page => ({
+        id: page.id,
+        title: page.title || page.url,
+        url: page.url,
+        domain: page.domain || '',
+        tags: page.tags || [],
+        summary: page.summary || '',
+        savedAt: page.savedAt
+    })), DIGEST_GROUP_BY.includes(groupBy) ? groupBy : 'tag');
+
+    const digest = {
+        id: `digest-${Date.now().toString(36)}`,
+        createdAt: Date.now(),
+        start,
+        end,
+        rangeLabel: formatDigestRange({ start, end }, formatter),
+        groupBy,
+        pageCount: inRange.length,
+        groups,
+        overview: null,
+        provider: null,
+        model: null,
+        aiError: null
+    };
+
+    if (inRange.length === 0) {
+        return digest;
+    }
+    if (!await aiService.isConfigured()) {
+        digest.aiError = 'AI summaries are not set up';
+        return digest;
+    }
+
+    const settings = await aiService.getSettings();
+    const config = { maxLength: aiService.answerLength };
+    const budget = await aiService.getChunkLength(settings, { ...aiService.summaryConfig, ...config });
+    const prompt = buildDigestPrompt(groups, { rangeLabel: digest.rangeLabel, maxLength: budget });
+    const result = await aiService.generateText(prompt, { ...config, signal });
+
+    if (result.success) {
+        digest.overview = result.text.trim();
+        digest.provider = result.provider;
+        digest.model = result.model;
+    } else {
+        digest.aiError = result.error;
+    }
+    return digest;
+}
+
+/**
+ * Escape text for an HTML attribute or element body
+ * HTML 속성 또는 요소 본문용 텍스트 이스케이프
+ */
+function escapeDigestHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write a digest as Markdown
+ * 다이제스트를 마크다운으로 작성
+ */
+function buildDigestMarkdown(digest) {
+    const lines = [
+        `# Weekly Digest: ${digest.rangeLabel}`,
+        '',
+        digest.pageCount > 0 ? `${digest.pageCount} pages saved.` : 'No pages were saved in this period.',
+        ''
+    ];
+
+    if (digest.overview) {
+        lines.push('## Overview', '', digest.overview, '');
+    }
+
+    digest.groups.forEach(group => {
+        lines.push(`## ${group.name} (${group.pages.length})`, '');
+        group.pages.forEach(page => {
+            const title = String(page.title).replace(/([\[\]])/g, '\\$1');
+            lines.push(`- [${title}](${page.url})${page.summary ? ` — ${page.summary.replace(/\s+/g, ' ').trim()}` : ''}`);
+        });
+        lines.push('');
+    });
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Write a digest as a standalone HTML page
+ * 다이제스트를 독립 실행형 HTML 페이지로 작성
+ *
+ * Styles are inline so an exported file looks the same as the digest view.
+ * Links open in a new tab.
+ */
+function buildDigestHtml(digest) {
+    const overview = digest.overview ?
+        `<section class="overview"><h2>Overview</h2>${digest.overview.split(/\n\s*\n/)
+            .map(paragraph => `<p>${escapeDigestHtml(paragraph.trim())}</p>`).join('')}</section>` : '';
+
+    const groups = digest.groups.map(group => `<section class="group">
+<h2>${escapeDigestHtml(group.name)} <span class="count">${group.pages.length}</span></h2>
+<ul>${group.pages.map(page => `<li><a href="${escapeDigestHtml(page.url)}">${escapeDigestHtml(page.title)}</a>` +
+        `<span class="domain">${escapeDigestHtml(page.domain)}</span>` +
+        `${page.summary ? `<p>${escapeDigestHtml(page.summary)}</p>` : ''}</li>`).join('\n')}</ul>
+</section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<base target="_blank">
+<title>Weekly Digest: ${escapeDigestHtml(digest.rangeLabel)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 0 auto; padding: 24px; color: #1f2937; line-height: 1.6; }
+h1 { font-size: 24px; margin-bottom: 4px; }
+h2 { font-size: 18px; margin: 28px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+.meta { color: #6b7280; font-size: 14px; }
+.count { color: #6b7280; font-size: 14px; font-weight: normal; }
+ul { list-style: none; padding: 0; }
+li { margin-bottom: 12px; }
+a { color: #2563eb; font-weight: 500; text-decoration: none; }
+a:hover { text-decoration: underline; }
+.domain { color: #9ca3af; font-size: 13px; margin-left: 8px; }
+li p { margin: 2px 0 0; color: #4b5563; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>Weekly Digest: ${escapeDigestHtml(digest.rangeLabel)}</h1>
+<p class="meta">${digest.pageCount > 0 ? `${digest.pageCount} pages saved` : 'No pages were saved in this period'}${digest.model ? ` · Overview by ${escapeDigestHtml(digest.model)}` : ''}</p>
+${overview}
+${groups}
+</body>
+</html>
+`;
+}
+
+/**
+ * Generated digests, newest first
+ * 생성된 다이제스트 (최신순)
+ *
+ * Kept in chrome.storage.local under `digests`; only the latest MAX_DIGESTS stay.
+ */
+class DigestStore {
+    constructor() {
+        this.STORAGE_KEY = 'digests';
+
+        // Adding a digest rewrites the whole list, so adds run one at a time
+        this.enqueue = digestHelpers.createTaskQueue();
+    }
+
+    async getAll() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        const digests = result[this.STORAGE_KEY];
+        return Array.isArray(digests) ? digests : [];
+    }
+
+    async get(digestId) {
+        return (await this.getAll()).find(digest => digest.id === digestId) || null;
+    }
+
+    /**
+     * Store a digest, dropping the oldest beyond MAX_DIGESTS
+     * 다이제스트 저장 (MAX_DIGESTS를 넘는 오래된 것은 삭제)
+     */
+    add(digest) {
+        return this.enqueue(async () => {
+            const digests = [digest, ...(await this.getAll())].slice(0, MAX_DIGESTS);
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: digests });
+            return digest;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIGEST_DAYS,
+        MAX_DIGESTS,
+        DIGEST_GROUP_BY,
+        UNTAGGED_GROUP,
+        getDigestRange,
+        formatDigestRange,
+        groupDigestPages,
+        buildDigestPrompt,
+        createDigest,
+        buildDigestMarkdown,
+        buildDigestHtml,
+        DigestStore
+    };
+} else if (typeof window !== 'undefined') {
+    Object.assign(window, {
+        buildDigestMarkdown,
+        buildDigestHtml,
+        DigestStore
+    });
+}
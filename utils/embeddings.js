@@ -0,0 +1,234 @@
+// Semantic search for PagePouch Chrome extension
+// 의미 검색 - 페이지 임베딩 벡터 저장과 유사도 순위
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const embeddingHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+// Characters of a page sent to the embeddings endpoint (about 2000 tokens)
+const EMBEDDING_TEXT_LENGTH = 6000;
+
+// Pages embedded per request while indexing the whole library
+const EMBEDDING_BATCH_SIZE = 16;
+
+// Share of a semantic search score that comes from similarity; the rest is the keyword score
+const SEMANTIC_WEIGHT = 0.7;
+
+// Least similarity for a page to match a semantic search, or to be shown as related
+const MIN_SEMANTIC_SIMILARITY = 0.3;
+const MIN_RELATED_SIMILARITY = 0.45;
+
+/**
+ * Text a page is embedded from: title, tags, summary, then its extracted text
+ * 페이지 임베딩에 쓰이는 텍스트 (제목, 태그, 요약, 추출된 본문 순)
+ */
+function embeddingText(page, content = '') {
+    return [page.title, (page.tags || []).join(', '), page.summary, content]
+        .filter(part => part && String(part).trim())
+        .join('\n\n')
+        .substring(0, EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Cosine similarity of two vectors, 0 when either is empty or their sizes differ
+ * 두 벡터의 코사인 유사도 (비어 있거나 크기가 다르면 0)
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Pages ranked by similarity to a vector, most similar first
+ * 벡터와의 유사도 순으로 정렬한 페이지 (가장 유사한 것부터)
+ * @param {ArrayLike<number>} vector
+ * @param {Map<string, Float32Array>} vectors - By page id
+ * @param {Object} options - { limit, minSimilarity, exclude: page id to leave out }
+ * @returns {Array<{pageId: string, similarity: number}>}
+ */
+function rankBySimilarity(vector, vectors, { limit = 50, minSimilarity = MIN_SEMANTIC_SIMILARITY, exclude = null } = {}) {
+    const ranked = [];
+    vectors.forEach((candidate, pageId) => {
+        if (pageId === exclude) return;
+        const similarity = cosineSimilarity(vector, candidate);
+        if (similarity >= minSimilarity) {
+            ranked.push({ pageId, similarity });
+        }
+    });
+    return ranked.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
+
+/**
+ * Blend keyword and similarity scores into one score between 0 and 1
+ * 키워드 점수와 유사도 점수를 0과 1 사이의 점수 하나로 혼합
+ *
+ * Keyword (BM25) scores have no upper bound, so they are scaled by the best
+ * one in the result set first.
+ * @param {Map<string, number>} keywordScores - By page id
+ * @param {Map<string, number>} similarities - By page id
+ * @returns {Map<string, number>} By page id, for every page in either map
+ */
+function blendSearchScores(keywordScores, similarities, weight = SEMANTIC_WEIGHT) {
+    const bestKeyword = Math.max(0, ...keywordScores.values());
+    const pageIds = new Set([...keywordScores.keys(), ...similarities.keys()]);
+    const blended = new Map();
+    pageIds.forEach(pageId => {
+        const keyword = bestKeyword > 0 ? (keywordScores.get(pageId) || 0) / bestKeyword : 0;
+        const similarity = Math.max(similarities.get(pageId) || 0, 0);
+        blended.set(pageId, weight * similarity + (1 - weight) * keyword);
+    });
+    return blended;
+}
+
+/**
+ * Vector as base64 of its 32-bit floats, about half the size of a JSON array
+ * 벡터를 32비트 실수의 base64로 변환 (JSON 배열의 약 절반 크기)
+ */
+function encodeVector(vector) {
+    const bytes = new Uint8Array(Float32Array.from(vector).buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeVector(encoded) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Embedding vectors of saved pages
+ * 저장된 페이지의 임베딩 벡터
+ *
+ * Kept in chrome.storage.local under `pageEmbeddings`, page id to
+ * { vector (base64), provider, model, embeddedAt }. Vectors of different
+ * models cannot be compared, so reads ask for one model. Decoded vectors are
+ * kept in memory, since searches read all of them.
+ */
+class EmbeddingStore {
+    constructor() {
+        this.STORAGE_KEY = 'pageEmbeddings';
+        this.cache = null; // { model, vectors: Map }
+
+        // Vectors of all pages share one key, so writes run one at a time
+        this.enqueue = embeddingHelpers.createTaskQueue();
+    }
+
+    async getAll() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        const entries = result[this.STORAGE_KEY];
+        return entries && typeof entries === 'object' ? entries : {};
+    }
+
+    async saveAll(entries) {
+        this.cache = null;
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: entries });
+    }
+
+    /**
+     * Vectors made with a model, by page id
+     * 모델로 만든 벡터 (페이지 id별)
+     * @returns {Promise<Map<string, Float32Array>>}
+     */
+    async getVectors(model) {
+        if (this.cache?.model === model) {
+            return this.cache.vectors;
+        }
+
+        const vectors = new Map();
+        Object.entries(await this.getAll()).forEach(([pageId, entry]) => {
+            if (entry.model === model) {
+                vectors.set(pageId, decodeVector(entry.vector));
+            }
+        });
+        this.cache = { model, vectors };
+        return vectors;
+    }
+
+    /**
+     * Store the vectors of pages
+     * 페이지 벡터 저장
+     * @param {Array<Object>} items - { pageId, vector }
+     * @param {Object} source - { provider, model } that made the vectors
+     */
+    setMany(items, { provider, model }) {
+        return this.enqueue(async () => {
+            const entries = await this.getAll();
+            const embeddedAt = Date.now();
+            items.forEach(({ pageId, vector }) => {
+                entries[pageId] = { vector: encodeVector(vector), provider, model, embeddedAt };
+            });
+            await this.saveAll(entries);
+        });
+    }
+
+    /**
+     * Remove the vector of a page
+     * 페이지 벡터 삭제
+     */
+    remove(pageId) {
+        return this.enqueue(async () => {
+            const entries = await this.getAll();
+            if (!entries[pageId]) return;
+            delete entries[pageId];
+            await this.saveAll(entries);
+        });
+    }
+
+    /**
+     * Remove vectors of pages that no longer exist
+     * 더 이상 존재하지 않는 페이지의 벡터 삭제
+     * @returns {Promise<number>} Number of vectors removed
+     */
+    removeOrphans(pageIds) {
+        return this.enqueue(async () => {
+            const keep = new Set(pageIds);
+            const entries = await this.getAll();
+            const orphans = Object.keys(entries).filter(pageId => !keep.has(pageId));
+            if (orphans.length === 0) return 0;
+
+            orphans.forEach(pageId => delete entries[pageId]);
+            await this.saveAll(entries);
+            return orphans.length;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EMBEDDING_TEXT_LENGTH,
+        EMBEDDING_BATCH_SIZE,
+        SEMANTIC_WEIGHT,
+        MIN_SEMANTIC_SIMILARITY,
+        MIN_RELATED_SIMILARITY,
+        embeddingText,
+        cosineSimilarity,
+        rankBySimilarity,
+        blendSearchScores,
+        encodeVector,
+        decodeVector,
+        EmbeddingStore
+    };
+} else if (typeof window !== 'undefined') {
+    window.SEMANTIC_WEIGHT = SEMANTIC_WEIGHT;
+    window.blendSearchScores = blendSearchScores;
+}
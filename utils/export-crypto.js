@@ -0,0 +1,181 @@
+// Export file encryption for PagePouch Chrome extension
+// 내보내기 파일 암호화 - 암호문구로 백업 파일 보호 (PBKDF2 + AES-GCM)
+
+const EXPORT_ENVELOPE_FORMAT = 'pagepouch-encrypted';
+const EXPORT_ENVELOPE_VERSION = 1;
+const EXPORT_PBKDF2_ITERATIONS = 600000;
+const MIN_EXPORT_PASSPHRASE_LENGTH = 8;
+
+// Refuse files that would make key derivation run for minutes
+const MAX_EXPORT_PBKDF2_ITERATIONS = 10000000;
+
+// Settings fields that are left out of unencrypted exports: the single key of
+// older versions and the per-provider key map
+const SECRET_SETTING_FIELDS = ['apiKey', 'apiKeys'];
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function deriveExportKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Check whether parsed file contents are an encrypted envelope
+ * 파싱한 파일 내용이 암호화된 봉투인지 확인
+ */
+function isEncryptedExport(value) {
+    return !!value && typeof value === 'object' && value.format === EXPORT_ENVELOPE_FORMAT;
+}
+
+/**
+ * Encrypt export data with a passphrase
+ * 암호문구로 내보내기 데이터 암호화
+ *
+ * The envelope records the KDF and cipher parameters next to the ciphertext,
+ * so later versions can change them and still read older files.
+ * @param {Object} data - Any JSON-serializable export
+ * @param {string} passphrase
+ * @param {Object} options - { content: label stored in clear, e.g. 'backup'; iterations }
+ * @returns {Promise<Object>} Envelope to write as JSON
+ */
+async function encryptExport(data, passphrase, { content = 'backup', iterations = EXPORT_PBKDF2_ITERATIONS } = {}) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_EXPORT_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_EXPORT_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveExportKey(passphrase, salt, iterations);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return {
+        format: EXPORT_ENVELOPE_FORMAT,
+        version: EXPORT_ENVELOPE_VERSION,
+        content,
+        createdAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an envelope made by encryptExport
+ * encryptExport로 만든 봉투 복호화
+ * @returns {Promise<Object>} The original export data
+ */
+async function decryptExport(envelope, passphrase) {
+    if (!isEncryptedExport(envelope)) {
+        throw new Error('Not an encrypted PagePouch file');
+    }
+    if (envelope.version > EXPORT_ENVELOPE_VERSION) {
+        throw new Error('This file was encrypted by a newer version of PagePouch');
+    }
+
+    const { kdf = {}, cipher = {} } = envelope;
+    if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_EXPORT_PBKDF2_ITERATIONS) {
+        throw new Error('Unsupported encryption settings in file');
+    }
+
+    let plaintext;
+    try {
+        const key = await deriveExportKey(passphrase, base64ToBytes(kdf.salt), kdf.iterations);
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(cipher.iv) },
+            key,
+            base64ToBytes(envelope.data)
+        );
+    } catch (error) {
+        // AES-GCM cannot tell a wrong passphrase from a modified file
+        throw new Error('Wrong passphrase or damaged file');
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Remove secret fields from a settings object
+ * 설정 객체에서 비밀 필드 제거
+ */
+function stripSecretSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return settings;
+    }
+
+    const stripped = { ...settings };
+    SECRET_SETTING_FIELDS.forEach(field => {
+        delete stripped[field];
+    });
+    return stripped;
+}
+
+/**
+ * Fill secret fields missing from imported settings with the current values
+ * 가져온 설정에 없는 비밀 필드를 현재 값으로 채우기
+ *
+ * Unencrypted exports leave API keys out, so importing one must not clear them.
+ */
+function keepSecretSettings(imported, current) {
+    if (!imported || !current) {
+        return imported;
+    }
+
+    const merged = { ...imported };
+    SECRET_SETTING_FIELDS.forEach(field => {
+        if (!merged[field] && current[field]) {
+            merged[field] = current[field];
+        }
+    });
+    return merged;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_ENVELOPE_FORMAT,
+        EXPORT_ENVELOPE_VERSION,
+        MIN_EXPORT_PASSPHRASE_LENGTH,
+        SECRET_SETTING_FIELDS,
+        isEncryptedExport,
+        encryptExport,
+        decryptExport,
+        stripSecretSettings,
+        keepSecretSettings
+    };
+} else if (typeof window !== 'undefined') {
+    window.MIN_EXPORT_PASSPHRASE_LENGTH = MIN_EXPORT_PASSPHRASE_LENGTH;
+    window.isEncryptedExport = isEncryptedExport;
+    window.encryptExport = encryptExport;
+    window.decryptExport = decryptExport;
+    window.stripSecretSettings = stripSecretSettings;
+    window.keepSecretSettings = keepSecretSettings;
+}
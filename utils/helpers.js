@@ -109,6 +109,46 @@ function makeAbsoluteUrl(url, baseUrl) {
     }
 }
 
+/**
+ * Normalize a URL for duplicate detection
+ * 중복 감지를 위한 URL 정규화
+ *
+ * Prefers the page's <link rel=canonical> when it is a valid http(s) URL,
+ * then drops the #fragment, utm_* tracking params and any trailing slash.
+ */
+function canonicalizeUrl(url, canonicalUrl = null) {
+    let target = url;
+    
+    if (canonicalUrl) {
+        try {
+            const canonical = new URL(canonicalUrl, url);
+            if (canonical.protocol === 'http:' || canonical.protocol === 'https:') {
+                target = canonical.href;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid canonical URL:', canonicalUrl);
+        }
+    }
+    
+    try {
+        const urlObj = new URL(target);
+        urlObj.hash = '';
+        
+        Array.from(urlObj.searchParams.keys())
+            .filter(key => key.toLowerCase().startsWith('utm_'))
+            .forEach(key => urlObj.searchParams.delete(key));
+        
+        if (urlObj.pathname.length > 1) {
+            urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+        }
+        
+        // URLSearchParams leaves a bare '?' behind when every param was removed
+        return urlObj.href.replace(/\?$/, '');
+    } catch (error) {
+        return target;
+    }
+}
+
 /**
  * Debounce function to limit rapid calls
  * 빠른 호출을 제한하는 디바운스 함수
@@ -142,6 +182,22 @@ function throttle(func, limit) {
     };
 }
 
+/**
+ * Create a queue that runs async tasks one at a time, in the order given
+ * 비동기 작업을 주어진 순서대로 하나씩 실행하는 큐 생성
+ *
+ * Used by stores so read-modify-write cycles don't overwrite each other.
+ * A failed task rejects its own promise without stopping later tasks.
+ */
+function createTaskQueue() {
+    let queue = Promise.resolve();
+    return function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+}
+
 /**
  * Deep clone an object
  * 객체 깊은 복사
@@ -263,6 +319,43 @@ function createDefaultThumbnail(width = 200, height = 150) {
     return canvas.toDataURL('image/png');
 }
 
+/**
+ * Convert a Blob to a base64 data URL (works in service workers, no FileReader)
+ * Blob을 base64 데이터 URL로 변환 (FileReader 없는 서비스 워커에서도 동작)
+ */
+async function blobToDataUrl(blob) {
+    // Encode in chunks to stay under the call argument limit
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    
+    return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Convert a base64 data URL to a Blob; returns null for anything else
+ * base64 데이터 URL을 Blob으로 변환 (그 외 값은 null 반환)
+ */
+function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || '');
+    if (!match) return null;
+    
+    const type = match[1] || 'application/octet-stream';
+    if (!match[2]) {
+        return new Blob([decodeURIComponent(match[3])], { type });
+    }
+    
+    const binary = atob(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    
+    return new Blob([bytes], { type });
+}
+
 /**
  * Sanitize filename for download
  * 다운로드용 파일명 정리
@@ -276,6 +369,41 @@ function sanitizeFilename(filename) {
         .substring(0, 100);            // Limit length
 }
 
+/**
+ * Normalize a tag the way pages store it: trimmed, lowercase, single spaces, no leading #
+ * 페이지에 저장되는 형태로 태그 정규화 (앞뒤 공백 제거, 소문자, 공백 하나, 앞의 # 제거)
+ *
+ * Quotes and commas are dropped so every tag can be typed in a tag:"..." search
+ * and in the comma-separated tag editor.
+ */
+function normalizeTag(tag) {
+    if (typeof tag !== 'string') {
+        return '';
+    }
+    
+    return tag
+        .replace(/[",]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^#+\s*/, '')
+        .toLowerCase()
+        .substring(0, 50);
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates
+ * 태그 목록 정규화 (빈 태그와 중복 제거)
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    
+    return tags
+        .map(normalizeTag)
+        .filter((tag, index, arr) => tag && arr.indexOf(tag) === index);
+}
+
 /**
  * Show notification (if supported)
  * 알림 표시 (지원되는 경우)
@@ -302,15 +430,21 @@ if (typeof module !== 'undefined' && module.exports) {
         isValidUrl,
         extractDomain,
         makeAbsoluteUrl,
+        canonicalizeUrl,
         debounce,
         throttle,
+        createTaskQueue,
         deepClone,
         isEmpty,
         getBrowserLanguage,
         isKoreanLanguage,
         compressImage,
         createDefaultThumbnail,
+        blobToDataUrl,
+        dataUrlToBlob,
         sanitizeFilename,
+        normalizeTag,
+        normalizeTags,
         showNotification
     };
 } else if (typeof window !== 'undefined') {
@@ -324,15 +458,21 @@ if (typeof module !== 'undefined' && module.exports) {
         isValidUrl,
         extractDomain,
         makeAbsoluteUrl,
+        canonicalizeUrl,
         debounce,
         throttle,
+        createTaskQueue,
         deepClone,
         isEmpty,
         getBrowserLanguage,
         isKoreanLanguage,
         compressImage,
         createDefaultThumbnail,
+        blobToDataUrl,
+        dataUrlToBlob,
         sanitizeFilename,
+        normalizeTag,
+        normalizeTags,
         showNotification
     });
 }
\ No newline at end of file
@@ -0,0 +1,334 @@
+// Read-later service imports for PagePouch Chrome extension
+// 나중에 읽기 서비스 가져오기 - Pocket, Instapaper, Raindrop, Pinboard 내보내기 파일 파싱
+
+// Bookmark HTML helpers come from bookmark-html.js (importScripts) or require in tests
+const bookmarkHtml = typeof parseBookmarkHtml === 'function' ?
+    { parseAttributes, decodeHtmlEntities } :
+    require('./bookmark-html.js');
+
+/**
+ * Split CSV text into rows, handling a BOM, quoted commas, "" escapes and newlines in quotes
+ * CSV 텍스트를 행으로 분리 (BOM, 따옴표 안의 쉼표, "" 이스케이프, 따옴표 안의 줄바꿈 처리)
+ * @returns {Array<{values: string[], line: number}>} Rows with the line each one starts on
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const rows = [];
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        values.push(field);
+        // Skip blank lines
+        if (values.length > 1 || values[0] !== '') {
+            rows.push({ values, line: rowLine });
+        }
+        values = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            values.push(field);
+            field = '';
+        } else if (char === '\n') {
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unclosed quote in the row starting on line ${rowLine}`);
+    }
+    if (field !== '' || values.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Read a CSV export into records keyed by lower-case header
+ * CSV 내보내기 파일을 소문자 헤더를 키로 하는 레코드로 읽기
+ */
+function readCsvRecords(text, requiredColumns, serviceName) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = header ? header.values.map(name => name.trim().toLowerCase()) : [];
+
+    const missing = requiredColumns.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Missing "${missing[0]}" column; is this a ${serviceName} CSV export?`);
+    }
+
+    return rows.map(({ values, line }) => {
+        const fields = {};
+        columns.forEach((column, index) => {
+            fields[column] = (values[index] || '').trim();
+        });
+        return { fields, line };
+    });
+}
+
+/**
+ * Convert Unix seconds, milliseconds or a date string to milliseconds
+ * 유닉스 초, 밀리초 또는 날짜 문자열을 밀리초로 변환
+ * @returns {number|null} null when the value is empty
+ */
+function parseImportTimestamp(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return null;
+
+    if (/^\d+$/.test(text)) {
+        const number = parseInt(text, 10);
+        // Services export seconds; anything this large is already milliseconds
+        return number < 1e11 ? number * 1000 : number;
+    }
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date "${text}"`);
+    }
+    return time;
+}
+
+function createImportEntry(fields, line) {
+    return {
+        url: '',
+        title: '',
+        tags: [],
+        folders: [],
+        savedAt: null,
+        description: '',
+        isFavorite: false,
+        isRead: false,
+        ...fields,
+        line
+    };
+}
+
+/**
+ * Build entries row by row so one bad row becomes an error instead of failing the file
+ * 행 단위로 항목 생성 (잘못된 행 하나가 파일 전체를 실패시키지 않고 오류로 기록됨)
+ */
+function mapImportRows(records, mapRow) {
+    const entries = [];
+    const errors = [];
+
+    records.forEach(({ fields, line }) => {
+        try {
+            entries.push(createImportEntry(mapRow(fields), line));
+        } catch (error) {
+            errors.push({ line, url: fields.url || fields.href || '', errors: [error.message] });
+        }
+    });
+
+    return { entries, errors };
+}
+
+const splitList = (value, separator) => String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parse Pocket's HTML export (ril_export.html)
+ * Pocket HTML 내보내기 파싱 (ril_export.html)
+ *
+ * Links are grouped under "Unread" and "Read Archive" headings; the archive
+ * section maps to isRead, since isArchived means an offline copy here.
+ */
+function parsePocketHtml(html) {
+    const text = String(html || '');
+    if (!/<a\s[^>]*time_added/i.test(text)) {
+        throw new Error('Not a Pocket HTML export');
+    }
+
+    const records = [];
+    let inArchive = false;
+    let line = 1;
+    let lineCountedTo = 0;
+
+    const tokenPattern = /<h1[^>]*>([\s\S]*?)<\/h1>|<a\s([^>]*)>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        if (match[1] !== undefined) {
+            inArchive = /archive/i.test(match[1]);
+            continue;
+        }
+
+        line += text.slice(lineCountedTo, match.index).split('\n').length - 1;
+        lineCountedTo = match.index;
+
+        const attributes = bookmarkHtml.parseAttributes(match[2]);
+        records.push({
+            fields: {
+                url: (attributes.HREF || '').trim(),
+                title: bookmarkHtml.decodeHtmlEntities(match[3].replace(/<[^>]*>/g, '')).trim(),
+                time_added: attributes.TIME_ADDED,
+                tags: attributes.TAGS,
+                archived: inArchive
+            },
+            line
+        });
+    }
+
+    return mapImportRows(records, fields => ({
+        url: fields.url,
+        title: fields.title,
+        tags: splitList(fields.tags, ','),
+        savedAt: parseImportTimestamp(fields.time_added),
+        isRead: fields.archived
+    }));
+}
+
+/**
+ * Parse Pocket's CSV export (title, url, time_added, tags, status)
+ * Pocket CSV 내보내기 파싱 (title, url, time_added, tags, status)
+ */
+function parsePocketCsv(text) {
+    const records = readCsvRecords(text, ['url', 'time_added'], 'Pocket');
+
+    return mapImportRows(records, fields => ({
+        url: fields.url,
+        title: fields.title,
+        // Tags are separated by "|"
+        tags: splitList(fields.tags, '|'),
+        savedAt: parseImportTimestamp(fields.time_added),
+        isRead: fields.status === 'archive'
+    }));
+}
+
+/**
+ * Parse Instapaper's CSV export (URL, Title, Selection, Folder, Timestamp[, Tags])
+ * Instapaper CSV 내보내기 파싱 (URL, Title, Selection, Folder, Timestamp[, Tags])
+ *
+ * Folder is "Unread", "Archive", "Starred" or a user folder, which becomes a collection.
+ */
+function parseInstapaperCsv(text) {
+    const records = readCsvRecords(text, ['url', 'folder', 'timestamp'], 'Instapaper');
+
+    return mapImportRows(records, fields => {
+        const folder = fields.folder;
+        const isBuiltIn = ['unread', 'archive', 'starred'].includes(folder.toLowerCase());
+
+        return {
+            url: fields.url,
+            title: fields.title,
+            tags: parseInstapaperTags(fields.tags),
+            folders: folder && !isBuiltIn ? [folder] : [],
+            savedAt: parseImportTimestamp(fields.timestamp),
+            description: fields.selection || '',
+            isFavorite: folder.toLowerCase() === 'starred',
+            isRead: folder.toLowerCase() === 'archive'
+        };
+    });
+}
+
+// Newer Instapaper exports write tags as a JSON array
+function parseInstapaperTags(value) {
+    if (!value) return [];
+    if (value.startsWith('[')) {
+        try {
+            const tags = JSON.parse(value);
+            return Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [];
+        } catch (error) {
+            throw new Error(`Invalid tags "${value}"`);
+        }
+    }
+    return splitList(value, ',');
+}
+
+/**
+ * Parse Raindrop.io's CSV export
+ * Raindrop.io CSV 내보내기 파싱
+ *
+ * Nested folders come as "Parent/Child"; Raindrop has no read state.
+ */
+function parseRaindropCsv(text) {
+    const records = readCsvRecords(text, ['url', 'folder', 'created'], 'Raindrop');
+
+    return mapImportRows(records, fields => ({
+        url: fields.url,
+        title: fields.title,
+        tags: splitList(fields.tags, ','),
+        folders: fields.folder.toLowerCase() === 'unsorted' ? [] : splitList(fields.folder, '/'),
+        savedAt: parseImportTimestamp(fields.created),
+        description: fields.note || fields.excerpt || '',
+        isFavorite: fields.favorite === 'true'
+    }));
+}
+
+/**
+ * Parse Pinboard's JSON export
+ * Pinboard JSON 내보내기 파싱
+ *
+ * `line` is the bookmark's position in the array. Pinboard flags unread
+ * bookmarks with toread, so everything else counts as read.
+ */
+function parsePinboardJson(text) {
+    let items;
+    try {
+        items = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error('Not a Pinboard JSON export');
+    }
+    if (!Array.isArray(items)) {
+        throw new Error('Not a Pinboard JSON export');
+    }
+
+    const records = items.map((item, index) => ({
+        fields: item && typeof item === 'object' ? item : {},
+        line: index + 1
+    }));
+
+    return mapImportRows(records, fields => {
+        if (typeof fields.href !== 'string') {
+            throw new Error('Bookmark has no href');
+        }
+        return {
+            url: fields.href.trim(),
+            title: typeof fields.description === 'string' ? fields.description.trim() : '',
+            tags: splitList(fields.tags, ' '),
+            savedAt: parseImportTimestamp(fields.time),
+            description: typeof fields.extended === 'string' ? fields.extended.trim() : '',
+            isRead: fields.toread !== 'yes'
+        };
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCsv,
+        parseImportTimestamp,
+        mapImportRows,
+        parsePocketHtml,
+        parsePocketCsv,
+        parseInstapaperCsv,
+        parseRaindropCsv,
+        parsePinboardJson
+    };
+} else if (typeof window !== 'undefined') {
+    window.parseCsv = parseCsv;
+    window.parsePocketHtml = parsePocketHtml;
+    window.parsePocketCsv = parsePocketCsv;
+    window.parseInstapaperCsv = parseInstapaperCsv;
+    window.parseRaindropCsv = parseRaindropCsv;
+    window.parsePinboardJson = parsePinboardJson;
+}
@@ -0,0 +1,124 @@
+// Markdown export for PagePouch Chrome extension
+// 마크다운 내보내기 - 페이지마다 YAML 머리말이 있는 .md 파일 생성 (Obsidian 호환)
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const markdownHelpers = typeof sanitizeFilename === 'function' ?
+    { sanitizeFilename } :
+    require('./helpers.js');
+
+const DEFAULT_MARKDOWN_FILENAME_TEMPLATE = '{{title}}';
+
+// Variables allowed in the filename template
+const MARKDOWN_FILENAME_VARIABLES = ['title', 'domain', 'date', 'id'];
+
+function formatLocalDate(time) {
+    const date = new Date(time || Date.now());
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fill the filename template for a page, e.g. "{{date}} {{title}}"
+ * 페이지의 파일 이름 템플릿 채우기 (예: "{{date}} {{title}}")
+ * @returns {string} Sanitized name without the .md extension
+ */
+function renderMarkdownFilename(template, page) {
+    const values = {
+        title: page.title || page.url || '',
+        domain: page.domain || '',
+        date: formatLocalDate(page.savedAt),
+        id: page.id || ''
+    };
+    const rendered = String(template || DEFAULT_MARKDOWN_FILENAME_TEMPLATE)
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] !== undefined ? values[name] : match);
+
+    return markdownHelpers.sanitizeFilename(rendered) || page.id || 'page';
+}
+
+/**
+ * Write one page as Markdown with YAML front matter
+ * 페이지 하나를 YAML 머리말이 있는 마크다운으로 작성
+ *
+ * Strings are written as JSON-quoted scalars, which YAML reads as-is, so
+ * titles with colons or quotes stay valid front matter.
+ */
+function buildPageMarkdown(page, content = '') {
+    const tags = page.tags || [];
+    const lines = [
+        '---',
+        `url: ${JSON.stringify(page.url || '')}`,
+        `title: ${JSON.stringify(page.title || '')}`,
+        `domain: ${JSON.stringify(page.domain || '')}`,
+        tags.length > 0 ? 'tags:' : 'tags: []',
+        ...tags.map(tag => `  - ${JSON.stringify(tag)}`),
+        `savedAt: ${new Date(page.savedAt || Date.now()).toISOString()}`,
+        `favorite: ${page.isFavorite === true}`,
+        '---',
+        '',
+        `# ${page.title || page.url}`,
+        ''
+    ];
+
+    if (page.summary) {
+        lines.push('## Summary', '', page.summary.trim(), '');
+    }
+
+    const highlights = (page.highlights || [])
+        .map(highlight => typeof highlight === 'string' ? highlight : highlight?.text)
+        .filter(Boolean);
+    if (highlights.length > 0) {
+        lines.push('## Highlights', '');
+        highlights.forEach(text => {
+            lines.push(...text.trim().split('\n').map(line => `> ${line}`), '');
+        });
+    }
+
+    if (content && content.trim()) {
+        lines.push('## Content', '', content.trim(), '');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the .md files for a set of pages, keeping file names unique
+ * 페이지 묶음의 .md 파일 생성 (파일 이름 중복 방지)
+ * @param {Array} pages - Saved pages
+ * @param {Object} options - { template, contents: Map of pageId to extracted text }
+ * @returns {Array<{name: string, content: string, date: Date}>}
+ */
+function buildMarkdownFiles(pages, { template = DEFAULT_MARKDOWN_FILENAME_TEMPLATE, contents = new Map() } = {}) {
+    const usedNames = new Set();
+
+    return pages.map(page => {
+        const baseName = renderMarkdownFilename(template, page);
+        let name = baseName;
+        for (let count = 2; usedNames.has(name.toLowerCase()); count++) {
+            name = `${baseName} (${count})`;
+        }
+        usedNames.add(name.toLowerCase());
+
+        return {
+            name: `${name}.md`,
+            content: buildPageMarkdown(page, contents.get(page.id) || ''),
+            date: new Date(page.savedAt || Date.now())
+        };
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_MARKDOWN_FILENAME_TEMPLATE,
+        MARKDOWN_FILENAME_VARIABLES,
+        renderMarkdownFilename,
+        buildPageMarkdown,
+        buildMarkdownFiles
+    };
+} else if (typeof window !== 'undefined') {
+    window.DEFAULT_MARKDOWN_FILENAME_TEMPLATE = DEFAULT_MARKDOWN_FILENAME_TEMPLATE;
+    window.MARKDOWN_FILENAME_VARIABLES = MARKDOWN_FILENAME_VARIABLES;
+    window.renderMarkdownFilename = renderMarkdownFilename;
+    window.buildPageMarkdown = buildPageMarkdown;
+    window.buildMarkdownFiles = buildMarkdownFiles;
+}
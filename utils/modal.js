@@ -502,6 +502,62 @@ class ModalManager {
         });
     }
 
+    /**
+     * Show modal with several choices
+     * 여러 선택지가 있는 모달 표시
+     * @param {Object} options - Modal options; choices is a list of { value, label, primary }
+     * @returns {Promise} Promise that resolves with the chosen value or null
+     */
+    choice(options = {}) {
+        const {
+            title = 'Choose an Option',
+            message = '',
+            details = '',
+            type = 'info',
+            choices = [],
+            cancelText = 'Cancel'
+        } = options;
+
+        return new Promise((resolve) => {
+            const modalId = this.generateModalId();
+            const modal = this.createModal(modalId, {
+                title,
+                type,
+                closable: true
+            });
+
+            const body = modal.querySelector('.modal-body');
+            body.innerHTML = `
+                ${type !== 'none' ? `<div class="modal-icon ${type}">${this.getTypeIcon(type)}</div>` : ''}
+                <p class="modal-message">${this.escapeHtml(message)}</p>
+                ${details ? `<p class="modal-details">${this.escapeHtml(details)}</p>` : ''}
+            `;
+
+            const footer = modal.querySelector('.modal-footer');
+            footer.innerHTML = `
+                <button class="modal-button secondary" data-action="cancel">${this.escapeHtml(cancelText)}</button>
+                ${choices.map((choice, index) => `
+                    <button class="modal-button ${choice.primary ? 'primary' : 'secondary'}" data-choice="${index}">${this.escapeHtml(choice.label)}</button>
+                `).join('')}
+            `;
+
+            // Closing through the header button or backdrop counts as cancel
+            modal.querySelectorAll('.modal-close, .modal-backdrop').forEach(element => {
+                element.addEventListener('click', () => resolve(null));
+            });
+
+            footer.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+                
+                this.closeModal(modalId);
+                resolve(button.dataset.choice !== undefined ? choices[button.dataset.choice].value : null);
+            });
+
+            this.showModal(modalId);
+        });
+    }
+
     /**
      * Show alert modal
      * 알림 모달 표시
@@ -732,6 +788,10 @@ function showAlert(options) {
     return modalManager.alert(options);
 }
 
+function showChoice(options) {
+    return modalManager.choice(options);
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
@@ -739,7 +799,8 @@ if (typeof module !== 'undefined' && module.exports) {
         modalManager, 
         showConfirm, 
         showPrompt, 
-        showAlert 
+        showAlert, 
+        showChoice 
     };
 }
 
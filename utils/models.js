@@ -1,6 +1,17 @@
 // Data models for LaterLens Chrome extension
 // 데이터 모델 - LaterLens 확장 프로그램의 핵심 데이터 구조
 
+/**
+ * Normalize a page URL for duplicate detection, as the background save does
+ * 백그라운드 저장과 같은 방식으로 중복 감지용 페이지 URL 정규화
+ *
+ * Resolved on each call: the popup loads helpers.js after this file.
+ */
+function canonicalPageUrl(url, canonicalUrl = null) {
+    const helpers = typeof canonicalizeUrl === 'function' ? { canonicalizeUrl } : require('./helpers.js');
+    return helpers.canonicalizeUrl(url, canonicalUrl);
+}
+
 /**
  * SavedPage model class for managing saved page data
  * 저장된 페이지 데이터 관리를 위한 SavedPage 모델 클래스
@@ -15,15 +26,26 @@ class SavedPage {
         
         // Optional fields with defaults
         this.summary = data.summary || '요약 없음';
+        this.summaryMetadata = data.summaryMetadata || null;
         this.thumbnail = data.thumbnail || '';
         this.domain = data.domain || this.extractDomain(this.url);
         this.description = data.description || '';
         this.ogImage = data.ogImage || null;
         this.favicon = data.favicon || null;
         this.tags = data.tags || [];
-        this.isArchived = data.isArchived || false;
+        this.collectionIds = data.collectionIds || []; // A page may belong to several collections
+        this.tagSuggestions = data.tagSuggestions || null; // { tags, source, timestamp } awaiting accept/dismiss
+        this.isArchived = data.isArchived || false; // True once an offline snapshot is stored in ArchiveStore
+        this.archiveMetadata = data.archiveMetadata || null;
+        this.isRead = data.isRead || false; // Marked read/archived in the read-later service it was imported from
         this.lastAccessed = data.lastAccessed || null;
         
+        // Duplicate tracking
+        this.canonicalUrl = canonicalPageUrl(this.url, data.canonicalUrl || null);
+        this.saveCount = data.saveCount || 1;
+        this.lastResavedAt = data.lastResavedAt || null;
+        this.saveHistory = data.saveHistory || [];
+        
         // Metadata
         this.createdAt = data.createdAt || Date.now();
         this.updatedAt = data.updatedAt || Date.now();
@@ -111,6 +133,10 @@ class SavedPage {
             errors.push('isArchived must be a boolean');
         }
 
+        if (data.isRead !== undefined && typeof data.isRead !== 'boolean') {
+            errors.push('isRead must be a boolean');
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors,
@@ -184,6 +210,7 @@ class SavedPage {
             url: this.url,
             title: this.title,
             summary: this.summary,
+            summaryMetadata: this.summaryMetadata,
             thumbnail: this.thumbnail,
             timestamp: this.timestamp,
             domain: this.domain,
@@ -191,8 +218,16 @@ class SavedPage {
             ogImage: this.ogImage,
             favicon: this.favicon,
             tags: this.tags,
+            collectionIds: this.collectionIds,
+            tagSuggestions: this.tagSuggestions,
             isArchived: this.isArchived,
+            archiveMetadata: this.archiveMetadata,
+            isRead: this.isRead,
             lastAccessed: this.lastAccessed,
+            canonicalUrl: this.canonicalUrl,
+            saveCount: this.saveCount,
+            lastResavedAt: this.lastResavedAt,
+            saveHistory: this.saveHistory,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             version: this.version
@@ -221,8 +256,8 @@ class SavedPage {
      */
     update(data) {
         const allowedFields = [
-            'title', 'summary', 'thumbnail', 'description', 
-            'tags', 'isArchived', 'lastAccessed'
+            'title', 'summary', 'summaryMetadata', 'thumbnail', 'description', 
+            'tags', 'collectionIds', 'tagSuggestions', 'isArchived', 'archiveMetadata', 'isRead', 'lastAccessed'
         ];
         
         allowedFields.forEach(field => {
@@ -235,6 +270,35 @@ class SavedPage {
         return this.sanitize();
     }
 
+    /**
+     * Record that the same page was saved again
+     * 같은 페이지가 다시 저장되었음을 기록
+     */
+    recordResave(url = this.url, action = 'merge') {
+        const { saveCount, lastResavedAt, saveHistory } = SavedPage.recordResave(this, url, action);
+        
+        Object.assign(this, { saveCount, lastResavedAt, saveHistory, updatedAt: lastResavedAt });
+        return this;
+    }
+
+    /**
+     * Copy of a stored page record with one more entry in its save history
+     * 저장 기록이 하나 추가된 저장 페이지 레코드 사본
+     *
+     * For plain records, such as the pages the background script stores.
+     */
+    static recordResave(page, url = page.url, action = 'merge') {
+        const now = Date.now();
+        
+        return {
+            ...page,
+            saveCount: (page.saveCount || 1) + 1,
+            lastResavedAt: now,
+            saveHistory: [...(page.saveHistory || []), { savedAt: now, url, action }]
+                .slice(-SavedPage.MAX_SAVE_HISTORY)
+        };
+    }
+
     /**
      * Mark page as accessed
      * 페이지를 접근됨으로 표시
@@ -283,6 +347,38 @@ class SavedPage {
         return this;
     }
 
+    /**
+     * Add page to a collection
+     * 페이지를 컬렉션에 추가
+     */
+    addToCollection(collectionId) {
+        if (typeof collectionId !== 'string' || !collectionId) {
+            return this;
+        }
+        
+        if (!this.collectionIds.includes(collectionId)) {
+            this.collectionIds.push(collectionId);
+            this.updatedAt = Date.now();
+        }
+        
+        return this;
+    }
+
+    /**
+     * Remove page from a collection
+     * 컬렉션에서 페이지 제거
+     */
+    removeFromCollection(collectionId) {
+        const index = this.collectionIds.indexOf(collectionId);
+        
+        if (index > -1) {
+            this.collectionIds.splice(index, 1);
+            this.updatedAt = Date.now();
+        }
+        
+        return this;
+    }
+
     /**
      * Check if page matches search query
      * 페이지가 검색 쿼리와 일치하는지 확인
@@ -340,6 +436,9 @@ class SavedPage {
     }
 }
 
+// Number of re-save entries kept per page
+SavedPage.MAX_SAVE_HISTORY = 20;
+
 /**
  * ExtensionSettings model class for managing extension settings
  * 확장 프로그램 설정 관리를 위한 ExtensionSettings 모델 클래스
@@ -350,12 +449,29 @@ class ExtensionSettings {
         this.enableAISummary = data.enableAISummary || false;
         this.apiProvider = data.apiProvider || 'openai';
         this.apiKey = data.apiKey || '';
+        this.suggestTags = data.suggestTags !== false; // Default true
+        this.aiFallback = data.aiFallback !== false; // Try other providers with a saved key
+        // Per provider: { model, baseUrl, maxTokens, contextTokens, temperature, headers, embeddingModel }; keys live in the secret store
+        this.providerConfigs = data.providerConfigs && typeof data.providerConfigs === 'object' ? data.providerConfigs : {};
+        // Summary prompts: [{ id, name, text }], the default one ('' for built-in) and site/collection rules
+        this.promptTemplates = Array.isArray(data.promptTemplates) ? data.promptTemplates : [];
+        this.defaultPromptTemplateId = data.defaultPromptTemplateId || '';
+        this.promptTemplateRules = Array.isArray(data.promptTemplateRules) ? data.promptTemplateRules : [];
+        // Provider whose embeddings power semantic search and related pages; '' turns them off
+        this.embeddingProvider = data.embeddingProvider || '';
         
         // Storage Settings
         this.maxStorageItems = data.maxStorageItems || 1000;
         this.thumbnailQuality = data.thumbnailQuality || 0.8;
         this.autoCleanup = data.autoCleanup || false;
         this.cleanupDays = data.cleanupDays || 90;
+        this.archivePages = data.archivePages || false;
+        this.markdownFilenameTemplate = data.markdownFilenameTemplate || '{{title}}';
+        this.autoBackup = data.autoBackup || false;
+        this.backupFrequency = data.backupFrequency || 'weekly';
+        this.backupRetention = data.backupRetention || 10; // Restore points to keep
+        this.weeklyDigest = data.weeklyDigest || false;
+        this.digestGroupBy = data.digestGroupBy || 'tag'; // 'tag' or 'domain'
         
         // UI Settings
         this.language = data.language || 'auto';
@@ -363,6 +479,7 @@ class ExtensionSettings {
         this.gridColumns = data.gridColumns || 1;
         this.showDomain = data.showDomain !== false; // Default true
         this.showDate = data.showDate !== false; // Default true
+        this.savedSearches = Array.isArray(data.savedSearches) ? data.savedSearches : []; // Smart collections in the filter bar
         
         // Privacy Settings
         this.enableAnalytics = data.enableAnalytics || false;
@@ -385,7 +502,8 @@ class ExtensionSettings {
         // Boolean validations
         const booleanFields = [
             'enableAISummary', 'autoCleanup', 'showDomain', 
-            'showDate', 'enableAnalytics', 'shareUsageData'
+            'showDate', 'enableAnalytics', 'shareUsageData', 'archivePages', 'suggestTags', 'autoBackup', 'aiFallback',
+            'weeklyDigest'
         ];
         
         booleanFields.forEach(field => {
@@ -413,20 +531,92 @@ class ExtensionSettings {
             }
         }
 
+        if (data.backupRetention !== undefined) {
+            if (!Number.isInteger(data.backupRetention) || data.backupRetention < 1 || data.backupRetention > 50) {
+                errors.push('backupRetention must be an integer between 1 and 50');
+            }
+        }
+
         if (data.gridColumns !== undefined) {
             if (!Number.isInteger(data.gridColumns) || data.gridColumns < 1 || data.gridColumns > 3) {
                 errors.push('gridColumns must be an integer between 1 and 3');
             }
         }
 
+        // Smart collection validations
+        if (data.savedSearches !== undefined) {
+            const validFilters = ['all', 'recent', 'favorites'];
+            const validSorts = ['date-desc', 'date-asc', 'title-asc', 'title-desc'];
+            const isValidSavedSearch = item => item &&
+                typeof item.id === 'string' && item.id &&
+                typeof item.name === 'string' && item.name.trim() &&
+                typeof item.query === 'string' &&
+                validFilters.includes(item.filter) &&
+                validSorts.includes(item.sort);
+
+            if (!Array.isArray(data.savedSearches) || !data.savedSearches.every(isValidSavedSearch)) {
+                errors.push('savedSearches must be a list of { id, name, query, filter, sort }');
+            }
+        }
+
         // String validations
+        const validProviders = ['openai', 'anthropic', 'gemini', 'ollama', 'custom'];
         if (data.apiProvider !== undefined) {
-            const validProviders = ['openai', 'anthropic', 'gemini', 'ollama'];
             if (!validProviders.includes(data.apiProvider)) {
                 errors.push(`apiProvider must be one of: ${validProviders.join(', ')}`);
             }
         }
 
+        // Anthropic has no embeddings endpoint
+        const embeddingProviders = ['openai', 'gemini', 'ollama', 'custom'];
+        if (data.embeddingProvider !== undefined && data.embeddingProvider !== '' &&
+            !embeddingProviders.includes(data.embeddingProvider)) {
+            errors.push(`embeddingProvider must be empty or one of: ${embeddingProviders.join(', ')}`);
+        }
+
+        // Per-provider AI config validations
+        if (data.providerConfigs !== undefined) {
+            if (!data.providerConfigs || typeof data.providerConfigs !== 'object' || Array.isArray(data.providerConfigs)) {
+                errors.push('providerConfigs must be an object keyed by provider');
+            } else {
+                Object.keys(data.providerConfigs).forEach(provider => {
+                    if (!validProviders.includes(provider)) {
+                        errors.push(`providerConfigs has an unknown provider: ${provider}`);
+                        return;
+                    }
+                    errors.push(...ExtensionSettings.validateProviderConfig(provider, data.providerConfigs[provider]));
+                });
+            }
+        }
+
+        // Prompt template validations; unknown variables are reported by the editor
+        if (data.promptTemplates !== undefined) {
+            const isValidTemplate = item => item &&
+                typeof item.id === 'string' && item.id &&
+                typeof item.name === 'string' && item.name.trim() && item.name.length <= 60 &&
+                typeof item.text === 'string' && item.text.trim() && item.text.length <= 4000;
+
+            if (!Array.isArray(data.promptTemplates) || data.promptTemplates.length > 20 ||
+                !data.promptTemplates.every(isValidTemplate)) {
+                errors.push('promptTemplates must be a list of at most 20 { id, name, text }');
+            }
+        }
+
+        if (data.defaultPromptTemplateId !== undefined && typeof data.defaultPromptTemplateId !== 'string') {
+            errors.push('defaultPromptTemplateId must be a string');
+        }
+
+        if (data.promptTemplateRules !== undefined) {
+            const isValidRule = item => item &&
+                ['domain', 'collection'].includes(item.type) &&
+                typeof item.value === 'string' && item.value.trim() &&
+                typeof item.templateId === 'string';
+
+            if (!Array.isArray(data.promptTemplateRules) || !data.promptTemplateRules.every(isValidRule)) {
+                errors.push('promptTemplateRules must be a list of { type: domain|collection, value, templateId }');
+            }
+        }
+
         if (data.language !== undefined) {
             const validLanguages = ['auto', 'en', 'ko'];
             if (!validLanguages.includes(data.language)) {
@@ -441,6 +631,24 @@ class ExtensionSettings {
             }
         }
 
+        if (data.markdownFilenameTemplate !== undefined) {
+            if (typeof data.markdownFilenameTemplate !== 'string' || !data.markdownFilenameTemplate.trim() ||
+                data.markdownFilenameTemplate.length > 200) {
+                errors.push('markdownFilenameTemplate must be a non-empty string of at most 200 characters');
+            }
+        }
+
+        if (data.backupFrequency !== undefined) {
+            const validFrequencies = ['daily', 'weekly', 'monthly'];
+            if (!validFrequencies.includes(data.backupFrequency)) {
+                errors.push(`backupFrequency must be one of: ${validFrequencies.join(', ')}`);
+            }
+        }
+
+        if (data.digestGroupBy !== undefined && !['tag', 'domain'].includes(data.digestGroupBy)) {
+            errors.push('digestGroupBy must be one of: tag, domain');
+        }
+
         // API key validation - don't show warning in console, handle in UI instead
         if (data.enableAISummary && (!data.apiKey || data.apiKey.trim().length === 0)) {
             // This will be handled in the UI with a more user-friendly message
@@ -466,6 +674,70 @@ class ExtensionSettings {
         };
     }
 
+    /**
+     * Validate one provider's model, base URL, token limits, temperature and headers
+     * 제공업체 하나의 모델, 기본 URL, 토큰 한도, 온도, 헤더 검증
+     * @returns {Array<string>} Errors
+     */
+    static validateProviderConfig(provider, config) {
+        const errors = [];
+        const prefix = `providerConfigs.${provider}`;
+
+        if (!config || typeof config !== 'object') {
+            return [`${prefix} must be an object`];
+        }
+
+        if (config.model !== undefined && (typeof config.model !== 'string' || config.model.length > 200)) {
+            errors.push(`${prefix}.model must be a string of at most 200 characters`);
+        }
+
+        if (config.embeddingModel !== undefined && (typeof config.embeddingModel !== 'string' || config.embeddingModel.length > 200)) {
+            errors.push(`${prefix}.embeddingModel must be a string of at most 200 characters`);
+        }
+
+        if (config.baseUrl !== undefined && config.baseUrl !== '') {
+            let protocol = '';
+            try {
+                protocol = new URL(config.baseUrl).protocol;
+            } catch (error) {
+                // Reported below
+            }
+            if (protocol !== 'http:' && protocol !== 'https:') {
+                errors.push(`${prefix}.baseUrl must be an http or https URL`);
+            }
+        }
+
+        if (config.maxTokens !== undefined && config.maxTokens !== null) {
+            if (!Number.isInteger(config.maxTokens) || config.maxTokens < 1 || config.maxTokens > 200000) {
+                errors.push(`${prefix}.maxTokens must be an integer between 1 and 200000`);
+            }
+        }
+
+        if (config.contextTokens !== undefined && config.contextTokens !== null) {
+            if (!Number.isInteger(config.contextTokens) || config.contextTokens < 1024 || config.contextTokens > 2000000) {
+                errors.push(`${prefix}.contextTokens must be an integer between 1024 and 2000000`);
+            }
+        }
+
+        if (config.temperature !== undefined && config.temperature !== null) {
+            if (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2) {
+                errors.push(`${prefix}.temperature must be a number between 0 and 2`);
+            }
+        }
+
+        // Extra request headers, used by custom OpenAI-compatible endpoints
+        if (config.headers !== undefined) {
+            const isValidHeader = ([name, value]) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) &&
+                typeof value === 'string' && !/[\r\n]/.test(value);
+            if (!config.headers || typeof config.headers !== 'object' || Array.isArray(config.headers) ||
+                Object.keys(config.headers).length > 20 || !Object.entries(config.headers).every(isValidHeader)) {
+                errors.push(`${prefix}.headers must map at most 20 header names to single-line values`);
+            }
+        }
+
+        return errors;
+    }
+
     /**
      * Validate current instance
      * 현재 인스턴스 검증
@@ -491,15 +763,30 @@ class ExtensionSettings {
             enableAISummary: this.enableAISummary,
             apiProvider: this.apiProvider,
             apiKey: this.apiKey,
+            suggestTags: this.suggestTags,
+            aiFallback: this.aiFallback,
+            providerConfigs: this.providerConfigs,
+            promptTemplates: this.promptTemplates,
+            defaultPromptTemplateId: this.defaultPromptTemplateId,
+            promptTemplateRules: this.promptTemplateRules,
+            embeddingProvider: this.embeddingProvider,
             maxStorageItems: this.maxStorageItems,
             thumbnailQuality: this.thumbnailQuality,
             autoCleanup: this.autoCleanup,
             cleanupDays: this.cleanupDays,
+            archivePages: this.archivePages,
+            markdownFilenameTemplate: this.markdownFilenameTemplate,
+            autoBackup: this.autoBackup,
+            backupFrequency: this.backupFrequency,
+            backupRetention: this.backupRetention,
+            weeklyDigest: this.weeklyDigest,
+            digestGroupBy: this.digestGroupBy,
             language: this.language,
             theme: this.theme,
             gridColumns: this.gridColumns,
             showDomain: this.showDomain,
             showDate: this.showDate,
+            savedSearches: this.savedSearches,
             enableAnalytics: this.enableAnalytics,
             shareUsageData: this.shareUsageData,
             version: this.version,
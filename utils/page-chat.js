@@ -0,0 +1,278 @@
+// Page chat for PagePouch Chrome extension
+// 페이지 대화 - 저장된 페이지 텍스트를 근거로 답하고 인용 구절을 표시
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const pageChatHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+// Passage length; answers cite passages by number
+const PAGE_CHAT_PASSAGE_LENGTH = 600;
+
+// Messages kept per page, and the latest of them sent along with a new question
+const MAX_PAGE_CHAT_MESSAGES = 50;
+const PAGE_CHAT_HISTORY_MESSAGES = 6;
+
+const MAX_PAGE_QUESTION_LENGTH = 1000;
+
+// Most characters of a cited passage kept with a stored answer
+const MAX_CITATION_LENGTH = 300;
+
+/**
+ * Split page text into numbered passages at paragraph, then sentence boundaries
+ * 페이지 텍스트를 단락, 그다음 문장 경계에서 번호 있는 구절로 분할
+ * @returns {Array<{number: number, text: string}>}
+ */
+function splitIntoPassages(text, maxLength = PAGE_CHAT_PASSAGE_LENGTH) {
+    const passages = [];
+    String(text || '').split(/\n\s*\n/).forEach(paragraph => {
+        const sentences = paragraph.trim().split(/(?<=[.!?。])\s+/).filter(Boolean);
+        sentences.forEach(sentence => {
+            for (let start = 0; start < sentence.length; start += maxLength) {
+                const piece = sentence.slice(start, start + maxLength);
+                const last = passages[passages.length - 1];
+                if (last && !last.closed && last.text.length + 1 + piece.length <= maxLength) {
+                    last.text += ` ${piece}`;
+                } else {
+                    passages.push({ text: piece, closed: false });
+                }
+            }
+        });
+        // Passages do not run across paragraphs
+        if (passages.length > 0) {
+            passages[passages.length - 1].closed = true;
+        }
+    });
+    return passages.map((passage, index) => ({ number: index + 1, text: passage.text }));
+}
+
+/**
+ * Lowercase words of a text, for matching a question to passages
+ * 질문과 구절을 맞추기 위한 텍스트의 소문자 단어
+ */
+function passageTerms(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []);
+}
+
+/**
+ * Passages that fit the budget, preferring those that share words with the question
+ * 예산에 맞는 구절 (질문과 단어가 겹치는 구절 우선)
+ *
+ * Pages that fit whole are sent whole. Picked passages stay in page order and
+ * keep their numbers, so citations point at the same text every time.
+ */
+function selectPassages(passages, question, maxLength) {
+    const totalLength = passages.reduce((sum, passage) => sum + passage.text.length + 8, 0);
+    if (totalLength <= maxLength) {
+        return passages;
+    }
+
+    const questionTerms = new Set(passageTerms(question));
+    const ranked = passages
+        .map(passage => ({
+            passage,
+            score: passageTerms(passage.text).filter(term => questionTerms.has(term)).length
+        }))
+        .sort((a, b) => b.score - a.score || a.passage.number - b.passage.number);
+
+    const picked = [];
+    let length = 0;
+    for (const { passage } of ranked) {
+        if (length + passage.text.length + 8 > maxLength) continue;
+        picked.push(passage);
+        length += passage.text.length + 8;
+    }
+    return picked.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Prompt that asks for an answer from the passages only, citing them by number
+ * 구절만 근거로 번호를 인용하여 답하도록 요청하는 프롬프트
+ * @param {Object} options - { title, url, passages, history: [{ role, content }], question }
+ */
+function buildQuestionPrompt({ title = '', url = '', passages = [], history = [], question }) {
+    const conversation = history
+        .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+        .join('\n\n');
+
+    return `Answer the question about the saved web page "${title}"${url ? ` (${url})` : ''} using only the numbered passages from it below.
+After each statement, cite the passages it comes from by number in square brackets, like [2] or [1][3].
+If the passages do not answer the question, say so instead of guessing. Answer in the language of the question.
+
+Passages:
+${passages.map(passage => `[${passage.number}] ${passage.text}`).join('\n\n')}
+${conversation ? `\nConversation so far:\n${conversation}\n` : ''}
+Question: ${question}
+
+Answer:`;
+}
+
+/**
+ * Passages an answer cites, in the order they are first cited
+ * 답변이 인용한 구절 (처음 인용된 순서)
+ *
+ * Groups like [1, 3] and ranges like [2-4] cite every passage in them.
+ * Numbers that match no passage sent with the question are ignored.
+ * @returns {Array<{number: number, text: string}>}
+ */
+function parseCitations(answer, passages) {
+    const byNumber = new Map(passages.map(passage => [passage.number, passage]));
+    const lastNumber = Math.max(0, ...byNumber.keys());
+    const citations = [];
+    (String(answer || '').match(/\[\d+(?:\s*[,-]\s*\d+)*\]/g) || []).forEach(group => {
+        group.slice(1, -1).split(',').forEach(part => {
+            const [start, end = start] = part.split('-').map(value => parseInt(value, 10));
+            // Stop at the last passage so a stray large range stays cheap
+            for (let number = Math.min(start, end); number <= Math.min(Math.max(start, end), lastNumber); number++) {
+                const passage = byNumber.get(number);
+                if (passage && !citations.some(citation => citation.number === passage.number)) {
+                    citations.push({ number: passage.number, text: passage.text.slice(0, MAX_CITATION_LENGTH) });
+                }
+            }
+        });
+    });
+    return citations;
+}
+
+/**
+ * Answer a question about a page from its stored text
+ * 저장된 텍스트로 페이지에 대한 질문에 답하기
+ *
+ * Works with whichever provider is configured, through AISummaryService.
+ * @param {AISummaryService} aiService
+ * @param {Object} options - { text, title, url, question, history, onText, signal }
+ * @returns {Promise<Object>} { success, answer, citations, provider, model } or { success: false, error, cancelled }
+ */
+async function askPageQuestion(aiService, { text, title = '', url = '', question, history = [], onText = null, signal = null }) {
+    const cleanQuestion = String(question || '').trim();
+    if (!cleanQuestion) {
+        return { success: false, error: 'Question is required' };
+    }
+    if (cleanQuestion.length > MAX_PAGE_QUESTION_LENGTH) {
+        return { success: false, error: `Questions can be at most ${MAX_PAGE_QUESTION_LENGTH} characters` };
+    }
+
+    const passages = splitIntoPassages(text);
+    if (passages.length === 0) {
+        return { success: false, error: 'No saved text for this page' };
+    }
+
+    const recent = history.slice(-PAGE_CHAT_HISTORY_MESSAGES);
+    const settings = await aiService.getSettings();
+    const config = { maxLength: aiService.answerLength };
+    const budget = await aiService.getChunkLength(settings, { ...aiService.summaryConfig, ...config }) -
+        recent.reduce((sum, message) => sum + message.content.length + 12, 0) - cleanQuestion.length;
+    const selected = selectPassages(passages, cleanQuestion, budget);
+
+    const prompt = buildQuestionPrompt({ title, url, passages: selected, history: recent, question: cleanQuestion });
+    const result = await aiService.generateText(prompt, { ...config, onText, signal });
+    if (!result.success) {
+        return result;
+    }
+
+    return {
+        success: true,
+        answer: result.text,
+        citations: parseCitations(result.text, selected),
+        provider: result.provider,
+        model: result.model
+    };
+}
+
+/**
+ * Conversations about saved pages
+ * 저장된 페이지에 대한 대화
+ *
+ * Kept in chrome.storage.local under `pageChats`, page id to messages
+ * ({ role: 'user'|'assistant', content, citations, createdAt }), oldest first.
+ */
+class PageChatStore {
+    constructor() {
+        this.STORAGE_KEY = 'pageChats';
+
+        // Chats of all pages share one key, so writes run one at a time
+        this.enqueue = pageChatHelpers.createTaskQueue();
+    }
+
+    async getAll() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        const chats = result[this.STORAGE_KEY];
+        return chats && typeof chats === 'object' ? chats : {};
+    }
+
+    async saveAll(chats) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: chats });
+    }
+
+    /**
+     * Get the conversation about a page
+     * 페이지에 대한 대화 가져오기
+     */
+    async getMessages(pageId) {
+        const messages = (await this.getAll())[pageId];
+        return Array.isArray(messages) ? messages : [];
+    }
+
+    /**
+     * Add messages to a page's conversation, dropping the oldest past the limit
+     * 페이지 대화에 메시지 추가 (한도를 넘는 오래된 메시지 제거)
+     */
+    addMessages(pageId, messages) {
+        return this.enqueue(async () => {
+            const chats = await this.getAll();
+            const updated = [...(chats[pageId] || []), ...messages].slice(-MAX_PAGE_CHAT_MESSAGES);
+            await this.saveAll({ ...chats, [pageId]: updated });
+            return updated;
+        });
+    }
+
+    /**
+     * Remove the conversation about a page
+     * 페이지에 대한 대화 삭제
+     */
+    clear(pageId) {
+        return this.enqueue(async () => {
+            const chats = await this.getAll();
+            if (!chats[pageId]) return;
+            delete chats[pageId];
+            await this.saveAll(chats);
+        });
+    }
+
+    /**
+     * Remove conversations about pages that no longer exist
+     * 더 이상 존재하지 않는 페이지의 대화 삭제
+     * @returns {Promise<number>} Number of conversations removed
+     */
+    removeOrphans(pageIds) {
+        return this.enqueue(async () => {
+            const keep = new Set(pageIds);
+            const chats = await this.getAll();
+            const orphans = Object.keys(chats).filter(pageId => !keep.has(pageId));
+            if (orphans.length === 0) return 0;
+
+            orphans.forEach(pageId => delete chats[pageId]);
+            await this.saveAll(chats);
+            return orphans.length;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAGE_CHAT_PASSAGE_LENGTH,
+        MAX_PAGE_CHAT_MESSAGES,
+        PAGE_CHAT_HISTORY_MESSAGES,
+        MAX_PAGE_QUESTION_LENGTH,
+        splitIntoPassages,
+        selectPassages,
+        buildQuestionPrompt,
+        parseCitations,
+        askPageQuestion,
+        PageChatStore
+    };
+} else if (typeof window !== 'undefined') {
+    window.MAX_PAGE_QUESTION_LENGTH = MAX_PAGE_QUESTION_LENGTH;
+    window.PageChatStore = PageChatStore;
+}
@@ -0,0 +1,164 @@
+// CSV export and mapped import for PagePouch Chrome extension
+// CSV 내보내기와 열 매핑 가져오기 - 스프레드시트와 주고받기
+
+// CSV helpers come from import-formats.js (importScripts / script tag) or require in tests
+const csvImport = typeof parseCsv === 'function' ?
+    { parseCsv, parseImportTimestamp, mapImportRows } :
+    require('./import-formats.js');
+
+// Columns offered by the CSV export, in file order
+const PAGE_CSV_COLUMNS = [
+    { id: 'title', label: 'Title' },
+    { id: 'url', label: 'URL' },
+    { id: 'domain', label: 'Domain' },
+    { id: 'tags', label: 'Tags' },
+    { id: 'collections', label: 'Collections' },
+    { id: 'savedAt', label: 'Saved At' },
+    { id: 'isFavorite', label: 'Favorite' },
+    { id: 'isRead', label: 'Read' },
+    { id: 'summary', label: 'Summary' }
+];
+
+// Page fields a CSV column can be mapped to on import, with header names to guess from
+const CSV_IMPORT_FIELDS = [
+    { id: 'url', label: 'URL', required: true, headers: ['url', 'link', 'href', 'address'] },
+    { id: 'title', label: 'Title', headers: ['title', 'name'] },
+    { id: 'tags', label: 'Tags', headers: ['tags', 'tag', 'labels', 'keywords'] },
+    { id: 'date', label: 'Date saved', headers: ['saved at', 'savedat', 'date', 'created', 'added', 'time_added', 'timestamp'] },
+    { id: 'summary', label: 'Summary', headers: ['summary', 'description', 'note', 'notes', 'excerpt'] },
+    { id: 'favorite', label: 'Favorite', headers: ['favorite', 'favourite', 'isfavorite', 'starred'] },
+    { id: 'read', label: 'Read', headers: ['read', 'isread', 'archived'] },
+    { id: 'collection', label: 'Collection', headers: ['collections', 'collection', 'folder'] }
+];
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ * 쉼표, 따옴표, 줄바꿈이 있는 CSV 필드에 따옴표 적용
+ */
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write pages as CSV with the chosen columns
+ * 선택한 열로 페이지를 CSV로 작성
+ *
+ * Starts with a BOM and uses CRLF so Excel opens UTF-8 text correctly.
+ * Collections are written as "Parent/Child" paths separated by "; ".
+ */
+function buildPagesCsv(pages, columnIds, collections = []) {
+    const columns = PAGE_CSV_COLUMNS.filter(column => columnIds.includes(column.id));
+    if (columns.length === 0) {
+        throw new Error('Choose at least one column');
+    }
+
+    const byId = new Map(collections.map(collection => [collection.id, collection]));
+    const getPath = (id) => {
+        const names = [];
+        let current = byId.get(id);
+        while (current && names.length <= collections.length) {
+            names.unshift(current.name);
+            current = current.parentId ? byId.get(current.parentId) : null;
+        }
+        return names.join('/');
+    };
+
+    const getValue = (page, id) => {
+        switch (id) {
+            case 'tags':
+                return (page.tags || []).join(', ');
+            case 'collections':
+                return (page.collectionIds || []).filter(collectionId => byId.has(collectionId)).map(getPath).join('; ');
+            case 'savedAt':
+                return page.savedAt ? new Date(page.savedAt).toISOString() : '';
+            case 'isFavorite':
+            case 'isRead':
+                return page[id] === true ? 'true' : 'false';
+            default:
+                return page[id] || '';
+        }
+    };
+
+    const lines = [
+        columns.map(column => formatCsvField(column.label)).join(','),
+        ...pages.map(page => columns.map(column => formatCsvField(getValue(page, column.id))).join(','))
+    ];
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Pre-select a column for each import field from the header names
+ * 헤더 이름으로 가져오기 필드마다 열을 미리 선택
+ * @returns {Object} Field id to column index, or null when nothing matches
+ */
+function guessCsvMapping(headers) {
+    const names = headers.map(header => String(header).trim().toLowerCase());
+    const used = new Set();
+    const mapping = {};
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const index = field.headers
+            .map(name => names.findIndex((header, position) => header === name && !used.has(position)))
+            .find(position => position !== -1);
+        mapping[field.id] = index === undefined ? null : index;
+        if (index !== undefined) used.add(index);
+    });
+
+    return mapping;
+}
+
+const isTrueCsvValue = (value) => /^(true|yes|y|1)$/i.test(value);
+
+/**
+ * Parse a CSV file using a column mapping from the import dialog
+ * 가져오기 대화상자의 열 매핑으로 CSV 파일 파싱
+ *
+ * The first row is the header. Rows become the same entries the other
+ * importers produce, so they share the preview and validation path.
+ */
+function parseMappedCsv(text, mapping = {}) {
+    if (!Number.isInteger(mapping.url)) {
+        throw new Error('Choose the column that holds the URL');
+    }
+
+    const [, ...rows] = csvImport.parseCsv(text);
+    const records = rows.map(({ values, line }) => {
+        const fields = {};
+        CSV_IMPORT_FIELDS.forEach(field => {
+            const index = mapping[field.id];
+            fields[field.id] = Number.isInteger(index) ? (values[index] || '').trim() : '';
+        });
+        return { fields, line };
+    });
+
+    return csvImport.mapImportRows(records, fields => ({
+        url: fields.url,
+        title: fields.title,
+        tags: fields.tags.split(/[,;]/).map(tag => tag.trim()).filter(Boolean),
+        // Only the first collection path is used, e.g. "Work/Reports" from "Work/Reports; Later"
+        folders: fields.collection.split(';')[0].split('/').map(name => name.trim()).filter(Boolean),
+        savedAt: csvImport.parseImportTimestamp(fields.date),
+        description: fields.summary,
+        isFavorite: isTrueCsvValue(fields.favorite),
+        isRead: isTrueCsvValue(fields.read)
+    }));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAGE_CSV_COLUMNS,
+        CSV_IMPORT_FIELDS,
+        formatCsvField,
+        buildPagesCsv,
+        guessCsvMapping,
+        parseMappedCsv
+    };
+} else if (typeof window !== 'undefined') {
+    window.PAGE_CSV_COLUMNS = PAGE_CSV_COLUMNS;
+    window.CSV_IMPORT_FIELDS = CSV_IMPORT_FIELDS;
+    window.buildPagesCsv = buildPagesCsv;
+    window.guessCsvMapping = guessCsvMapping;
+    window.parseMappedCsv = parseMappedCsv;
+}
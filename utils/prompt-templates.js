@@ -0,0 +1,161 @@
+// Prompt templates for PagePouch Chrome extension
+// 프롬프트 템플릿 - 사용자가 편집하는 요약 프롬프트와 사이트/컬렉션별 기본 템플릿
+
+// Variables a prompt template can use
+const PROMPT_TEMPLATE_VARIABLES = ['content', 'title', 'url', 'language', 'maxLength'];
+
+const MAX_PROMPT_TEMPLATES = 20;
+const MAX_PROMPT_TEMPLATE_NAME_LENGTH = 60;
+const MAX_PROMPT_TEMPLATE_LENGTH = 4000;
+
+// How {{language}} reads inside a prompt
+const PROMPT_LANGUAGE_NAMES = {
+    ko: 'Korean',
+    en: 'English',
+    auto: 'the main language of the text'
+};
+
+// Starting point for a new template; it matches the built-in prompt in English
+const PROMPT_TEMPLATE_EXAMPLE = `Summarize the following web page in {{language}}, in at most {{maxLength}} characters.
+
+Title: {{title}}
+URL: {{url}}
+
+{{content}}`;
+
+/**
+ * Variable names used in a template, in order of first use
+ * 템플릿에 사용된 변수 이름 (처음 나온 순서)
+ */
+function findTemplateVariables(text) {
+    const names = [];
+    String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+        return match;
+    });
+    return names;
+}
+
+/**
+ * Check a template's name and text, reporting variables that would not be filled
+ * 템플릿 이름과 본문 검사 (채워지지 않을 변수 보고)
+ * @param {Object} template - { name, text }
+ * @returns {{isValid: boolean, errors: Array<string>, unknownVariables: Array<string>}}
+ */
+function validatePromptTemplate(template) {
+    const errors = [];
+    const name = typeof template?.name === 'string' ? template.name.trim() : '';
+    const text = typeof template?.text === 'string' ? template.text : '';
+
+    if (!name) {
+        errors.push('Template name is required');
+    } else if (name.length > MAX_PROMPT_TEMPLATE_NAME_LENGTH) {
+        errors.push(`Template name must be at most ${MAX_PROMPT_TEMPLATE_NAME_LENGTH} characters`);
+    }
+
+    if (!text.trim()) {
+        errors.push('Template text is required');
+    } else if (text.length > MAX_PROMPT_TEMPLATE_LENGTH) {
+        errors.push(`Template text must be at most ${MAX_PROMPT_TEMPLATE_LENGTH} characters`);
+    }
+
+    const variables = findTemplateVariables(text);
+    const unknownVariables = variables.filter(variable => !PROMPT_TEMPLATE_VARIABLES.includes(variable));
+    if (unknownVariables.length > 0) {
+        errors.push(`Unknown variables: ${unknownVariables.map(variable => `{{${variable}}}`).join(', ')}`);
+    }
+    if (text.trim() && !variables.includes('content')) {
+        errors.push('Template must include {{content}}');
+    }
+
+    return { isValid: errors.length === 0, errors, unknownVariables };
+}
+
+/**
+ * Fill a template's variables; unknown ones are left as written
+ * 템플릿 변수 채우기 (알 수 없는 변수는 그대로 유지)
+ */
+function renderPromptTemplate(text, values) {
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        PROMPT_TEMPLATE_VARIABLES.includes(name) && values[name] !== undefined ? String(values[name]) : match
+    );
+}
+
+/**
+ * Variable values for summarizing content with a summary config
+ * 요약 구성으로 콘텐츠를 요약할 때의 변수 값
+ */
+function promptTemplateValues(content, config = {}) {
+    return {
+        content: content,
+        title: config.title || '',
+        url: config.url || '',
+        language: PROMPT_LANGUAGE_NAMES[config.language] || PROMPT_LANGUAGE_NAMES.auto,
+        maxLength: config.maxLength || ''
+    };
+}
+
+/**
+ * Whether a hostname is a domain or one of its subdomains
+ * 호스트 이름이 도메인 또는 그 하위 도메인인지 여부
+ */
+function matchesPromptDomain(hostname, domain) {
+    const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+    const target = String(domain || '').toLowerCase().trim().replace(/^www\./, '');
+    return !!target && (host === target || host.endsWith(`.${target}`));
+}
+
+/**
+ * Pick the template for a page: a site rule, then a collection rule, then the default
+ * 페이지의 템플릿 선택 (사이트 규칙, 컬렉션 규칙, 기본값 순)
+ *
+ * A rule or default that names no template, or one that was deleted, means
+ * the built-in prompt.
+ * @param {Object} settings - { promptTemplates, promptTemplateRules, defaultPromptTemplateId }
+ * @param {Object} page - { url, collectionIds }
+ * @returns {Object|null} The template, or null for the built-in prompt
+ */
+function resolvePromptTemplate(settings = {}, page = {}) {
+    const templates = Array.isArray(settings.promptTemplates) ? settings.promptTemplates : [];
+    const rules = Array.isArray(settings.promptTemplateRules) ? settings.promptTemplateRules : [];
+    const collectionIds = page.collectionIds || [];
+
+    let hostname = '';
+    try {
+        hostname = page.url ? new URL(page.url).hostname : '';
+    } catch (error) {
+        hostname = '';
+    }
+
+    const rule = rules.find(item => item.type === 'domain' && matchesPromptDomain(hostname, item.value)) ||
+        rules.find(item => item.type === 'collection' && collectionIds.includes(item.value));
+    const templateId = rule ? rule.templateId : settings.defaultPromptTemplateId;
+
+    return templates.find(template => template.id === templateId) || null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROMPT_TEMPLATE_VARIABLES,
+        PROMPT_TEMPLATE_EXAMPLE,
+        MAX_PROMPT_TEMPLATES,
+        MAX_PROMPT_TEMPLATE_NAME_LENGTH,
+        MAX_PROMPT_TEMPLATE_LENGTH,
+        findTemplateVariables,
+        validatePromptTemplate,
+        renderPromptTemplate,
+        promptTemplateValues,
+        matchesPromptDomain,
+        resolvePromptTemplate
+    };
+} else if (typeof window !== 'undefined') {
+    window.PROMPT_TEMPLATE_VARIABLES = PROMPT_TEMPLATE_VARIABLES;
+    window.PROMPT_TEMPLATE_EXAMPLE = PROMPT_TEMPLATE_EXAMPLE;
+    window.MAX_PROMPT_TEMPLATES = MAX_PROMPT_TEMPLATES;
+    window.validatePromptTemplate = validatePromptTemplate;
+    window.renderPromptTemplate = renderPromptTemplate;
+    window.resolvePromptTemplate = resolvePromptTemplate;
+}
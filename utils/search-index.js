@@ -0,0 +1,529 @@
+// Full-text search index for PagePouch Chrome extension
+// 전문 검색 인덱스 - 저장된 페이지 본문에 대한 역색인
+
+// Scripts whose characters are not separated by spaces; indexed as overlapping bigrams
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_SPLIT_PATTERN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)/u;
+
+// Common English words that only add noise to rankings
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+    'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+/**
+ * Inverted index over page titles, tags, summaries and extracted content
+ * 페이지 제목, 태그, 요약, 추출된 본문에 대한 역색인
+ *
+ * Postings are stored per term in IndexedDB so saving or deleting a page only
+ * touches the terms that page contains. Extracted text is kept separately so
+ * the page can be re-indexed when its title, tags or summary change.
+ */
+class SearchIndex {
+    constructor() {
+        this.DB_NAME = 'PagePouchSearch';
+        this.DB_VERSION = 1;
+        this.CONTENT_STORE = 'contents';
+        this.DOCUMENT_STORE = 'documents';
+        this.POSTING_STORE = 'postings';
+        this.META_STORE = 'meta';
+
+        // How much each field counts towards term frequency
+        this.FIELD_WEIGHTS = {
+            title: 3,
+            tags: 2,
+            summary: 1.5,
+            domain: 1,
+            content: 1
+        };
+
+        // BM25 parameters and penalty for terms matched only by prefix
+        this.BM25_K1 = 1.2;
+        this.BM25_B = 0.75;
+        this.PREFIX_MATCH_WEIGHT = 0.7;
+
+        this.MAX_CONTENT_LENGTH = 50000;
+        this.SNIPPET_LENGTH = 160;
+
+        this.dbPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Open (and create if needed) the search database
+     * 검색 데이터베이스 열기 (필요 시 생성)
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [
+                    [this.CONTENT_STORE, 'pageId'],
+                    [this.DOCUMENT_STORE, 'pageId'],
+                    [this.POSTING_STORE, 'term'],
+                    [this.META_STORE, 'key']
+                ].forEach(([name, keyPath]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run work against all stores in one transaction
+     * 하나의 트랜잭션에서 모든 저장소에 대한 작업 실행
+     *
+     * `work` receives `{ contents, documents, postings, meta }` and may return a
+     * function that builds the result once the transaction has completed.
+     */
+    async runTransaction(mode, work) {
+        const db = await this.open();
+        const storeNames = [this.CONTENT_STORE, this.DOCUMENT_STORE, this.POSTING_STORE, this.META_STORE];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const collect = work({
+                contents: transaction.objectStore(this.CONTENT_STORE),
+                documents: transaction.objectStore(this.DOCUMENT_STORE),
+                postings: transaction.objectStore(this.POSTING_STORE),
+                meta: transaction.objectStore(this.META_STORE)
+            });
+
+            transaction.oncomplete = () => resolve(typeof collect === 'function' ? collect() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Search index transaction aborted'));
+        });
+    }
+
+    /**
+     * Run index writes one at a time so postings updates don't overwrite each other
+     * 색인 쓰기를 하나씩 실행하여 포스팅 갱신이 서로 덮어쓰지 않도록 함
+     */
+    enqueue(task) {
+        const run = this.writeQueue.then(task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Split text into index terms; CJK runs become overlapping bigrams
+     * 텍스트를 색인 용어로 분리 (CJK 구간은 겹치는 바이그램으로 변환)
+     */
+    tokenize(text) {
+        const tokens = [];
+        const runs = String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        runs.forEach(run => {
+            run.split(CJK_SPLIT_PATTERN).forEach(segment => {
+                if (!segment) return;
+
+                if (CJK_PATTERN.test(segment)) {
+                    // "한국어를" -> 한국, 국어, 어를 so "한국어" still matches without a dictionary
+                    const chars = Array.from(segment);
+                    if (chars.length === 1) {
+                        tokens.push(segment);
+                    }
+                    for (let i = 0; i < chars.length - 1; i++) {
+                        tokens.push(chars[i] + chars[i + 1]);
+                    }
+                } else if ((segment.length > 1 || /\d/.test(segment)) && !SEARCH_STOP_WORDS.has(segment)) {
+                    tokens.push(segment.substring(0, 40));
+                }
+            });
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Build weighted term frequencies and length for a page
+     * 페이지의 가중 용어 빈도와 길이 계산
+     */
+    buildDocument(page, contentText = '') {
+        const fields = {
+            title: page.title,
+            tags: (page.tags || []).join(' '),
+            summary: page.summary,
+            domain: page.domain,
+            content: contentText
+        };
+
+        const terms = {};
+        let length = 0;
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const weight = this.FIELD_WEIGHTS[field];
+            this.tokenize(value).forEach(token => {
+                terms[token] = (terms[token] || 0) + weight;
+                length += weight;
+            });
+        });
+
+        return { pageId: page.id, length, terms };
+    }
+
+    /**
+     * Store the text extracted from a page for indexing and snippets
+     * 색인과 스니펫을 위해 페이지에서 추출한 텍스트 저장
+     */
+    async setContent(pageId, content) {
+        const record = {
+            pageId: pageId,
+            text: String(content?.text || '').substring(0, this.MAX_CONTENT_LENGTH),
+            language: content?.language || null,
+            extractedAt: Date.now()
+        };
+
+        await this.runTransaction('readwrite', stores => {
+            stores.contents.put(record);
+        });
+
+        return record;
+    }
+
+    /**
+     * Get the stored text of a page
+     * 페이지의 저장된 텍스트 가져오기
+     */
+    async getContent(pageId) {
+        const record = await this.runTransaction('readonly', stores => {
+            const request = stores.contents.get(pageId);
+            return () => request.result;
+        });
+        return record || null;
+    }
+
+    /**
+     * Add or refresh a page in the index, touching only the terms that changed
+     * 페이지를 색인에 추가하거나 갱신 (변경된 용어만 처리)
+     */
+    indexPage(page) {
+        return this.enqueue(async () => {
+            const { content, previous } = await this.runTransaction('readonly', stores => {
+                const contentRequest = stores.contents.get(page.id);
+                const documentRequest = stores.documents.get(page.id);
+                return () => ({ content: contentRequest.result, previous: documentRequest.result });
+            });
+
+            const document = this.buildDocument(page, content?.text);
+            await this.writeDocument(page.id, previous, document);
+            return document;
+        });
+    }
+
+    /**
+     * Remove a page from the index; stored text is kept unless asked otherwise
+     * 색인에서 페이지 제거 (요청하지 않으면 저장된 텍스트는 유지)
+     */
+    removePage(pageId, options = {}) {
+        return this.enqueue(async () => {
+            const previous = await this.runTransaction('readonly', stores => {
+                const request = stores.documents.get(pageId);
+                return () => request.result;
+            });
+
+            await this.writeDocument(pageId, previous, null);
+
+            if (!options.keepContent) {
+                await this.runTransaction('readwrite', stores => {
+                    stores.contents.delete(pageId);
+                });
+            }
+        });
+    }
+
+    /**
+     * Replace a document's postings and update collection statistics
+     * 문서의 포스팅을 교체하고 컬렉션 통계 갱신
+     */
+    async writeDocument(pageId, previous, document) {
+        const previousTerms = previous?.terms || {};
+        const nextTerms = document?.terms || {};
+        const affectedTerms = [...new Set([...Object.keys(previousTerms), ...Object.keys(nextTerms)])];
+
+        if (!previous && !document) {
+            return;
+        }
+
+        const { postings, stats } = await this.runTransaction('readonly', stores => {
+            const requests = affectedTerms.map(term => stores.postings.get(term));
+            const statsRequest = stores.meta.get('stats');
+            return () => ({
+                postings: requests.map((request, i) => request.result || { term: affectedTerms[i], pages: {} }),
+                stats: statsRequest.result || { key: 'stats', docCount: 0, totalLength: 0 }
+            });
+        });
+
+        postings.forEach(posting => {
+            delete posting.pages[pageId];
+            if (nextTerms[posting.term]) {
+                posting.pages[pageId] = nextTerms[posting.term];
+            }
+        });
+
+        stats.docCount += (document ? 1 : 0) - (previous ? 1 : 0);
+        stats.totalLength += (document?.length || 0) - (previous?.length || 0);
+
+        await this.runTransaction('readwrite', stores => {
+            postings.forEach(posting => {
+                if (Object.keys(posting.pages).length > 0) {
+                    stores.postings.put(posting);
+                } else {
+                    stores.postings.delete(posting.term);
+                }
+            });
+
+            if (document) {
+                stores.documents.put(document);
+            } else {
+                stores.documents.delete(pageId);
+            }
+            stores.meta.put(stats);
+        });
+    }
+
+    /**
+     * Rebuild the whole index from a list of pages and their stored text
+     * 페이지 목록과 저장된 텍스트로 전체 색인 재구축
+     */
+    rebuild(pages) {
+        return this.enqueue(async () => {
+            const contents = await this.runTransaction('readonly', stores => {
+                const request = stores.contents.getAll();
+                return () => request.result || [];
+            });
+            const textById = new Map(contents.map(content => [content.pageId, content.text]));
+
+            const documents = pages.map(page => this.buildDocument(page, textById.get(page.id)));
+            const postings = new Map();
+            documents.forEach(document => {
+                Object.entries(document.terms).forEach(([term, frequency]) => {
+                    if (!postings.has(term)) {
+                        postings.set(term, { term, pages: {} });
+                    }
+                    postings.get(term).pages[document.pageId] = frequency;
+                });
+            });
+
+            await this.runTransaction('readwrite', stores => {
+                stores.documents.clear();
+                stores.postings.clear();
+                documents.forEach(document => stores.documents.put(document));
+                postings.forEach(posting => stores.postings.put(posting));
+                stores.meta.put({
+                    key: 'stats',
+                    docCount: documents.length,
+                    totalLength: documents.reduce((total, document) => total + document.length, 0)
+                });
+            });
+
+            return documents.length;
+        });
+    }
+
+    /**
+     * Score a term occurrence with BM25
+     * BM25로 용어 출현 점수 계산
+     */
+    scoreTerm(frequency, documentFrequency, documentLength, stats) {
+        const docCount = Math.max(stats.docCount, 1);
+        const averageLength = stats.totalLength / docCount || 1;
+        const idf = Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalization = this.BM25_K1 * (1 - this.BM25_B + this.BM25_B * documentLength / averageLength);
+
+        return idf * (frequency * (this.BM25_K1 + 1)) / (frequency + normalization);
+    }
+
+    /**
+     * Search the index; every query term must match, by whole term or prefix
+     * 색인 검색 (모든 쿼리 용어가 전체 또는 접두사로 일치해야 함)
+     *
+     * Resolves null when the query has no indexable terms (only stop words or
+     * single letters), so callers can fall back to a plain substring match.
+     */
+    async search(query, options = {}) {
+        const { limit = 200, snippets = 50 } = options;
+        const queryTerms = [...new Set(this.tokenize(query))];
+
+        if (queryTerms.length === 0) {
+            return null;
+        }
+
+        const { matches, stats } = await this.runTransaction('readonly', stores => {
+            const requests = queryTerms.map(term =>
+                stores.postings.getAll(IDBKeyRange.bound(term, term + '\uffff'))
+            );
+            const statsRequest = stores.meta.get('stats');
+            return () => ({
+                matches: requests.map(request => request.result || []),
+                stats: statsRequest.result || { docCount: 0, totalLength: 0 }
+            });
+        });
+
+        // Candidates must match every query term
+        let candidateIds = null;
+        matches.forEach(postings => {
+            const ids = new Set(postings.flatMap(posting => Object.keys(posting.pages)));
+            candidateIds = candidateIds ? new Set([...candidateIds].filter(id => ids.has(id))) : ids;
+        });
+
+        if (!candidateIds || candidateIds.size === 0) {
+            return [];
+        }
+
+        const documents = await this.runTransaction('readonly', stores => {
+            const requests = [...candidateIds].map(id => stores.documents.get(id));
+            return () => requests.map(request => request.result).filter(Boolean);
+        });
+
+        const results = documents.map(document => {
+            let score = 0;
+
+            matches.forEach((postings, i) => {
+                // Use the best matching expansion of each query term
+                let best = 0;
+                postings.forEach(posting => {
+                    const frequency = posting.pages[document.pageId];
+                    if (!frequency) return;
+
+                    const weight = posting.term === queryTerms[i] ? 1 : this.PREFIX_MATCH_WEIGHT;
+                    const documentFrequency = Object.keys(posting.pages).length;
+                    best = Math.max(best, weight * this.scoreTerm(frequency, documentFrequency, document.length, stats));
+                });
+                score += best;
+            });
+
+            return { pageId: document.pageId, score, snippet: '' };
+        }).sort((a, b) => b.score - a.score).slice(0, limit);
+
+        // Only the top results get a snippet from their stored text
+        const snippetResults = results.slice(0, snippets);
+        const contents = await this.runTransaction('readonly', stores => {
+            const requests = snippetResults.map(result => stores.contents.get(result.pageId));
+            return () => requests.map(request => request.result);
+        });
+
+        snippetResults.forEach((result, i) => {
+            result.snippet = this.buildSnippet(contents[i]?.text, query);
+        });
+
+        return results;
+    }
+
+    /**
+     * Cut the passage that contains the most query terms out of a text
+     * 쿼리 용어가 가장 많이 포함된 구간을 텍스트에서 잘라내기
+     */
+    buildSnippet(text, query) {
+        if (!text) return '';
+
+        const lowerText = text.toLowerCase();
+        const needles = [...new Set(String(query || '').toLowerCase().split(/\s+/)
+            .map(word => word.replace(/^[-#"]+|"+$/g, ''))
+            .filter(word => word.length > 0))];
+
+        // Positions of up to 20 occurrences per query word
+        const occurrences = [];
+        needles.forEach((needle, needleIndex) => {
+            let position = lowerText.indexOf(needle);
+            let found = 0;
+            while (position !== -1 && found < 20) {
+                occurrences.push({ position, needleIndex });
+                position = lowerText.indexOf(needle, position + needle.length);
+                found++;
+            }
+        });
+
+        if (occurrences.length === 0) {
+            return '';
+        }
+
+        // Pick the window covering the most distinct query words
+        const lead = 30;
+        let bestStart = 0;
+        let bestCount = -1;
+        occurrences.forEach(({ position }) => {
+            const start = Math.max(0, position - lead);
+            const covered = new Set(occurrences
+                .filter(o => o.position >= start && o.position < start + this.SNIPPET_LENGTH)
+                .map(o => o.needleIndex));
+            if (covered.size > bestCount) {
+                bestCount = covered.size;
+                bestStart = start;
+            }
+        });
+
+        const end = Math.min(text.length, bestStart + this.SNIPPET_LENGTH);
+        const passage = text.substring(bestStart, end).replace(/\s+/g, ' ').trim();
+
+        return `${bestStart > 0 ? '…' : ''}${passage}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Get the number of indexed pages
+     * 색인된 페이지 수 가져오기
+     */
+    async getDocumentCount() {
+        const stats = await this.runTransaction('readonly', stores => {
+            const request = stores.meta.get('stats');
+            return () => request.result;
+        });
+        return stats?.docCount || 0;
+    }
+
+    /**
+     * Drop indexed entries and stored text for pages that no longer exist
+     * 더 이상 존재하지 않는 페이지의 색인 항목과 저장된 텍스트 삭제
+     */
+    async removeOrphans(pageIds) {
+        const keep = new Set(pageIds);
+        const { documentIds, contentIds } = await this.runTransaction('readonly', stores => {
+            const documentRequest = stores.documents.getAllKeys();
+            const contentRequest = stores.contents.getAllKeys();
+            return () => ({ documentIds: documentRequest.result || [], contentIds: contentRequest.result || [] });
+        });
+
+        const orphans = [...new Set([...documentIds, ...contentIds])].filter(id => !keep.has(id));
+        for (const pageId of orphans) {
+            await this.removePage(pageId);
+        }
+
+        return orphans.length;
+    }
+
+    /**
+     * Delete the whole index and all stored text
+     * 전체 색인과 저장된 모든 텍스트 삭제
+     */
+    clear() {
+        return this.enqueue(() => this.runTransaction('readwrite', stores => {
+            stores.contents.clear();
+            stores.documents.clear();
+            stores.postings.clear();
+            stores.meta.clear();
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+} else if (typeof window !== 'undefined') {
+    window.SearchIndex = SearchIndex;
+}
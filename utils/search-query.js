@@ -0,0 +1,440 @@
+// Search query language for PagePouch Chrome extension
+// 검색 쿼리 언어 - 필드 연산자, OR, 괄호 그룹을 필터 모델로 변환
+
+/**
+ * Field operators understood by the parser
+ * 파서가 이해하는 필드 연산자
+ *
+ * `values` lists the only accepted values; operators without it take free text.
+ */
+const SEARCH_OPERATORS = {
+    tag: { description: 'Pages with this tag' },
+    domain: { description: 'Pages from this exact domain' },
+    site: { description: 'Pages from this site, including subdomains' },
+    before: { description: 'Saved before a date (2024-05-01, 7d, yesterday)' },
+    after: { description: 'Saved on or after a date (2024-05-01, 2w, today)' },
+    is: { description: 'Favorite or archived pages', values: ['favorite', 'archived'] },
+    has: { description: 'Pages with a summary', values: ['summary'] }
+};
+
+/**
+ * Parser that turns a search string into the filter model of StorageService.getPagesWithFilter
+ * 검색 문자열을 StorageService.getPagesWithFilter의 필터 모델로 변환하는 파서
+ *
+ * Grammar: terms are ANDed, `OR` (uppercase) joins alternatives, `-` negates a
+ * term or group and parentheses group. Errors are returned, not thrown, so the
+ * popup can show them next to the search box.
+ */
+class SearchQueryParser {
+    constructor() {
+        this.operators = SEARCH_OPERATORS;
+    }
+
+    /**
+     * Parse and compile a query
+     * 쿼리 파싱 및 컴파일
+     * @returns {{success: boolean, ast?: Object, filter?: Object, error?: {message: string, start: number, end: number}}}
+     */
+    parse(query) {
+        try {
+            this.tokens = this.tokenize(String(query || ''));
+            this.position = 0;
+
+            if (this.tokens.length === 0) {
+                return { success: true, ast: null, filter: {} };
+            }
+
+            const ast = this.parseOr();
+            if (this.position < this.tokens.length) {
+                const token = this.tokens[this.position];
+                throw this.syntaxError(token.type === 'rparen' ? 'Unmatched ")"' : 'Unexpected input', token);
+            }
+
+            return { success: true, ast, filter: this.compile(ast) };
+        } catch (error) {
+            if (!error.isSearchSyntaxError) throw error;
+            return {
+                success: false,
+                error: { message: error.message, start: error.start, end: error.end }
+            };
+        }
+    }
+
+    /**
+     * Build an error that points at part of the query
+     * 쿼리의 특정 위치를 가리키는 오류 생성
+     */
+    syntaxError(message, token) {
+        const error = new Error(message);
+        error.isSearchSyntaxError = true;
+        error.start = token ? token.start : 0;
+        error.end = token ? token.end : 0;
+        return error;
+    }
+
+    /**
+     * Split a query into tokens: parentheses, OR, negation and terms
+     * 쿼리를 토큰으로 분리: 괄호, OR, 부정, 용어
+     */
+    tokenize(query) {
+        const tokens = [];
+        let i = 0;
+
+        const readQuoted = (start) => {
+            const close = query.indexOf('"', start + 1);
+            if (close === -1) {
+                throw this.syntaxError('Missing closing quote', { start, end: query.length });
+            }
+            return { text: query.slice(start + 1, close), end: close + 1 };
+        };
+
+        while (i < query.length) {
+            const char = query[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 });
+                i++;
+            } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+                tokens.push({ type: 'not', start: i, end: i + 1 });
+                i++;
+            } else if (char === '"') {
+                const quoted = readQuoted(i);
+                tokens.push({ type: 'term', field: null, value: quoted.text, exact: true, start: i, end: quoted.end });
+                i = quoted.end;
+            } else {
+                const start = i;
+                while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+                const word = query.slice(start, i);
+
+                // Unknown prefixes such as "Note:" stay plain text
+                const operator = /^([a-z]+):/i.exec(word);
+                const isOperator = operator && this.operators[operator[1].toLowerCase()] &&
+                    !word.slice(operator[0].length).startsWith('//');
+                if (word === 'OR') {
+                    tokens.push({ type: 'or', start, end: i });
+                } else if (isOperator) {
+                    // tag:"machine learning" takes a quoted value
+                    let value = word.slice(operator[0].length);
+                    if (!value && query[i] === '"') {
+                        const quoted = readQuoted(i);
+                        value = quoted.text;
+                        i = quoted.end;
+                    }
+                    tokens.push(this.createFieldToken(operator[1].toLowerCase(), value, start, i));
+                } else if (word.startsWith('#') && word.length > 1) {
+                    // #tag is shorthand for tag:tag
+                    tokens.push(this.createFieldToken('tag', word.slice(1), start, i));
+                } else {
+                    tokens.push({ type: 'term', field: null, value: word, exact: false, start, end: i });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Validate an operator token and normalize its value
+     * 연산자 토큰 검증 및 값 정규화
+     */
+    createFieldToken(field, rawValue, start, end) {
+        const token = { type: 'term', field, value: rawValue.trim(), exact: false, start, end };
+        const operator = this.operators[field];
+
+        if (!token.value) {
+            throw this.syntaxError(`Missing value after "${field}:"`, token);
+        }
+
+        token.value = token.value.toLowerCase();
+        if (operator.values && !operator.values.includes(token.value)) {
+            throw this.syntaxError(`"${field}:" expects ${operator.values.join(' or ')}`, token);
+        }
+        if (field === 'before' || field === 'after') {
+            token.date = this.parseDateValue(token.value);
+            if (token.date === null) {
+                throw this.syntaxError(`Invalid date "${token.value}"`, token);
+            }
+        }
+        if (field === 'domain' || field === 'site') {
+            token.value = token.value.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+        }
+        if (field === 'tag') {
+            token.value = token.value.replace(/^#/, '');
+        }
+
+        return token;
+    }
+
+    /**
+     * Parse a date value to local midnight: YYYY-MM-DD, YYYY-MM, YYYY, today, yesterday or Nd/Nw/Nm/Ny ago
+     * 날짜 값을 자정 기준 타임스탬프로 변환
+     */
+    parseDateValue(value) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (value === 'today') return today.getTime();
+        if (value === 'yesterday') return today.setDate(today.getDate() - 1);
+
+        const relative = /^(\d+)([dwmy])$/.exec(value);
+        if (relative) {
+            const amount = parseInt(relative[1], 10);
+            const date = new Date(today);
+            switch (relative[2]) {
+                case 'd': date.setDate(date.getDate() - amount); break;
+                case 'w': date.setDate(date.getDate() - amount * 7); break;
+                case 'm': date.setMonth(date.getMonth() - amount); break;
+                case 'y': date.setFullYear(date.getFullYear() - amount); break;
+            }
+            return date.getTime();
+        }
+
+        const absolute = /^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?$/.exec(value);
+        if (absolute) {
+            const year = parseInt(absolute[1], 10);
+            const month = absolute[2] ? parseInt(absolute[2], 10) - 1 : 0;
+            const day = absolute[3] ? parseInt(absolute[3], 10) : 1;
+            const date = new Date(year, month, day);
+
+            // Reject rollovers such as 2024-02-31
+            if (date.getFullYear() === year && date.getMonth() === month && date.getDate() === day) {
+                return date.getTime();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * orExpr := andExpr ("OR" andExpr)*
+     */
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.peek()?.type === 'or') {
+            const orToken = this.tokens[this.position++];
+            if (!this.peek() || ['or', 'rparen'].includes(this.peek().type)) {
+                throw this.syntaxError('"OR" needs a term on both sides', orToken);
+            }
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * andExpr := unary+
+     */
+    parseAnd() {
+        const children = [];
+
+        while (this.peek() && !['or', 'rparen'].includes(this.peek().type)) {
+            children.push(this.parseUnary());
+        }
+
+        if (children.length === 0) {
+            const token = this.peek();
+            const message = !token ? 'Empty search' :
+                token.type === 'rparen' ? 'Unmatched ")"' : '"OR" needs a term on both sides';
+            throw this.syntaxError(message, token);
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * unary := "-" unary | "(" orExpr ")" | term
+     */
+    parseUnary() {
+        const token = this.tokens[this.position++];
+
+        if (token.type === 'not') {
+            if (!this.peek() || ['or', 'rparen'].includes(this.peek().type)) {
+                throw this.syntaxError('Nothing to exclude after "-"', token);
+            }
+            return { type: 'not', child: this.parseUnary() };
+        }
+
+        if (token.type === 'lparen') {
+            if (this.peek()?.type === 'rparen') {
+                throw this.syntaxError('Empty group "()"', { start: token.start, end: this.peek().end });
+            }
+            const group = this.parseOr();
+            if (this.peek()?.type !== 'rparen') {
+                throw this.syntaxError('Missing closing ")"', token);
+            }
+            this.position++;
+            return group;
+        }
+
+        const { type, field, value, exact, date } = token;
+        return { type, field, value, exact, date };
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    /**
+     * Compile an AST to the getPagesWithFilter filter model
+     * AST를 getPagesWithFilter 필터 모델로 컴파일
+     *
+     * Plain ANDed terms become the flat fields (query, tags, domains, dateFrom,
+     * dateTo, ...); anything that cannot be merged goes into allOf, OR groups into
+     * anyOf and negations into not.
+     */
+    compile(node) {
+        if (!node) return {};
+
+        switch (node.type) {
+            case 'and': {
+                const filter = {};
+                const allOf = [];
+                node.children.map(child => this.compile(child)).forEach(child => {
+                    const collides = Object.keys(child).some(key => key in filter);
+                    if (collides) {
+                        allOf.push(child);
+                    } else {
+                        Object.assign(filter, child);
+                    }
+                });
+                // A merged group may have brought its own allOf along
+                if (allOf.length > 0) filter.allOf = (filter.allOf || []).concat(allOf);
+                return filter;
+            }
+            case 'or':
+                return { anyOf: node.children.map(child => this.compile(child)) };
+            case 'not':
+                return { not: this.compile(node.child) };
+            default:
+                return this.compileTerm(node);
+        }
+    }
+
+    /**
+     * Compile a single term
+     * 단일 용어 컴파일
+     */
+    compileTerm(term) {
+        switch (term.field) {
+            case 'tag': return { tags: [term.value] };
+            case 'domain': return { domains: [term.value] };
+            case 'site': return { sites: [term.value] };
+            case 'before': return { dateTo: term.date - 1 };
+            case 'after': return { dateFrom: term.date };
+            case 'is': return term.value === 'favorite' ? { isFavorite: true } : { isArchived: true };
+            case 'has': return { hasSummary: true };
+            default: return { query: term.value };
+        }
+    }
+
+    /**
+     * List free-text terms in a query, marking those under a negation
+     * 쿼리의 자유 텍스트 용어 목록 (부정된 용어 표시)
+     */
+    getTextTerms(ast) {
+        const terms = [];
+        const visit = (node, negated) => {
+            if (!node) return;
+            if (node.type === 'and' || node.type === 'or') {
+                node.children.forEach(child => visit(child, negated));
+            } else if (node.type === 'not') {
+                visit(node.child, !negated);
+            } else if (!node.field) {
+                terms.push({ text: node.value, exact: node.exact, isNegated: negated });
+            }
+        };
+        visit(ast, false);
+        return terms;
+    }
+}
+
+/**
+ * Check a page against a filter model
+ * 필터 모델에 대해 페이지 검사
+ *
+ * `options.matchText(page, text)` may answer free-text terms (e.g. from the
+ * full-text index); returning null falls back to a substring match.
+ */
+function matchesFilter(page, filter, options = {}) {
+    if (!filter) return true;
+
+    if (filter.query) {
+        const indexed = options.matchText ? options.matchText(page, filter.query) : null;
+        if (indexed === false) return false;
+        if (indexed === null || indexed === undefined) {
+            const searchableText = [
+                page.title,
+                page.summary,
+                page.url,
+                page.domain,
+                page.description,
+                ...(page.tags || [])
+            ].join(' ').toLowerCase();
+
+            if (!searchableText.includes(filter.query.toLowerCase())) return false;
+        }
+    }
+
+    if (filter.tags && filter.tags.length > 0) {
+        if (!page.tags || !filter.tags.some(tag => page.tags.includes(tag.toLowerCase()))) return false;
+    }
+
+    const savedAt = page.savedAt || page.timestamp;
+    if (filter.dateFrom && !(savedAt >= filter.dateFrom)) return false;
+    if (filter.dateTo && !(savedAt <= filter.dateTo)) return false;
+
+    const domain = String(page.domain || '').toLowerCase().replace(/^www\./, '');
+    if (filter.domains && filter.domains.length > 0 && !filter.domains.some(d => d.toLowerCase().replace(/^www\./, '') === domain)) {
+        return false;
+    }
+    if (filter.sites && filter.sites.length > 0 && !filter.sites.some(site => domain === site || domain.endsWith(`.${site}`))) {
+        return false;
+    }
+
+    if (filter.isFavorite && !page.isFavorite) return false;
+    if (filter.isArchived && !page.isArchived) return false;
+    if (filter.hasSummary && !(page.summary && page.summary.trim())) return false;
+
+    if (filter.allOf && !filter.allOf.every(child => matchesFilter(page, child, options))) return false;
+    if (filter.anyOf && !filter.anyOf.some(child => matchesFilter(page, child, options))) return false;
+    if (filter.not && matchesFilter(page, filter.not, options)) return false;
+
+    return true;
+}
+
+/**
+ * Copy of a filter without its free-text terms, keeping negated ones
+ * 자유 텍스트 용어를 뺀 필터 사본 (부정된 용어는 유지)
+ *
+ * Semantic search matches the free text by meaning, so only field operators
+ * and exclusions are left for the filter to check.
+ */
+function withoutTextQueries(filter) {
+    if (!filter) return filter;
+
+    const { query, allOf, anyOf, ...rest } = filter;
+    const result = { ...rest };
+    if (allOf) result.allOf = allOf.map(withoutTextQueries);
+    if (anyOf) result.anyOf = anyOf.map(withoutTextQueries);
+    return result;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_OPERATORS,
+        SearchQueryParser,
+        matchesFilter,
+        withoutTextQueries
+    };
+} else if (typeof window !== 'undefined') {
+    Object.assign(window, {
+        SEARCH_OPERATORS,
+        SearchQueryParser,
+        matchesFilter,
+        withoutTextQueries
+    });
+}
@@ -0,0 +1,184 @@
+// Secret storage for PagePouch Chrome extension
+// 비밀 저장소 - API 키를 암호화해 IndexedDB에 보관
+
+/**
+ * Masked form of a secret that is safe to show, e.g. "sk-…9f3a"
+ * 표시해도 안전한 비밀 값의 마스킹 형태 (예: "sk-…9f3a")
+ */
+function maskSecret(value) {
+    if (!value) {
+        return '';
+    }
+    if (value.length <= 8) {
+        return '•'.repeat(value.length);
+    }
+    return `${value.slice(0, 3)}…${value.slice(-4)}`;
+}
+
+/**
+ * Encrypted store for API keys, used only by the service worker
+ * 서비스 워커만 사용하는 API 키 암호화 저장소
+ *
+ * Values are encrypted with AES-GCM under a non-extractable key generated on
+ * first use. The key and the ciphertexts share one IndexedDB database, so
+ * clearing chrome.storage (import, reset) leaves saved keys in place.
+ *
+ * The key is not private to the service worker. Every extension page shares
+ * this database's origin and could decrypt with the stored key. Keys stay
+ * out of the popup and options because no page loads this file and the
+ * worker only answers with the masked form. The encryption keeps keys out of
+ * chrome.storage, settings responses and plain exports; it is no barrier to
+ * code running in the extension.
+ */
+class SecretStore {
+    constructor() {
+        this.DB_NAME = 'PagePouchSecrets';
+        this.DB_VERSION = 1;
+        this.KEY_STORE = 'keys';
+        this.SECRET_STORE = 'secrets';
+        this.MASTER_KEY_ID = 'master';
+
+        this.dbPromise = null;
+        this.keyPromise = null;
+    }
+
+    /**
+     * Open (and create if needed) the secrets database
+     * 비밀 데이터베이스 열기 (필요 시 생성)
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.KEY_STORE)) {
+                    db.createObjectStore(this.KEY_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.SECRET_STORE)) {
+                    db.createObjectStore(this.SECRET_STORE, { keyPath: 'name' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction on one object store
+     * 하나의 객체 저장소에서 트랜잭션 안에 단일 요청 실행
+     */
+    async runRequest(storeName, mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Secret transaction aborted'));
+        });
+    }
+
+    /**
+     * Get the encryption key, generating it on first use
+     * 암호화 키 가져오기 (최초 사용 시 생성)
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = (async () => {
+                const record = await this.runRequest(this.KEY_STORE, 'readonly', store => store.get(this.MASTER_KEY_ID));
+                if (record) {
+                    return record.key;
+                }
+
+                const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                await this.runRequest(this.KEY_STORE, 'readwrite', store => store.put({ id: this.MASTER_KEY_ID, key }));
+                return key;
+            })().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    /**
+     * Encrypt and store a secret; an empty value deletes it
+     * 비밀 값을 암호화해 저장 (빈 값이면 삭제)
+     * @returns {Promise<{configured: boolean, masked: string}>}
+     */
+    async setSecret(name, value) {
+        const trimmed = typeof value === 'string' ? value.trim() : '';
+        if (!trimmed) {
+            await this.deleteSecret(name);
+            return { configured: false, masked: '' };
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getKey(), new TextEncoder().encode(trimmed));
+        const record = {
+            name,
+            iv,
+            data: new Uint8Array(data),
+            masked: maskSecret(trimmed),
+            updatedAt: Date.now()
+        };
+
+        await this.runRequest(this.SECRET_STORE, 'readwrite', store => store.put(record));
+        return { configured: true, masked: record.masked };
+    }
+
+    /**
+     * Decrypt a stored secret
+     * 저장된 비밀 값 복호화
+     * @returns {Promise<string>} The secret, or '' when none is stored
+     */
+    async getSecret(name) {
+        const record = await this.runRequest(this.SECRET_STORE, 'readonly', store => store.get(name));
+        if (!record) {
+            return '';
+        }
+
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, await this.getKey(), record.data);
+        return new TextDecoder().decode(plaintext);
+    }
+
+    /**
+     * Describe a secret without decrypting it
+     * 복호화하지 않고 비밀 값 상태 설명
+     * @returns {Promise<{configured: boolean, masked: string}>}
+     */
+    async describeSecret(name) {
+        const record = await this.runRequest(this.SECRET_STORE, 'readonly', store => store.get(name));
+        return { configured: !!record, masked: record ? record.masked : '' };
+    }
+
+    async deleteSecret(name) {
+        await this.runRequest(this.SECRET_STORE, 'readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Delete every stored secret; the encryption key is kept
+     * 저장된 모든 비밀 값 삭제 (암호화 키는 유지)
+     */
+    async clear() {
+        await this.runRequest(this.SECRET_STORE, 'readwrite', store => store.clear());
+    }
+}
+
+// Export for tests; only the service worker loads this file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SecretStore, maskSecret };
+}
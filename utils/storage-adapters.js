@@ -0,0 +1,452 @@
+// Page storage adapters for PagePouch Chrome extension
+// 페이지 저장소 어댑터 - chrome.storage 배열과 IndexedDB 백엔드 추상화
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const storageHelpers = typeof blobToDataUrl === 'function' ?
+    { blobToDataUrl, dataUrlToBlob, canonicalizeUrl } :
+    require('./helpers.js');
+
+/**
+ * Base interface every page storage backend implements
+ * 모든 페이지 저장소 백엔드가 구현하는 기본 인터페이스
+ *
+ * Pages are plain objects keyed by `id`. Reads leave thumbnails out unless
+ * `includeThumbnails` is set, since most callers never render them.
+ */
+class StorageAdapter {
+    getBackendName() {
+        throw new Error('Not implemented');
+    }
+
+    async getAllPages(options = {}) {
+        throw new Error('Not implemented');
+    }
+
+    async getPage(pageId, options = {}) {
+        throw new Error('Not implemented');
+    }
+
+    async getPagesByIndex(indexName, value) {
+        throw new Error('Not implemented');
+    }
+
+    async putPage(page) {
+        throw new Error('Not implemented');
+    }
+
+    async putPages(pages) {
+        throw new Error('Not implemented');
+    }
+
+    async replaceAll(pages) {
+        throw new Error('Not implemented');
+    }
+
+    async deletePage(pageId) {
+        throw new Error('Not implemented');
+    }
+
+    async clear() {
+        throw new Error('Not implemented');
+    }
+
+    async count() {
+        throw new Error('Not implemented');
+    }
+
+    async getUsage() {
+        throw new Error('Not implemented');
+    }
+}
+
+/**
+ * Sort pages newest first, whichever timestamp field they carry
+ * 타임스탬프 필드와 관계없이 페이지를 최신순으로 정렬
+ */
+function sortPagesBySavedAt(pages) {
+    return pages.sort((a, b) => (b.savedAt || b.timestamp || 0) - (a.savedAt || a.timestamp || 0));
+}
+
+/**
+ * Legacy backend: the whole `pages` array in chrome.storage.local
+ * 레거시 백엔드: chrome.storage.local의 전체 `pages` 배열
+ */
+class ChromeStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.PAGES_KEY = 'pages';
+    }
+
+    getBackendName() {
+        return 'chrome-storage';
+    }
+
+    async readPages() {
+        const result = await chrome.storage.local.get([this.PAGES_KEY]);
+        return Array.isArray(result[this.PAGES_KEY]) ? result[this.PAGES_KEY] : [];
+    }
+
+    async writePages(pages) {
+        await chrome.storage.local.set({ [this.PAGES_KEY]: pages });
+    }
+
+    async getAllPages(options = {}) {
+        const pages = await this.readPages();
+        return options.includeThumbnails ? pages : pages.map(page => ({ ...page, thumbnail: '' }));
+    }
+
+    async getPage(pageId, options = {}) {
+        const page = (await this.readPages()).find(p => p.id === pageId);
+        if (!page) return null;
+        return options.includeThumbnails ? page : { ...page, thumbnail: '' };
+    }
+
+    async getPagesByIndex(indexName, value) {
+        const pages = await this.getAllPages();
+        return pages.filter(page => {
+            const field = page[indexName];
+            return Array.isArray(field) ? field.includes(value) : field === value;
+        });
+    }
+
+    async putPage(page) {
+        await this.putPages([page]);
+        return page;
+    }
+
+    async putPages(newPages) {
+        const pages = await this.readPages();
+
+        newPages.forEach(page => {
+            const index = pages.findIndex(p => p.id === page.id);
+            if (index === -1) {
+                pages.unshift(page);
+            } else {
+                // A page without a thumbnail keeps the one already stored
+                pages[index] = { ...page, thumbnail: page.thumbnail || pages[index].thumbnail || '' };
+            }
+        });
+
+        await this.writePages(pages);
+    }
+
+    async replaceAll(pages) {
+        await this.writePages(sortPagesBySavedAt([...pages]));
+    }
+
+    async deletePage(pageId) {
+        const pages = await this.readPages();
+        const index = pages.findIndex(p => p.id === pageId);
+        if (index === -1) return null;
+
+        const [deletedPage] = pages.splice(index, 1);
+        await this.writePages(pages);
+        return deletedPage;
+    }
+
+    async clear() {
+        await this.writePages([]);
+    }
+
+    async count() {
+        return (await this.readPages()).length;
+    }
+
+    async getUsage() {
+        const pages = await this.readPages();
+        return {
+            count: pages.length,
+            totalSize: new Blob([JSON.stringify(pages)]).size
+        };
+    }
+}
+
+/**
+ * IndexedDB backend: one record per page, thumbnails kept as blobs in their own store
+ * IndexedDB 백엔드: 페이지별 레코드, 썸네일은 별도 저장소에 Blob으로 보관
+ *
+ * Saving or deleting a page touches only that record instead of rewriting the
+ * whole array, and thumbnails no longer count against chrome.storage quota.
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.DB_NAME = 'PagePouch';
+        this.DB_VERSION = 2; // v2: collectionIds index
+        this.PAGE_STORE = 'pages';
+        this.THUMBNAIL_STORE = 'thumbnails';
+
+        this.dbPromise = null;
+    }
+
+    getBackendName() {
+        return 'indexeddb';
+    }
+
+    /**
+     * Open (and create if needed) the page database
+     * 페이지 데이터베이스 열기 (필요 시 생성)
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.PAGE_STORE)) {
+                    const store = db.createObjectStore(this.PAGE_STORE, { keyPath: 'id' });
+                    store.createIndex('domain', 'domain');
+                    store.createIndex('tags', 'tags', { multiEntry: true });
+                    store.createIndex('savedAt', 'savedAt');
+                    store.createIndex('canonicalUrl', 'canonicalUrl');
+                }
+                const pageStore = request.transaction.objectStore(this.PAGE_STORE);
+                if (!pageStore.indexNames.contains('collectionIds')) {
+                    pageStore.createIndex('collectionIds', 'collectionIds', { multiEntry: true });
+                }
+                if (!db.objectStoreNames.contains(this.THUMBNAIL_STORE)) {
+                    db.createObjectStore(this.THUMBNAIL_STORE, { keyPath: 'pageId' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run work against both stores in one transaction
+     * 하나의 트랜잭션에서 두 저장소에 대한 작업 실행
+     *
+     * `work` receives `{ pages, thumbnails }` and may return a function that
+     * builds the result once the transaction has completed.
+     */
+    async runTransaction(mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.PAGE_STORE, this.THUMBNAIL_STORE], mode);
+            const collect = work({
+                pages: transaction.objectStore(this.PAGE_STORE),
+                thumbnails: transaction.objectStore(this.THUMBNAIL_STORE)
+            });
+
+            transaction.oncomplete = () => resolve(typeof collect === 'function' ? collect() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Page transaction aborted'));
+        });
+    }
+
+    /**
+     * Split a data URL thumbnail out of a page into its own blob record
+     * 페이지의 데이터 URL 썸네일을 별도 Blob 레코드로 분리
+     */
+    splitThumbnail(page) {
+        const blob = typeof page.thumbnail === 'string' && page.thumbnail.startsWith('data:') ?
+            storageHelpers.dataUrlToBlob(page.thumbnail) : null;
+
+        if (!blob) {
+            return { record: { ...page }, thumbnail: null };
+        }
+
+        return {
+            record: { ...page, thumbnail: '' },
+            thumbnail: { pageId: page.id, blob: blob, size: blob.size }
+        };
+    }
+
+    /**
+     * Put the stored thumbnail back onto a page record as a data URL
+     * 저장된 썸네일을 데이터 URL로 페이지 레코드에 복원
+     */
+    async attachThumbnail(page, thumbnail) {
+        if (!thumbnail?.blob) return page;
+        return { ...page, thumbnail: await storageHelpers.blobToDataUrl(thumbnail.blob) };
+    }
+
+    async getAllPages(options = {}) {
+        const { pages, thumbnails } = await this.runTransaction('readonly', stores => {
+            const pageRequest = stores.pages.getAll();
+            const thumbnailRequest = options.includeThumbnails ? stores.thumbnails.getAll() : null;
+            return () => ({
+                pages: pageRequest.result || [],
+                thumbnails: thumbnailRequest ? thumbnailRequest.result || [] : []
+            });
+        });
+
+        let result = pages;
+        if (options.includeThumbnails && thumbnails.length > 0) {
+            const thumbnailsById = new Map(thumbnails.map(thumbnail => [thumbnail.pageId, thumbnail]));
+            result = await Promise.all(pages.map(page => this.attachThumbnail(page, thumbnailsById.get(page.id))));
+        }
+
+        return sortPagesBySavedAt(result);
+    }
+
+    async getPage(pageId, options = {}) {
+        const { page, thumbnail } = await this.runTransaction('readonly', stores => {
+            const pageRequest = stores.pages.get(pageId);
+            const thumbnailRequest = options.includeThumbnails ? stores.thumbnails.get(pageId) : null;
+            return () => ({
+                page: pageRequest.result,
+                thumbnail: thumbnailRequest ? thumbnailRequest.result : null
+            });
+        });
+
+        if (!page) return null;
+        return options.includeThumbnails ? await this.attachThumbnail(page, thumbnail) : page;
+    }
+
+    async getPagesByIndex(indexName, value) {
+        const pages = await this.runTransaction('readonly', stores => {
+            const request = stores.pages.index(indexName).getAll(value);
+            return () => request.result || [];
+        });
+
+        return sortPagesBySavedAt(pages);
+    }
+
+    async putPage(page) {
+        await this.putPages([page]);
+        return page;
+    }
+
+    async putPages(pages) {
+        // Blob conversion happens up front; a transaction closes if it waits on anything else
+        const entries = pages.map(page => this.splitThumbnail(page));
+
+        await this.runTransaction('readwrite', stores => {
+            entries.forEach(({ record, thumbnail }) => {
+                stores.pages.put(record);
+                if (thumbnail) {
+                    stores.thumbnails.put(thumbnail);
+                }
+            });
+        });
+    }
+
+    async replaceAll(pages) {
+        const entries = pages.map(page => this.splitThumbnail(page));
+
+        await this.runTransaction('readwrite', stores => {
+            stores.pages.clear();
+            stores.thumbnails.clear();
+            entries.forEach(({ record, thumbnail }) => {
+                stores.pages.put(record);
+                if (thumbnail) {
+                    stores.thumbnails.put(thumbnail);
+                }
+            });
+        });
+    }
+
+    async deletePage(pageId) {
+        const { page, thumbnail } = await this.runTransaction('readwrite', stores => {
+            const pageRequest = stores.pages.get(pageId);
+            const thumbnailRequest = stores.thumbnails.get(pageId);
+            stores.pages.delete(pageId);
+            stores.thumbnails.delete(pageId);
+            return () => ({ page: pageRequest.result, thumbnail: thumbnailRequest.result });
+        });
+
+        // Hand back the full page so it can be restored on undo
+        return page ? await this.attachThumbnail(page, thumbnail) : null;
+    }
+
+    async clear() {
+        await this.runTransaction('readwrite', stores => {
+            stores.pages.clear();
+            stores.thumbnails.clear();
+        });
+    }
+
+    async count() {
+        return await this.runTransaction('readonly', stores => {
+            const request = stores.pages.count();
+            return () => request.result;
+        });
+    }
+
+    async getUsage() {
+        const { pages, thumbnails } = await this.runTransaction('readonly', stores => {
+            const pageRequest = stores.pages.getAll();
+            const thumbnailRequest = stores.thumbnails.getAll();
+            return () => ({ pages: pageRequest.result || [], thumbnails: thumbnailRequest.result || [] });
+        });
+
+        const thumbnailSize = thumbnails.reduce((total, thumbnail) => total + (thumbnail.size || 0), 0);
+        return {
+            count: pages.length,
+            totalSize: new Blob([JSON.stringify(pages)]).size + thumbnailSize
+        };
+    }
+}
+
+/**
+ * Pick the best backend available in the current context
+ * 현재 컨텍스트에서 사용 가능한 최적의 백엔드 선택
+ */
+function createStorageAdapter() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBStorageAdapter();
+    }
+    return new ChromeStorageAdapter();
+}
+
+/**
+ * Move the legacy `pages` array into the adapter once; safe to call repeatedly
+ * 레거시 `pages` 배열을 어댑터로 한 번 이전 (반복 호출해도 안전)
+ */
+async function migrateLegacyPages(adapter) {
+    if (adapter.getBackendName() === 'chrome-storage') {
+        return { migrated: 0, alreadyMigrated: true };
+    }
+
+    const result = await chrome.storage.local.get(['pages', 'storageBackend']);
+    if (result.storageBackend === adapter.getBackendName()) {
+        return { migrated: 0, alreadyMigrated: true };
+    }
+
+    // Pages are written by id, so a migration interrupted before the flag is set just repeats
+    // Pages saved before duplicate detection get a canonical URL so the index can find them
+    const legacyPages = (Array.isArray(result.pages) ? result.pages : [])
+        .filter(page => page && page.id)
+        .map(page => page.canonicalUrl ? page : { ...page, canonicalUrl: storageHelpers.canonicalizeUrl(page.url) });
+    if (legacyPages.length > 0) {
+        await adapter.putPages(legacyPages);
+    }
+
+    await chrome.storage.local.set({ storageBackend: adapter.getBackendName() });
+    await chrome.storage.local.remove('pages');
+
+    console.log(`Migrated ${legacyPages.length} pages to ${adapter.getBackendName()}`);
+    return { migrated: legacyPages.length, alreadyMigrated: false };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StorageAdapter,
+        ChromeStorageAdapter,
+        IndexedDBStorageAdapter,
+        createStorageAdapter,
+        migrateLegacyPages
+    };
+} else if (typeof window !== 'undefined') {
+    Object.assign(window, {
+        StorageAdapter,
+        ChromeStorageAdapter,
+        IndexedDBStorageAdapter,
+        createStorageAdapter,
+        migrateLegacyPages
+    });
+}
@@ -6,12 +6,29 @@ if (typeof SavedPage === 'undefined' && typeof require !== 'undefined') {
     const { SavedPage, ExtensionSettings } = require('./models.js');
 }
 
+// Page storage adapters (IndexedDB with chrome.storage fallback)
+const pageStorageAdapters = typeof createStorageAdapter === 'function' ?
+    { createStorageAdapter } :
+    require('./storage-adapters.js');
+
+// URL normalization shared with the background save path
+const storageServiceHelpers = typeof canonicalizeUrl === 'function' ?
+    { canonicalizeUrl } :
+    require('./helpers.js');
+
+// Filter model shared with the search query language
+const searchQueryModule = typeof matchesFilter === 'function' ?
+    { matchesFilter } :
+    require('./search-query.js');
+
 /**
  * Storage service class for managing saved pages
  * 저장된 페이지 관리를 위한 스토리지 서비스 클래스
  */
 class StorageService {
-    constructor() {
+    constructor(adapter = null) {
+        // Pages go through the adapter; settings, metadata and backups stay in chrome.storage.local
+        this.adapter = adapter || pageStorageAdapters.createStorageAdapter();
         this.PAGES_KEY = 'pages';
         this.SETTINGS_KEY = 'settings';
         this.BACKUP_KEY = 'backup';
@@ -204,8 +221,8 @@ class StorageService {
             }
             
             // Restore data
+            await this.adapter.replaceAll(backup.pages);
             await chrome.storage.local.set({
-                [this.PAGES_KEY]: backup.pages,
                 [this.SETTINGS_KEY]: backup.settings || this.getDefaultSettings()
             });
             
@@ -232,10 +249,9 @@ class StorageService {
      */
     async detectDataCorruption() {
         try {
-            const result = await chrome.storage.local.get([this.PAGES_KEY]);
-            const rawPages = result[this.PAGES_KEY];
+            const rawPages = await this.adapter.getAllPages();
             
-            if (!rawPages) {
+            if (!rawPages || rawPages.length === 0) {
                 return { isCorrupted: false, issues: [] };
             }
             
@@ -340,9 +356,7 @@ class StorageService {
             
             // Remove oldest 25% of pages
             const keepCount = Math.floor(pages.length * 0.75);
-            const trimmedPages = pages.slice(0, keepCount);
-            
-            await chrome.storage.local.set({ [this.PAGES_KEY]: trimmedPages });
+            await this.removePages(pages.slice(keepCount));
             
             console.log(`Emergency cleanup: removed ${pages.length - keepCount} pages`);
             return { success: true, removedCount: pages.length - keepCount };
@@ -365,7 +379,7 @@ class StorageService {
             const filteredPages = pages.filter(page => page.timestamp > sixMonthsAgo);
             
             if (filteredPages.length < pages.length) {
-                await chrome.storage.local.set({ [this.PAGES_KEY]: filteredPages });
+                await this.removePages(pages.filter(page => !(page.timestamp > sixMonthsAgo)));
                 console.log(`Light cleanup: removed ${pages.length - filteredPages.length} old pages`);
             }
             
@@ -376,6 +390,16 @@ class StorageService {
         }
     }
 
+    /**
+     * Delete the given pages record by record
+     * 주어진 페이지들을 레코드 단위로 삭제
+     */
+    async removePages(pages) {
+        for (const page of pages) {
+            await this.adapter.deletePage(page.id);
+        }
+    }
+
     /**
      * Save a page to storage
      * 페이지를 스토리지에 저장
@@ -406,30 +430,34 @@ class StorageService {
             // Sanitize the page data
             page.sanitize();
             
-            // Get current pages with corruption check
-            const pages = await this.getPages();
-            
-            // Check for duplicate URLs (optional deduplication)
-            const existingIndex = pages.findIndex(p => p.url === page.url);
-            if (existingIndex !== -1) {
-                // Update existing page instead of creating duplicate
-                pages[existingIndex] = page.toJSON();
-                console.log('Updated existing page with same URL');
-            } else {
-                // Add new page to beginning
-                pages.unshift(page.toJSON());
+            // Check for duplicates by canonical URL (optional deduplication)
+            let savedPage = page.toJSON();
+            const canonicalUrl = storageServiceHelpers.canonicalizeUrl(page.canonicalUrl || page.url);
+            const [existing] = await this.adapter.getPagesByIndex('canonicalUrl', canonicalUrl);
+            if (existing) {
+                // Update existing page instead of creating duplicate, keeping its identity and history
+                const updated = SavedPage.fromJSON({
+                    ...page.toJSON(),
+                    id: existing.id,
+                    createdAt: existing.createdAt,
+                    tags: [...new Set([...(existing.tags || []), ...page.tags])],
+                    saveCount: existing.saveCount,
+                    lastResavedAt: existing.lastResavedAt,
+                    saveHistory: existing.saveHistory
+                }).recordResave(page.url, 'update');
+                
+                savedPage = updated.toJSON();
+                console.log('Updated existing page with same canonical URL');
             }
             
             // Save to storage with error handling
             try {
-                await chrome.storage.local.set({ [this.PAGES_KEY]: pages });
+                await this.adapter.putPage(savedPage);
             } catch (storageError) {
-                if (storageError.message.includes('QUOTA_EXCEEDED')) {
-                    // Handle quota exceeded error
+                if (storageError.message.includes('QUOTA_EXCEEDED') || storageError.name === 'QuotaExceededError') {
+                    // Handle quota exceeded error, then retry save after cleanup
                     await this.performEmergencyCleanup();
-                    // Retry save after cleanup
-                    const trimmedPages = pages.slice(0, Math.floor(pages.length * 0.9));
-                    await chrome.storage.local.set({ [this.PAGES_KEY]: trimmedPages });
+                    await this.adapter.putPage(savedPage);
                 } else {
                     throw storageError;
                 }
@@ -437,11 +465,11 @@ class StorageService {
             
             // Update metadata
             await this.updateMetadata({
-                totalPages: pages.length,
+                totalPages: await this.adapter.count(),
                 lastPageAdded: Date.now()
             });
             
-            return { success: true, data: page.toJSON() };
+            return { success: true, data: savedPage };
         } catch (error) {
             console.error('Error saving page:', error);
             
@@ -465,8 +493,7 @@ class StorageService {
      */
     async getPages() {
         try {
-            const result = await chrome.storage.local.get([this.PAGES_KEY]);
-            const rawPages = result[this.PAGES_KEY] || [];
+            const rawPages = await this.adapter.getAllPages({ includeThumbnails: true });
             
             // Check for data corruption
             const corruptionCheck = await this.detectDataCorruption();
@@ -475,8 +502,7 @@ class StorageService {
                 const recovery = await this.recoverFromBackup();
                 if (recovery.success) {
                     // Retry getting pages after recovery
-                    const recoveredResult = await chrome.storage.local.get([this.PAGES_KEY]);
-                    return recoveredResult[this.PAGES_KEY] || [];
+                    return await this.adapter.getAllPages({ includeThumbnails: true });
                 } else {
                     console.error('Failed to recover from corruption, returning empty array');
                     return [];
@@ -514,7 +540,7 @@ class StorageService {
                 await this.createBackup('before_cleanup');
                 
                 // Update storage with valid pages only
-                await chrome.storage.local.set({ [this.PAGES_KEY]: validPages });
+                await this.adapter.replaceAll(validPages);
                 
                 // Update metadata
                 await this.updateMetadata({
@@ -536,8 +562,7 @@ class StorageService {
                 const recovery = await this.recoverFromBackup();
                 if (recovery.success) {
                     console.log('Recovered from backup after error');
-                    const recoveredResult = await chrome.storage.local.get([this.PAGES_KEY]);
-                    return recoveredResult[this.PAGES_KEY] || [];
+                    return await this.adapter.getAllPages({ includeThumbnails: true });
                 }
             } catch (recoveryError) {
                 console.error('Recovery also failed:', recoveryError);
@@ -557,10 +582,7 @@ class StorageService {
                 throw new Error('Invalid page ID provided');
             }
             
-            const pages = await this.getPages();
-            const pageIndex = pages.findIndex(page => page.id === pageId);
-            
-            if (pageIndex === -1) {
+            if (!(await this.adapter.getPage(pageId))) {
                 console.warn(`Page with ID ${pageId} not found`);
                 return { success: true, found: false };
             }
@@ -569,17 +591,15 @@ class StorageService {
             await this.createBackup('before_delete');
             
             // Remove the page
-            const filteredPages = pages.filter(page => page.id !== pageId);
-            
-            await chrome.storage.local.set({ [this.PAGES_KEY]: filteredPages });
+            const deletedPage = await this.adapter.deletePage(pageId);
             
             // Update metadata
             await this.updateMetadata({
-                totalPages: filteredPages.length,
+                totalPages: await this.adapter.count(),
                 lastPageDeleted: Date.now()
             });
             
-            return { success: true, found: true, deletedPage: pages[pageIndex] };
+            return { success: true, found: true, deletedPage: deletedPage };
         } catch (error) {
             console.error('Error deleting page:', error);
             throw new Error(`Failed to delete page: ${error.message}`);
@@ -600,10 +620,9 @@ class StorageService {
                 throw new Error('Invalid updates provided');
             }
             
-            const pages = await this.getPages();
-            const pageIndex = pages.findIndex(page => page.id === pageId);
+            const page = await this.adapter.getPage(pageId, { includeThumbnails: true });
             
-            if (pageIndex === -1) {
+            if (!page) {
                 throw new Error(`Page with ID ${pageId} not found`);
             }
             
@@ -612,15 +631,13 @@ class StorageService {
             
             // Update the page
             const updatedPage = {
-                ...pages[pageIndex],
+                ...page,
                 ...updates,
                 id: pageId, // Ensure ID cannot be changed
                 updatedAt: Date.now()
             };
             
-            pages[pageIndex] = updatedPage;
-            
-            await chrome.storage.local.set({ [this.PAGES_KEY]: pages });
+            await this.adapter.putPage(updatedPage);
             
             // Update metadata
             await this.updateMetadata({
@@ -676,7 +693,7 @@ class StorageService {
             await this.createBackup('before_clear_all');
             
             // Clear all pages
-            await chrome.storage.local.set({ [this.PAGES_KEY]: [] });
+            await this.adapter.clear();
             
             // Update metadata
             await this.updateMetadata({
@@ -723,8 +740,7 @@ class StorageService {
             
             if (pages.length > maxItems) {
                 // Keep only the most recent pages
-                const trimmedPages = pages.slice(0, maxItems);
-                await chrome.storage.local.set({ [this.PAGES_KEY]: trimmedPages });
+                await this.removePages(pages.slice(maxItems));
                 
                 return {
                     success: true,
@@ -898,7 +914,7 @@ class StorageService {
             }
 
             // Save imported pages
-            await chrome.storage.local.set({ [this.PAGES_KEY]: allPages });
+            await this.adapter.putPages(newPages);
 
             // Update metadata
             await this.updateMetadata({
@@ -925,57 +941,25 @@ class StorageService {
     /**
      * Get pages with advanced filtering and sorting
      * 고급 필터링 및 정렬을 통한 페이지 가져오기
+     *
+     * Filter fields: query, tags, dateFrom, dateTo, domains, sites, isFavorite,
+     * isArchived, hasSummary, and the nested allOf/anyOf/not produced by
+     * SearchQueryParser.
      */
     async getPagesWithFilter(options = {}) {
         try {
             const {
-                query = '',
-                tags = [],
-                dateFrom = null,
-                dateTo = null,
-                domains = [],
                 sortBy = 'timestamp',
                 sortOrder = 'desc',
                 limit = null,
-                offset = 0
+                offset = 0,
+                ...filter
             } = options;
 
             let pages = await this.getPages();
 
             // Apply filters
-            if (query) {
-                const searchTerm = query.toLowerCase();
-                pages = pages.filter(page => {
-                    const searchableText = [
-                        page.title,
-                        page.summary,
-                        page.url,
-                        page.domain,
-                        page.description,
-                        ...(page.tags || [])
-                    ].join(' ').toLowerCase();
-                    
-                    return searchableText.includes(searchTerm);
-                });
-            }
-
-            if (tags.length > 0) {
-                pages = pages.filter(page => 
-                    page.tags && tags.some(tag => page.tags.includes(tag.toLowerCase()))
-                );
-            }
-
-            if (dateFrom) {
-                pages = pages.filter(page => page.timestamp >= dateFrom);
-            }
-
-            if (dateTo) {
-                pages = pages.filter(page => page.timestamp <= dateTo);
-            }
-
-            if (domains.length > 0) {
-                pages = pages.filter(page => domains.includes(page.domain));
-            }
+            pages = pages.filter(page => searchQueryModule.matchesFilter(page, filter));
 
             // Apply sorting
             pages.sort((a, b) => {
@@ -1098,7 +1082,7 @@ class StorageService {
                 case 'delete':
                     const remainingPages = pages.filter(page => !pageIds.includes(page.id));
                     if (remainingPages.length !== pages.length) {
-                        await chrome.storage.local.set({ [this.PAGES_KEY]: remainingPages });
+                        await this.removePages(pages.filter(page => pageIds.includes(page.id)));
                         modified = true;
                         results.push({
                             operation: 'delete',
@@ -1125,7 +1109,7 @@ class StorageService {
                     });
                     
                     if (modified) {
-                        await chrome.storage.local.set({ [this.PAGES_KEY]: pages });
+                        await this.adapter.putPages(pages.filter(page => pageIds.includes(page.id)));
                         results.push({
                             operation: 'addTag',
                             success: true,
@@ -1152,7 +1136,7 @@ class StorageService {
                     });
                     
                     if (modified) {
-                        await chrome.storage.local.set({ [this.PAGES_KEY]: pages });
+                        await this.adapter.putPages(pages.filter(page => pageIds.includes(page.id)));
                         results.push({
                             operation: 'removeTag',
                             success: true,
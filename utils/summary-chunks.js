@@ -0,0 +1,216 @@
+// Long document chunking for PagePouch Chrome extension
+// 긴 문서 분할 - 제목 경계로 나눈 부분별 요약과 요약 캐시
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const summaryChunkHelpers = typeof createTaskQueue === 'function' ?
+    { createTaskQueue } :
+    require('./helpers.js');
+
+// Rough characters per token; low enough for Korean and code-heavy text
+const CHARS_PER_TOKEN = 3;
+
+// Most parts one document is split into; the rest of a longer one is left out
+const MAX_SUMMARY_CHUNKS = 20;
+
+// Prompt for one part of a document
+const PART_PROMPT_TEMPLATE = `The following is one part of a longer document titled "{{title}}". Summarize this part in {{language}}, in at most {{maxLength}} characters. Keep its key facts, figures, names and conclusions, without an introduction.
+
+{{content}}`;
+
+// Prompt for joining part summaries that are still too long for one request
+const MERGE_PROMPT_TEMPLATE = `The following are summaries of consecutive parts of a longer document titled "{{title}}". Combine them into one summary in {{language}}, in at most {{maxLength}} characters, keeping the key facts and conclusions.
+
+{{content}}`;
+
+/**
+ * Text of one section, with its heading as a Markdown heading
+ * 섹션 하나의 텍스트 (제목은 마크다운 제목으로)
+ */
+function formatSection(section) {
+    const text = (section.text || '').trim();
+    if (!section.heading) {
+        return text;
+    }
+    const marks = '#'.repeat(Math.min(Math.max(section.level || 2, 1), 3));
+    return text ? `${marks} ${section.heading}\n\n${text}` : `${marks} ${section.heading}`;
+}
+
+/**
+ * Join pieces into runs no longer than maxLength
+ * 조각을 maxLength 이하의 묶음으로 합치기
+ */
+function packPieces(pieces, maxLength, separator) {
+    const packed = [];
+    pieces.forEach(piece => {
+        const last = packed.length - 1;
+        if (last >= 0 && packed[last].length + separator.length + piece.length <= maxLength) {
+            packed[last] += separator + piece;
+        } else {
+            packed.push(piece);
+        }
+    });
+    return packed;
+}
+
+/**
+ * Split text that is too long for one part at paragraph, then sentence boundaries
+ * 한 부분에 너무 긴 텍스트를 단락, 그다음 문장 경계에서 분할
+ */
+function splitLongText(text, maxLength) {
+    const pieces = [];
+    text.split(/\n\s*\n/).forEach(paragraph => {
+        paragraph = paragraph.trim();
+        if (!paragraph) return;
+        if (paragraph.length <= maxLength) {
+            pieces.push(paragraph);
+            return;
+        }
+
+        const sentences = [];
+        paragraph.split(/(?<=[.!?。])\s+/).forEach(sentence => {
+            // A sentence longer than a part is cut where it must be
+            for (let start = 0; start < sentence.length; start += maxLength) {
+                sentences.push(sentence.slice(start, start + maxLength));
+            }
+        });
+        pieces.push(...packPieces(sentences, maxLength, ' '));
+    });
+    return packPieces(pieces, maxLength, '\n\n');
+}
+
+/**
+ * Split a document's sections into parts that fit a summary request
+ * 문서 섹션을 요약 요청에 맞는 부분으로 분할
+ *
+ * Whole sections are packed together while they fit, so parts break at
+ * headings. A section longer than a part is split at paragraphs and keeps its
+ * heading on every piece.
+ * @param {Array<Object>} sections - { heading, level, text } in document order
+ * @param {number} maxLength - Most characters in one part
+ * @returns {Array<{headings: Array<string>, text: string}>}
+ */
+function splitSectionsIntoChunks(sections, maxLength) {
+    const chunks = [];
+    let current = null;
+
+    const add = (heading, text) => {
+        if (current && current.text.length + 2 + text.length <= maxLength) {
+            current.text += `\n\n${text}`;
+            if (heading && !current.headings.includes(heading)) {
+                current.headings.push(heading);
+            }
+            return;
+        }
+        current = { headings: heading ? [heading] : [], text };
+        chunks.push(current);
+    };
+
+    (sections || []).forEach(section => {
+        const text = formatSection(section);
+        if (!text) return;
+        if (text.length <= maxLength) {
+            add(section.heading, text);
+            return;
+        }
+
+        const title = formatSection({ ...section, text: '' });
+        const bodyLength = title ? Math.max(maxLength - title.length - 2, 1) : maxLength;
+        splitLongText(section.text, bodyLength).forEach(piece => {
+            add(section.heading, title ? `${title}\n\n${piece}` : piece);
+        });
+    });
+
+    return chunks;
+}
+
+/**
+ * Cache key for a part summary: the part's text and the settings that shape its summary
+ * 부분 요약의 캐시 키 (부분 텍스트와 요약에 영향을 주는 설정)
+ */
+function chunkCacheKey(text, config = {}) {
+    const input = JSON.stringify([text, config.maxLength || '', config.language || '']);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${hash.toString(16).padStart(8, '0')}-${input.length.toString(36)}`;
+}
+
+/**
+ * Summaries of finished document parts
+ * 완료된 문서 부분의 요약
+ *
+ * Kept in chrome.storage.local under `summaryChunkCache`, so a summary that
+ * failed or was cancelled halfway, or a page saved again, does not pay for
+ * the parts that were already summarized. Old entries are dropped first.
+ */
+class ChunkSummaryCache {
+    constructor({ maxEntries = 200, maxAge = 30 * 24 * 60 * 60 * 1000 } = {}) {
+        this.STORAGE_KEY = 'summaryChunkCache';
+        this.maxEntries = maxEntries;
+        this.maxAge = maxAge;
+
+        // Cached parts share one key, so writes run one at a time
+        this.enqueue = summaryChunkHelpers.createTaskQueue();
+    }
+
+    async getAll() {
+        const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+        const entries = result[this.STORAGE_KEY];
+        return entries && typeof entries === 'object' ? entries : {};
+    }
+
+    /**
+     * Get a cached part summary
+     * 캐시된 부분 요약 가져오기
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        const entry = (await this.getAll())[key];
+        if (!entry || Date.now() - entry.savedAt > this.maxAge) {
+            return null;
+        }
+        return entry.summary;
+    }
+
+    /**
+     * Store a part summary, dropping expired and oldest entries past the limit
+     * 부분 요약 저장 (만료된 항목과 한도를 넘는 오래된 항목 제거)
+     */
+    set(key, summary) {
+        return this.enqueue(async () => {
+            const now = Date.now();
+            const entries = { ...(await this.getAll()), [key]: { summary, savedAt: now } };
+            const kept = Object.entries(entries)
+                .filter(([, entry]) => now - entry.savedAt <= this.maxAge)
+                .sort((a, b) => b[1].savedAt - a[1].savedAt)
+                .slice(0, this.maxEntries);
+
+            await chrome.storage.local.set({ [this.STORAGE_KEY]: Object.fromEntries(kept) });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHARS_PER_TOKEN,
+        MAX_SUMMARY_CHUNKS,
+        PART_PROMPT_TEMPLATE,
+        MERGE_PROMPT_TEMPLATE,
+        formatSection,
+        splitSectionsIntoChunks,
+        chunkCacheKey,
+        ChunkSummaryCache
+    };
+} else if (typeof window !== 'undefined') {
+    window.CHARS_PER_TOKEN = CHARS_PER_TOKEN;
+    window.MAX_SUMMARY_CHUNKS = MAX_SUMMARY_CHUNKS;
+    window.PART_PROMPT_TEMPLATE = PART_PROMPT_TEMPLATE;
+    window.MERGE_PROMPT_TEMPLATE = MERGE_PROMPT_TEMPLATE;
+    window.formatSection = formatSection;
+    window.splitSectionsIntoChunks = splitSectionsIntoChunks;
+    window.chunkCacheKey = chunkCacheKey;
+    window.ChunkSummaryCache = ChunkSummaryCache;
+}
@@ -0,0 +1,198 @@
+// Tag suggestions for PagePouch Chrome extension
+// 태그 제안 - 페이지 유형, 구조화된 데이터, 도메인으로 태그 추천
+
+// Helpers come from helpers.js (importScripts / script tag) or require in tests
+const tagHelpers = typeof normalizeTags === 'function' ?
+    { normalizeTag, normalizeTags } :
+    require('./helpers.js');
+
+/**
+ * Suggests tags for saved pages without AI and fits any suggestion to the user's vocabulary
+ * AI 없이 저장된 페이지의 태그를 제안하고 모든 제안을 사용자의 태그 어휘에 맞춤
+ *
+ * The heuristic looks at the content script's detectPageType result, schema.org
+ * types and keywords from extractStructuredData, meta keywords and the domain.
+ * AI suggestions go through matchVocabulary as well, so "Recipes" becomes the
+ * user's existing "recipe" tag instead of a near-duplicate.
+ */
+class TagSuggester {
+    constructor() {
+        this.MAX_TAGS = 5;
+        this.MAX_KEYWORD_TAGS = 3;
+
+        // detectPageType returns path-based types or og:type values
+        this.PAGE_TYPE_TAGS = {
+            article: 'article',
+            product: 'shopping',
+            profile: 'profile',
+            video: 'video',
+            book: 'book',
+            music: 'music'
+        };
+
+        // schema.org @type to tag
+        this.SCHEMA_TYPE_TAGS = {
+            Article: 'article',
+            NewsArticle: 'news',
+            BlogPosting: 'blog',
+            TechArticle: 'tech',
+            ScholarlyArticle: 'research',
+            Recipe: 'recipe',
+            Product: 'shopping',
+            Event: 'event',
+            VideoObject: 'video',
+            Movie: 'movie',
+            Book: 'book',
+            Course: 'course',
+            JobPosting: 'job',
+            SoftwareApplication: 'software',
+            SoftwareSourceCode: 'code',
+            Review: 'review',
+            HowTo: 'how-to',
+            FAQPage: 'faq',
+            PodcastEpisode: 'podcast',
+            MusicRecording: 'music'
+        };
+
+        this.DOMAIN_TAGS = {
+            'github.com': 'code',
+            'gitlab.com': 'code',
+            'stackoverflow.com': 'programming',
+            'dev.to': 'programming',
+            'youtube.com': 'video',
+            'vimeo.com': 'video',
+            'arxiv.org': 'research',
+            'wikipedia.org': 'reference',
+            'medium.com': 'blog',
+            'substack.com': 'newsletter',
+            'reddit.com': 'discussion',
+            'news.ycombinator.com': 'tech',
+            'amazon.com': 'shopping'
+        };
+    }
+
+    /**
+     * Suggest tags from page signals, preferring tags the user already has
+     * 페이지 신호로 태그 제안 (사용자가 이미 가진 태그 우선)
+     * @param {Object} signals - { domain, pageType, keywords, structuredData, domainTags }
+     * @param {string[]} knownTags - Existing tags, most used first
+     * @param {Object} options - { exclude: tags the page already has }
+     */
+    suggest(signals = {}, knownTags = [], options = {}) {
+        const candidates = [
+            // Tags the user keeps putting on pages from this site come first
+            ...(signals.domainTags || []),
+            ...this.getStructuredDataTags(signals.structuredData),
+            this.getPageTypeTag(signals.pageType),
+            this.getDomainTag(signals.domain),
+            ...this.getKeywordTags(signals.keywords, knownTags)
+        ];
+
+        return this.matchVocabulary(candidates, knownTags, options);
+    }
+
+    /**
+     * Map candidates onto existing tags, drop excluded ones and cap the list
+     * 후보를 기존 태그에 대응시키고 제외 태그를 빼고 개수 제한
+     */
+    matchVocabulary(candidates, knownTags = [], { exclude = [], limit = this.MAX_TAGS } = {}) {
+        const known = new Map();
+        tagHelpers.normalizeTags(knownTags).forEach(tag => {
+            const key = this.getMatchKey(tag);
+            if (!known.has(key)) known.set(key, tag);
+        });
+        const excluded = new Set(tagHelpers.normalizeTags(exclude).map(tag => this.getMatchKey(tag)));
+
+        const suggestions = [];
+        const seen = new Set();
+        tagHelpers.normalizeTags(candidates).forEach(tag => {
+            const key = this.getMatchKey(tag);
+            if (!key || seen.has(key) || excluded.has(key)) return;
+            seen.add(key);
+            suggestions.push(known.get(key) || tag);
+        });
+
+        return suggestions.slice(0, limit);
+    }
+
+    /**
+     * Key that treats "how to", "how-to" and "how-tos" as the same tag
+     * "how to", "how-to", "how-tos"를 같은 태그로 취급하는 키
+     */
+    getMatchKey(tag) {
+        return tag.replace(/[\s_-]+/g, '').replace(/(?<=\w{3})s$/, '');
+    }
+
+    getPageTypeTag(pageType) {
+        if (typeof pageType !== 'string') return null;
+        // og:type values look like "video.other" or "music.song"
+        return this.PAGE_TYPE_TAGS[pageType.split('.')[0].toLowerCase()] || null;
+    }
+
+    getDomainTag(domain) {
+        if (typeof domain !== 'string') return null;
+
+        const host = domain.toLowerCase().replace(/^www\./, '');
+        const match = Object.keys(this.DOMAIN_TAGS).find(site => host === site || host.endsWith(`.${site}`));
+        return match ? this.DOMAIN_TAGS[match] : null;
+    }
+
+    /**
+     * Keywords become tags only when the user already uses them, or when they are short
+     * 키워드는 사용자가 이미 쓰는 태그이거나 짧을 때만 태그로 사용
+     */
+    getKeywordTags(keywords, knownTags = []) {
+        const list = typeof keywords === 'string' ? keywords.split(',') : (Array.isArray(keywords) ? keywords : []);
+        const known = new Set(tagHelpers.normalizeTags(knownTags).map(tag => this.getMatchKey(tag)));
+        const tags = tagHelpers.normalizeTags(list);
+
+        const familiar = tags.filter(tag => known.has(this.getMatchKey(tag)));
+        const short = tags.filter(tag => !familiar.includes(tag) && tag.split(' ').length <= 2 && tag.length <= 20);
+        return [...familiar, ...short.slice(0, this.MAX_KEYWORD_TAGS)];
+    }
+
+    /**
+     * Tags from schema.org types and keywords in JSON-LD and microdata
+     * JSON-LD와 마이크로데이터의 schema.org 타입 및 키워드에서 태그 추출
+     */
+    getStructuredDataTags(structuredData) {
+        if (!structuredData) return [];
+
+        const tags = [];
+        const addType = (type) => {
+            [].concat(type || []).forEach(value => {
+                if (typeof value !== 'string') return;
+                // Microdata uses full URLs like https://schema.org/Recipe
+                const name = value.split('/').pop();
+                if (this.SCHEMA_TYPE_TAGS[name]) tags.push(this.SCHEMA_TYPE_TAGS[name]);
+            });
+        };
+
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            addType(node['@type']);
+            tags.push(...this.getKeywordTags(node.keywords));
+            if (node['@graph']) visit(node['@graph']);
+        };
+
+        visit(structuredData.jsonLd || []);
+        (structuredData.microdata || []).forEach(item => {
+            addType(item.type);
+            tags.push(...this.getKeywordTags(item.properties?.keywords));
+        });
+
+        return tags;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagSuggester;
+} else if (typeof window !== 'undefined') {
+    window.TagSuggester = TagSuggester;
+}